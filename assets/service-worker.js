@@ -12,15 +12,36 @@ const urlsToCache = [
     '/js/ui.js',
     '/js/planetValues.js',
     '/config/constants.js',
+    '/modules/BattleReportSystem.js',
+    '/modules/BattleSystem.js',
+    '/modules/CommandSystem.js',
+    '/modules/DiplomacySystem.js',
+    '/modules/EffectSystem.js',
+    '/modules/EventDeckSystem.js',
     '/modules/EventSystem.js',
     '/modules/FactionSystem.js',
     '/modules/GalacticOrderSystem.js',
+    '/modules/GMAccessSystem.js',
+    '/modules/JournalSystem.js',
+    '/modules/ModifierSystem.js',
+    '/modules/OrderSystem.js',
     '/modules/Planet.js',
+    '/modules/PlayerSystem.js',
     '/modules/ResourceSystem.js',
+    '/modules/ScriptSystem.js',
     '/modules/ShipSystem.js',
     '/modules/ShopSystem.js',
     '/modules/StratagemSystem.js',
+    '/modules/SupplySystem.js',
+    '/modules/UnitSystem.js',
+    '/modules/VisibilitySystem.js',
+    '/services/CampaignSchema.js',
+    '/services/CampaignStore.js',
+    '/services/MigrationService.js',
+    '/services/RemoteSyncService.js',
     '/services/StorageService.js',
+    '/services/SyncDelta.js',
+    '/services/TabSyncService.js',
     '/utils/helpers.js',
     'https://fonts.googleapis.com/css2?family=Cinzel:wght@400;700;900&family=Orbitron:wght@400;700;900&family=Rajdhani:wght@300;400;600;700&display=swap',
     'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js'
@@ -211,6 +211,113 @@ export const EVENT_TYPES = {
     WAAAGH:       { name:'WAAAGH!',               icon:'⚡', color:'#228b22', description:'NPC invasion force gathering',            duration:2, effect:'ork_invasion'    }
 };
 
+// What each event effect does to the game state, as effect lists for
+// modules/EffectSystem.js in up to three phases: start (when the event becomes
+// active), turn (every turn advance while it is active) and end (when it runs
+// out), applied to every planet the event covers. Modifiers without a
+// duration last as long as the event.
+// 'blocks_travel' and 'creates_route' are read by EventManager directly.
+export const EVENT_EFFECTS = {
+    bonus_resources: {
+        turn:  [{ type:'grant_resources', resources:{ resource2:2, resource4:1 } }]
+    },
+    debuff: {
+        start: [{ type:'add_modifier', key:'harvest_multiplier', label:'Plague', value:0.5 }],
+        turn:  [{ type:'modify_value', value:'value_two', amount:-1 }]
+    },
+    destroy_planet: {
+        end:   [{ type:'set_planet_type', planetType:'DESTROYED' }]
+    },
+    attack_bonus: {
+        start: [{ type:'add_modifier', key:'value_two_bonus', label:'Reinforcements', value:2 }],
+        turn:  [{ type:'repair_fleets', amount:25 }]
+    },
+    bonus_tech: {
+        start: [{ type:'grant_resources', resources:{ resource4:3 } }]
+    },
+    ork_invasion: {
+        end:   [{ type:'spawn_fleet', factionId:'orks', name:'WAAAGH! Warband', units:3, invade:true }]
+    }
+};
+
+// Which planets an event covers besides the one it is placed on (see
+// CampaignEvent in modules/EventSystem.js)
+export const EVENT_SCOPES = {
+    planet:  { name:'This planet only' },
+    planets: { name:'Chosen planets' },
+    sector:  { name:'Its whole sector' },
+    radius:  { name:'Within a radius' }
+};
+
+// How a single-planet event moves at every turn advance (see CampaignEvent in
+// modules/EventSystem.js)
+export const EVENT_MOTIONS = {
+    none:   { name:'Stays put' },
+    drift:  { name:'Drifts along connections' },
+    spread: { name:'Spreads to neighbours' }
+};
+
+// Random event deck, drawn at every turn advance while enabled: with chance
+// percent an event type is drawn by weight and placed on a planet, weighted by
+// its planet type's affinity for the event (1 unless listed). No draw while
+// maxActive events are active or forecast. With review on, the draw waits
+// for the GM to apply or veto it.
+export const DEFAULT_EVENT_DECK = {
+    enabled: false,
+    chance: 25,
+    maxActive: 3,
+    review: false,
+    weights: { WARP_STORM:3, WORMHOLE:2, SPACE_HULK:2, PLAGUE:2, EXTERMINATUS:1, CRUSADE:2, ARCHAEOTECH:2, WAAAGH:2 },
+    affinities: {
+        WARP_STORM:   { CURSED:3, CORRUPTED:2 },
+        PLAGUE:       { HIVE:3, AGRI:2, FERAL:2 },
+        EXTERMINATUS: { CORRUPTED:3, CURSED:2 },
+        CRUSADE:      { FORTRESS:2, CARDINAL:2, SHRINE:2 },
+        ARCHAEOTECH:  { FORGE:3, DEAD:2, MINING:2 },
+        WAAAGH:       { FERAL:3, WAR_TORN:2 }
+    }
+};
+
+// Event scripts (modules/ScriptSystem.js): a trigger, conditions that must
+// all hold, and actions, checked at every turn advance. Fields describe the
+// structured editor; kind 'planet' and 'faction' fields of actions also
+// accept 'trigger' (the planet or faction that set the script off).
+export const SCRIPT_TRIGGERS = {
+    turn_reached:       { name:'Turn reached',       fields:[{ key:'turn', label:'Turn', kind:'number' }] },
+    planet_captured:    { name:'Planet captured',    fields:[{ key:'planetId', label:'Planet', kind:'planet', optional:true }, { key:'factionId', label:'Captured by', kind:'faction', optional:true }] },
+    resource_threshold: { name:'Resource threshold', fields:[{ key:'factionId', label:'Faction', kind:'faction' }, { key:'resourceId', label:'Resource', kind:'resource' }, { key:'amount', label:'At least', kind:'number' }] },
+    fleet_arrives:      { name:'Fleet arrives',      fields:[{ key:'planetId', label:'Planet', kind:'planet' }, { key:'factionId', label:'Faction', kind:'faction', optional:true }] }
+};
+
+export const SCRIPT_CONDITIONS = {
+    planet_owner:   { name:'Planet owner is', fields:[{ key:'planetId', label:'Planet', kind:'planet' }, { key:'factionId', label:'Owner', kind:'faction', optional:true }] },
+    sector_control: { name:'Sector control',  fields:[{ key:'sectorId', label:'Sector', kind:'sector' }, { key:'factionId', label:'Faction', kind:'faction' }, { key:'count', label:'Planets held, at least', kind:'number' }] }
+};
+
+export const SCRIPT_ACTIONS = {
+    grant_resources: { name:'Give resources',     fields:[{ key:'factionId', label:'To faction', kind:'faction' }, { key:'resources', label:'Resources', kind:'resources' }] },
+    set_planet_type: { name:'Change planet type', fields:[{ key:'planetId', label:'Planet', kind:'planet' }, { key:'planetType', label:'New type', kind:'planetType' }] },
+    add_connection:  { name:'Add connection',     fields:[{ key:'planetId', label:'From', kind:'planet' }, { key:'targetPlanetId', label:'To', kind:'planet' }] },
+    spawn_event:     { name:'Spawn event',        fields:[{ key:'planetId', label:'Planet', kind:'planet' }, { key:'eventType', label:'Event', kind:'eventType' }, { key:'duration', label:'Duration (turns)', kind:'number', optional:true }] },
+    show_message:    { name:'Show message',       fields:[{ key:'text', label:'Message', kind:'text' }] }
+};
+
+export const JOURNAL_ENTRY_TYPES = {
+    turn:       { name:'Turn',           icon:'⏳' },
+    conquest:   { name:'Conquest',       icon:'🏴' },
+    zone:       { name:'Surface Zone',   icon:'🗺️' },
+    purchase:   { name:'Purchase',       icon:'🛒' },
+    stratagem:  { name:'Stratagem',      icon:'🎯' },
+    fleet:      { name:'Fleet',          icon:'🚀' },
+    event:      { name:'Event',          icon:'🌀' },
+    order:      { name:'Galactic Order', icon:'📜' },
+    connection: { name:'Connection',     icon:'🔗' },
+    planet:     { name:'Planet',         icon:'🪐' },
+    battle:     { name:'Battle',         icon:'⚔️' },
+    supply:     { name:'Supply',         icon:'🛤️' },
+    diplomacy:  { name:'Diplomacy',      icon:'🤝' }
+};
+
 export const DEFAULT_RESOURCE_TYPES = [
     { id:'resource1', name:'Promethium',   icon:'⛽', color:'#ff4500' },
     { id:'resource2', name:'Adamantium',   icon:'🔩', color:'#696969' },
@@ -247,17 +354,112 @@ export const CONFIG = {
     CONNECTION_MAX_PER_PLANET: 2,
     CONNECTION_DISTANCE: 120,
     SURFACE_ZONES_PER_PLANET: 16,
+    MAX_TURN_SNAPSHOTS: 10,
+    MAX_UNDO_HISTORY: 50,
+    SYNC_CHANNEL_NAME: 'the-index-sync',
+    SYNC_SERVER_URL: 'ws://localhost:8787',
+    SYNC_HISTORY_LIMIT: 200, // Deltas the sync server remembers for conflict checks
+    SYNC_RECONNECT_DELAY: 5000,
     SHIP_BOB_SPEED: 2.0,
     SHIP_BOB_AMPLITUDE: 0.55,
     // Sector disc layout
     SECTOR_INNER_RADIUS: 35,
     SECTOR_OUTER_RADIUS: 160,
     SECTOR_BAND_WIDTH: 60,
-    SECTOR_Y_SPREAD: 50
+    SECTOR_Y_SPREAD: 50,
+    // Fog of war
+    FOG_PLANET_COLOR: 0x3a3f4a,
+    // Automatic battle rolls: a side's fleet strength (see DEFAULT_UNIT_TYPES) plus one die
+    BATTLE_DIE_SIDES: 6,
+    // Fleet damage in percent: taken after a battle, repaired each turn at an
+    // own planet, and taken each turn its faction cannot pay the upkeep.
+    // A fleet at 100% damage is destroyed.
+    BATTLE_WINNER_DAMAGE: 10,
+    BATTLE_LOSER_DAMAGE: 50,
+    BATTLE_DRAW_DAMAGE: 25,
+    FLEET_REPAIR_PER_TURN: 25,
+    FLEET_UNPAID_UPKEEP_DAMAGE: 25,
+    // A passphrase-protected GM mode falls back to player mode after this much inactivity
+    GM_INACTIVITY_MINUTES: 15,
+    // Shortest player PIN; short PINs are too easy to guess from their hash
+    PIN_MIN_LENGTH: 6,
+    // Turns a diplomatic proposal stays open before it lapses
+    DIPLOMACY_PROPOSAL_TURNS: 2
 };
 
+// Default unit types fleets are made of; the GM can change them per campaign
+// (modules/UnitSystem.js). strength counts in battles, speed is the slowest
+// unit's, upkeep is paid per unit at every harvest. A fleet without a
+// composition (older saves) is one unit of the first type.
+export const DEFAULT_UNIT_TYPES = [
+    { id:'escort',     name:'Escort Squadron', icon:'🛸', strength:2, speed:3, upkeep:{} },
+    { id:'cruiser',    name:'Cruiser',         icon:'🚀', strength:4, speed:2, upkeep:{ resource1:1 } },
+    { id:'battleship', name:'Battleship',      icon:'🛡️', strength:8, speed:1, upkeep:{ resource1:1, resource2:1 } }
+];
+
+// Supply rules a new campaign starts with (modules/SupplySystem.js). Supply
+// flows from a faction's capitals and marked supply sources through the
+// planets it owns. Each turn, cut-off planets keep harvestPercent of their
+// harvest and lose valueTwoLoss Value Two; cut-off fleets take
+// fleetAttrition percent damage.
+export const DEFAULT_SUPPLY_RULES = { enabled:false, harvestPercent:50, valueTwoLoss:1, fleetAttrition:10 };
+
 export const BATTLE_STATUS = { NONE:'none', SKIRMISH:'skirmish', MAJOR:'major_battle', SIEGE:'siege' };
 
+export const BATTLE_OUTCOMES = {
+    attacker: { name:'Attacker Victory', icon:'⚔️' },
+    defender: { name:'Defender Victory', icon:'🛡️' },
+    draw:     { name:'Draw',             icon:'🤝' }
+};
+
+// How a reported tabletop battle changes the map. The GM can override these
+// per campaign (modules/BattleReportSystem.js).
+export const DEFAULT_BATTLE_REPORT_RULES = {
+    captureZone: true,                  // winner takes the reported zone, or one a loser holds
+    valueOneChange: 0,                  // added to the planet's Value One after a decisive result
+    valueTwoChange: 0,                  // added to the planet's Value Two after a decisive result
+    winnerReward: { resource1: 2 },     // resources for the winner
+    loserReward: { resource1: 1 },      // resources for every other participant
+    drawReward: { resource1: 1 }        // resources for every participant on a draw
+};
+
+// How much a faction knows about a planet under fog of war
+// full: everything; sensed: owner and fleets; hidden: position and name only
+export const VISIBILITY = { FULL:'full', SENSED:'sensed', HIDDEN:'hidden' };
+
+// Relations between two factions (modules/DiplomacySystem.js); factions
+// without a treaty are neutral. Peaceful relations start when the other
+// side accepts a proposal; either side can declare war or go back to neutral.
+// - peaceful: no battles between them; counts for the DIPLOMACY order
+// - sharedVision: each sees what the other sees under fog of war
+// - trade: the sides exchange the pact's resources every turn
+// - duration: turns it lasts by default, null for open-ended
+export const DIPLOMATIC_RELATIONS = {
+    war:        { name:'War',        icon:'⚔️', color:'#dc143c', peaceful:false, sharedVision:false, trade:false, duration:null },
+    neutral:    { name:'Neutral',    icon:'➖', color:'#888888', peaceful:false, sharedVision:false, trade:false, duration:null },
+    ceasefire:  { name:'Ceasefire',  icon:'🏳️', color:'#f0e68c', peaceful:true,  sharedVision:false, trade:false, duration:3 },
+    trade_pact: { name:'Trade Pact', icon:'💱', color:'#daa520', peaceful:true,  sharedVision:false, trade:true,  duration:null },
+    alliance:   { name:'Alliance',   icon:'🤝', color:'#32cd32', peaceful:true,  sharedVision:true,  trade:false, duration:null }
+};
+
+// Orders a faction can queue during the orders phase. On Advance Turn they
+// resolve by priority (lowest first), then in the order they were queued;
+// fleet moves all happen at once (modules/OrderSystem.js).
+export const ORDER_TYPES = {
+    purchase:  { name:'Purchase',   icon:'🛒', priority:1, journalType:'purchase' },
+    stratagem: { name:'Stratagem',  icon:'🎯', priority:2, journalType:'stratagem' },
+    move:      { name:'Fleet Move', icon:'🚀', priority:3, journalType:'fleet' }
+};
+
+// Campaign state the sync server only accepts from the GM (see services/SyncDelta.js)
+export const SYNC_GM_ONLY_PATHS = [
+    'name', 'turn', 'settings', 'players', 'sectors', 'galaxyCenter', 'galacticOrder',
+    'fogOfWar', 'ordersPhase', 'unitTypes', 'supply', 'eventDeck', 'scripts', 'autoDistribution', 'customDistributionModes', 'customText', 'battleReports/rules'
+];
+
+// Stratagem targets: 'own' (a planet the user owns), 'enemy' (a planet another
+// faction owns) or 'any'.
+// Effects are applied in order by modules/EffectSystem.js.
 export const STRATAGEMS = {
     // Defensive
     orbital_shield: {
@@ -268,7 +470,9 @@ export const STRATAGEMS = {
         cost: { resource3: 2 },
         cooldown: 3,
         targetRequired: true,
-        category: 'defensive'
+        category: 'defensive',
+        target: 'own',
+        effects: [{ type: 'block_attacks', duration: 1 }]
     },
     emergency_recall: {
         id: 'emergency_recall',
@@ -278,7 +482,9 @@ export const STRATAGEMS = {
         cost: { resource4: 2 },
         cooldown: 4,
         targetRequired: true,
-        category: 'defensive'
+        category: 'defensive',
+        target: 'any',
+        effects: [{ type: 'move_fleet', mode: 'recall' }]
     },
     
     // Offensive
@@ -290,7 +496,9 @@ export const STRATAGEMS = {
         cost: { resource2: 2, resource4: 1 },
         cooldown: 2,
         targetRequired: true,
-        category: 'offensive'
+        category: 'offensive',
+        target: 'enemy',
+        effects: [{ type: 'modify_value', value: 'value_two', amount: -4 }]
     },
     precision_strike: {
         id: 'precision_strike',
@@ -300,7 +508,12 @@ export const STRATAGEMS = {
         cost: { resource2: 3 },
         cooldown: 3,
         targetRequired: true,
-        category: 'offensive'
+        category: 'offensive',
+        target: 'enemy',
+        effects: [
+            { type: 'modify_value', value: 'value_two', amount: -2 },
+            { type: 'modify_value', target: 'zone', value: 'value_two', set: 0 }
+        ]
     },
     
     // Intelligence
@@ -312,7 +525,9 @@ export const STRATAGEMS = {
         cost: { resource4: 2 },
         cooldown: 5,
         targetRequired: true,
-        category: 'intelligence'
+        category: 'intelligence',
+        target: 'any',
+        effects: [{ type: 'add_modifier', key: 'revealed', label: 'Revealed', duration: 3 }]
     },
     resource_sabotage: {
         id: 'resource_sabotage',
@@ -322,7 +537,9 @@ export const STRATAGEMS = {
         cost: { resource1: 2 },
         cooldown: 3,
         targetRequired: true,
-        category: 'intelligence'
+        category: 'intelligence',
+        target: 'enemy',
+        effects: [{ type: 'add_modifier', key: 'harvest_multiplier', label: 'Sabotaged', value: 0, duration: 1 }]
     },
     
     // Economic
@@ -334,7 +551,9 @@ export const STRATAGEMS = {
         cost: { resource1: 1 },
         cooldown: 2,
         targetRequired: true,
-        category: 'economic'
+        category: 'economic',
+        target: 'own',
+        effects: [{ type: 'add_modifier', key: 'harvest_multiplier', label: 'Resource Boost', value: 2, duration: 1 }]
     },
     
     // Special
@@ -346,7 +565,9 @@ export const STRATAGEMS = {
         cost: { resource4: 3 },
         cooldown: 3,
         targetRequired: true,
-        category: 'tactical'
+        category: 'tactical',
+        target: 'any',
+        effects: [{ type: 'move_fleet', mode: 'jump' }]
     },
     psychic_scream: {
         id: 'psychic_scream',
@@ -356,7 +577,9 @@ export const STRATAGEMS = {
         cost: { resource4: 4 },
         cooldown: 5,
         targetRequired: true,
-        category: 'offensive'
+        category: 'offensive',
+        target: 'any',
+        effects: [{ type: 'modify_value', scope: 'sector_enemies', value: 'value_two', amount: -1 }]
     },
     establish_cult: {
         id: 'establish_cult',
@@ -366,10 +589,25 @@ export const STRATAGEMS = {
         cost: { resource4: 4 },
         cooldown: 5,
         targetRequired: true,
-        category: 'offensive'
+        category: 'offensive',
+        target: 'enemy',
+        effects: [{ type: 'contest_zones', count: 2 }]
     }
 };
 
+// ─── Modifiers ───────────────────────────────────────────────────────────────
+// combine: how instances on one planet add up ('sum', 'product' or 'flag')
+// stacking: default rule when the same modifier is applied again, see
+// modules/ModifierSystem.js
+export const MODIFIER_TYPES = {
+    harvest_multiplier:   { name:'Harvest Yield',  icon:'⚡', combine:'product', stacking:'stack' },
+    harvest_bonus:        { name:'Harvest Bonus',  icon:'⛏️', combine:'sum',     stacking:'refresh' },
+    value_two_bonus:      { name:'Value Two Bonus', icon:'🛡️', combine:'sum',    stacking:'refresh' },
+    value_two_multiplier: { name:'Value Two Multiplier', icon:'⭐', combine:'product', stacking:'refresh' },
+    block_attacks:        { name:'Orbital Shield', icon:'🛡️', combine:'flag',    stacking:'refresh' },
+    revealed:             { name:'Revealed',       icon:'🔍', combine:'flag',    stacking:'refresh' }
+};
+
 // ─── Galactic Orders ─────────────────────────────────────────────────────────────
 export const GALACTIC_ORDER_TEMPLATES = {
     CONQUEST: {
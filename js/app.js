@@ -3,17 +3,20 @@
 // ═══════════════════════════════════════════════════════════════════════
 
 // Config and utilities
-import { CONFIG } from '../config/constants.js';
-import { generateId, canAfford, spendResources, addResources } from '../utils/helpers.js';
+import { CONFIG, STRATAGEMS } from '../config/constants.js';
+import { generateId, canAfford, spendResources, addResources, formatDate } from '../utils/helpers.js';
 
 // Services
 import { StorageService } from '../services/StorageService.js';
+import { TabSync } from '../services/TabSyncService.js';
+import { RemoteSync } from '../services/RemoteSyncService.js';
 
 // Modules
 import { ResourceManager } from '../modules/ResourceSystem.js';
 import { FactionManager } from '../modules/FactionSystem.js';
 import { Planet, PlanetGenerator } from '../modules/Planet.js';
 import { EventGenerator } from '../modules/EventSystem.js';
+import { GalaxyStateCommand } from '../modules/CommandSystem.js';
 
 // JS files
 import { PlanetValueManager } from './planetValues.js';
@@ -32,7 +35,28 @@ class CrusadeApp {
         this.ui = null;
         this.resourceManager = new ResourceManager();
         this.planetValueManager = new PlanetValueManager();
-        this.factionManager = new FactionManager();
+        this.factionManager = new FactionManager({
+            onChange: () => {
+                this.ui?.updateFactionStats();
+                this.ui?.populateFactionDropdown();
+            }
+        });
+
+        // Other tabs and windows showing this campaign follow each save
+        this.sync = new TabSync();
+        this.sync.onState((data, options) => this.applySyncedState(data, options));
+
+        // Optional sync server shared with players elsewhere (server/sync-server.mjs)
+        this.remoteSync = new RemoteSync();
+        this.remoteSync.onState((data, options) => this.applyRemoteState(data, options));
+        this.remoteSync.onStatus((status, message) => this.ui?.updateRemoteSyncStatus(status, message));
+
+        // Services handed to every Galaxy so the rules never reach for window.app
+        this.galaxyContext = {
+            storage: StorageService,
+            getResourceTypes: () => this.resourceManager.getAll(),
+            sync: [this.sync, this.remoteSync],
+        };
         this.autoSaveInterval = null;
         window.app = this;
     }
@@ -45,13 +69,16 @@ class CrusadeApp {
             this.renderer.setApp(this);
 
             this.updateLoadingText('Loading campaign data…');
-            const saved = Galaxy.load();
+            await StorageService.openStore();
+            await StorageService.migrateLegacyCampaign();
+            const saved = await this.pickCampaignSlot();
             if (saved) {
                 this.galaxy = saved;
                 this.factionManager.setGalaxy(this.galaxy);
                 this.updateLoadingText('Restoring galaxy state…');
             } else {
-                this.galaxy = new Galaxy();
+                this.galaxy = new Galaxy(this.galaxyContext);
+                this.galaxy.slotId = (await StorageService.createSlot(this.galaxy.name)).id;
                 this.galaxy.generateGalaxy(CONFIG.DEFAULT_GALAXY_SIZE);
                 this.factionManager.setGalaxy(this.galaxy);
                 this.galaxy.distributeInitialPlanets(this.factionManager.getAll(), 2);
@@ -61,6 +88,10 @@ class CrusadeApp {
 
             this.updateLoadingText('Preparing interface…');
             this.ui = new UIManager(this);
+            this.renderer.setVisibility({
+                planet: planetId => this.ui.getVisibility(planetId),
+                ship: ship => this.ui.canSeeShip(ship),
+            });
 
             // Ensure all planets have current planet values
             this.updateLoadingText('Updating planet values…');
@@ -68,6 +99,7 @@ class CrusadeApp {
 
             this.updateLoadingText('Rendering Planets…');
             this.renderGalaxy();
+            this.sync.markSynced(this.galaxy.toJSON());
 
             this.setupAutoSave();
 
@@ -78,6 +110,10 @@ class CrusadeApp {
                 this.ui.updateFactionStats();
                 this.ui.updateResourceBar();
                 this.ui.populateFactionDropdown();
+                this.ui.updateCommandHistory();
+                this.ui.updateFogOfWarButton();
+                this.ui.updateOrdersPhaseButton();
+                this.ui.updateSupplyButton();
                 this.ui.applyCustomText();
             }, 1000);
 
@@ -92,12 +128,67 @@ class CrusadeApp {
         if (el) el.textContent = text;
     }
 
+    /**
+     * Choose the campaign slot to open on startup. A single slot opens
+     * directly; with several, the player picks one on the loading screen.
+     * @returns {Promise<Galaxy|null>} Loaded galaxy, or null to start a new campaign
+     */
+    async pickCampaignSlot() {
+        const slots = await StorageService.listSlots();
+        if (slots.length === 0) return null;
+
+        const slotId = slots.length === 1 ? slots[0].id : await this.showSlotPicker(slots);
+        if (!slotId) return null;
+
+        StorageService.setLastSlot(slotId);
+        return Galaxy.load(this.galaxyContext, slotId);
+    }
+
+    /**
+     * Show the campaign picker on the loading screen
+     * @param {Array} slots - Slot metadata
+     * @returns {Promise<string|null>} Chosen slot ID, or null for a new campaign
+     */
+    showSlotPicker(slots) {
+        const content = document.querySelector('.loading-content');
+        const lastSlotId = StorageService.getLastSlot();
+        this.updateLoadingText('Select a campaign');
+
+        return new Promise(resolve => {
+            const picker = document.createElement('div');
+            picker.className = 'slot-picker';
+
+            const choose = slotId => {
+                picker.remove();
+                resolve(slotId);
+            };
+
+            slots.forEach(slot => {
+                const btn = document.createElement('button');
+                btn.className = 'slot-picker-item' + (slot.id === lastSlotId ? ' last-played' : '');
+                btn.innerHTML = `<span class="slot-name"></span><span class="slot-meta">Turn ${slot.turn} · ${formatDate(slot.updatedAt)}</span>`;
+                btn.querySelector('.slot-name').textContent = slot.name;
+                btn.addEventListener('click', () => choose(slot.id));
+                picker.appendChild(btn);
+            });
+
+            const newBtn = document.createElement('button');
+            newBtn.className = 'slot-picker-item slot-picker-new';
+            newBtn.textContent = '⊕ New campaign';
+            newBtn.addEventListener('click', () => choose(null));
+            picker.appendChild(newBtn);
+
+            content.appendChild(picker);
+        });
+    }
+
     // ═══════════════════════════════════════════════════════════════════════
     // RENDERING
     // ═══════════════════════════════════════════════════════════════════════
 
     renderGalaxy() {
         this.renderer.clear();
+        this.galaxy.visibility.invalidate();
 
         // Galaxy center
         this.renderer.updateGalaxyCenter(this.galaxy.galaxyCenter.type);
@@ -108,6 +199,22 @@ class CrusadeApp {
         // Planets
         this.galaxy.planets.forEach(p => this.renderer.createPlanetMesh(p));
 
+        this.renderRoutesAndEvents();
+
+        // Ships
+        this.galaxy.ships.forEach(ship => this.renderer.createShipMesh(ship));
+
+        // Apply connection visibility setting
+        this.renderer.setConnectionsVisible(this.ui ? this.ui.connectionsVisible : true);
+
+        // Supply overlay, if the viewer turned it on
+        if (this.ui) this.ui.renderSupplyOverlay();
+    }
+
+    /**
+     * Draw connection lines, wormholes and event rings
+     */
+    renderRoutesAndEvents() {
         // Connections
         this.galaxy.planets.forEach(planet => {
             planet.connections.forEach(connId => {
@@ -131,24 +238,153 @@ class CrusadeApp {
             }
         });
 
-        // Other events
+        // Other events; regional ones get a volume over their region
         this.galaxy.eventManager.getAll().forEach(ev => {
             if (ev.effect !== 'creates_route') {
                 const p = this.galaxy.getPlanet(ev.planetId);
                 if (p) {
-                    // Only create visual rings for active events
-                    if (ev.isActive()) {
-                        this.renderer.createEventRing(ev, p);
+                    // Only create visuals for active events
+                    if (ev.isActive() && ev.isRegional()) {
+                        const planets = this.galaxy.eventManager.getPlanetIds(ev).map(id => this.galaxy.getPlanet(id)).filter(Boolean);
+                        this.renderer.createEventVolume(ev, planets);
+                    } else if (ev.isActive()) {
+                        // Rings of events that moved this turn slide over from the previous planet
+                        const path = ev.path;
+                        const previous = path[path.length - 2];
+                        const from = previous && path[path.length - 1].turn === this.galaxy.turn ? this.galaxy.getPlanet(previous.planetId) : null;
+                        this.renderer.createEventRing(ev, p, from);
                     }
                 }
             }
         });
+    }
 
-        // Ships
-        this.galaxy.ships.forEach(ship => this.renderer.createShipMesh(ship));
+    /**
+     * Apply a campaign state saved in another tab or received from the sync
+     * server. Only the meshes that changed are rebuilt; the newest save wins
+     * (see TabSync, RemoteSync).
+     * @param {Object} data - Galaxy JSON
+     * @param {Object} options - {turnSnapshots, source}; source is the sync
+     *   the state came from, the tab sync by default
+     */
+    applySyncedState(data, { turnSnapshots = null, source = this.sync } = {}) {
+        if (!this.galaxy || !this.ui || data.id !== this.galaxy.id) return;
+
+        const before = this.galaxy.toJSON();
+        const overwritten = source.hasUnpublishedChanges(before);
+        this.galaxy.restoreState(data);
+        if (turnSnapshots) this.galaxy._turnSnapshots = turnSnapshots;
+        // Undo would restore snapshots taken before the other changes
+        this.galaxy.commandManager.clear();
+        source.markSynced(this.galaxy.toJSON());
+        // Pass the state on through the other sync (server ↔ other tabs)
+        this.galaxy.save();
 
-        // Apply connection visibility setting
-        this.renderer.setConnectionsVisible(this.ui ? this.ui.connectionsVisible : true);
+        this.updateChangedMeshes(before);
+
+        if (this.ui.selectedShipId && !this.galaxy.ships.some(s => s.id === this.ui.selectedShipId)) this.ui.deselectShip();
+        if (this.ui.selectedPlanetId) {
+            if (this.galaxy.getPlanet(this.ui.selectedPlanetId)) this.ui.showPlanetDetails(this.ui.selectedPlanetId);
+            else this.ui.closeSidePanel();
+        }
+        this.ui.updateTurnDisplay();
+        this.ui.updateFactionStats();
+        this.ui.updateResourceBar();
+        this.ui.updateCommandHistory();
+        this.ui.updateFogOfWarButton();
+        this.ui.updateOrdersPhaseButton();
+        this.ui.updateSupplyButton();
+        this.ui.applyCustomText();
+
+        if (overwritten) this.ui.showToast('A newer save replaced your unsaved changes', 'warning');
+    }
+
+    /**
+     * Apply a state from the sync server. A campaign this browser does not
+     * have open yet is stored in a new slot.
+     * @param {Object} data - Galaxy JSON
+     * @param {Object} options - {rejected}
+     */
+    async applyRemoteState(data, { rejected = null } = {}) {
+        if (!this.galaxy || !this.ui) return;
+
+        if (data.id === this.galaxy.id) {
+            this.applySyncedState(data, { source: this.remoteSync });
+        } else {
+            this.galaxy.save();
+            const slot = await StorageService.createSlot(data.name, data);
+            const galaxy = Galaxy.fromJSON(data, this.galaxyContext);
+            galaxy.slotId = slot.id;
+            this.loadGalaxy(galaxy);
+            this.remoteSync.markSynced(galaxy.toJSON());
+            this.sync.markSynced(galaxy.toJSON());
+            this.ensureAllPlanetsHaveCurrentValues();
+            this.ui.populateFactionDropdown();
+            this.ui.applyCustomText();
+            this.ui.showToast(`Joined shared campaign "${galaxy.name}"`, 'success');
+        }
+
+        if (rejected) this.ui.showToast(`Change not accepted: ${rejected}`, 'warning');
+    }
+
+    /**
+     * Rebuild the meshes that differ between a previous state and the
+     * current galaxy
+     * @param {Object} before - Galaxy JSON before the change
+     */
+    updateChangedMeshes(before) {
+        const changed = (a, b) => JSON.stringify(a) !== JSON.stringify(b);
+
+        // Under fog, any change of ownership or fleets can move what is visible
+        if (this.ui.isFogActive() || before.fogOfWar !== this.galaxy.fogOfWar) {
+            this.renderGalaxy();
+            return;
+        }
+
+        if (changed(before.galaxyCenter, this.galaxy.galaxyCenter)) this.renderer.updateGalaxyCenter(this.galaxy.galaxyCenter.type);
+        if (changed(before.sectors, this.galaxy.sectors)) this.renderer.buildSectorVisuals(this.galaxy.sectors);
+
+        // Planets
+        const oldPlanets = new Map(before.planets.map(p => [p.id, p]));
+        const movedPlanetIds = new Set();
+        let routesChanged = changed(before.events, this.galaxy.eventManager.toJSON())
+            || before.planets.length !== this.galaxy.planets.length;
+
+        oldPlanets.forEach((p, id) => {
+            if (!this.galaxy.getPlanet(id)) this.renderer.removePlanetMesh(id);
+        });
+        this.galaxy.planets.forEach(planet => {
+            const old = oldPlanets.get(planet.id);
+            if (old && !changed(old, planet.toJSON())) return;
+
+            if (!old || old.type !== planet.type || changed(old.position, planet.position)) {
+                this.renderer.removePlanetMesh(planet.id);
+                this.renderer.createPlanetMesh(planet);
+                movedPlanetIds.add(planet.id);
+                routesChanged = true;
+            } else {
+                this.renderer.updatePlanetMesh(planet);
+            }
+            if (old && changed(old.connections, planet.connections)) routesChanged = true;
+        });
+
+        if (routesChanged) {
+            this.renderer.clearConnectionLines();
+            this.renderer.clearEventRings();
+            this.renderRoutesAndEvents();
+            this.renderer.setConnectionsVisible(this.ui.connectionsVisible);
+        }
+
+        // Ships
+        const oldShips = new Map((before.ships || []).map(s => [s.id, s]));
+        oldShips.forEach((s, id) => {
+            if (!this.galaxy.ships.some(ship => ship.id === id)) this.renderer.removeShipMesh(id);
+        });
+        this.galaxy.ships.forEach(ship => {
+            const old = oldShips.get(ship.id);
+            if (!old) this.renderer.createShipMesh(ship);
+            else if (changed(old, ship) || movedPlanetIds.has(ship.planetId)) this.renderer.updateShipMesh(ship);
+        });
     }
 
     setupAutoSave() {
@@ -164,8 +400,13 @@ class CrusadeApp {
     // CAMPAIGN LIFECYCLE
     // ═══════════════════════════════════════════════════════════════════════
 
-    createNewCampaign(name = 'Crusade Campaign', size = CONFIG.DEFAULT_GALAXY_SIZE) {
-        this.galaxy = new Galaxy();
+    async createNewCampaign(name = 'Crusade Campaign', size = CONFIG.DEFAULT_GALAXY_SIZE) {
+        // Keep the current campaign in its slot and start a new one
+        this.galaxy?.save();
+        const slot = await StorageService.createSlot(name);
+
+        this.galaxy = new Galaxy(this.galaxyContext);
+        this.galaxy.slotId = slot.id;
         this.galaxy.name = name;
         this.galaxy.generateGalaxy(size);
         this.factionManager.setGalaxy(this.galaxy);
@@ -175,16 +416,43 @@ class CrusadeApp {
         this.ui.updateTurnDisplay();
         this.ui.updateFactionStats();
         this.ui.updateResourceBar();
+        this.ui.updateCommandHistory();
         this.ui.closeSidePanel();
         this.ui.reattachEventListeners();
     }
 
+    /**
+     * Save the current campaign and open another slot
+     * @param {string} slotId - Slot to open
+     * @returns {Promise<boolean>} True if the slot was loaded
+     */
+    async switchCampaignSlot(slotId) {
+        this.galaxy.save();
+        await StorageService.flush();
+
+        const galaxy = await Galaxy.load(this.galaxyContext, slotId);
+        if (!galaxy) return false;
+        StorageService.setLastSlot(slotId);
+
+        this.loadGalaxy(galaxy);
+        this.sync.markSynced(galaxy.toJSON());
+        this.ensureAllPlanetsHaveCurrentValues();
+        this.ui.populateFactionDropdown();
+        this.ui.applyCustomText();
+        return true;
+    }
+
     loadGalaxy(galaxy) {
         this.galaxy = galaxy;
+        this.factionManager.setGalaxy(this.galaxy);
         this.renderGalaxy();
         this.ui.updateTurnDisplay();
         this.ui.updateFactionStats();
         this.ui.updateResourceBar();
+        this.ui.updateCommandHistory();
+        this.ui.updateFogOfWarButton();
+        this.ui.updateOrdersPhaseButton();
+        this.ui.updateSupplyButton();
         this.ui.closeSidePanel();
     }
 
@@ -208,8 +476,9 @@ class CrusadeApp {
             return Math.sqrt(dx*dx + dy*dy + dz*dz) < CONFIG.PLANET_MIN_DISTANCE;
         }));
 
-        const planet = new Planet({ name, type, position });
+        const planet = new Planet({ name, type, position }, this.resourceManager.getAll());
         this.galaxy.addPlanet(planet);
+        this.galaxy.journal.record({ type: 'planet', planetId: planet.id, summary: `${name} was charted` });
         this.renderer.createPlanetMesh(planet);
         this.ui.showPlanetDetails(planet.id);
         this.renderer.selectPlanet(planet.id);
@@ -233,9 +502,22 @@ class CrusadeApp {
 
     // Delegate to shop manager
     purchaseItem(factionId, itemId, targetPlanetId = null) {
-        const result = this.galaxy.shopManager.purchase(factionId, itemId, targetPlanetId);
+        const item = this.galaxy.shopManager.getItem(itemId);
+        if (this.ui.isQueuingOrders()) {
+            return this.queueOrder(`Purchase ${item?.name || itemId}`,
+                () => this.galaxy.orderManager.queuePurchase(factionId, itemId, targetPlanetId));
+        }
+        if (this.remoteSync.role === 'player' && this.galaxy.shopManager.isGMOnlyWhenShared(itemId)) {
+            return { ok: false, message: `On a shared campaign only the GM can apply ${item?.name || itemId}. Queue it in the orders phase or ask the GM.` };
+        }
+        const result = this.galaxy.commandManager.execute(new GalaxyStateCommand(
+            this.galaxy,
+            `Purchase ${item?.name || itemId}`,
+            () => this.galaxy.shopManager.purchase(factionId, itemId, targetPlanetId)
+        ));
         
         if (result.ok) {
+            this.ui.updateCommandHistory();
             this.galaxy.save();
             this.ui.updateResourceBar();
             this.ui.updateFactionStats();
@@ -260,11 +542,15 @@ class CrusadeApp {
 
      // Complete two-planet shop purchase (like warp beacon)
     completeTwoPlanetPurchase(factionId, itemId, planet1Id, planet2Id) {
-        const result = this.galaxy.shopManager.completeTwoPlanetPurchase(
-            factionId, itemId, planet1Id, planet2Id
-        );
+        const item = this.galaxy.shopManager.getItem(itemId);
+        const result = this.galaxy.commandManager.execute(new GalaxyStateCommand(
+            this.galaxy,
+            `Purchase ${item?.name || itemId}`,
+            () => this.galaxy.shopManager.completeTwoPlanetPurchase(factionId, itemId, planet1Id, planet2Id)
+        ));
         
         if (result.ok) {
+            this.ui.updateCommandHistory();
             this.renderGalaxy();
             this.galaxy.save();
         }
@@ -273,10 +559,22 @@ class CrusadeApp {
     }
 
      // Use stratagem
-    useStratagem(factionId, stratagemId, targetPlanetId = null) {
-        const result = this.galaxy.stratagemManager.use(factionId, stratagemId, targetPlanetId);
+    useStratagem(factionId, stratagemId, targetPlanetId = null, options = {}) {
+        if (this.ui.isQueuingOrders()) {
+            return this.queueOrder(`Stratagem: ${STRATAGEMS[stratagemId]?.name || stratagemId}`,
+                () => this.galaxy.orderManager.queueStratagem(factionId, stratagemId, targetPlanetId, options));
+        }
+        if (this.remoteSync.role === 'player' && this.galaxy.stratagemManager.affectsOtherFactions(stratagemId)) {
+            return { ok: false, message: 'On a shared campaign only the GM can use stratagems that strike other factions\' planets. Queue it in the orders phase or ask the GM.' };
+        }
+        const result = this.galaxy.commandManager.execute(new GalaxyStateCommand(
+            this.galaxy,
+            `Stratagem: ${STRATAGEMS[stratagemId]?.name || stratagemId}`,
+            () => this.galaxy.useStratagem(factionId, stratagemId, targetPlanetId, options)
+        ));
         
         if (result.ok) {
+            this.ui.updateCommandHistory();
             this.galaxy.save();
             this.ui.updateResourceBar();
             this.ui.updateFactionStats();
@@ -295,6 +593,24 @@ class CrusadeApp {
         return result;
     }
 
+    // Queue (or withdraw) an order for the orders phase; nothing happens
+    // on the map until the turn advances
+    queueOrder(label, action) {
+        const result = this.galaxy.commandManager.execute(new GalaxyStateCommand(
+            this.galaxy,
+            `Order: ${label}`,
+            action
+        ));
+
+        if (result.ok) {
+            this.ui.updateCommandHistory();
+            this.galaxy.save();
+            this.ui.updateOrdersPhaseButton();
+        }
+
+        return result;
+    }
+
     // ═══════════════════════════════════════════════════════════════════════
     // PLANET VALUES
     // ═══════════════════════════════════════════════════════════════════════
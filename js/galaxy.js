@@ -12,15 +12,32 @@ import { ShopManager } from '../modules/ShopSystem.js';
 import { ShipManager } from '../modules/ShipSystem.js';
 import { GalacticOrderManager } from '../modules/GalacticOrderSystem.js';
 import { StratagemManager } from '../modules/StratagemSystem.js';
+import { EffectEngine } from '../modules/EffectSystem.js';
+import { ModifierManager } from '../modules/ModifierSystem.js';
+import { VisibilityManager } from '../modules/VisibilitySystem.js';
+import { BattleManager } from '../modules/BattleSystem.js';
+import { BattleReportManager } from '../modules/BattleReportSystem.js';
+import { PlayerManager } from '../modules/PlayerSystem.js';
+import { GMAccessManager } from '../modules/GMAccessSystem.js';
+import { OrderManager } from '../modules/OrderSystem.js';
+import { UnitTypeManager } from '../modules/UnitSystem.js';
+import { SupplyManager } from '../modules/SupplySystem.js';
+import { DiplomacyManager } from '../modules/DiplomacySystem.js';
+import { EventDeckManager } from '../modules/EventDeckSystem.js';
+import { ScriptManager } from '../modules/ScriptSystem.js';
+import { CommandManager } from '../modules/CommandSystem.js';
+import { JournalManager, factionToken } from '../modules/JournalSystem.js';
 import {
   CONFIG,
   GALAXY_CENTER_TYPES,
   SECTOR_NAMES,
   HARVEST_YIELDS,
+  EVENT_EFFECTS,
   AUTO_DISTRIBUTION,
+  DEFAULT_RESOURCE_TYPES,
 } from '../config/constants.js';
 import { StorageService } from '../services/StorageService.js';
-import { distance, generateId, randomChoice } from '../utils/helpers.js';
+import { deepClone, distance, generateId, randomChoice } from '../utils/helpers.js';
 
 /**
  * Main galaxy class coordinating all campaign systems
@@ -30,7 +47,23 @@ export class Galaxy {
   // Make imported constants available as static properties
   static AUTO_DISTRIBUTION = AUTO_DISTRIBUTION;
   
-  constructor() {
+  /**
+   * @param {Object} context - Services the campaign rules depend on. The
+   *   defaults suit the browser app; pass your own to run a galaxy headless.
+   * @param {Object} context.storage - Persistence with load/saveCampaign() and
+   *   load/saveTurnSnapshots(), each given the galaxy's slotId (StorageService,
+   *   or a MemoryStorage in Node)
+   * @param {Function} context.getResourceTypes - Returns the configured resource types
+   * @param {TabSync|RemoteSync|Array} context.sync - Optional; every save is
+   *   published through it (services/TabSyncService.js, services/RemoteSyncService.js)
+   */
+  constructor(context = {}) {
+    this.context = {
+      storage: StorageService,
+      getResourceTypes: () => DEFAULT_RESOURCE_TYPES,
+      ...context,
+    };
+
     this._id = generateId();
     this._name = 'Crusade Campaign';
     this._turn = 1;
@@ -58,9 +91,6 @@ export class Galaxy {
     // Per-faction resources
     this._playerResources = {};
 
-    // Planet modifiers
-    this._planetModifiers = {};
-
     // Auto-distribution settings
     this._autoDistribution = {
       enabled: false,
@@ -70,15 +100,45 @@ export class Galaxy {
 
     this._customDistributionModes = {};
 
+    // Players only see what their faction knows (GM mode always sees all)
+    this._fogOfWar = true;
+
+    // Factions queue their moves, purchases and stratagems, resolved on turn advance
+    this._ordersPhase = false;
+
     // Custom UI text
     this.customText = {};
 
+    // Serialized states from before each turn advance, oldest first.
+    // Persisted separately from the campaign so saves stay small.
+    this._turnSnapshots = [];
+
+    // Storage slot this galaxy was opened from and saves to. Kept per
+    // instance so windows with different slots open never write over
+    // each other; not part of the campaign data.
+    this.slotId = null;
+
     // Initialize subsystems
-    this.eventManager = new EventManager();
+    this.eventManager = new EventManager(this);
     this.shopManager = new ShopManager(this);
+    this.unitTypes = new UnitTypeManager(this);
     this.shipManager = new ShipManager(this);
     this.galacticOrderManager = new GalacticOrderManager(this);
     this.stratagemManager = new StratagemManager(this);
+    this.effectEngine = new EffectEngine(this);
+    this.modifierManager = new ModifierManager(this);
+    this.visibility = new VisibilityManager(this);
+    this.battleManager = new BattleManager(this);
+    this.battleReportManager = new BattleReportManager(this);
+    this.playerManager = new PlayerManager(this);
+    this.gmAccess = new GMAccessManager(this);
+    this.orderManager = new OrderManager(this);
+    this.supplyManager = new SupplyManager(this);
+    this.diplomacyManager = new DiplomacyManager(this);
+    this.eventDeck = new EventDeckManager(this);
+    this.scriptManager = new ScriptManager(this);
+    this.commandManager = new CommandManager(this);
+    this.journal = new JournalManager(this);
   }
 
   // Getters
@@ -92,6 +152,8 @@ export class Galaxy {
   get playerResources() { return this._playerResources; }
   get autoDistribution() { return this._autoDistribution; }
   get customDistributionModes() { return this._customDistributionModes; }
+  get fogOfWar() { return this._fogOfWar; }
+  get ordersPhase() { return this._ordersPhase; }
   get stratagemCooldowns() { return this.stratagemManager._cooldowns; }
   get createdAt() { return this._createdAt; }
   get lastModified() { return this._lastModified; }
@@ -101,6 +163,14 @@ export class Galaxy {
     this._name = value;
     this._lastModified = Date.now();
   }
+  set fogOfWar(value) {
+    this._fogOfWar = Boolean(value);
+    this._lastModified = Date.now();
+  }
+  set ordersPhase(value) {
+    this._ordersPhase = Boolean(value);
+    this._lastModified = Date.now();
+  }
 
   // ═══════════════════════════════════════════════════════════════════════
   // PLANET MANAGEMENT
@@ -114,7 +184,7 @@ export class Galaxy {
   addPlanet(planetData) {
     const planet = planetData instanceof Planet 
       ? planetData 
-      : new Planet(planetData);
+      : new Planet(planetData, this.context.getResourceTypes());
 
     // Check for overlaps and adjust
     const tooClose = this._planets.some(p =>
@@ -147,19 +217,32 @@ export class Galaxy {
     this._planets.forEach(p => p.removeConnection(planetId));
 
     // Clean up events
-    this.eventManager.getByPlanet(planetId).forEach(ev =>
-      this.eventManager.remove(ev.id)
-    );
+    this.eventManager.clearPlanet(planetId);
 
     // Clean up ships
     const shipsToRemove = this.shipManager.getAtPlanet(planetId);
     shipsToRemove.forEach(ship => this.shipManager.removeShip(ship.id));
+    this.shipManager.clearRoutesThrough(planetId);
+
+    // Clean up modifiers, battles and battle reports
+    this.modifierManager.clearPlanet(planetId);
+    this.battleManager.clearPlanet(planetId);
+    this.battleReportManager.clearPlanet(planetId);
+    this.orderManager.clearPlanet(planetId);
+    this.supplyManager.clearPlanet(planetId);
+    this.eventDeck.clearPlanet(planetId);
 
     // Remove from sectors
     this._sectors.forEach(sector => {
       sector.planetIds = sector.planetIds.filter(id => id !== planetId);
     });
 
+    this.journal.record({
+      type: 'planet',
+      planetId,
+      summary: `${this._planets[index].name} was removed from the galaxy`,
+    });
+
     this._planets.splice(index, 1);
     this._lastModified = Date.now();
     return true;
@@ -175,27 +258,92 @@ export class Galaxy {
   }
 
   /**
-   * Set planet modifier
+   * Change a planet's owner and record it in the journal
+   * @param {string} planetId
+   * @param {string|null} factionId - New owner
+   * @param {string|null} actorId - Faction performing the change (null for GM)
+   * @returns {boolean} True if the planet exists and is not shielded against the actor
+   */
+  setPlanetOwner(planetId, factionId, actorId = null) {
+    const planet = this.getPlanet(planetId);
+    if (!planet) return false;
+    if (this.isAttackBlocked(planetId, actorId)) return false;
+
+    const previousOwner = planet.owner;
+    planet.setOwner(factionId, true, this._turn);
+
+    if (previousOwner !== factionId) {
+      this.journal.record({
+        type: 'conquest',
+        factionId: actorId,
+        planetId,
+        summary: `${planet.name}: ${factionToken(previousOwner)} → ${factionToken(factionId)}`,
+        data: { from: previousOwner, to: factionId },
+      });
+    }
+
+    this._lastModified = Date.now();
+    return true;
+  }
+
+  /**
+   * Change a surface zone's controller and record it in the journal
    * @param {string} planetId
-   * @param {string} key - Modifier key
-   * @param {any} value - Modifier value
+   * @param {string} zoneId
+   * @param {string|null} factionId - New controller
+   * @param {string|null} actorId - Faction performing the change (null for GM)
+   * @returns {boolean} True if the zone exists and the planet is not shielded against the actor
    */
-  setPlanetModifier(planetId, key, value) {
-    if (!this._planetModifiers[planetId]) {
-      this._planetModifiers[planetId] = {};
+  setZoneController(planetId, zoneId, factionId, actorId = null) {
+    const planet = this.getPlanet(planetId);
+    const zone = planet?.surfaceZones.find(z => z.id === zoneId);
+    if (!zone) return false;
+    if (this.isAttackBlocked(planetId, actorId)) return false;
+
+    const previousController = zone.controller;
+    zone.controller = factionId;
+
+    if (previousController !== factionId) {
+      this.journal.record({
+        type: 'zone',
+        factionId: actorId,
+        planetId,
+        summary: `${zone.name} on ${planet.name}: ${factionToken(previousController)} → ${factionToken(factionId)}`,
+        data: { zoneId, from: previousController, to: factionId },
+      });
     }
-    this._planetModifiers[planetId][key] = value;
+
     this._lastModified = Date.now();
+    return true;
   }
 
   /**
-   * Get planet modifier
+   * Planet value including modifiers: (base + <value>_bonus) × <value>_multiplier
    * @param {string} planetId
-   * @param {string} key - Modifier key
-   * @returns {any} Modifier value
+   * @param {string} valueId - Value ID, e.g. 'value_two'
+   * @returns {number} Effective value
    */
-  getPlanetModifier(planetId, key) {
-    return this._planetModifiers[planetId]?.[key];
+  getEffectiveValue(planetId, valueId) {
+    const planet = this.getPlanet(planetId);
+    if (!planet) return 0;
+
+    const base = Number(planet.getValue(valueId)) || 0;
+    const bonus = this.modifierManager.getTotal(planetId, `${valueId}_bonus`);
+    return (base + bonus) * this.modifierManager.getTotal(planetId, `${valueId}_multiplier`);
+  }
+
+  /**
+   * Check whether a faction can see a planet's details: it owns the planet,
+   * or has revealed it (scan, infiltration) or everything (spy network)
+   * @param {string} planetId
+   * @param {string} factionId
+   * @returns {boolean} True if revealed
+   */
+  isRevealedTo(planetId, factionId) {
+    if (this.getPlanet(planetId)?.owner === factionId) return true;
+    return this.modifierManager.getAll().some(m =>
+      m.key === 'revealed' && m.factionId === factionId && (m.planetId === planetId || m.planetId === null)
+    );
   }
 
   /**
@@ -214,10 +362,52 @@ export class Galaxy {
    * @param {string} factionId
    * @param {string} stratagemId
    * @param {string} targetPlanetId - Target planet ID (optional)
+   * @param {Object} options - Extra choices, e.g. {shipId}
    * @returns {Object} Result {ok, message}
    */
-  useStratagem(factionId, stratagemId, targetPlanetId = null) {
-    return this.stratagemManager.use(factionId, stratagemId, targetPlanetId);
+  useStratagem(factionId, stratagemId, targetPlanetId = null, options = {}) {
+    const result = this.stratagemManager.use(factionId, stratagemId, targetPlanetId, options);
+    if (result.ok) this._lastModified = Date.now();
+    return result;
+  }
+
+  /**
+   * Check whether an orbital shield stops a faction from attacking a planet
+   * @param {string} planetId
+   * @param {string|null} attackerId - Attacking faction (null for GM)
+   * @returns {boolean} True if attacks are blocked
+   */
+  isAttackBlocked(planetId, attackerId) {
+    if (!attackerId) return false;
+    return this.modifierManager.getForPlanet(planetId, 'block_attacks').some(m => m.factionId !== attackerId);
+  }
+
+  /**
+   * Start a battle over a planet
+   * @param {Object} data - See BattleManager.declare
+   * @returns {Object} Result {ok, message, battle}
+   */
+  declareBattle(data) {
+    return this.battleManager.declare(data);
+  }
+
+  /**
+   * Resolve a battle and apply its outcome
+   * @param {string} battleId
+   * @param {Object} entry - {method: 'tabletop'|'auto', outcome, notes}
+   * @returns {Object} Result {ok, message, battle}
+   */
+  resolveBattle(battleId, entry) {
+    return this.battleManager.resolve(battleId, entry);
+  }
+
+  /**
+   * Record a tabletop battle and apply the campaign's report rules
+   * @param {Object} data - See BattleReportManager.report
+   * @returns {Object} Result {ok, message, report}
+   */
+  reportBattle(data) {
+    return this.battleReportManager.report(data);
   }
 
   /**
@@ -301,13 +491,29 @@ export class Galaxy {
   }
 
   /**
-   * Move ship to target planet
+   * Move ship to target planet. Arriving where hostile fleets are starts a battle.
    * @param {string} shipId - Ship ID
    * @param {string} targetPlanetId - Target planet ID
-   * @returns {Object} Result {ok, message}
+   * @returns {Object} Result {ok, message, ship, battles}
    */
   moveShip(shipId, targetPlanetId) {
-    return this.shipManager.moveShip(shipId, targetPlanetId);
+    const result = this.shipManager.moveShip(shipId, targetPlanetId);
+    if (!result.ok) return result;
+    return { ...result, battles: this.battleManager.detect(targetPlanetId, result.ship.factionId) };
+  }
+
+  /**
+   * Plot a fleet's route and fly it as far as its movement allows this
+   * turn; the rest is flown on later turns
+   * @param {string} shipId - Ship ID
+   * @param {string} targetPlanetId - Destination planet ID
+   * @returns {Object} Result {ok, message, route, battles}
+   */
+  plotRoute(shipId, targetPlanetId) {
+    const result = this.shipManager.setRoute(shipId, targetPlanetId);
+    if (!result.ok) return result;
+    const arrivals = this.shipManager.advanceRoutes([shipId]);
+    return { ...result, battles: this.battleManager.detectArrivals(arrivals) };
   }
 
   // ═══════════════════════════════════════════════════════════════════════
@@ -386,7 +592,7 @@ export class Galaxy {
     
     // Generate planets
     for (let i = 0; i < size; i++) {
-      const planet = PlanetGenerator.generateRandom();
+      const planet = PlanetGenerator.generateRandom(null, this.context.getResourceTypes());
       this.addPlanet(planet);
     }
 
@@ -595,28 +801,133 @@ export class Galaxy {
    * @returns {Object} Turn results
    */
   advanceTurn() {
+    this._captureTurnSnapshot();
+    // Undo works within a turn; earlier turns are reached through rewind
+    this.commandManager.clear();
+    // Orders queued for this turn resolve before it ends
+    const orders = this.orderManager.resolve();
     this._turn++;
+    this.journal.record({ type: 'turn', summary: `Turn ${this._turn} began` });
+    // Movement refills and fleets fly on along their routes
+    const routeBattles = this.battleManager.detectArrivals(this.shipManager.advanceTurn());
     
+    const activeEvents = this.eventManager.getAll().filter(ev => ev.isActive());
+    const waitingEvents = this.eventManager.getAll().filter(ev => ev.isWaiting());
     const expiredEvents = this.eventManager.advanceTurn();
-    this.harvestResources();
+    waitingEvents.filter(ev => ev.isActive()).forEach(ev => {
+      this.journal.record({
+        type: 'event',
+        planetId: ev.planetId,
+        summary: `${ev.name} began at ${this.eventManager.describeLocation(ev)}`,
+      });
+    });
+    expiredEvents.forEach(ev => {
+      this.journal.record({
+        type: 'event',
+        planetId: ev.planetId,
+        summary: `${ev.name} at ${this.eventManager.describeLocation(ev)} ended`,
+      });
+    });
+    // Events that were active this turn act, then those that began or ended
+    const eventEffects = [
+      ...activeEvents.map(ev => this.applyEventEffects(ev, 'turn')),
+      ...waitingEvents.filter(ev => ev.isActive()).map(ev => this.applyEventEffects(ev, 'start')),
+      ...expiredEvents.map(ev => this.applyEventEffects(ev, 'end')),
+    ].filter(Boolean);
+    // Then drifting and spreading events move on
+    const eventMotion = this._moveEvents(activeEvents);
+    const eventDraw = this.eventDeck.advanceTurn();
+
+    const upkeep = this.harvestResources();
+    // After repairs, so cut-off fleets still suffer attrition
+    const supply = this.supplyManager.applyPenalties();
+    // Trade pacts deliver out of the new harvest
+    const diplomacy = this.diplomacyManager.advanceTurn();
     this.processAutoDistribution();
     this.galacticOrderManager.updateProgress();
     const expiredOrder = this.galacticOrderManager.advanceOrderExpiration();
     this.stratagemManager.advanceTurn();
+    // After harvest, so modifiers lasting "next turn" still count once
+    const expiredModifiers = this.modifierManager.advanceTurn();
+    // Last, so scripts see everything that happened this turn
+    const scripts = this.scriptManager.evaluate();
+    // Fleets that met outside normal movement (deployments, warp jumps)
+    const newBattles = [...orders.battles, ...routeBattles, ...this.battleManager.detectAll()];
     
     this._lastModified = Date.now();
     
     return {
       turn: this._turn,
       expiredEvents,
-      expiredOrder
+      eventEffects,
+      eventMotion,
+      eventDraw,
+      scripts,
+      expiredOrder,
+      expiredModifiers,
+      newBattles,
+      orders: orders.results,
+      upkeep,
+      supply,
+      diplomacy
     };
   }
 
   /**
-   * Harvest resources from owned planets
+   * Store the current state in the bounded snapshot ring. The journal is
+   * left out: it only grows, so its length is enough for rewindTurn to cut
+   * the current one back.
+   * @private
+   */
+  _captureTurnSnapshot() {
+    const { journal, ...state } = this.toJSON();
+    this._turnSnapshots.push(deepClone({ ...state, journalLength: journal.length }));
+    while (this._turnSnapshots.length > CONFIG.MAX_TURN_SNAPSHOTS) {
+      this._turnSnapshots.shift();
+    }
+    this.context.storage.saveTurnSnapshots(this._turnSnapshots, this.slotId);
+  }
+
+  /**
+   * Check whether a previous turn can be restored
+   * @returns {boolean} True if a snapshot is available
+   */
+  canRewindTurn() {
+    return this._turnSnapshots.length > 0;
+  }
+
+  /**
+   * Restore the state captured before the last turn advance
+   * @returns {Galaxy|null} Restored galaxy, or null if no snapshot exists
+   */
+  rewindTurn() {
+    const snapshot = this._turnSnapshots.pop();
+    if (!snapshot) return null;
+
+    const restored = Galaxy.fromJSON(snapshot, this.context);
+    restored._turnSnapshots = this._turnSnapshots;
+    restored.slotId = this.slotId;
+    // GM settings are not part of turn history; keep the current passphrase
+    restored.gmAccess.fromJSON(this.gmAccess.toJSON());
+    // Drop what was journaled since, including orders resolved under the old turn number
+    restored.journal.fromJSON(this.journal.toJSON().slice(0, snapshot.journalLength));
+    this._turnSnapshots = [];
+    this.context.storage.saveTurnSnapshots(restored._turnSnapshots, this.slotId);
+
+    return restored;
+  }
+
+  /**
+   * Harvest resources from owned planets, then pay fleet upkeep. Planets
+   * cut off from supply yield only the supply rules' harvestPercent.
+   * @returns {Object} Upkeep result {unpaid, destroyed} (see ShipManager.payUpkeep)
    */
   harvestResources() {
+    const { harvestPercent } = this.supplyManager.getRules();
+    const cutOff = this.supplyManager.enabled
+      ? new Set(this.supplyManager.getStatus().cutOffPlanets.map(p => p.id))
+      : new Set();
+
     this._planets.forEach(planet => {
       if (!planet.owner) return;
 
@@ -630,17 +941,13 @@ export class Galaxy {
 
       console.log(`Harvesting from ${planet.name} (${planet.type}) for ${planet.owner}:`, yields);
 
+      // Bonus first, so a multiplier of 0 (sabotage) stops all production
+      const bonus = this.modifierManager.getTotal(planet.id, 'harvest_bonus');
+      const multiplier = this.modifierManager.getTotal(planet.id, 'harvest_multiplier')
+        * (cutOff.has(planet.id) ? harvestPercent / 100 : 1);
+
       Object.entries(yields).forEach(([resource, amount]) => {
-        // Apply modifiers
-        let finalAmount = amount;
-        
-        if (this.getPlanetModifier(planet.id, 'trade_hub')) {
-          finalAmount *= 1.5;
-        }
-        
-        if (this.getPlanetModifier(planet.id, 'mining_upgrade')) {
-          finalAmount += 1;
-        }
+        const finalAmount = (amount + bonus) * multiplier;
 
         console.log(`  ${resource}: ${amount} -> ${finalAmount} (modifiers applied)`);
         
@@ -650,6 +957,9 @@ export class Galaxy {
     });
     
     console.log('Resources after harvesting:', this._playerResources);
+
+    // Fleets are paid for out of the new harvest
+    return this.shipManager.payUpkeep();
   }
 
   /**
@@ -893,6 +1203,7 @@ export class Galaxy {
    * @returns {boolean} True if saved
    */
   save() {
+    this.visibility.invalidate();
     try {
       // Saving
       const saveData = this.toJSON();
@@ -911,10 +1222,11 @@ export class Galaxy {
         };
       }
       
-      const result = StorageService.saveCampaign(saveData);
+      const result = this.context.storage.saveCampaign(saveData, this.slotId);
       
       if (result) {
         console.log('Galaxy saved successfully.');
+        [].concat(this.context.sync || []).forEach(sync => sync.publish(saveData, this._turnSnapshots));
       }
       
       return result;
@@ -937,13 +1249,26 @@ export class Galaxy {
       events: this.eventManager.toJSON(),
       galaxyCenter: this._galaxyCenter,
       ships: this.shipManager.toJSON(),
+      unitTypes: this.unitTypes.toJSON(),
       sectors: this._sectors,
       playerResources: this._playerResources,
-      planetModifiers: this._planetModifiers,
       galacticOrder: this.galacticOrderManager.toJSON(),
       stratagemCooldowns: this.stratagemManager.toJSON(),
+      modifiers: this.modifierManager.toJSON(),
+      battles: this.battleManager.toJSON(),
+      battleReports: this.battleReportManager.toJSON(),
+      players: this.playerManager.toJSON(),
+      settings: this.gmAccess.toJSON(),
+      journal: this.journal.toJSON(),
       autoDistribution: this._autoDistribution,
       customDistributionModes: this._customDistributionModes,
+      fogOfWar: this._fogOfWar,
+      ordersPhase: this._ordersPhase,
+      orders: this.orderManager.toJSON(),
+      supply: this.supplyManager.toJSON(),
+      diplomacy: this.diplomacyManager.toJSON(),
+      eventDeck: this.eventDeck.toJSON(),
+      scripts: this.scriptManager.toJSON(),
       customText: this.customText,
       createdAt: this._createdAt,
       lastModified: Date.now()
@@ -954,32 +1279,12 @@ export class Galaxy {
    * Create from JSON
    * @static
    * @param {Object} data - JSON data
+   * @param {Object} context - Galaxy context (see constructor)
    * @returns {Galaxy} New Galaxy instance
    */
-  static fromJSON(data) {
-    const galaxy = new Galaxy();
-    
-    galaxy._id = data.id;
-    galaxy._name = data.name;
-    galaxy._turn = data.turn;
-    galaxy._planets = data.planets.map(p => Planet.fromJSON(p));
-    galaxy.eventManager.fromJSON(data.events || []);
-    galaxy._galaxyCenter = data.galaxyCenter || { type: 'SUN' };
-    galaxy.shipManager.fromJSON(data.ships || []);
-    galaxy._sectors = data.sectors || [];
-    galaxy._playerResources = data.playerResources || {};
-    galaxy._planetModifiers = data.planetModifiers || {};
-    galaxy.galacticOrderManager.fromJSON(data.galacticOrder || {});
-    galaxy.stratagemManager.fromJSON(data.stratagemCooldowns || {});
-    galaxy._autoDistribution = data.autoDistribution || {
-      enabled: false,
-      mode: 'EQUAL',
-      manualAllocation: {},
-    };
-    galaxy._customDistributionModes = data.customDistributionModes || {};
-    galaxy.customText = data.customText || {};
-    galaxy._createdAt = data.createdAt;
-    galaxy._lastModified = data.lastModified;
+  static fromJSON(data, context = {}) {
+    const galaxy = new Galaxy(context);
+    galaxy.restoreState(data);
     
     // Log loaded custom distribution modes for debugging
     const customModeCount = Object.keys(galaxy._customDistributionModes).length;
@@ -992,13 +1297,65 @@ export class Galaxy {
   }
 
   /**
-   * Load galaxy from storage
+   * Replace the whole campaign state in place, keeping this instance
+   * (and its undo history) alive
+   * @param {Object} data - JSON data from toJSON()
+   */
+  restoreState(data) {
+    data = deepClone(data);
+
+    this._id = data.id;
+    this._name = data.name;
+    this._turn = data.turn;
+    this._planets = data.planets.map(p => Planet.fromJSON(p, this.context.getResourceTypes()));
+    this.eventManager.fromJSON(data.events || []);
+    this._galaxyCenter = data.galaxyCenter || { type: 'SUN' };
+    this.unitTypes.fromJSON(data.unitTypes);
+    this.shipManager.fromJSON(data.ships || []);
+    this._sectors = data.sectors || [];
+    this._playerResources = data.playerResources || {};
+    this.galacticOrderManager.fromJSON(data.galacticOrder || {});
+    this.stratagemManager.fromJSON(data.stratagemCooldowns || {});
+    this.modifierManager.fromJSON(data.modifiers || []);
+    this.battleManager.fromJSON(data.battles || []);
+    this.battleReportManager.fromJSON(data.battleReports);
+    this.playerManager.fromJSON(data.players || []);
+    this.gmAccess.fromJSON(data.settings);
+    this.journal.fromJSON(data.journal || []);
+    this._autoDistribution = data.autoDistribution || {
+      enabled: false,
+      mode: 'EQUAL',
+      manualAllocation: {},
+    };
+    this._customDistributionModes = data.customDistributionModes || {};
+    this._fogOfWar = data.fogOfWar ?? true;
+    this._ordersPhase = data.ordersPhase ?? false;
+    this.orderManager.fromJSON(data.orders || []);
+    this.supplyManager.fromJSON(data.supply);
+    this.diplomacyManager.fromJSON(data.diplomacy);
+    this.eventDeck.fromJSON(data.eventDeck);
+    this.scriptManager.fromJSON(data.scripts);
+    this.customText = data.customText || {};
+    this._createdAt = data.createdAt;
+    this._lastModified = data.lastModified;
+  }
+
+  /**
+   * Load the galaxy in a campaign slot of the context's storage
    * @static
-   * @returns {Galaxy|null} Loaded galaxy or null
+   * @param {Object} context - Galaxy context (see constructor)
+   * @param {string|null} slotId - Slot to load; the galaxy keeps saving to it
+   * @returns {Promise<Galaxy|null>} Loaded galaxy or null
    */
-  static load() {
-    const data = StorageService.loadCampaign();
-    return data && data.planets ? Galaxy.fromJSON(data) : null;
+  static async load(context = {}, slotId = null) {
+    const { storage = StorageService } = context;
+    const data = await storage.loadCampaign(slotId);
+    if (!data || !data.planets) return null;
+
+    const galaxy = Galaxy.fromJSON(data, context);
+    galaxy.slotId = slotId;
+    galaxy._turnSnapshots = await storage.loadTurnSnapshots(slotId);
+    return galaxy;
   }
 
   /**
@@ -1007,21 +1364,125 @@ export class Galaxy {
    * @param {string} planetId
    * @param {number} duration - Event duration in turns
    * @param {number} startTurn - Turns until event starts (0 = immediate)
+   * @param {Object|null} scope - Planets covered besides planetId (see CampaignEvent)
+   * @param {Object|null} motion - How the event drifts or spreads (see CampaignEvent)
    * @returns {CampaignEvent} Created event
    */
-  addEvent(type, planetId, duration = 3, startTurn = 0) {
+  addEvent(type, planetId, duration = 3, startTurn = 0, scope = null, motion = null) {
     const eventData = {
       type: type,
       planetId: planetId,
       duration: duration,
-      startTurn: startTurn
+      startTurn: startTurn,
+      scope: scope,
+      motion: motion
     };
     
     const event = this.eventManager.add(eventData);
+    this._onEventAdded(event);
     this.save();
     return event;
   }
 
+  /**
+   * Journal a newly created event and, if it is active right away, apply
+   * its start effects
+   * @private
+   * @param {CampaignEvent} event
+   */
+  _onEventAdded(event) {
+    const where = this.eventManager.describeLocation(event);
+
+    this.journal.record({
+      type: 'event',
+      planetId: event.planetId,
+      summary: event.isWaiting()
+        ? `${event.name} forecast at ${where} in ${event.startTurn} turn(s)`
+        : `${event.name} appeared at ${where}`,
+    });
+    if (event.isActive()) this.applyEventEffects(event, 'start');
+  }
+
+  /**
+   * Let moving events drift or spread and journal it. Only lasting start
+   * effects (modifiers) follow an event where it arrives: a drifting
+   * event's modifiers move with it, and a spread copy places its own. One-off
+   * start effects such as grants happened once, when the family's first
+   * event started.
+   * @private
+   * @param {CampaignEvent[]} events - Events that were active during the turn that ended
+   * @returns {Object} {moved, spread} (see EventManager.advanceMotion)
+   */
+  _moveEvents(events) {
+    const motion = this.eventManager.advanceMotion(events);
+    const name = planetId => this.getPlanet(planetId)?.name || 'unknown planet';
+
+    motion.moved.forEach(({ event, from, to }) => {
+      this.journal.record({
+        type: 'event',
+        planetId: to,
+        summary: `${event.name} drifted from ${name(from)} to ${name(to)}`,
+        data: { eventId: event.id, from },
+      });
+      this.modifierManager.removeBySource(event.id);
+      this.applyEventEffects(event, 'start', { lastingOnly: true });
+    });
+    motion.spread.forEach(({ event, from }) => {
+      this.journal.record({
+        type: 'event',
+        planetId: event.planetId,
+        summary: `${event.name} spread from ${name(from)} to ${name(event.planetId)}`,
+        data: { eventId: event.id, from },
+      });
+      this.applyEventEffects(event, 'start', { lastingOnly: true });
+    });
+
+    if (motion.moved.length || motion.spread.length) this._lastModified = Date.now();
+    return motion;
+  }
+
+  /**
+   * Apply one phase of an event's effects (see EVENT_EFFECTS) to every
+   * planet it covers, on behalf of whoever holds each planet. When the
+   * event ends, the modifiers it placed are removed first.
+   * @param {CampaignEvent} event
+   * @param {string} phase - 'start', 'turn' or 'end'
+   * @param {Object} options
+   * @param {boolean} options.lastingOnly - Skip one-off effects (see EffectEngine.isLasting)
+   * @returns {Object|null} {event, phase, ok, message}, or null if nothing happened
+   */
+  applyEventEffects(event, phase, { lastingOnly = false } = {}) {
+    if (phase === 'end') this.modifierManager.removeBySource(event.id);
+
+    const effects = EVENT_EFFECTS[event.effect]?.[phase]
+      ?.filter(effect => !lastingOnly || EffectEngine.isLasting(effect.type));
+    if (!effects?.length) return null;
+
+    const results = this.eventManager.getPlanetIds(event)
+      .map(planetId => this.getPlanet(planetId))
+      .filter(Boolean)
+      .map(planet => {
+        const result = this.effectEngine.apply(effects, {
+          factionId: planet.owner,
+          planet,
+          source: { type: 'event', id: event.id, name: event.name },
+        });
+        if (!result.message) return null;
+
+        this.journal.record({
+          type: 'event',
+          factionId: planet.owner,
+          planetId: planet.id,
+          summary: result.ok ? `${event.name}: ${result.message}` : `${event.name} failed: ${result.message}`,
+        });
+        return result;
+      })
+      .filter(Boolean);
+    if (!results.length) return null;
+
+    return { event, phase, ok: results.every(r => r.ok), message: results.map(r => r.message).join('; ') };
+  }
+
   /**
    * Add a wormhole event between two planets
    * @param {string} planetId1 - First planet ID
@@ -1040,6 +1501,7 @@ export class Galaxy {
     };
     
     const event = this.eventManager.add(eventData);
+    this._onEventAdded(event);
     this.save();
     return event;
   }
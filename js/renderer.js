@@ -2,7 +2,7 @@
 // Three.js 3D rendering
 // ═══════════════════════════════════════════════════════════════════════
 
-import { PLANET_TYPES, GALAXY_CENTER_TYPES, CONFIG, BATTLE_STATUS } from '../config/constants.js';
+import { PLANET_TYPES, GALAXY_CENTER_TYPES, CONFIG, BATTLE_STATUS, VISIBILITY } from '../config/constants.js';
 import { hexToRgb } from '../utils/helpers.js';
 
 export class GalaxyRenderer {
@@ -12,10 +12,13 @@ export class GalaxyRenderer {
         this.camera = null;
         this.renderer = null;
         this.app = null; // Will be set later
+        this.visibility = null; // Fog of war lookup, see setVisibility()
 
         this.planetMeshes    = new Map();   // planetId  → mesh
         this.connectionLines = new Map();   // key       → line
         this.eventParticles  = new Map();   // eventId   → [ring …]
+        this.eventRingPlaces = new Map();   // eventId   → where a moving event's ring was last drawn
+        this.fadingEventRings = [];         // rings of removed events, fading out
         this.shipMeshes      = new Map();   // shipId    → { group, bobPhase }
 
         // Galaxy-center objects
@@ -29,6 +32,12 @@ export class GalaxyRenderer {
         // Move-target highlight rings (transient)
         this.moveTargetRings = [];
 
+        // Planned route of the selected fleet (transient)
+        this.routeLine = null;
+
+        // Supply overlay lines and rings (transient)
+        this.supplyOverlay = [];
+
         // Connection-editor highlight (two selected planets for link toggle)
         this.connEditorHighlights = [];
 
@@ -325,16 +334,27 @@ export class GalaxyRenderer {
 
     // ── Planets ──────────────────────────────────────────────────────────
 
+    /**
+     * Fog of war level of a planet for the viewer; everything is visible
+     * until a lookup is set
+     */
+    _planetVisibility(planet) {
+        return this.visibility?.planet(planet.id) || VISIBILITY.FULL;
+    }
+
     createPlanetMesh(planet) {
         const typeInfo = PLANET_TYPES[planet.type];
+        const visibility = this._planetVisibility(planet);
+        // Unseen planets are drawn in a neutral grey so their type does not show
+        const color = visibility === VISIBILITY.HIDDEN ? CONFIG.FOG_PLANET_COLOR : typeInfo.color;
         let geometry, material;
 
         if (planet.type === 'DESTROYED') {
             geometry = new THREE.DodecahedronGeometry(2.2, 0);
-            material = new THREE.MeshStandardMaterial({ color:typeInfo.color, emissive:0x220000, emissiveIntensity:0.3, roughness:0.95, metalness:0.1 });
+            material = new THREE.MeshStandardMaterial({ color, emissive:0x220000, emissiveIntensity:0.3, roughness:0.95, metalness:0.1 });
         } else {
             geometry = new THREE.SphereGeometry(3, 32, 32);
-            material = new THREE.MeshStandardMaterial({ color:typeInfo.color, emissive:typeInfo.color, emissiveIntensity:0.2, roughness:0.7, metalness:0.3 });
+            material = new THREE.MeshStandardMaterial({ color, emissive:color, emissiveIntensity:0.2, roughness:0.7, metalness:0.3 });
         }
 
         const mesh = new THREE.Mesh(geometry, material);
@@ -344,17 +364,11 @@ export class GalaxyRenderer {
         // Glow sphere
         mesh.add(new THREE.Mesh(
             new THREE.SphereGeometry(planet.type === 'DESTROYED' ? 3.0 : 3.5, 32, 32),
-            new THREE.MeshBasicMaterial({ color: typeInfo.color, transparent: true, opacity: 0.2, side: THREE.BackSide })
+            new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.2, side: THREE.BackSide })
         ));
 
         if (planet.type === 'DESTROYED') this._addDebrisCloud(mesh);
-
-        if (planet.owner && window.app?.factionManager) {
-            const faction = window.app.factionManager.getById(planet.owner);
-            if (faction) this.addFactionSymbol(mesh, faction);
-        }
-
-        if (planet.battleStatus !== BATTLE_STATUS.NONE) this.addBattleIndicator(mesh, planet.battleStatus);
+        if (visibility !== VISIBILITY.HIDDEN) this._addPlanetStatus(mesh, planet);
 
         this.scene.add(mesh);
         this.planetMeshes.set(planet.id, mesh);
@@ -409,6 +423,11 @@ export class GalaxyRenderer {
         if (!mesh) return;
         while (mesh.children.length > 1) mesh.remove(mesh.children[mesh.children.length - 1]);
         if (planet.type === 'DESTROYED') this._addDebrisCloud(mesh);
+        if (this._planetVisibility(planet) !== VISIBILITY.HIDDEN) this._addPlanetStatus(mesh, planet);
+    }
+
+    // Owner symbol and battle ring
+    _addPlanetStatus(mesh, planet) {
         if (planet.owner && window.app?.factionManager) {
             const f = window.app.factionManager.getById(planet.owner);
             if (f) this.addFactionSymbol(mesh, f);
@@ -457,6 +476,11 @@ export class GalaxyRenderer {
 
     getConnectionKey(a, b) { return [a, b].sort().join('-'); }
 
+    clearConnectionLines() {
+        this.connectionLines.forEach(l => this.scene.remove(l));
+        this.connectionLines.clear();
+    }
+
     /** Toggle visibility of all connection lines */
     setConnectionsVisible(visible) {
         this.connectionsVisible = visible;
@@ -468,6 +492,15 @@ export class GalaxyRenderer {
         this.app = app;
     }
 
+    /**
+     * Set who the viewer can see; the UI decides which faction that is
+     * @param {{planet: function(string): string, ship: function(Object): boolean}|null} lookup -
+     *   VISIBILITY level of a planet and whether a fleet is drawn
+     */
+    setVisibility(lookup) {
+        this.visibility = lookup;
+    }
+
     /** Update connection line thickness */
     setConnectionThickness(thickness) {
         const newThickness = Math.max(1, Math.min(10, thickness));
@@ -594,7 +627,14 @@ export class GalaxyRenderer {
 
     // ── Event rings ──────────────────────────────────────────────────────
 
-    createEventRing(event, planet) {
+    /**
+     * Draw an event's ring at a planet. A moving event's ring slides over
+     * from where it was last drawn, or from `from` the first time.
+     * @param {CampaignEvent} event - Event
+     * @param {Planet} planet - Planet
+     * @param {Planet|null} from - Planet the event just moved from
+     */
+    createEventRing(event, planet, from = null) {
         const typeInfo = event.getTypeInfo();
         const rgb = hexToRgb(typeInfo.color);
         const ring = new THREE.Mesh(
@@ -604,7 +644,14 @@ export class GalaxyRenderer {
                 transparent: true, opacity: 0.7, side: THREE.DoubleSide
             })
         );
-        ring.position.set(planet.position.x, planet.position.y, planet.position.z);
+        const target = new THREE.Vector3(planet.position.x, planet.position.y, planet.position.z);
+        const last = this.eventRingPlaces.get(event.id);
+        const start = from && !last?.equals(target)
+            ? last || new THREE.Vector3(from.position.x, from.position.y, from.position.z)
+            : target;
+        ring.position.copy(start);
+        if (!start.equals(target)) ring.userData.slide = { from: start.clone(), to: target, startedAt: Date.now() };
+        if (event.isMoving()) this.eventRingPlaces.set(event.id, target);
         ring.rotation.x = Math.PI / 2;
         this.scene.add(ring);
         if (!this.eventParticles.has(event.id)) this.eventParticles.set(event.id, []);
@@ -612,17 +659,59 @@ export class GalaxyRenderer {
         return ring;
     }
 
+    /**
+     * Draw a translucent volume over the region a regional event covers:
+     * one sphere for a radius, a bubble around each planet otherwise
+     * @param {CampaignEvent} event - Event
+     * @param {Planet[]} planets - Planets the event covers
+     */
+    createEventVolume(event, planets) {
+        const rgb = hexToRgb(event.getTypeInfo().color);
+        const material = new THREE.MeshBasicMaterial({
+            color: new THREE.Color(rgb.r/255, rgb.g/255, rgb.b/255),
+            transparent: true, opacity: 0.12, side: THREE.DoubleSide, depthWrite: false
+        });
+        const scope = event.scope;
+        const spheres = scope.type === 'radius'
+            ? [{ position: scope.center, radius: scope.radius }]
+            : planets.map(p => ({ position: p.position, radius: 9 }));
+
+        if (!this.eventParticles.has(event.id)) this.eventParticles.set(event.id, []);
+        return spheres.filter(s => s.radius > 0).map(({ position, radius }) => {
+            const volume = new THREE.Mesh(new THREE.SphereGeometry(radius, 24, 16), material);
+            volume.position.set(position.x, position.y, position.z);
+            volume.userData.eventVolume = true;
+            this.scene.add(volume);
+            this.eventParticles.get(event.id).push(volume);
+            return volume;
+        });
+    }
+
+    /** Fade out the rings of an event that ended */
     removeEventRing(eventId) {
         const rings = this.eventParticles.get(eventId);
         if (rings) {
-            (Array.isArray(rings) ? rings : [rings]).forEach(r => { if (r) this.scene.remove(r); });
+            (Array.isArray(rings) ? rings : [rings]).forEach(r => {
+                if (!r) return;
+                r.userData.fade = { startedAt: Date.now(), opacity: r.material.opacity };
+                this.fadingEventRings.push(r);
+            });
             this.eventParticles.delete(eventId);
         }
+        this.eventRingPlaces.delete(eventId);
+    }
+
+    clearEventRings() {
+        this.eventParticles.forEach(rings => (Array.isArray(rings)?rings:[rings]).forEach(r => { if(r) this.scene.remove(r); }));
+        this.eventParticles.clear();
     }
 
     // ── Ships ────────────────────────────────────────────────────────────
 
     createShipMesh(ship) {
+        // Enemy fleets outside the viewer's sight are not drawn
+        if (this.visibility && !this.visibility.ship(ship)) return null;
+
         const faction = window.app?.factionManager?.getById(ship.factionId);
         const color   = faction ? parseInt(faction.color.replace('#',''), 16) : 0xaaaaaa;
         const shape   = ship.shape || 'octahedron'; // Default to octahedron
@@ -760,7 +849,7 @@ export class GalaxyRenderer {
         const planet = window.app?.galaxy?.getPlanet(ship.planetId);
         if (!planet) return;
         
-        const shipsOnPlanet = (window.app?.galaxy?.ships || []).filter(s => s.planetId === ship.planetId);
+        const shipsOnPlanet = (window.app?.galaxy?.ships || []).filter(s => s.planetId === ship.planetId && this.shipMeshes.has(s.id));
         const idx = shipsOnPlanet.findIndex(s => s.id === ship.id);
         
         // Position ships in a circle around the planet
@@ -837,6 +926,77 @@ export class GalaxyRenderer {
         this.moveTargetRings = [];
     }
 
+    /**
+     * Draw a fleet's planned route as a dashed line, lifted slightly above
+     * the connections it follows
+     * @param {string} fromPlanetId - Where the fleet is
+     * @param {Array<string>} route - Planet IDs it will fly through
+     */
+    showRoute(fromPlanetId, route) {
+        this.clearRoute();
+        const points = [fromPlanetId, ...route]
+            .map(id => this.planetMeshes.get(id))
+            .filter(Boolean)
+            .map(mesh => mesh.position.clone().add(new THREE.Vector3(0, 1.5, 0)));
+        if (points.length < 2) return;
+
+        this.routeLine = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineDashedMaterial({ color: 0x00ff88, dashSize: 2, gapSize: 1, transparent: true, opacity: 0.9 })
+        );
+        this.routeLine.computeLineDistances();
+        this.scene.add(this.routeLine);
+    }
+
+    clearRoute() {
+        if (this.routeLine) { this.scene.remove(this.routeLine); this.routeLine = null; }
+    }
+
+    /**
+     * Draw supply networks: a line in the faction's colour along each link
+     * supply flows through, a ring round each source and a red ring round
+     * each cut-off planet
+     * @param {Array} links - [{fromPlanetId, toPlanetId, color}]
+     * @param {Array} sources - [{planetId, color}]
+     * @param {Array<string>} cutOffPlanetIds - Planets cut off from supply
+     */
+    showSupplyOverlay(links, sources, cutOffPlanetIds) {
+        this.clearSupplyOverlay();
+        const lift = new THREE.Vector3(0, 0.8, 0);
+
+        links.forEach(({ fromPlanetId, toPlanetId, color }) => {
+            const from = this.planetMeshes.get(fromPlanetId);
+            const to = this.planetMeshes.get(toPlanetId);
+            if (!from || !to) return;
+            const line = new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints([from.position.clone().add(lift), to.position.clone().add(lift)]),
+                new THREE.LineBasicMaterial({ color: new THREE.Color(color), transparent: true, opacity: 0.9 })
+            );
+            this.scene.add(line);
+            this.supplyOverlay.push(line);
+        });
+
+        const ring = (planetId, color, inner, outer) => {
+            const mesh = this.planetMeshes.get(planetId);
+            if (!mesh) return;
+            const r = new THREE.Mesh(
+                new THREE.RingGeometry(inner, outer, 32),
+                new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.7, side: THREE.DoubleSide })
+            );
+            r.position.copy(mesh.position);
+            r.rotation.x = Math.PI / 2;
+            this.scene.add(r);
+            this.supplyOverlay.push(r);
+        };
+        sources.forEach(({ planetId, color }) => ring(planetId, new THREE.Color(color), 6, 6.6));
+        cutOffPlanetIds.forEach(planetId => ring(planetId, 0xff3333, 5.6, 6.2));
+    }
+
+    clearSupplyOverlay() {
+        this.supplyOverlay.forEach(o => this.scene.remove(o));
+        this.supplyOverlay = [];
+    }
+
     // ── Camera ───────────────────────────────────────────────────────────
 
     updateCameraPosition() {
@@ -923,6 +1083,12 @@ export class GalaxyRenderer {
                 return;
             }
 
+            // Route plotting intercept
+            if (window.app?.ui?.pendingRouteShipId) {
+                window.app.ui.plotShipRoute(planetId);
+                return;
+            }
+
             // Ship move intercept
             if (window.app?.ui?.selectedShipId) {
                 const targets = window.app.galaxy.getValidMoveTargets(window.app.ui.selectedShipId);
@@ -1035,13 +1201,34 @@ export class GalaxyRenderer {
             }
         });
 
-        // Event-ring spin
+        // Event-ring spin; rings of moving events slide to their new planet
         this.eventParticles.forEach(rings => {
             (Array.isArray(rings) ? rings : [rings]).forEach(r => {
-                if (r) { r.rotation.z += 0.005; r.material.opacity = 0.4 + Math.sin(t * 0.002) * 0.3; }
+                if (!r) return;
+                if (r.userData.eventVolume) {
+                    r.material.opacity = 0.1 + Math.sin(t * 0.002) * 0.04;
+                    return;
+                }
+                r.rotation.z += 0.005;
+                r.material.opacity = 0.4 + Math.sin(t * 0.002) * 0.3;
+                if (r.userData.slide) {
+                    const { from, to, startedAt } = r.userData.slide;
+                    const k = Math.min(1, (t - startedAt) / 1500);
+                    r.position.lerpVectors(from, to, k * k * (3 - 2 * k));
+                    if (k === 1) delete r.userData.slide;
+                }
             });
         });
 
+        // Rings of ended events grow and fade out
+        this.fadingEventRings = this.fadingEventRings.filter(r => {
+            const k = Math.min(1, (t - r.userData.fade.startedAt) / 800);
+            r.material.opacity = r.userData.fade.opacity * (1 - k);
+            r.scale.setScalar(1 + k * 0.5);
+            if (k === 1) this.scene.remove(r);
+            return k < 1;
+        });
+
         // Ship orbital animation around planets
         const tSec = t / 1000;
         this.shipMeshes.forEach(({ group, bobPhase }) => {
@@ -1053,7 +1240,7 @@ export class GalaxyRenderer {
             const planet = window.app?.galaxy?.getPlanet(ship.planetId);
             if (!planet) return;
             
-            const shipsOnPlanet = (window.app?.galaxy?.ships || []).filter(s => s.planetId === ship.planetId);
+            const shipsOnPlanet = (window.app?.galaxy?.ships || []).filter(s => s.planetId === ship.planetId && this.shipMeshes.has(s.id));
             const idx = shipsOnPlanet.findIndex(s => s.id === shipId);
             
             // Calculate orbital position
@@ -1110,13 +1297,13 @@ export class GalaxyRenderer {
     clear() {
         this.planetMeshes.forEach(m => this.scene.remove(m));
         this.planetMeshes.clear();
-        this.connectionLines.forEach(l => this.scene.remove(l));
-        this.connectionLines.clear();
-        this.eventParticles.forEach(rings => (Array.isArray(rings)?rings:[rings]).forEach(r => { if(r) this.scene.remove(r); }));
-        this.eventParticles.clear();
+        this.clearConnectionLines();
+        this.clearEventRings();
         this.shipMeshes.forEach(({ group }) => this.scene.remove(group));
         this.shipMeshes.clear();
         this.clearMoveTargetHighlights();
+        this.clearRoute();
+        this.clearSupplyOverlay();
         this.clearConnEditorHighlights();
         this.clearSectorVisuals();
     }
@@ -2,20 +2,25 @@
 // UI management and interactions
 // ═══════════════════════════════════════════════════════════════════════
 
-import { EVENT_TYPES, PLANET_TYPES, BATTLE_STATUS, GALAXY_CENTER_TYPES, SHOP_ITEMS, DEFAULT_RESOURCE_TYPES, AUTO_DISTRIBUTION, STRATAGEMS } from '../config/constants.js';
-import { canAfford } from '../utils/helpers.js';
+import { EVENT_TYPES, PLANET_TYPES, BATTLE_STATUS, CONFIG, GALAXY_CENTER_TYPES, SHOP_ITEMS, DEFAULT_RESOURCE_TYPES, AUTO_DISTRIBUTION, STRATAGEMS, JOURNAL_ENTRY_TYPES, MODIFIER_TYPES, VISIBILITY, BATTLE_OUTCOMES, ORDER_TYPES, DIPLOMATIC_RELATIONS, EVENT_SCOPES, EVENT_MOTIONS, SCRIPT_TRIGGERS, SCRIPT_CONDITIONS, SCRIPT_ACTIONS } from '../config/constants.js';
+import { canAfford, escapeHtml, formatDate } from '../utils/helpers.js';
 import { StorageService } from '../services/StorageService.js';
 import { Galaxy } from './galaxy.js';
 import { FACTION_DETAIL_FIELDS } from '../modules/FactionSystem.js';
+import { ConnectionCommand, PlanetStateCommand, MoveShipCommand, GalaxyStateCommand } from '../modules/CommandSystem.js';
+import { stripSecrets } from '../modules/GMAccessSystem.js';
 
 export class UIManager {
     constructor(app) {
         this.app = app;
         this.isGMMode = false;
+        this.gmLastActivity = 0;
+        this.gmIdleInterval = null;
         this.compassVisible = false;
         this.currentModal = null;
         this.selectedPlanetId = null;
         this.selectedShipId   = null;
+        this.pendingRouteShipId = null; // Fleet waiting for a route destination click
         this.followFleetId    = null; // Track which fleet is being followed
 
         // Connection editor state
@@ -24,6 +29,7 @@ export class UIManager {
 
         // Connection line visibility
         this.connectionsVisible = true;
+        this.supplyOverlayVisible = false;
 
         // Active shop faction (set when shop is opened)
         this.shopFactionId = null;
@@ -152,6 +158,11 @@ export class UIManager {
 
         // Galactic Orders button
         if (document.getElementById('ordersBtn')) document.getElementById('ordersBtn').addEventListener('click', () => this.showGalacticOrderPanel());
+        document.getElementById('journalBtn')?.addEventListener('click', () => this.showJournalPanel());
+        document.getElementById('reportsBtn')?.addEventListener('click', () => this.showBattleReports());
+        document.getElementById('turnOrdersBtn')?.addEventListener('click', () => this.showTurnOrders());
+        document.getElementById('supplyBtn')?.addEventListener('click', () => this.toggleSupplyOverlay());
+        document.getElementById('diplomacyBtn')?.addEventListener('click', () => this.showDiplomacyPanel());
 
         this.closePanelBtn?.addEventListener('click', () => this.closeSidePanel());
         this.closeGmPanelBtn?.addEventListener('click', () => this.closeGMPanel());
@@ -163,6 +174,8 @@ export class UIManager {
         if (document.getElementById('advanceTurnBtn')) document.getElementById('advanceTurnBtn').addEventListener('click', () => this.advanceTurn());
         
         if (document.getElementById('rewindTurnBtn')) document.getElementById('rewindTurnBtn').addEventListener('click', () => this.rewindTurn());
+        document.getElementById('undoBtn')?.addEventListener('click', () => this.undoLastAction());
+        document.getElementById('redoBtn')?.addEventListener('click', () => this.redoLastAction());
         
         // Campaign Management buttons
         if (document.getElementById('createOrderBtn')) document.getElementById('createOrderBtn').addEventListener('click', () => {
@@ -208,6 +221,7 @@ export class UIManager {
         if (document.getElementById('deletePlanetBtn')) document.getElementById('deletePlanetBtn').addEventListener('click', () => this.deletePlanet());
         if (document.getElementById('addFleetBtn')) document.getElementById('addFleetBtn').addEventListener('click', () => this.showAddFleetDialog());
         if (document.getElementById('manageFleetsBtn')) document.getElementById('manageFleetsBtn').addEventListener('click', () => this.showManageFleetsDialog());
+        document.getElementById('unitTypesBtn')?.addEventListener('click', () => this.showUnitTypesDialog());
         if (document.getElementById('addEventBtn')) document.getElementById('addEventBtn').addEventListener('click', () => this.showAddEventDialog());
         if (document.getElementById('manageResourcesBtn')) document.getElementById('manageResourcesBtn').addEventListener('click', () => this.showManageResources());
         if (document.getElementById('managePlanetValuesBtn')) document.getElementById('managePlanetValuesBtn').addEventListener('click', () => this.showManagePlanetValues());
@@ -219,6 +233,12 @@ export class UIManager {
         
         // Crusade info button
         if (document.getElementById('crusadeInfoBtn')) document.getElementById('crusadeInfoBtn').addEventListener('click', () => this.showCrusadeInfoDialog());
+        if (document.getElementById('fogOfWarBtn')) document.getElementById('fogOfWarBtn').addEventListener('click', () => this.toggleFogOfWar());
+        document.getElementById('ordersPhaseBtn')?.addEventListener('click', () => this.toggleOrdersPhase());
+        document.getElementById('supplyRulesBtn')?.addEventListener('click', () => this.showSupplyRulesDialog());
+        document.getElementById('eventDeckBtn')?.addEventListener('click', () => this.showEventDeckDialog());
+        document.getElementById('eventScriptsBtn')?.addEventListener('click', () => this.showScriptsPanel());
+        if (document.getElementById('reportRulesBtn')) document.getElementById('reportRulesBtn').addEventListener('click', () => this.showBattleReportRulesDialog());
         
         // Interface & Display buttons
         if (document.getElementById('customizeUITextBtn')) document.getElementById('customizeUITextBtn').addEventListener('click', () => this.showCustomizeUITextDialog());
@@ -236,10 +256,14 @@ export class UIManager {
         // Menu buttons
         document.getElementById('newCampaignBtn').addEventListener('click', () => this.newCampaign());
         document.getElementById('importCampaignBtn').addEventListener('click', () => this.importCampaign());
+        document.getElementById('campaignSlotsBtn')?.addEventListener('click', () => { this.closeModal(); this.showCampaignSlots(); });
         document.getElementById('menuColorThemeBtn').addEventListener('click', () => this.showColorThemeDialog());
         document.getElementById('manageFactionsBtn').addEventListener('click', () => this.showManageFactions());
+        document.getElementById('playerRosterBtn')?.addEventListener('click', () => this.showPlayerRoster());
+        document.getElementById('gmPassphraseBtn')?.addEventListener('click', () => this.showGMPassphraseDialog());
         document.getElementById('saveCampaignBtn').addEventListener('click', () => this.saveCampaign());
         document.getElementById('exportCampaignBtn').addEventListener('click', () => this.exportCampaign());
+        document.getElementById('sharedCampaignBtn')?.addEventListener('click', () => { this.closeModal(); this.showSharedCampaignDialog(); });
         document.getElementById('shopBtn')?.addEventListener('click', () => this.showShopFactionPicker());
 
         // Modal close delegation
@@ -257,7 +281,15 @@ export class UIManager {
         });
 
         // Planet selection broadcast
-        window.addEventListener('planetSelected', e => this.showPlanetDetails(e.detail.planetId));
+        window.addEventListener('planetSelected', e => {
+            this.showPlanetDetails(e.detail.planetId);
+            // Clicking a planet completes a stratagem waiting for its target
+            if (this.pendingStratagemActivation) {
+                const { factionId, stratagemId } = this.pendingStratagemActivation;
+                this.pendingStratagemActivation = null;
+                this.useStratagemOnPlanet(factionId, stratagemId, e.detail.planetId);
+            }
+        });
         
         // Galaxy center selection broadcast
         window.addEventListener('galaxyCenterSelected', e => this.showGalaxyCenterDetails());
@@ -268,6 +300,11 @@ export class UIManager {
         // Escape key and other shortcuts
         document.addEventListener('keydown', e => {
             if (e.key === 'Escape') {
+                if (this.pendingStratagemActivation) {
+                    this.pendingStratagemActivation = null;
+                    this.showToast('Stratagem cancelled', 'info');
+                }
+                if (this.pendingRouteShipId) this.showToast('Route plotting cancelled', 'info');
                 this.closeModal();
                 this.closeSidePanel();
                 this.deselectShip();
@@ -276,6 +313,18 @@ export class UIManager {
             
             // Help shortcuts (only if not typing in input fields)
             if (e.target.tagName !== 'INPUT' && e.target.tagName !== 'TEXTAREA' && e.target.tagName !== 'SELECT') {
+                // Undo / redo (Ctrl+Z, Ctrl+Y or Ctrl+Shift+Z)
+                if (e.ctrlKey || e.metaKey) {
+                    const key = e.key.toLowerCase();
+                    if (key === 'z' && !e.shiftKey) {
+                        e.preventDefault();
+                        this.undoLastAction();
+                    } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                        e.preventDefault();
+                        this.redoLastAction();
+                    }
+                    return;
+                }
                 if (e.key === 'h' || e.key === 'H') {
                     e.preventDefault();
                     this.openHelpModal();
@@ -307,19 +356,30 @@ export class UIManager {
     // ── Mode toggles ─────────────────────────────────────────────────────
 
     toggleGMMode() {
-        this.isGMMode = !this.isGMMode;
+        if (this.isGMMode) this.setGMMode(false);
+        // A player's copy of a shared campaign has no passphrase to check against
+        else if (this.app.remoteSync.role === 'player') this.showToast('GM mode is not available while you play on a shared campaign', 'warning');
+        else if (this.app.galaxy.gmAccess.hasPassphrase()) this.promptGMPassphrase();
+        else this.setGMMode(true);
+    }
+
+    setGMMode(enabled, message = null) {
+        this.isGMMode = enabled;
         if (this.isGMMode) {
             this.gmModeBtn.classList.add('active');
             this.gmModeBtn.querySelector('.mode-text').textContent = 'GM MODE';
             this.showPanel('gmPanel');
-            this.showToast(this.getToastText('gmModeActivated', 'GM Mode activated'), 'success');
+            this.startGMIdleWatch();
+            this.showToast(message || this.getToastText('gmModeActivated', 'GM Mode activated'), 'success');
         } else {
             this.gmModeBtn.classList.remove('active');
             this.gmModeBtn.querySelector('.mode-text').textContent = 'PLAYER';
             this.hidePanel('gmPanel');
+            this.stopGMIdleWatch();
             if (this.connectionEditorActive) this.toggleConnectionEditor();
-            this.showToast(this.getToastText('playerModeActivated', 'Player Mode activated'), 'success');
+            this.showToast(message || this.getToastText('playerModeActivated', 'Player Mode activated'), message ? 'warning' : 'success');
         }
+        this.refreshFogOfWar();
         
         // Reload planet information panel if a planet is currently selected
         if (this.selectedPlanetId) {
@@ -353,6 +413,73 @@ export class UIManager {
         );
     }
 
+    // ── Undo / redo ──────────────────────────────────────────────────────
+
+    /**
+     * Execute a reversible command through the galaxy's history
+     */
+    runCommand(command) {
+        const result = this.app.galaxy.commandManager.execute(command);
+        this.updateCommandHistory();
+        return result;
+    }
+
+    undoLastAction() {
+        const command = this.app.galaxy.commandManager.undo();
+        if (!command) {
+            this.showToast('Nothing to undo', 'info');
+            return;
+        }
+        this.refreshAfterHistoryChange();
+        this.showToast(`Undone: ${command.label}`, 'info');
+    }
+
+    redoLastAction() {
+        const command = this.app.galaxy.commandManager.redo();
+        if (!command) {
+            this.showToast('Nothing to redo', 'info');
+            return;
+        }
+        this.refreshAfterHistoryChange();
+        this.showToast(`Redone: ${command.label}`, 'info');
+    }
+
+    refreshAfterHistoryChange() {
+        this.app.galaxy.save();
+        this.app.renderGalaxy();
+        this.updateTurnDisplay();
+        this.updateFactionStats();
+        this.updateResourceBar();
+        this.updateOrdersPhaseButton();
+        this.updateSupplyButton();
+
+        if (this.selectedShipId) this.deselectShip();
+        if (this.selectedPlanetId && this.app.galaxy.getPlanet(this.selectedPlanetId)) {
+            this.showPlanetDetails(this.selectedPlanetId);
+        }
+        this.updateCommandHistory();
+    }
+
+    updateCommandHistory() {
+        const manager = this.app.galaxy?.commandManager;
+        if (!manager) return;
+
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+        if (undoBtn) undoBtn.disabled = !manager.canUndo();
+        if (redoBtn) redoBtn.disabled = !manager.canRedo();
+
+        const list = document.getElementById('commandHistoryList');
+        if (!list) return;
+
+        const history = manager.getHistory();
+        list.innerHTML = history.length
+            ? history.slice().reverse().map(entry => `
+                <li class="command-history-item ${entry.undone ? 'undone' : ''}">${escapeHtml(entry.label)}</li>
+            `).join('')
+            : '<li class="command-history-empty">No actions this turn</li>';
+    }
+
     // ── Connection editor ────────────────────────────────────────────────
 
     toggleConnectionEditor() {
@@ -391,14 +518,14 @@ export class UIManager {
                 return;
             }
 
-            const result = this.app.galaxy.toggleConnection(this.connEditorFirst, second);
+            const result = this.runCommand(new ConnectionCommand(this.app.galaxy, this.connEditorFirst, second));
             const p1 = this.app.galaxy.getPlanet(this.connEditorFirst);
             const p2 = this.app.galaxy.getPlanet(second);
 
-            if (result === 'added') {
+            if (result.action === 'added') {
                 this.app.renderer.createConnectionLine(p1, p2);
                 this.showToast(`Link added: ${p1?.name} ↔ ${p2?.name}`, 'success');
-            } else if (result === 'removed') {
+            } else if (result.action === 'removed') {
                 this.app.renderer.removeConnectionLine(this.connEditorFirst, second);
                 this.showToast(`Link removed: ${p1?.name} ↔ ${p2?.name}`, 'success');
             }
@@ -419,6 +546,706 @@ export class UIManager {
         this.showToast(this.connectionsVisible ? 'Connection lines shown' : 'Connection lines hidden', 'info');
     }
 
+    // ── Fog of war ───────────────────────────────────────────────────────
+
+    /**
+     * Fog applies to players only; the GM always sees everything
+     * @returns {boolean} True if the view should be limited to the active faction
+     */
+    isFogActive() {
+        return !this.isGMMode && this.app.galaxy.fogOfWar;
+    }
+
+    /**
+     * Visibility of a planet for the active faction
+     * @param {string} planetId - Planet ID
+     * @returns {string} VISIBILITY level
+     */
+    getVisibility(planetId) {
+        if (!this.isFogActive()) return VISIBILITY.FULL;
+        return this.app.galaxy.visibility.getLevel(this.activeFactionId, planetId);
+    }
+
+    canSeeShip(ship) {
+        if (!this.isFogActive()) return true;
+        return this.app.galaxy.visibility.canSeeShip(this.activeFactionId, ship);
+    }
+
+    /**
+     * Redraw the galaxy when what the player can see may have changed
+     */
+    refreshFogOfWar() {
+        if (this.app.galaxy.fogOfWar) this.app.renderGalaxy();
+    }
+
+    toggleFogOfWar() {
+        this.app.galaxy.fogOfWar = !this.app.galaxy.fogOfWar;
+        this.app.galaxy.save();
+        this.updateFogOfWarButton();
+        this.app.renderGalaxy();
+        this.showToast(this.app.galaxy.fogOfWar ? 'Fog of war enabled for players' : 'Fog of war disabled', 'info');
+    }
+
+    updateFogOfWarButton() {
+        const btn = document.getElementById('fogOfWarBtn');
+        if (btn) btn.textContent = this.app.galaxy.fogOfWar ? '🌫 Fog of War: On' : '🌫 Fog of War: Off';
+    }
+
+    // ── Orders phase ─────────────────────────────────────────────────────
+
+    /**
+     * In the orders phase, player actions are queued instead of applied;
+     * the GM still acts immediately
+     * @returns {boolean} True if actions should become orders
+     */
+    isQueuingOrders() {
+        return !this.isGMMode && this.app.galaxy.ordersPhase;
+    }
+
+    /**
+     * Orders stay hidden from other factions until they resolve
+     * @param {string} factionId - Faction ID
+     * @returns {boolean} True if the viewer may see the faction's orders
+     */
+    canSeeOrdersOf(factionId) {
+        return this.isGMMode || factionId === this.activeFactionId;
+    }
+
+    toggleOrdersPhase() {
+        const galaxy = this.app.galaxy;
+        if (galaxy.ordersPhase && galaxy.orderManager.getAll().length
+            && !confirm('Queued orders stay queued and still resolve on Advance Turn. Turn the orders phase off?')) return;
+        galaxy.ordersPhase = !galaxy.ordersPhase;
+        galaxy.save();
+        this.updateOrdersPhaseButton();
+        this.showToast(galaxy.ordersPhase ? 'Orders phase on: player actions are queued until the turn advances' : 'Orders phase off', 'info');
+    }
+
+    updateOrdersPhaseButton() {
+        const enabled = this.app.galaxy.ordersPhase;
+        const btn = document.getElementById('ordersPhaseBtn');
+        if (btn) btn.textContent = enabled ? '📜 Orders Phase: On' : '📜 Orders Phase: Off';
+        const ordersBtn = document.getElementById('turnOrdersBtn');
+        if (ordersBtn) ordersBtn.style.display = enabled || this.app.galaxy.orderManager.getAll().length ? '' : 'none';
+    }
+
+    showTurnOrders() {
+        const galaxy = this.app.galaxy;
+        const manager = galaxy.orderManager;
+        const factionIds = this.isGMMode
+            ? [...new Set(manager.getAll().map(o => o.factionId))]
+            : [this.activeFactionId].filter(Boolean);
+
+        const list = factionIds.map(factionId => {
+            const faction = this.app.factionManager.getById(factionId);
+            const orders = manager.getByFaction(factionId);
+            return `<div class="faction-stat" style="margin-bottom:.5rem;">
+                <div class="faction-name" style="color:${faction?.color || 'inherit'}">${faction ? `${faction.symbol} ${faction.name}` : 'Unknown faction'}</div>
+                ${orders.length ? orders.map(o => `<div style="display:flex;justify-content:space-between;align-items:center;font-size:.85rem;margin-top:.25rem;">
+                    <span>${ORDER_TYPES[o.type]?.icon || ''} ${manager.describe(o)}</span>
+                    <button class="btn btn-danger" style="padding:.1rem .4rem;font-size:.75rem;" onclick="window.app.ui.cancelTurnOrder('${o.id}', true)">Cancel</button>
+                </div>`).join('') : '<div style="color:var(--color-muted-text);font-style:italic;font-size:.85rem;">No orders yet.</div>'}
+            </div>`;
+        }).join('') || `<p style="color:var(--color-muted-text);font-style:italic;">${this.isGMMode ? 'No faction has queued orders.' : 'Select your faction to see its orders.'}</p>`;
+
+        const priority = Object.values(ORDER_TYPES).sort((a, b) => a.priority - b.priority).map(t => `${t.icon} ${t.name}`).join(' → ');
+        this.openGenericModal(`📜 Turn ${galaxy.turn} Orders`, `
+            ${galaxy.ordersPhase ? '' : '<p class="shop-target-warn">The orders phase is off: new actions apply immediately.</p>'}
+            ${list}
+            <p style="color:var(--color-muted-text);font-size:0.9rem;margin-top:0.5rem;">Orders resolve when the GM advances the turn, in this order: ${priority}. All fleets move at once; fleets meeting at a planet fight.</p>
+        `, [{ text: 'Close', className: 'btn' }]);
+    }
+
+    cancelTurnOrder(orderId, fromList = false) {
+        const manager = this.app.galaxy.orderManager;
+        const order = manager.getById(orderId);
+        if (!order || !this.canSeeOrdersOf(order.factionId)) return;
+        const label = `Cancel ${manager.describe(order)}`;
+        this.app.queueOrder(label, () => ({ ok: manager.cancel(orderId) }));
+        this.showToast(`Order cancelled: ${manager.describe(order)}`, 'info');
+        if (this.selectedShipId) this.selectShip(this.selectedShipId);
+        if (fromList) this.showTurnOrders();
+    }
+
+    // ── Supply ───────────────────────────────────────────────────────────
+
+    toggleSupplyOverlay() {
+        this.supplyOverlayVisible = !this.supplyOverlayVisible;
+        this.updateSupplyButton();
+        this.renderSupplyOverlay();
+    }
+
+    updateSupplyButton() {
+        const btn = document.getElementById('supplyBtn');
+        if (!btn) return;
+        btn.style.display = this.app.galaxy.supplyManager.enabled ? '' : 'none';
+        btn.textContent = this.supplyOverlayVisible ? 'Supply: On' : 'Supply';
+    }
+
+    /**
+     * Draw supply networks and cut-off planets; players only see their own
+     */
+    renderSupplyOverlay() {
+        const supply = this.app.galaxy.supplyManager;
+        if (!this.supplyOverlayVisible || !supply.enabled) {
+            this.app.renderer.clearSupplyOverlay();
+            return;
+        }
+
+        const visible = factionId => this.isGMMode || factionId === this.activeFactionId;
+        const { networks, cutOffPlanets } = supply.getStatus();
+        const links = [];
+        const sources = [];
+        networks.forEach((planetIds, factionId) => {
+            if (!visible(factionId)) return;
+            const color = this.app.factionManager.getById(factionId)?.color || '#aaaaaa';
+            planetIds.forEach(id => {
+                if (supply.isSource(this.app.galaxy.getPlanet(id))) sources.push({ planetId: id, color });
+                this.app.galaxy.shipManager.getNeighbours(id).forEach(next => {
+                    if (id < next && planetIds.has(next)) links.push({ fromPlanetId: id, toPlanetId: next, color });
+                });
+            });
+        });
+        this.app.renderer.showSupplyOverlay(links, sources, cutOffPlanets.filter(p => visible(p.owner)).map(p => p.id));
+    }
+
+    showSupplyRulesDialog() {
+        const rules = this.app.galaxy.supplyManager.getRules();
+        this.openGenericModal('🛤️ Supply Lines', `
+            <div class="form-group"><label><input type="checkbox" id="supplyEnabled" ${rules.enabled ? 'checked' : ''} /> Track supply each turn</label></div>
+            <div class="form-group"><label class="form-label">Harvest kept by cut-off planets (%)</label>
+                <input type="number" id="supplyHarvest" class="form-input" min="0" max="100" value="${rules.harvestPercent}" /></div>
+            <div class="form-group"><label class="form-label">Value Two lost by cut-off planets per turn</label>
+                <input type="number" id="supplyValueTwo" class="form-input" min="0" value="${rules.valueTwoLoss}" /></div>
+            <div class="form-group"><label class="form-label">Damage to cut-off fleets per turn (%)</label>
+                <input type="number" id="supplyAttrition" class="form-input" min="0" max="100" value="${rules.fleetAttrition}" /></div>
+            <p style="color:var(--color-muted-text);font-size:0.9rem;margin-top:0.5rem;">Supply flows from planets whose capital zone the owner holds, and from planets you mark as supply sources, through the faction's own planets. Fleets are supplied up to one jump beyond them.</p>
+        `, [
+            { text: 'Cancel', className: 'btn' },
+            { text: 'Save', className: 'btn btn-primary', onClick: () => {
+                const result = this.app.galaxy.supplyManager.setRules({
+                    enabled: document.getElementById('supplyEnabled').checked,
+                    harvestPercent: document.getElementById('supplyHarvest').value,
+                    valueTwoLoss: document.getElementById('supplyValueTwo').value,
+                    fleetAttrition: document.getElementById('supplyAttrition').value,
+                });
+                this.app.galaxy.save();
+                this.updateSupplyButton();
+                this.renderSupplyOverlay();
+                if (this.selectedPlanetId) this.showPlanetDetails(this.selectedPlanetId);
+                this.showToast(result.message, 'success');
+            } },
+        ]);
+    }
+
+    toggleSupplySource(planetId) {
+        const supply = this.app.galaxy.supplyManager;
+        const planet = this.app.galaxy.getPlanet(planetId);
+        const label = `${supply.isMarkedSource(planetId) ? 'Unmark' : 'Mark'} supply source ${planet?.name || ''}`;
+        const result = this.runCommand(new GalaxyStateCommand(this.app.galaxy, label, () => supply.toggleSource(planetId)));
+        this.showToast(result.message, result.ok ? 'success' : 'error');
+        if (!result.ok) return;
+        this.app.galaxy.save();
+        this.renderSupplyOverlay();
+        this.showPlanetDetails(planetId);
+    }
+
+    // ── Event deck ───────────────────────────────────────────────────────
+
+    showEventDeckDialog() {
+        const deck = this.app.galaxy.eventDeck;
+        const rules = deck.getRules();
+        const pending = deck.getPending();
+        const planetTypes = Object.entries(PLANET_TYPES).filter(([id]) => id !== 'DESTROYED');
+
+        const rows = Object.entries(EVENT_TYPES).map(([type, info]) => `
+            <div class="faction-stat" style="margin-bottom:.4rem;">
+                <div style="display:flex;justify-content:space-between;align-items:center;">
+                    <span>${info.icon} ${info.name}</span>
+                    <label style="font-size:.8rem;">Weight <input type="number" class="form-input deck-weight" data-event="${type}" min="0" value="${rules.weights[type] ?? 0}" style="width:4rem;" /></label>
+                </div>
+                <details style="font-size:.75rem;margin-top:.25rem;"><summary>More or less likely on…</summary>
+                    <div style="display:grid;grid-template-columns:repeat(auto-fill,minmax(9rem,1fr));gap:.25rem;margin-top:.25rem;">
+                        ${planetTypes.map(([planetType, p]) => `<label title="${p.name}">${p.icon} ${p.name}
+                            <input type="number" class="form-input deck-affinity" data-event="${type}" data-planet-type="${planetType}" min="0" step="0.5"
+                                value="${rules.affinities[type]?.[planetType] ?? 1}" style="width:3.5rem;" /></label>`).join('')}
+                    </div>
+                </details>
+            </div>`).join('');
+
+        this.openGenericModal('🎴 Event Deck', `
+            ${pending ? `<div class="faction-stat" style="margin-bottom:.75rem;">Waiting for review: <strong>${deck.describe(pending)}</strong>
+                <button class="btn" style="padding:.1rem .4rem;font-size:.75rem;margin-left:.5rem;" onclick="window.app.ui.showEventDrawReview()">Review</button></div>` : ''}
+            <div class="form-group"><label><input type="checkbox" id="deckEnabled" ${rules.enabled ? 'checked' : ''} /> Draw an event at every turn advance</label></div>
+            <div class="form-group"><label class="form-label">Chance per turn (%)</label>
+                <input type="number" id="deckChance" class="form-input" min="0" max="100" value="${rules.chance}" /></div>
+            <div class="form-group"><label class="form-label">No draw while this many events are active or forecast</label>
+                <input type="number" id="deckMaxActive" class="form-input" min="1" value="${rules.maxActive}" /></div>
+            <div class="form-group"><label><input type="checkbox" id="deckReview" ${rules.review ? 'checked' : ''} /> Let the GM review each draw before it applies</label></div>
+            <h4 style="margin-top:1rem;">Event Types</h4>
+            ${rows}
+            <p style="color:var(--color-muted-text);font-size:0.9rem;margin-top:0.5rem;">An event type is drawn by weight (0 never), then a planet, weighted by how likely the event is on its planet type (1 is normal).</p>
+        `, [
+            { text: 'Cancel', className: 'btn' },
+            { text: 'Draw Now', className: 'btn', close: false, onClick: () => {
+                this.saveEventDeckRules();
+                this.runEventDeckCommand('Draw event', () => this.app.galaxy.eventDeck.redraw(), () => this.showEventDrawReview());
+            } },
+            { text: 'Save', className: 'btn btn-primary', onClick: () => {
+                const result = this.saveEventDeckRules();
+                this.app.galaxy.save();
+                this.showToast(result.message, 'success');
+            } },
+        ]);
+    }
+
+    saveEventDeckRules() {
+        const weights = {};
+        document.querySelectorAll('.deck-weight').forEach(el => { weights[el.dataset.event] = el.value; });
+        const affinities = {};
+        document.querySelectorAll('.deck-affinity').forEach(el => {
+            affinities[el.dataset.event] = { ...affinities[el.dataset.event], [el.dataset.planetType]: el.value };
+        });
+
+        return this.app.galaxy.eventDeck.setRules({
+            enabled: document.getElementById('deckEnabled').checked,
+            chance: document.getElementById('deckChance').value,
+            maxActive: document.getElementById('deckMaxActive').value,
+            review: document.getElementById('deckReview').checked,
+            weights,
+            affinities,
+        });
+    }
+
+    showEventDrawReview() {
+        const deck = this.app.galaxy.eventDeck;
+        const pending = deck.getPending();
+        if (!this.isGMMode || !pending) return;
+        const info = EVENT_TYPES[pending.type];
+
+        this.openGenericModal('🎴 Event Drawn', `
+            <div class="faction-stat">
+                <div style="font-size:1.1rem;">${info?.icon || '❓'} <strong>${deck.describe(pending)}</strong></div>
+                <div style="font-size:.85rem;color:var(--color-muted-text);">${info?.description || ''} · ${pending.duration} turn(s)</div>
+            </div>
+            <p style="color:var(--color-muted-text);font-size:0.9rem;margin-top:0.5rem;">Players do not see the draw until you apply it. A draw left unanswered is dropped at the next turn advance.</p>
+        `, [
+            { text: 'Later', className: 'btn' },
+            { text: 'Veto', className: 'btn btn-danger', onClick: () => this.runEventDeckCommand('Veto event draw', () => deck.veto()) },
+            { text: 'Redraw', className: 'btn', close: false, onClick: () =>
+                this.runEventDeckCommand('Redraw event', () => deck.redraw(), () => this.showEventDrawReview()) },
+            { text: 'Apply', className: 'btn btn-primary', onClick: () => this.runEventDeckCommand('Apply event draw', () => deck.applyPending()) },
+        ]);
+    }
+
+    runEventDeckCommand(label, action, then = null) {
+        const result = this.runCommand(new GalaxyStateCommand(this.app.galaxy, label, action));
+        this.showToast(result.message, result.ok ? 'success' : 'error');
+        if (!result.ok) return result;
+
+        this.app.galaxy.save();
+        this.app.renderGalaxy();
+        this.updateFactionStats();
+        this.updateResourceBar();
+        if (then) then();
+        return result;
+    }
+
+    // ── Event scripts ────────────────────────────────────────────────────
+
+    showScriptsPanel() {
+        const scripts = this.app.galaxy.scriptManager;
+        const describe = part => this.formatJournalText(scripts.describe(part));
+
+        const rows = scripts.getAll().map(script => `
+            <div class="faction-stat" style="margin-bottom:.5rem;${script.enabled ? '' : 'opacity:.6;'}">
+                <div style="display:flex;justify-content:space-between;align-items:center;gap:.5rem;">
+                    <strong>${script.name}</strong>
+                    <span style="white-space:nowrap;">
+                        <label style="font-size:.8rem;"><input type="checkbox" ${script.enabled ? 'checked' : ''}
+                            onchange="window.app.ui.runScriptCommand('Toggle script', () => window.app.galaxy.scriptManager.toggle('${script.id}'))" /> On</label>
+                        <button class="btn" style="padding:.1rem .4rem;font-size:.75rem;" onclick="window.app.ui.editScript('${script.id}')">Edit</button>
+                        <button class="btn btn-danger" style="padding:.1rem .4rem;font-size:.75rem;"
+                            onclick="window.app.ui.runScriptCommand('Delete script', () => window.app.galaxy.scriptManager.remove('${script.id}'))">Delete</button>
+                    </span>
+                </div>
+                <div style="font-size:.8rem;">When ${describe(script.trigger)}${script.repeat ? ' (every time)' : ''}</div>
+                ${script.conditions.map(c => `<div style="font-size:.8rem;">If ${describe(c)}</div>`).join('')}
+                ${script.actions.map(a => `<div style="font-size:.8rem;">→ ${describe(a)}</div>`).join('')}
+                ${script.firedTurns.length ? `<div style="font-size:.75rem;color:var(--color-muted-text);">Fired on turn ${script.firedTurns.join(', ')}</div>` : ''}
+            </div>`).join('');
+
+        this.openGenericModal('📜 Event Scripts', `
+            ${rows || '<p>No scripts yet.</p>'}
+            <p style="color:var(--color-muted-text);font-size:0.9rem;margin-top:0.5rem;">Scripts are checked at every turn advance against what happened since the last one. A script fires once unless it is set to repeat; switching it off and on again lets it fire again.</p>
+        `, [
+            { text: 'Close', className: 'btn' },
+            { text: 'Import', className: 'btn', close: false, onClick: () => this.importScripts() },
+            { text: 'Export', className: 'btn', close: false, onClick: () => this.exportScripts() },
+            { text: 'New Script', className: 'btn btn-primary', close: false, onClick: () => this.editScript() },
+        ]);
+    }
+
+    editScript(scriptId = null) {
+        const script = scriptId ? this.app.galaxy.scriptManager.getById(scriptId) : null;
+        this.scriptDraft = script
+            ? JSON.parse(JSON.stringify(script))
+            : { name: '', enabled: true, repeat: false, trigger: { type: 'turn_reached' }, conditions: [], actions: [] };
+        this.renderScriptEditor();
+    }
+
+    renderScriptEditor() {
+        const draft = this.scriptDraft;
+        const typeSelect = (definitions, part, index) => `
+            <select class="form-input" onchange="window.app.ui.setScriptPartType('${part}', ${index}, this.value)">
+                ${Object.entries(definitions).map(([type, d]) => `<option value="${type}" ${draft[part] === undefined || (index === null ? draft[part] : draft[part][index]).type !== type ? '' : 'selected'}>${d.name}</option>`).join('')}
+            </select>`;
+        const partRow = (definitions, part, index) => {
+            const data = index === null ? draft[part] : draft[part][index];
+            const fields = definitions[data.type].fields.map(field => this.renderScriptField(field, data, part, index)).join('');
+            const remove = index === null ? ''
+                : `<button class="btn btn-danger" style="padding:.1rem .4rem;font-size:.75rem;" onclick="window.app.ui.removeScriptPart('${part}', ${index})">✕</button>`;
+            return `<div class="faction-stat" style="margin-bottom:.4rem;">
+                <div style="display:flex;gap:.5rem;align-items:center;">${typeSelect(definitions, part, index)}${remove}</div>
+                ${fields}
+            </div>`;
+        };
+
+        this.openGenericModal(draft.id ? '📜 Edit Script' : '📜 New Script', `
+            <div class="form-group"><label class="form-label">Name</label>
+                <input type="text" class="form-input" value="${draft.name}" maxlength="60" oninput="window.app.ui.scriptDraft.name = this.value" /></div>
+            <div class="form-group">
+                <label><input type="checkbox" ${draft.enabled !== false ? 'checked' : ''} onchange="window.app.ui.scriptDraft.enabled = this.checked" /> Enabled</label>
+                <label style="margin-left:1rem;"><input type="checkbox" ${draft.repeat ? 'checked' : ''} onchange="window.app.ui.scriptDraft.repeat = this.checked" /> Fire every time the trigger matches</label>
+            </div>
+            <h4>When</h4>
+            ${partRow(SCRIPT_TRIGGERS, 'trigger', null)}
+            <h4 style="margin-top:.75rem;">Only if</h4>
+            ${draft.conditions.map((c, i) => partRow(SCRIPT_CONDITIONS, 'conditions', i)).join('') || '<p style="font-size:.85rem;">Always.</p>'}
+            <button class="btn" style="padding:.2rem .5rem;font-size:.8rem;" onclick="window.app.ui.addScriptPart('conditions')">+ Condition</button>
+            <h4 style="margin-top:.75rem;">Then</h4>
+            ${draft.actions.map((a, i) => partRow(SCRIPT_ACTIONS, 'actions', i)).join('')}
+            <button class="btn" style="padding:.2rem .5rem;font-size:.8rem;" onclick="window.app.ui.addScriptPart('actions')">+ Action</button>
+            <p style="color:var(--color-muted-text);font-size:0.9rem;margin-top:0.5rem;">In actions, "the trigger planet" and "the trigger faction" stand for the planet and faction that set the script off.</p>
+        `, [
+            { text: 'Cancel', className: 'btn', close: false, onClick: () => this.showScriptsPanel() },
+            { text: 'Save', className: 'btn btn-primary', close: false, onClick: () => {
+                const result = this.runScriptCommand(draft.id ? 'Edit script' : 'Add script', () => this.app.galaxy.scriptManager.save(draft));
+                if (result.ok) this.scriptDraft = null;
+            } },
+        ]);
+    }
+
+    /**
+     * Render one input of a trigger, condition or action
+     * @param {Object} field - {key, label, kind, optional}
+     * @param {Object} data - Part being edited
+     * @param {string} part - 'trigger', 'conditions' or 'actions'
+     * @param {number|null} index - Index in conditions or actions
+     * @returns {string} HTML
+     */
+    renderScriptField(field, data, part, index) {
+        const galaxy = this.app.galaxy;
+        const value = data[field.key] ?? '';
+        const set = `window.app.ui.setScriptField('${part}', ${index}, '${field.key}', this.value)`;
+        const options = (list, extra = []) => [
+            ...(field.optional ? [['', part === 'conditions' ? 'Unclaimed' : 'Any']] : []),
+            ...(part === 'actions' && ['planet', 'faction'].includes(field.kind) ? [['trigger', `The trigger ${field.kind}`]] : []),
+            ...extra,
+            ...list,
+        ].map(([id, name]) => `<option value="${id}" ${String(value) === id ? 'selected' : ''}>${escapeHtml(name)}</option>`).join('');
+        const select = list => `<select class="form-input" onchange="${set}">
+            ${value === '' && !field.optional ? '<option value="" selected>Choose…</option>' : ''}${options(list)}</select>`;
+
+        let input;
+        switch (field.kind) {
+            case 'number':
+                input = `<input type="number" class="form-input" min="0" value="${value}" onchange="${set}" />`;
+                break;
+            case 'planet':
+                input = select(galaxy.planets.map(p => [p.id, p.name]));
+                break;
+            case 'faction':
+                input = select(this.app.factionManager.getAll().map(f => [f.id, f.name]));
+                break;
+            case 'sector':
+                input = select(galaxy.sectors.map(s => [s.id, s.name]));
+                break;
+            case 'resource':
+                input = select(this.app.resourceManager.getAll().map(r => [r.id, r.name]));
+                break;
+            case 'planetType':
+                input = select(Object.entries(PLANET_TYPES).map(([id, t]) => [id, `${t.icon} ${t.name}`]));
+                break;
+            case 'eventType':
+                input = select(Object.entries(EVENT_TYPES).map(([id, t]) => [id, `${t.icon} ${t.name}`]));
+                break;
+            case 'resources':
+                input = `<div style="display:flex;flex-wrap:wrap;gap:.5rem;">${this.app.resourceManager.getAll().map(r => `
+                    <label style="font-size:.8rem;">${r.icon || ''} ${r.name}
+                        <input type="number" class="form-input" value="${value?.[r.id] ?? ''}" style="width:4rem;"
+                            onchange="window.app.ui.setScriptResource('${part}', ${index}, '${field.key}', '${r.id}', this.value)" /></label>`).join('')}</div>`;
+                break;
+            default:
+                input = `<textarea class="form-input" rows="2" onchange="${set}">${value}</textarea>`;
+        }
+        return `<div class="form-group" style="margin:.3rem 0 0;"><label class="form-label" style="font-size:.8rem;">${field.label}</label>${input}</div>`;
+    }
+
+    scriptPart(part, index) {
+        return index === null ? this.scriptDraft[part] : this.scriptDraft[part][index];
+    }
+
+    setScriptField(part, index, key, value) {
+        this.scriptPart(part, index)[key] = value;
+    }
+
+    setScriptResource(part, index, key, resourceId, value) {
+        const data = this.scriptPart(part, index);
+        data[key] = { ...data[key], [resourceId]: value };
+    }
+
+    setScriptPartType(part, index, type) {
+        if (index === null) this.scriptDraft[part] = { type };
+        else this.scriptDraft[part][index] = { type };
+        this.renderScriptEditor();
+    }
+
+    addScriptPart(part) {
+        const definitions = part === 'conditions' ? SCRIPT_CONDITIONS : SCRIPT_ACTIONS;
+        this.scriptDraft[part].push({ type: Object.keys(definitions)[0] });
+        this.renderScriptEditor();
+    }
+
+    removeScriptPart(part, index) {
+        this.scriptDraft[part].splice(index, 1);
+        this.renderScriptEditor();
+    }
+
+    exportScripts() {
+        const scripts = this.app.galaxy.scriptManager.getAll().map(({ id, firedTurns, ...script }) => script);
+        if (!scripts.length) return this.showToast('No scripts to export', 'warning');
+        StorageService.downloadJSON({ scripts }, `${this.app.galaxy.name || 'campaign'}-scripts.json`.replace(/\s+/g, '-'));
+        this.showToast(`${scripts.length} script(s) exported`, 'success');
+    }
+
+    importScripts() {
+        const input = document.getElementById('fileInput');
+        input.onchange = async e => {
+            const file = e.target.files[0];
+            if (!file) return;
+            try {
+                const data = JSON.parse(await StorageService.readTextFile(file));
+                this.runScriptCommand('Import scripts', () => this.app.galaxy.scriptManager.importScripts(data.scripts));
+            } catch (err) {
+                this.showToast('Import failed: ' + escapeHtml(err.message), 'error');
+            }
+            input.value = '';
+        };
+        input.click();
+    }
+
+    runScriptCommand(label, action) {
+        const result = this.runCommand(new GalaxyStateCommand(this.app.galaxy, label, action));
+        this.showToast(result.message, result.ok ? 'success' : 'error');
+        if (!result.ok) return result;
+
+        this.app.galaxy.save();
+        this.showScriptsPanel();
+        return result;
+    }
+
+    /**
+     * Show what the scripts fired at a turn advance had to say
+     * @param {Array} fired - Galaxy.advanceTurn result.scripts
+     */
+    showScriptMessages(fired) {
+        const messages = fired.flatMap(({ script, messages }) => messages.map(text => ({ name: script.name, text })));
+        if (!messages.length) return;
+        this.openGenericModal('📜 Campaign Messages', messages.map(({ name, text }) => `
+            <div class="faction-stat" style="margin-bottom:.5rem;">
+                <div style="font-size:.8rem;color:var(--color-muted-text);">${name}</div>
+                <div style="white-space:pre-wrap;">${text}</div>
+            </div>`).join(''), [{ text: 'Close', className: 'btn btn-primary' }]);
+    }
+
+    // ── Diplomacy ────────────────────────────────────────────────────────
+
+    /**
+     * Relations are public; proposals are only shown to the two factions
+     * involved and the GM, who can answer for either
+     * @param {string} factionId - Faction ID
+     * @returns {boolean} True if the viewer may act for the faction
+     */
+    canActForFaction(factionId) {
+        return this.isGMMode || factionId === this.activeFactionId;
+    }
+
+    renderRelationBadge(factionA, factionB) {
+        const relation = this.app.galaxy.diplomacyManager.getRelation(factionA, factionB);
+        const info = DIPLOMATIC_RELATIONS[relation?.type || 'neutral'];
+        const turns = relation?.turnsRemaining ? ` (${relation.turnsRemaining})` : '';
+        return `<span style="color:${info.color};" title="${info.name}">${info.icon}${turns}</span>`;
+    }
+
+    describeTradeTerms(terms, fromFactionId, toFactionId) {
+        const goods = factionId => Object.entries(terms?.[factionId] || {})
+            .map(([id, amount]) => `${this.app.resourceManager.getById(id)?.icon || id} ${amount}`).join(' ') || 'nothing';
+        return `${this.getFactionName(fromFactionId)} sends ${goods(fromFactionId)}, ${this.getFactionName(toFactionId)} sends ${goods(toFactionId)} each turn`;
+    }
+
+    showDiplomacyPanel() {
+        const diplomacy = this.app.galaxy.diplomacyManager;
+        const factions = this.app.factionManager.getAll();
+        const cell = 'padding:.35rem;text-align:center;border-bottom:1px solid var(--color-border);';
+
+        const matrix = `<table style="width:100%;border-collapse:collapse;">
+            <thead><tr><th style="${cell}"></th>${factions.map(f => `<th style="${cell}color:${f.color};" title="${f.name}">${f.symbol}</th>`).join('')}</tr></thead>
+            <tbody>${factions.map(row => `<tr>
+                <td style="${cell}text-align:left;color:${row.color};">${row.symbol} ${row.name}</td>
+                ${factions.map(col => col.id === row.id ? `<td style="${cell}">—</td>`
+                    : `<td style="${cell}${this.isGMMode ? 'cursor:pointer;' : ''}" ${this.isGMMode ? `onclick="window.app.ui.showSetRelationDialog('${row.id}', '${col.id}')"` : ''}>${this.renderRelationBadge(row.id, col.id)}</td>`).join('')}
+            </tr>`).join('')}</tbody>
+        </table>`;
+
+        const own = this.activeFactionId && !this.isGMMode ? factions.filter(f => f.id !== this.activeFactionId).map(f => {
+            const type = diplomacy.getRelationType(this.activeFactionId, f.id);
+            return `<div style="display:flex;justify-content:space-between;align-items:center;font-size:.85rem;margin-top:.25rem;">
+                <span style="color:${f.color};">${f.symbol} ${f.name} ${this.renderRelationBadge(this.activeFactionId, f.id)}</span>
+                <span style="display:flex;gap:.3rem;">
+                    <button class="btn" style="padding:.1rem .4rem;font-size:.75rem;" onclick="window.app.ui.showProposeDialog('${f.id}')">Propose</button>
+                    ${type !== 'war' ? `<button class="btn btn-danger" style="padding:.1rem .4rem;font-size:.75rem;" onclick="window.app.ui.declareRelation('${f.id}', 'war')">Declare War</button>` : ''}
+                    ${type !== 'neutral' ? `<button class="btn" style="padding:.1rem .4rem;font-size:.75rem;" onclick="window.app.ui.declareRelation('${f.id}', 'neutral')">${type === 'war' ? 'End War' : 'End Treaty'}</button>` : ''}
+                </span>
+            </div>`;
+        }).join('') : '';
+
+        const proposals = diplomacy.getProposals(this.isGMMode ? null : this.activeFactionId).map(p => {
+            const info = DIPLOMATIC_RELATIONS[p.type];
+            const incoming = this.canActForFaction(p.toFactionId);
+            const duration = p.duration ? `${p.duration} turns` : 'open-ended';
+            return `<div class="faction-stat" style="margin-bottom:.4rem;">
+                <div style="font-size:.85rem;">${info.icon} <strong>${info.name}</strong> from ${this.getFactionName(p.fromFactionId)} to ${this.getFactionName(p.toFactionId)} · ${duration}</div>
+                ${p.terms ? `<div style="font-size:.75rem;color:var(--color-muted-text);">${this.describeTradeTerms(p.terms, p.fromFactionId, p.toFactionId)}</div>` : ''}
+                <div style="display:flex;gap:.3rem;margin-top:.25rem;">
+                    ${incoming ? `<button class="btn btn-primary" style="padding:.1rem .4rem;font-size:.75rem;" onclick="window.app.ui.answerProposal('${p.id}', true)">Accept</button>
+                        <button class="btn" style="padding:.1rem .4rem;font-size:.75rem;" onclick="window.app.ui.answerProposal('${p.id}', false)">Reject</button>` : ''}
+                    ${!incoming && this.canActForFaction(p.fromFactionId) ? `<button class="btn" style="padding:.1rem .4rem;font-size:.75rem;" onclick="window.app.ui.answerProposal('${p.id}', false)">Withdraw</button>` : ''}
+                </div>
+            </div>`;
+        }).join('');
+
+        const trades = diplomacy.getRelations(this.isGMMode ? null : this.activeFactionId)
+            .filter(r => r.terms)
+            .map(r => `<div style="font-size:.8rem;">💱 ${this.describeTradeTerms(r.terms, r.factions[0], r.factions[1])}</div>`).join('');
+
+        this.openGenericModal('🤝 Diplomacy', `
+            ${factions.length > 1 ? matrix : '<p style="color:var(--color-muted-text);font-style:italic;">Diplomacy needs at least two factions.</p>'}
+            ${own ? `<h4 style="margin-top:1rem;">Your Relations</h4>${own}` : ''}
+            ${proposals ? `<h4 style="margin-top:1rem;">Proposals</h4>${proposals}` : ''}
+            ${trades ? `<h4 style="margin-top:1rem;">Trade Pacts</h4>${trades}` : ''}
+            <p style="color:var(--color-muted-text);font-size:0.9rem;margin-top:0.5rem;">Factions at peace do not fight. Allies share what they see; trade pacts exchange goods every turn. Proposals lapse after ${CONFIG.DIPLOMACY_PROPOSAL_TURNS} turns.${this.isGMMode ? ' Click a cell to set a relation.' : ''}</p>
+        `, [{ text: 'Close', className: 'btn' }]);
+    }
+
+    runDiplomacyCommand(label, action) {
+        const result = this.runCommand(new GalaxyStateCommand(this.app.galaxy, label, action));
+        this.showToast(result.message, result.ok ? 'success' : 'error');
+        if (!result.ok) return result;
+
+        this.app.galaxy.save();
+        this.app.renderGalaxy();
+        this.updateFactionStats();
+        this.updateResourceBar();
+        if (this.selectedPlanetId) this.showPlanetDetails(this.selectedPlanetId);
+        this.showDiplomacyPanel();
+        return result;
+    }
+
+    showProposeDialog(toFactionId) {
+        const fromFactionId = this.activeFactionId;
+        if (!fromFactionId) return;
+        const peaceful = Object.entries(DIPLOMATIC_RELATIONS).filter(([, r]) => r.peaceful);
+        const resources = this.app.resourceManager.getAll();
+        const goods = prefix => resources.map(r => `<label style="display:inline-flex;align-items:center;gap:.2rem;margin-right:.5rem;">${r.icon}
+            <input type="number" class="form-input diplo-${prefix}" data-resource="${r.id}" min="0" value="0" style="width:4rem;" /></label>`).join('');
+
+        this.openGenericModal(`Propose to ${this.getFactionName(toFactionId)}`, `
+            <div class="form-group"><label class="form-label">Relation</label>
+                <select id="diploType" class="form-select" onchange="document.getElementById('diploTradeTerms').style.display = this.value === 'trade_pact' ? '' : 'none'">
+                    ${peaceful.map(([id, r]) => `<option value="${id}">${r.icon} ${r.name}${r.duration ? ` (${r.duration} turns)` : ''}</option>`).join('')}
+                </select></div>
+            <div class="form-group"><label class="form-label">Duration in turns (empty for the default)</label>
+                <input type="number" id="diploDuration" class="form-input" min="1" /></div>
+            <div id="diploTradeTerms" style="display:none;">
+                <div class="form-group"><label class="form-label">You send each turn</label><div>${goods('offer')}</div></div>
+                <div class="form-group"><label class="form-label">You receive each turn</label><div>${goods('request')}</div></div>
+            </div>
+        `, [
+            { text: 'Cancel', className: 'btn', onClick: () => this.showDiplomacyPanel() },
+            { text: 'Propose', className: 'btn btn-primary', close: false, onClick: () => {
+                const read = prefix => Object.fromEntries([...document.querySelectorAll(`.diplo-${prefix}`)].map(el => [el.dataset.resource, el.value]));
+                const type = document.getElementById('diploType').value;
+                const duration = document.getElementById('diploDuration').value;
+                this.runDiplomacyCommand(`Propose ${DIPLOMATIC_RELATIONS[type].name}`, () =>
+                    this.app.galaxy.diplomacyManager.propose(fromFactionId, toFactionId, type, {
+                        duration: duration === '' ? undefined : duration,
+                        offer: read('offer'),
+                        request: read('request'),
+                    }));
+            } },
+        ]);
+    }
+
+    answerProposal(proposalId, accept) {
+        const diplomacy = this.app.galaxy.diplomacyManager;
+        const proposal = diplomacy.getProposalById(proposalId);
+        if (!proposal) return;
+        // The GM answers for the recipient
+        const factionId = this.canActForFaction(proposal.toFactionId) ? proposal.toFactionId : proposal.fromFactionId;
+        if (!this.canActForFaction(factionId)) return;
+
+        const name = DIPLOMATIC_RELATIONS[proposal.type].name;
+        this.runDiplomacyCommand(`${accept ? 'Accept' : 'Decline'} ${name}`, () =>
+            accept ? diplomacy.accept(proposalId, factionId) : diplomacy.decline(proposalId, factionId));
+    }
+
+    declareRelation(otherFactionId, type) {
+        const factionId = this.activeFactionId;
+        if (!factionId) return;
+        if (type === 'war' && !confirm(`Declare war on ${this.getFactionName(otherFactionId)}?`)) return;
+        this.runDiplomacyCommand(`${DIPLOMATIC_RELATIONS[type].name}: ${this.getFactionName(otherFactionId)}`, () =>
+            this.app.galaxy.diplomacyManager.declare(factionId, otherFactionId, type));
+    }
+
+    showSetRelationDialog(factionA, factionB) {
+        if (!this.isGMMode) return;
+        const current = this.app.galaxy.diplomacyManager.getRelation(factionA, factionB);
+
+        this.openGenericModal(`${this.getFactionName(factionA)} & ${this.getFactionName(factionB)}`, `
+            <div class="form-group"><label class="form-label">Relation</label>
+                <select id="gmRelationType" class="form-select">
+                    ${Object.entries(DIPLOMATIC_RELATIONS).map(([id, r]) => `<option value="${id}" ${(current?.type || 'neutral') === id ? 'selected' : ''}>${r.icon} ${r.name}</option>`).join('')}
+                </select></div>
+            <div class="form-group"><label class="form-label">Duration in turns (empty for the default)</label>
+                <input type="number" id="gmRelationDuration" class="form-input" min="1" /></div>
+            <p style="color:var(--color-muted-text);font-size:0.9rem;">Trade pact terms are agreed through proposals.</p>
+        `, [
+            { text: 'Cancel', className: 'btn', onClick: () => this.showDiplomacyPanel() },
+            { text: 'Set', className: 'btn btn-primary', close: false, onClick: () => {
+                const type = document.getElementById('gmRelationType').value;
+                const duration = document.getElementById('gmRelationDuration').value;
+                this.runDiplomacyCommand(`Set ${DIPLOMATIC_RELATIONS[type].name}`, () => {
+                    this.app.galaxy.diplomacyManager.setRelation(factionA, factionB, type, {
+                        duration: duration === '' ? undefined : Math.max(1, parseInt(duration) || 1),
+                        terms: current?.type === type ? current.terms : null,
+                    });
+                    return { ok: true, message: `${DIPLOMATIC_RELATIONS[type].name} set` };
+                });
+            } },
+        ]);
+    }
+
     // ── Regenerate connections / sectors ─────────────────────────────────
 
     regenConnections() {
@@ -527,10 +1354,20 @@ export class UIManager {
     /**
      * Handle faction selection from dropdown
      * @param {string} factionId - Selected faction ID
+     * @param {boolean} unlocked - The faction's PIN has already been entered
      */
-    handleFactionSelection(factionId) {
+    handleFactionSelection(factionId, unlocked = false) {
+        // On a shared device, a player's PIN stops others acting as their faction
+        if (factionId && !unlocked && !this.isGMMode && factionId !== this.activeFactionId
+            && this.app.galaxy.playerManager.isFactionProtected(factionId)) {
+            this.factionDropdown.value = this.activeFactionId || '';
+            this.promptFactionPin(factionId);
+            return;
+        }
+
         if (!factionId) {
             this.activeFactionId = null;
+            this.refreshFogOfWar();
             this.showToast('No faction selected', 'info');
             return;
         }
@@ -543,6 +1380,7 @@ export class UIManager {
         }
 
         this.activeFactionId = factionId;
+        this.refreshFogOfWar();
         this.showToast(`Active faction: ${faction.symbol} ${faction.name}`, 'success');
         
         // Update planet information panel if a planet is currently selected
@@ -754,16 +1592,25 @@ export class UIManager {
             document.getElementById('deletePlanetBtn').disabled = false;
         }
 
-        const typeInfo = planet.getTypeInfo();
-        const faction  = planet.owner ? this.app.factionManager.getById(planet.owner) : null;
+        // Fog of war: hidden planets show only name and sector, sensed ones add owner and fleets
+        const visibility = this.getVisibility(planetId);
+        const seen     = visibility === VISIBILITY.FULL;
+        const hidden   = visibility === VISIBILITY.HIDDEN;
+
+        const typeInfo = hidden ? { icon: '❔', name: 'Unknown World' } : planet.getTypeInfo();
+        const faction  = planet.owner && !hidden ? this.app.factionManager.getById(planet.owner) : null;
         const events   = this.app.galaxy.eventManager.getByPlanet(planetId);
-        const shipsHere = (this.app.galaxy.ships || []).filter(s => s.planetId === planetId);
+        const modifiers = seen ? this.app.galaxy.modifierManager.getApplicable(planetId) : [];
+        const shipsHere = (this.app.galaxy.ships || []).filter(s => s.planetId === planetId && this.canSeeShip(s));
+        const battles  = hidden ? [] : this.app.galaxy.battleManager.getForPlanet(planetId).slice(0, 5);
+        const reports  = hidden ? [] : this.app.galaxy.battleReportManager.getForPlanet(planetId);
         const sector   = this.app.galaxy.getSectorForPlanet(planetId);
+        const supply   = this.app.galaxy.supplyManager;
 
         let html = `
             <div class="planet-detail">
                 <div class="planet-header">
-                    <h2 class="planet-name">${planet.name}</h2>
+                    <h2 class="planet-name">${escapeHtml(planet.name)}</h2>
                     <div class="planet-type">${typeInfo.icon} ${typeInfo.name}</div>
                     ${sector ? `<div class="planet-sector-tag">${sector.name}</div>` : ''}
                 </div>
@@ -773,18 +1620,24 @@ export class UIManager {
                     <div class="info-grid">
                         <div class="info-item">
                             <div class="info-label">Owner</div>
-                            <div class="info-value" style="color:${faction ? faction.color : 'var(--color-muted-text)'}">${faction ? faction.symbol+' '+faction.name : 'Unclaimed'}</div>
+                            <div class="info-value" style="color:${faction ? faction.color : 'var(--color-muted-text)'}">${faction ? faction.symbol+' '+faction.name : (hidden ? 'Unknown' : 'Unclaimed')}</div>
                         </div>
                         <div class="info-item">
                             <div class="info-label">Status</div>
-                            <div class="info-value">${planet.battleStatus === 'none' ? 'Peaceful' : planet.battleStatus.toUpperCase()}</div>
+                            <div class="info-value">${hidden ? 'Unknown' : (planet.battleStatus === 'none' ? 'Peaceful' : planet.battleStatus.toUpperCase())}</div>
                         </div>
-                        ${this.renderPlanetValues(planet)}
+                        ${seen && planet.owner && supply.enabled ? `<div class="info-item">
+                            <div class="info-label">Supply</div>
+                            <div class="info-value">${supply.isPlanetSupplied(planetId) ? '🛤️ In supply' : '<span style="color:var(--color-danger);">⚠ Cut off</span>'}${supply.isSource(planet) ? ' · Source' : ''}</div>
+                        </div>` : ''}
+                        ${seen ? this.renderPlanetValues(planet) : ''}
                     </div>
+                    ${this.isGMMode && supply.enabled ? `<button class="gm-btn" onclick="window.app.ui.toggleSupplySource('${planetId}')">${supply.isMarkedSource(planetId) ? 'Unmark Supply Source' : 'Mark as Supply Source'}</button>` : ''}
                     ${planet.type === 'DESTROYED' ? '<p style="color:var(--color-destroyed);margin-top:.5rem;font-style:italic;">This world is nothing but shattered debris.</p>' : ''}
+                    ${!seen ? '<p style="color:var(--color-muted-text);margin-top:.5rem;font-style:italic;">No detailed intelligence. Own the planet, bring a fleet or scan it to learn more.</p>' : ''}
                 </div>
 
-                <div class="planet-section">
+                ${seen ? `<div class="planet-section">
                     <h3 class="section-title">RESOURCES</h3>
                     <div class="info-grid">
                         ${(() => {
@@ -799,7 +1652,7 @@ export class UIManager {
                             }).join('');
                         })()}
                     </div>
-                </div>
+                </div>` : ''}
 
                 ${events.length > 0 ? `
                     <div class="planet-section">
@@ -811,7 +1664,7 @@ export class UIManager {
                             const timeText = ev.isWaiting() ? `Starts in ${ev.getTurnsUntilStart()} turns` : `${ev.turnsRemaining} turns remaining`;
                             
                             return `<div class="info-item" style="border-left:3px solid ${statusColor};">
-                                <div class="info-label">${ev.icon} ${ev.name}${dest?' (Destination)':''}</div>
+                                <div class="info-label">${ev.icon} ${ev.name}${dest?' (Destination)':''}${ev.isRegional() ? `<br><span style="font-size:.7rem;">across ${this.app.galaxy.eventManager.describeLocation(ev)}</span>` : ''}${this.renderEventPath(ev)}</div>
                                 <div class="info-value">
                                     <span style="font-size:.7rem;color:${statusColor};text-transform:uppercase;">${status}</span>
                                     <br>${timeText}
@@ -821,16 +1674,49 @@ export class UIManager {
                     </div>
                 ` : ''}
 
+                ${battles.length > 0 ? `
+                    <div class="planet-section">
+                        <h3 class="section-title">BATTLES</h3>
+                        ${battles.map(b => this.renderBattleItem(b)).join('')}
+                    </div>
+                ` : ''}
+
+                ${!hidden && (reports.length > 0 || this.isGMMode || this.activeFactionId) ? `
+                    <div class="planet-section">
+                        <h3 class="section-title">BATTLE REPORTS</h3>
+                        ${reports.slice(0, 3).map(r => this.renderBattleReportItem(r, false)).join('')}
+                        ${this.isGMMode || this.activeFactionId ? `<button class="gm-btn" onclick="window.app.ui.showReportBattleDialog('${planetId}')">📝 Report Battle</button>` : ''}
+                        ${reports.length > 0 ? `<button class="gm-btn" onclick="window.app.ui.showBattleReports({ planetId: '${planetId}' })">View All Reports (${reports.length})</button>` : ''}
+                    </div>
+                ` : ''}
+
+                ${modifiers.length > 0 ? `
+                    <div class="planet-section">
+                        <h3 class="section-title">MODIFIERS</h3>
+                        ${modifiers.map(m => {
+                            const type = MODIFIER_TYPES[m.key] || { name: m.key, combine: 'sum' };
+                            const mf = this.app.factionManager.getById(m.factionId);
+                            const magnitude = type.combine === 'product' ? `×${m.value}` : (type.combine === 'sum' ? `${m.value > 0 ? '+' : ''}${m.value}` : '');
+                            const timeText = m.turnsRemaining === null ? 'Permanent' : `${m.turnsRemaining} turn${m.turnsRemaining === 1 ? '' : 's'} remaining`;
+                            return `<div class="info-item" style="border-left:3px solid ${mf ? mf.color : 'var(--color-muted-text)'};">
+                                <div class="info-label">${type.icon || '✦'} ${m.label || m.source?.name || type.name}${m.planetId ? '' : ' (faction-wide)'}</div>
+                                <div class="info-value">
+                                    <span style="font-size:.7rem;color:var(--color-muted-text);">${type.name} ${magnitude}${mf ? ` · ${mf.symbol} ${mf.name}` : ''}</span>
+                                    <br>${timeText}
+                                </div>
+                            </div>`;
+                        }).join('')}
+                    </div>
+                ` : ''}
+
                 ${shipsHere.length > 0 ? `
                     <div class="planet-section">
                         <h3 class="section-title">FLEETS IN ORBIT</h3>
                         ${shipsHere.map(ship => {
                             const sf = this.app.factionManager.getById(ship.factionId);
-                            const selectedFactionId = this.factionDropdown.value;
-                            // GM can control any ship, players can only control their own faction's ships
-                            const canControl = this.isGMMode || ship.factionId === selectedFactionId;
+                            const canControl = this.canControlShip(ship);
                             return `<div class="info-item" style="border-left:3px solid ${sf?sf.color:'var(--color-muted-text)'};">
-                                <div class="info-label">${sf?sf.symbol:''} ${ship.name}</div>
+                                <div class="info-label">${sf?sf.symbol:''} ${escapeHtml(ship.name)}${canControl ? ` <span style="color:var(--color-muted-text);">⚔ ${this.app.galaxy.shipManager.getStrength(ship)}</span>` : ''}</div>
                                 <div class="info-value" style="font-size:.85rem;cursor:${canControl ? 'pointer' : 'not-allowed'};color:${canControl ? 'var(--color-success)' : 'var(--color-danger)'};" ${canControl ? `onclick="window.app.ui.selectShip('${ship.id}')"` : ''}>▶ Select</div>
                             </div>`;
                         }).join('')}
@@ -842,6 +1728,7 @@ export class UIManager {
                         <h3 class="section-title">GM ACTIONS</h3>
                         <button class="gm-btn" onclick="window.app.ui.changeOwner('${planetId}')">Change Owner</button>
                         <button class="gm-btn" onclick="window.app.ui.setBattleStatus('${planetId}')">Set Battle Status</button>
+                        <button class="gm-btn" onclick="window.app.ui.showDeclareBattleDialog('${planetId}')">Declare Battle</button>
                         ${planet.type !== 'DESTROYED' ? `<button class="gm-btn" onclick="window.app.ui.editResources('${planetId}')">Edit Resources</button>` : ''}
                         <button class="gm-btn" onclick="window.app.ui.showEditPlanetDialog()">Edit Planet</button>
                         <button class="gm-btn" onclick="window.app.ui.showAddShipDialog('${planetId}')">Add Fleet Here</button>
@@ -857,7 +1744,7 @@ export class UIManager {
                     </div>
                 ` : ''}
 
-                ${planet.surfaceZones && planet.surfaceZones.length > 0 ? `
+                ${seen && planet.surfaceZones && planet.surfaceZones.length > 0 ? `
                     <div class="planet-section">
                         <h3 class="section-title">SURFACE</h3>
                         <button class="gm-btn" onclick="window.app.ui.toggleSurfaceMap('${planetId}')">View Surface Map</button>
@@ -875,7 +1762,7 @@ export class UIManager {
         
         // Update surface panel if it's currently open
         if (this.panelStates.surfacePanel.visible) {
-            if (planet.surfaceZones && planet.surfaceZones.length > 0) {
+            if (seen && planet.surfaceZones && planet.surfaceZones.length > 0) {
                 // Update to show new planet's surface
                 this.showSurfaceMap(planetId);
             } else {
@@ -1053,14 +1940,14 @@ export class UIManager {
 
         this.surfacePanelContent.innerHTML = `
             <div class="surface-detail">
-                <div class="surface-header"><h2 class="surface-name">${planet.name}</h2></div>
+                <div class="surface-header"><h2 class="surface-name">${escapeHtml(planet.name)}</h2></div>
                 <div class="surface-map">
                     <div class="surface-grid">
                         ${planet.surfaceZones.map(z => {
                             const ctrl = z.controller ? this.app.factionManager.getById(z.controller) : null;
                             return `<div class="surface-zone ${z.contested?'contested':''} ${ctrl?'controlled':''}" style="border-color:${ctrl?ctrl.color:'#000000'}" data-zone-id="${z.id}">
                                 <div class="zone-icon">${z.icon}</div>
-                                <div class="zone-name">${z.name}</div>
+                                <div class="zone-name">${escapeHtml(z.name)}</div>
                             </div>`;
                         }).join('')}
                     </div>
@@ -1253,12 +2140,7 @@ export class UIManager {
     }
 
     closeGMPanel() {
-        this.hidePanel('gmPanel');
-        this.isGMMode = false;
-        this.gmModeBtn.classList.remove('active');
-        this.gmModeBtn.querySelector('.mode-text').textContent = 'PLAYER';
-        if (this.connectionEditorActive) this.toggleConnectionEditor();
-        this.showToast('Player Mode activated', 'success');
+        this.setGMMode(false);
     }
 
     reattachEventListeners() {
@@ -1279,26 +2161,67 @@ export class UIManager {
 
         const faction  = this.app.factionManager.getById(ship.factionId);
         const current  = this.app.galaxy.getPlanet(ship.planetId);
-        const targets  = this.app.galaxy.getValidMoveTargets(shipId);
+        const ships    = this.app.galaxy.shipManager;
+        const speed    = ships.getSpeed(ship);
+        // Queued moves are flown when the turn ends, with that turn's movement
+        const canJump  = ship.movesLeft > 0 || this.isQueuingOrders();
+        const targets  = canJump ? this.app.galaxy.getValidMoveTargets(shipId) : [];
 
         // Highlight targets with blue rings by default
         this.app.renderer.highlightMoveTargets(targets, false);
 
-        const targetHTML = targets.length > 0
+        const queuedMove = this.canSeeOrdersOf(ship.factionId) ? this.app.galaxy.orderManager.getMoveForShip(shipId) : null;
+        const route = queuedMove ? ships.findPath(ship.planetId, queuedMove.targetPlanetId) || [] : ship.route;
+        if (this.canControlShip(ship)) this.app.renderer.showRoute(ship.planetId, route);
+
+        const targetHTML = !canJump
+            ? '<p style="color:var(--color-muted-text);font-style:italic;">No movement left this turn.</p>'
+            : targets.length > 0
             ? targets.map(tid => {
                 const tp = this.app.galaxy.getPlanet(tid);
-                return tp ? `<button class="gm-btn ship-target-btn" data-target="${tid}" onmouseover="window.app.ui.highlightTargetPlanet('${tid}', true)" onmouseout="window.app.ui.highlightTargetPlanet('${tid}', false)" onclick="window.app.ui.executeShipMove('${tid}')">${tp.name} <span style="color:var(--color-muted-text);font-size:.8rem;">(${tp.getTypeInfo().icon})</span></button>` : '';
+                return tp ? `<button class="gm-btn ship-target-btn" data-target="${tid}" onmouseover="window.app.ui.highlightTargetPlanet('${tid}', true)" onmouseout="window.app.ui.highlightTargetPlanet('${tid}', false)" onclick="window.app.ui.executeShipMove('${tid}')">${escapeHtml(tp.name)} <span style="color:var(--color-muted-text);font-size:.8rem;">(${tp.getTypeInfo().icon})</span></button>` : '';
             }).join('')
             : '<p style="color:var(--color-destroyed);font-style:italic;">No reachable planets (routes may be blocked).</p>';
 
+        const routeTurns = Math.ceil(Math.max(0, ship.route.length - ship.movesLeft) / Math.max(1, speed));
+        const upkeep = Object.entries(ships.getUpkeep(ship))
+            .map(([id, amount]) => `${this.app.resourceManager.getById(id)?.icon || id} ${amount}`).join(' ') || 'None';
+        const mergeable = ships.getAtPlanet(ship.planetId).filter(s => s.id !== ship.id && s.factionId === ship.factionId);
         const panelHTML = `
             <div class="info-item">
                 <div class="info-label">Current Location</div>
                 <div class="info-value">${current?.name || 'Unknown'}</div>
             </div>
+            ${queuedMove ? `<div class="info-item">
+                <div class="info-label">Ordered Move</div>
+                <div class="info-value">${this.app.galaxy.getPlanet(queuedMove.targetPlanetId)?.name || 'Unknown'}
+                    <button class="btn" style="padding:.1rem .4rem;font-size:.75rem;" onclick="window.app.ui.cancelTurnOrder('${queuedMove.id}')">Cancel</button></div>
+            </div>` : ''}
+            ${ship.route.length && this.canControlShip(ship) ? `<div class="info-item">
+                <div class="info-label">Route</div>
+                <div class="info-value">${ship.route.map(id => this.app.galaxy.getPlanet(id)?.name || 'Unknown').join(' → ')}
+                    <div style="font-size:.8rem;color:var(--color-muted-text);">${routeTurns ? `Arrives in ${routeTurns} turn(s)` : 'Arrives this turn'}</div>
+                    <button class="btn" style="padding:.1rem .4rem;font-size:.75rem;" onclick="window.app.ui.clearShipRoute('${ship.id}')">Clear route</button></div>
+            </div>` : ''}
+            <div class="info-item">
+                <div class="info-label">Composition</div>
+                <div class="info-value">
+                    ${Object.entries(ship.units).map(([typeId, count]) => {
+                        const type = this.app.galaxy.unitTypes.getById(typeId);
+                        return `<div>${type?.icon || '❔'} ${count} × ${type?.name || 'Unknown unit'}</div>`;
+                    }).join('')}
+                    <div style="font-size:.8rem;color:var(--color-muted-text);">⚔ Strength ${ships.getStrength(ship)} · Speed ${ships.getSpeed(ship)} · Damage ${ship.damage}% · Upkeep ${upkeep}${this.app.galaxy.supplyManager.isShipSupplied(ship) ? '' : ' · <span style="color:var(--color-danger);">⚠ Out of supply</span>'}</div>
+                    <div style="display:flex;gap:.4rem;margin-top:.3rem;">
+                        ${mergeable.length ? `<button class="btn" style="padding:.1rem .4rem;font-size:.75rem;" onclick="window.app.ui.showMergeFleetsDialog('${ship.id}')">Merge</button>` : ''}
+                        ${ships.getUnitCount(ship) > 1 ? `<button class="btn" style="padding:.1rem .4rem;font-size:.75rem;" onclick="window.app.ui.showSplitFleetDialog('${ship.id}')">Split</button>` : ''}
+                        ${this.isGMMode ? `<button class="btn" style="padding:.1rem .4rem;font-size:.75rem;" onclick="window.app.ui.showFleetCompositionDialog('${ship.id}')">Edit</button>` : ''}
+                    </div>
+                </div>
+            </div>
             <div class="info-item">
-                <div class="info-label">Move To</div>
-                <div class="info-value">${targetHTML}</div>
+                <div class="info-label">Move To <span style="color:var(--color-muted-text);font-size:.8rem;">(${ship.movesLeft}/${speed} jumps left)</span></div>
+                <div class="info-value">${targetHTML}
+                    ${this.canControlShip(ship) ? `<button class="btn" style="padding:.1rem .4rem;font-size:.75rem;margin-top:.3rem;" onclick="window.app.ui.startRoutePlotting('${ship.id}')">🧭 Plot Route</button>` : ''}</div>
             </div>
             <div class="info-item">
                 <div class="info-label">Auxiliary Options</div>
@@ -1359,7 +2282,7 @@ export class UIManager {
         // Update ship panel header with ship name
         const shipPanelTitle = document.querySelector('#shipPanel .ship-panel-header h3');
         if (shipPanelTitle) {
-            shipPanelTitle.innerHTML = `Fleet Control - ${ship.name}`;
+            shipPanelTitle.innerHTML = `Fleet Control - ${escapeHtml(ship.name)}`;
         }
         
         // Set current rotation and size values
@@ -1370,7 +2293,38 @@ export class UIManager {
         document.getElementById('shipRotationYValue').textContent = rotationY + '°';
         document.getElementById('shipSizeValue').textContent = size.toFixed(1) + 'x';
         
-        this.showToast(`Selected: ${ship.name}. Pick a green planet to move.`, 'info');
+        this.showToast(`Selected: ${escapeHtml(ship.name)}. Pick a green planet to move.`, 'info');
+    }
+
+    promptFactionPin(factionId) {
+        const faction = this.app.factionManager.getById(factionId);
+        if (!faction) return;
+
+        const unlock = async () => {
+            const pin = document.getElementById('factionPin').value;
+            const player = await this.app.galaxy.playerManager.verifyFactionPin(factionId, pin);
+            if (!player) {
+                this.showToast('Incorrect PIN', 'error');
+                return;
+            }
+            this.closeModal();
+            this.factionDropdown.value = factionId;
+            this.handleFactionSelection(factionId, true);
+            this.showToast(`Welcome, ${player.name}`, 'info');
+        };
+
+        this.openGenericModal(`🔒 ${faction.symbol} ${faction.name}`, `
+            <div class="form-group"><label class="form-label">Player PIN</label>
+                <input type="password" id="factionPin" class="form-input" autocomplete="off"
+                    onkeydown="if (event.key === 'Enter') document.getElementById('factionPinUnlock').click()" /></div>
+            <p style="color:var(--color-muted-text);font-size:0.9rem;margin-top:0.5rem;">This faction is protected. Enter the PIN of one of its players.</p>
+        `, [
+            { text: 'Cancel', className: 'btn' },
+            { text: 'Unlock', className: 'btn btn-primary', close: false, onClick: unlock },
+        ]);
+        const unlockBtn = [...document.getElementById('genericModalFooter').children].pop();
+        unlockBtn.id = 'factionPinUnlock';
+        document.getElementById('factionPin').focus();
     }
 
     getFactionName(factionId) {
@@ -1392,12 +2346,22 @@ export class UIManager {
             return;
         }
         
-        const ok = this.app.galaxy.moveShip(this.selectedShipId, targetPlanetId);
-        if (ok) {
-            this.app.renderer.updateShipMesh(ship);
+        if (this.isQueuingOrders()) {
+            const queued = this.app.queueOrder('Move', () => this.app.galaxy.orderManager.queueMove(ship.factionId, ship.id, targetPlanetId));
+            this.showToast(queued.message, queued.ok ? 'success' : 'error');
+            if (queued.ok) this.selectShip(ship.id);
+            return;
+        }
+
+        const result = this.runCommand(new MoveShipCommand(this.app.galaxy, this.selectedShipId, targetPlanetId));
+        if (result.ok) {
+            if (this.isFogActive()) this.app.renderGalaxy();
+            else this.app.renderer.updateShipMesh(ship);
             this.app.galaxy.save();
             const target = this.app.galaxy.getPlanet(targetPlanetId);
             this.showToast(`Fleet moved to ${target?.name || 'target'}`, 'success');
+            (result.battles || []).forEach(b => this.showToast(`⚔️ Battle at ${target?.name}: ${this.getFactionName(b.attackerId)} vs ${this.getFactionName(b.defenderId)}`, 'warning'));
+            if (result.battles?.length) this.app.renderer.updatePlanetMesh(target);
             
             // If follow fleet is enabled, update camera to follow the new position
             if (this.followFleetId === this.selectedShipId) {
@@ -1409,13 +2373,214 @@ export class UIManager {
             // Refresh the ship panel to show updated movement targets
             this.selectShip(this.selectedShipId);
         } else {
-            this.showToast('Move blocked or invalid.', 'error');
+            this.showToast(result.message || 'Move blocked or invalid.', 'error');
         }
     }
 
+    startRoutePlotting(shipId) {
+        this.pendingRouteShipId = shipId;
+        this.showToast('Click the destination planet (Escape to cancel)', 'info');
+    }
+
+    plotShipRoute(targetPlanetId) {
+        const ship = this.app.galaxy.shipManager.getById(this.pendingRouteShipId);
+        this.pendingRouteShipId = null;
+        if (!this.canControlShip(ship)) return;
+
+        if (this.isQueuingOrders()) {
+            const queued = this.app.queueOrder('Move', () => this.app.galaxy.orderManager.queueMove(ship.factionId, ship.id, targetPlanetId));
+            this.showToast(queued.message, queued.ok ? 'success' : 'error');
+            if (queued.ok) this.selectShip(ship.id);
+            return;
+        }
+
+        const result = this.runFleetCommand(`Route ${ship.name}`, () => this.app.galaxy.plotRoute(ship.id, targetPlanetId), ship.id);
+        (result.battles || []).forEach(b => {
+            const planet = this.app.galaxy.getPlanet(b.planetId);
+            this.showToast(`⚔️ Battle at ${planet?.name}: ${this.getFactionName(b.attackerId)} vs ${this.getFactionName(b.defenderId)}`, 'warning');
+        });
+    }
+
+    clearShipRoute(shipId) {
+        const ship = this.app.galaxy.shipManager.getById(shipId);
+        if (!this.canControlShip(ship)) return;
+        this.runFleetCommand(`Clear route of ${ship.name}`, () => this.app.galaxy.shipManager.clearRoute(shipId), shipId);
+    }
+
+    // GM can control any ship, players can only control their own faction's ships
+    canControlShip(ship) {
+        return this.isGMMode || ship?.factionId === this.factionDropdown.value;
+    }
+
+    runFleetCommand(label, action, selectShipId) {
+        const result = this.runCommand(new GalaxyStateCommand(this.app.galaxy, label, action));
+        this.showToast(result.message, result.ok ? 'success' : 'error');
+        if (!result.ok) return result;
+
+        this.app.galaxy.save();
+        this.app.renderGalaxy();
+        this.updateFactionStats();
+        this.selectShip(selectShipId);
+        if (this.selectedPlanetId) this.showPlanetDetails(this.selectedPlanetId);
+        return result;
+    }
+
+    showMergeFleetsDialog(shipId) {
+        const ships = this.app.galaxy.shipManager;
+        const ship = ships.getById(shipId);
+        if (!this.canControlShip(ship)) return;
+        const others = ships.getAtPlanet(ship.planetId).filter(s => s.id !== ship.id && s.factionId === ship.factionId);
+
+        this.openGenericModal(`Merge into ${ship.name}`, `
+            <div class="form-group"><label class="form-label">Fleets to merge</label>
+                ${others.map(s => `<div><label><input type="checkbox" class="merge-fleet" value="${s.id}" checked />
+                    ${escapeHtml(s.name)} <span style="color:var(--color-muted-text);">⚔ ${ships.getStrength(s)} · ${s.damage}% damage</span></label></div>`).join('')}
+            </div>
+        `, [
+            { text: 'Cancel', className: 'btn' },
+            { text: 'Merge', className: 'btn btn-primary', onClick: () => {
+                const ids = [...document.querySelectorAll('.merge-fleet:checked')].map(el => el.value);
+                this.runFleetCommand(`Merge fleets into ${ship.name}`, () => ships.mergeShips([ship.id, ...ids]), ship.id);
+            }}
+        ]);
+    }
+
+    showSplitFleetDialog(shipId) {
+        const ships = this.app.galaxy.shipManager;
+        const ship = ships.getById(shipId);
+        if (!this.canControlShip(ship)) return;
+        // The sync server does not accept new fleets from players
+        if (this.app.remoteSync.role === 'player') {
+            this.showToast('On a shared campaign only the GM can split fleets', 'warning');
+            return;
+        }
+
+        this.openGenericModal(`Split ${ship.name}`, `
+            ${Object.entries(ship.units).map(([typeId, count]) => {
+                const type = this.app.galaxy.unitTypes.getById(typeId);
+                return `<div class="form-group"><label class="form-label">${type?.icon || '❔'} ${type?.name || 'Unknown unit'} (of ${count})</label>
+                    <input type="number" class="form-input split-units" data-type="${typeId}" value="0" min="0" max="${count}" /></div>`;
+            }).join('')}
+            <div class="form-group"><label class="form-label">New Fleet Name</label>
+                <input type="text" id="splitFleetName" class="form-input" value="${escapeHtml(ship.name)} Detachment" /></div>
+        `, [
+            { text: 'Cancel', className: 'btn' },
+            { text: 'Split', className: 'btn btn-primary', onClick: () => {
+                const units = Object.fromEntries([...document.querySelectorAll('.split-units')].map(el => [el.dataset.type, el.value]));
+                const name = document.getElementById('splitFleetName').value.trim();
+                this.runFleetCommand(`Split ${ship.name}`, () => ships.splitShip(ship.id, units, name), ship.id);
+            }}
+        ]);
+    }
+
+    showFleetCompositionDialog(shipId) {
+        if (!this.isGMMode) return;
+        const ships = this.app.galaxy.shipManager;
+        const ship = ships.getById(shipId);
+        if (!ship) return;
+
+        this.openGenericModal(`Fleet Composition: ${ship.name}`, `
+            ${this.app.galaxy.unitTypes.getAll().map(type => `<div class="form-group">
+                <label class="form-label">${type.icon} ${type.name} <span style="color:var(--color-muted-text);">⚔ ${type.strength} · Speed ${type.speed}</span></label>
+                <input type="number" class="form-input fleet-units" data-type="${type.id}" value="${ship.units[type.id] || 0}" min="0" /></div>`).join('')}
+            <div class="form-group"><label class="form-label">Damage (%)</label>
+                <input type="number" id="fleetDamage" class="form-input" value="${ship.damage}" min="0" max="99" /></div>
+        `, [
+            { text: 'Cancel', className: 'btn' },
+            { text: 'Save', className: 'btn btn-primary', onClick: () => {
+                const units = Object.fromEntries([...document.querySelectorAll('.fleet-units')].map(el => [el.dataset.type, el.value]));
+                const damage = Math.min(99, Math.max(0, parseInt(document.getElementById('fleetDamage').value) || 0));
+                this.runFleetCommand(`Reorganise ${ship.name}`, () => {
+                    const result = ships.setComposition(ship.id, units);
+                    if (result.ok) ships.damageShip(ship.id, damage - ship.damage);
+                    return result;
+                }, ship.id);
+            }}
+        ]);
+    }
+
+    showUnitTypesDialog() {
+        const types = this.app.galaxy.unitTypes.getAll();
+        const list = types.map(t => {
+            const upkeep = Object.entries(t.upkeep)
+                .map(([id, amount]) => `${this.app.resourceManager.getById(id)?.icon || id} ${amount}`).join(' ') || 'no upkeep';
+            return `<div class="faction-stat" style="margin-bottom:.5rem;">
+                <div class="faction-stat-header" style="display:flex;justify-content:space-between;align-items:center;">
+                    <div>
+                        <div class="faction-name">${t.icon} ${t.name}</div>
+                        <div style="font-size:.8rem;color:var(--color-muted-text);">⚔ ${t.strength} · Speed ${t.speed} · ${upkeep}</div>
+                    </div>
+                    <div style="display:flex;gap:.4rem;">
+                        <button class="btn" style="padding:.2rem .5rem;font-size:.75rem;" onclick="window.app.ui.showEditUnitTypeDialog('${t.id}')">Edit</button>
+                        <button class="btn btn-danger" style="padding:.2rem .5rem;font-size:.75rem;" onclick="window.app.ui.removeUnitType('${t.id}')">Del</button>
+                    </div>
+                </div>
+            </div>`;
+        }).join('');
+
+        this.openGenericModal('Unit Types', `
+            ${list}
+            <p style="color:var(--color-muted-text);font-size:0.9rem;margin-top:0.5rem;">New fleets start as one ${types[0]?.name || 'unit'}. Upkeep is paid per unit at every harvest.</p>
+        `, [
+            { text: 'Close', className: 'btn' },
+            { text: 'Add Unit Type', className: 'btn btn-primary', close: false, onClick: () => this.showEditUnitTypeDialog() },
+        ]);
+    }
+
+    showEditUnitTypeDialog(typeId = null) {
+        const manager = this.app.galaxy.unitTypes;
+        const type = typeId ? manager.getById(typeId) : null;
+        const resources = this.app.resourceManager.getAll();
+
+        this.openGenericModal(type ? `Edit Unit Type: ${type.name}` : 'Add Unit Type', `
+            <div class="form-group"><label class="form-label">Name</label>
+                <input type="text" id="unitName" class="form-input" value="${type?.name || ''}" maxlength="40" /></div>
+            <div class="form-group"><label class="form-label">Icon</label>
+                <input type="text" id="unitIcon" class="form-input" value="${type?.icon || '🚀'}" maxlength="4" /></div>
+            <div class="form-group"><label class="form-label">Strength</label>
+                <input type="number" id="unitStrength" class="form-input" value="${type?.strength ?? 2}" min="0" /></div>
+            <div class="form-group"><label class="form-label">Speed</label>
+                <input type="number" id="unitSpeed" class="form-input" value="${type?.speed ?? 2}" min="1" /></div>
+            <div class="form-group"><label class="form-label">Upkeep per unit</label>
+                <div class="info-grid">${resources.map(r => `<div class="info-item"><div class="info-label">${r.icon} ${r.name}</div>
+                    <input type="number" id="unitUpkeep-${r.id}" class="form-input" value="${type?.upkeep[r.id] || 0}" min="0" /></div>`).join('')}</div></div>
+        `, [
+            { text: 'Back', className: 'btn', close: false, onClick: () => this.showUnitTypesDialog() },
+            { text: 'Save', className: 'btn btn-primary', close: false, onClick: () => {
+                const result = manager.save({
+                    id: type?.id,
+                    name: document.getElementById('unitName').value,
+                    icon: document.getElementById('unitIcon').value.trim(),
+                    strength: document.getElementById('unitStrength').value,
+                    speed: document.getElementById('unitSpeed').value,
+                    upkeep: Object.fromEntries(resources.map(r => [r.id, parseInt(document.getElementById(`unitUpkeep-${r.id}`).value) || 0])),
+                });
+                if (!result.ok) {
+                    this.showToast(result.message, 'error');
+                    return;
+                }
+                this.app.galaxy.save();
+                this.showToast(result.message, 'success');
+                this.showUnitTypesDialog();
+            }},
+        ]);
+    }
+
+    removeUnitType(typeId) {
+        const type = this.app.galaxy.unitTypes.getById(typeId);
+        if (!type || !confirm(`Remove the ${type.name} unit type?`)) return;
+        const result = this.app.galaxy.unitTypes.remove(typeId);
+        this.showToast(result.message, result.ok ? 'success' : 'error');
+        if (!result.ok) return;
+        this.app.galaxy.save();
+        this.showUnitTypesDialog();
+    }
+
     deselectShip() {
         this.selectedShipId = null;
+        this.pendingRouteShipId = null;
         this.app.renderer.clearMoveTargetHighlights();
+        this.app.renderer.clearRoute();
         
         // Reset ship panel header to default text
         const shipPanelTitle = document.querySelector('#shipPanel .ship-panel-header h3');
@@ -1498,7 +2663,7 @@ export class UIManager {
         this.app.renderer.selectedPlanet = ship.planetId;
         this.app.renderer.updateCameraPosition();
         
-        this.showToast(`Camera focused on ${ship.name}`, 'info');
+        this.showToast(`Camera focused on ${escapeHtml(ship.name)}`, 'info');
     }
 
     /**
@@ -2159,16 +3324,8 @@ export class UIManager {
         planet.name = document.getElementById('editPlanetName').value;
         const newType = document.getElementById('editPlanetType').value;
         if (newType !== planet.type) {
-            planet.type = newType;
-            if (newType === 'DESTROYED') { 
-                planet.surfaceZones = []; 
-                planet.resources = {}; 
-                // Reset all values to 0 for destroyed planets
-                const allValues = this.app.planetValueManager.getAll();
-                allValues.forEach(valueDef => {
-                    planet.setValue(valueDef.id, 0);
-                });
-            }
+            if (newType === 'DESTROYED') planet.destroy();
+            else planet.type = newType;
             this.app.renderer.removePlanetMesh(planet.id);
             this.app.renderer.createPlanetMesh(planet);
         }
@@ -2233,7 +3390,7 @@ export class UIManager {
         }
 
         const planets = this.app.galaxy.planets;
-        const planetOptions = planets.map(p => `<option value="${p.id}">${p.name}</option>`).join('');
+        const planetOptions = planets.map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`).join('');
 
         this.openGenericModal('Add Connection', `
             <p style="color:var(--color-silver);margin-bottom:1rem;">Select two planets to connect.</p>
@@ -2256,14 +3413,14 @@ export class UIManager {
                     return;
                 }
 
-                const result = this.app.galaxy.toggleConnection(fromId, toId);
+                const result = this.runCommand(new ConnectionCommand(this.app.galaxy, fromId, toId));
                 const p1 = this.app.galaxy.getPlanet(fromId);
                 const p2 = this.app.galaxy.getPlanet(toId);
 
-                if (result === 'added') {
+                if (result.action === 'added') {
                     this.app.renderer.createConnectionLine(p1, p2);
                     this.showToast(`Connection added: ${p1?.name} ↔ ${p2?.name}`, 'success');
-                } else if (result === 'removed') {
+                } else if (result.action === 'removed') {
                     this.app.renderer.removeConnectionLine(fromId, toId);
                     this.showToast(`Connection removed: ${p1?.name} ↔ ${p2?.name}`, 'success');
                 }
@@ -2281,7 +3438,7 @@ export class UIManager {
         }
 
         const planets = this.app.galaxy.planets;
-        const planetOptions = planets.map(p => `<option value="${p.id}">${p.name}</option>`).join('');
+        const planetOptions = planets.map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`).join('');
 
         this.openGenericModal('Remove Connection', `
             <p style="color:var(--color-silver);margin-bottom:1rem;">Select connection to remove.</p>
@@ -2293,7 +3450,7 @@ export class UIManager {
                         (p.connections || []).map(connId => {
                             const connectedPlanet = this.app.galaxy.getPlanet(connId);
                             if (connectedPlanet) {
-                                return `<option value="${p.id}-${connId}">${p.name} ↔ ${connectedPlanet.name}</option>`;
+                                return `<option value="${p.id}-${connId}">${escapeHtml(p.name)} ↔ ${escapeHtml(connectedPlanet.name)}</option>`;
                             }
                             return '';
                         }).filter(Boolean)
@@ -2310,9 +3467,9 @@ export class UIManager {
                 }
 
                 const [fromId, toId] = selectedValue.split('-');
-                const result = this.app.galaxy.toggleConnection(fromId, toId);
+                const result = this.runCommand(new ConnectionCommand(this.app.galaxy, fromId, toId, false));
                 
-                if (result === 'removed') {
+                if (result.action === 'removed') {
                     this.app.renderer.removeConnectionLine(fromId, toId);
                     const p1 = this.app.galaxy.getPlanet(fromId);
                     const p2 = this.app.galaxy.getPlanet(toId);
@@ -2455,6 +3612,37 @@ export class UIManager {
     advanceTurn() {
         const result = this.app.galaxy.advanceTurn();
         this.updateTurnDisplay();
+        if (result.orders.length) {
+            const failed = result.orders.filter(r => !r.ok).length;
+            this.showToast(`📜 ${result.orders.length - failed} order(s) carried out${failed ? `, ${failed} failed (see journal)` : ''}`, failed ? 'warning' : 'info');
+        }
+        if (result.upkeep.unpaid.length) {
+            const lost = result.upkeep.destroyed.length ? `, ${result.upkeep.destroyed.length} fleet(s) lost` : '';
+            this.showToast(`⚠ Fleet upkeep unpaid by ${result.upkeep.unpaid.map(id => this.getFactionName(id)).join(', ')}${lost}`, 'warning');
+        }
+        if (result.diplomacy.expired.length) {
+            this.showToast(`🤝 ${result.diplomacy.expired.length} treaty(ies) ran out`, 'info');
+        }
+        if (result.supply.planets.length || result.supply.ships.length) {
+            const lost = result.supply.destroyed.length ? `, ${result.supply.destroyed.length} fleet(s) lost` : '';
+            this.showToast(`🛤️ Out of supply: ${result.supply.planets.length} planet(s), ${result.supply.ships.length} fleet(s)${lost}`, 'warning');
+        }
+        if (result.newBattles.length) {
+            this.showToast(`⚔️ ${result.newBattles.length} new battle(s) where hostile fleets meet`, 'warning');
+            result.newBattles.forEach(b => this.app.renderer.updatePlanetMesh(this.app.galaxy.getPlanet(b.planetId)));
+        }
+        if (result.eventEffects.length) {
+            this.showToast(`🌀 ${result.eventEffects.length} event effect(s) took hold (see journal)`, 'info');
+        }
+        if (result.eventMotion.moved.length || result.eventMotion.spread.length) {
+            this.showToast(`🌪️ ${result.eventMotion.moved.length} event(s) drifted, ${result.eventMotion.spread.length} spread (see journal)`, 'info');
+        }
+        if (result.eventDraw?.event) {
+            this.showToast(`🎴 Event drawn: ${this.app.galaxy.eventDeck.describe(result.eventDraw.draw)}`, 'info');
+        }
+        if (result.scripts.length) {
+            this.showToast(`📜 ${result.scripts.length} script(s) fired (see journal)`, 'info');
+        }
         if (result.expiredEvents.length) {
             this.showToast(`${result.expiredEvents.length} event(s) expired`, 'info');
             result.expiredEvents.forEach(ev => this.app.renderer.removeEventRing(ev.id));
@@ -2487,22 +3675,23 @@ export class UIManager {
         this.showToast(`Advanced to turn ${result.turn} — resources harvested`, 'success');
         this.updateFactionStats();
         this.updateResourceBar();
+        this.updateCommandHistory();
+        if (result.eventDraw?.pending) this.showEventDrawReview();
+        else this.showScriptMessages(result.scripts);
     }
 
     rewindTurn() {
-        const currentTurn = this.app.galaxy.turn;
-        const newTurn = currentTurn - 1;
-        
-        // Only update the turn number, don't trigger any mechanics
-        this.app.galaxy._turn = newTurn;
-        this.app.galaxy._lastModified = Date.now();
-        this.app.galaxy.save();
-        
-        // Update UI displays
-        this.updateTurnDisplay();
-        this.app.renderGalaxy();
-        
-        this.showToast(`Rewound to turn ${newTurn}`, 'info');
+        const restored = this.app.galaxy.rewindTurn();
+        if (!restored) {
+            this.showToast('No earlier turn snapshot to rewind to', 'warning');
+            return;
+        }
+
+        // Swap in the full previous state (resources, events, cooldowns, orders)
+        this.app.loadGalaxy(restored);
+        restored.save();
+
+        this.showToast(`Rewound to turn ${restored.turn}`, 'info');
     }
 
     saveCampaign() {
@@ -2510,10 +3699,27 @@ export class UIManager {
     }
 
     exportCampaign() {
+        // Player PINs are never exported, so only the passphrase needs asking about
+        if (!this.app.galaxy.gmAccess.hasPassphrase()) {
+            this.writeCampaignExport(true);
+            return;
+        }
+
+        this.openGenericModal('Export Campaign', `
+            <div class="form-group"><label><input type="checkbox" id="exportStripSecrets" checked /> Strip GM passphrase</label></div>
+            <p style="color:var(--color-muted-text);font-size:0.9rem;margin-top:0.5rem;">Only its hash is stored, but strip it from files you share with players. Keep it in your own backups. Player PINs are never exported; set them again after importing.</p>
+        `, [
+            { text: 'Cancel', className: 'btn' },
+            { text: 'Export', className: 'btn btn-primary', onClick: () => this.writeCampaignExport(document.getElementById('exportStripSecrets').checked) },
+        ]);
+    }
+
+    writeCampaignExport(strip) {
         const fn = `crusade-${this.app.galaxy.name.toLowerCase().replace(/\s+/g,'-')}-turn${this.app.galaxy.turn}.json`;
         
         // Gather all campaign data for complete export
-        const campaignData = this.app.galaxy.toJSON();
+        const json = this.app.galaxy.toJSON();
+        const campaignData = stripSecrets(json, { keepPassphrase: !strip });
         const factions = this.app.factionManager.getAll();
         const resources = this.app.resourceManager.getAll();
         const planetValues = this.app.planetValueManager.getAll();
@@ -2530,40 +3736,36 @@ export class UIManager {
             try {
                 const data = await StorageService.importCampaign(file);
                 
-                // Import galaxy data
-                const gal = Galaxy.fromJSON(data.campaign);
+                // Import galaxy data into a new slot, keeping the current campaign
+                const gal = Galaxy.fromJSON(data.campaign, this.app.galaxyContext);
+                this.app.galaxy.save();
+                gal.slotId = (await StorageService.createSlot(gal.name, gal.toJSON())).id;
                 this.app.loadGalaxy(gal);
                 
-                // Import additional data if available (new format)
-                if (data.version >= '2.1') {
-                    // Import factions
-                    if (data.factions && data.factions.length > 0) {
-                        this.app.factionManager._factions = data.factions;
-                        this.app.factionManager.save();
-                    }
-                    
-                    // Import resources
-                    if (data.resources && data.resources.length > 0) {
-                        this.app.resourceManager._resources = data.resources;
-                        this.app.resourceManager.save();
-                    }
-                    
-                    // Import planet values
-                    if (data.planetValues && data.planetValues.length > 0) {
-                        this.app.planetValueManager.planetValues = data.planetValues;
-                        this.app.planetValueManager.save();
-                    }
-                    
-                    // Import settings
-                    if (data.settings && Object.keys(data.settings).length > 0) {
-                        StorageService.saveSettings(data.settings);
-                    }
-                    
-                    this.showToast('Complete campaign imported with all custom data', 'success');
-                } else {
-                    this.showToast('Campaign imported (legacy format)', 'success');
+                // Import additional data (empty lists keep the current setup)
+                if (data.factions.length > 0) {
+                    this.app.factionManager._factions = data.factions;
+                    this.app.factionManager.save();
+                }
+                
+                if (data.resources.length > 0) {
+                    this.app.resourceManager._resources = data.resources;
+                    this.app.resourceManager.save();
+                }
+                
+                if (data.planetValues.length > 0) {
+                    this.app.planetValueManager.planetValues = data.planetValues;
+                    this.app.planetValueManager.save();
                 }
                 
+                if (Object.keys(data.settings).length > 0) {
+                    StorageService.saveSettings(data.settings);
+                }
+                
+                this.showToast(data.migratedFrom
+                    ? `Campaign imported (upgraded from format ${data.migratedFrom})`
+                    : 'Complete campaign imported with all custom data', 'success');
+                
                 // Refresh UI components
                 this.updateFactionStats();
                 this.updateResourceBar();
@@ -2572,28 +3774,209 @@ export class UIManager {
                 
                 this.closeModal();
             } catch (err) { 
-                this.showToast('Import failed: ' + err.message, 'error'); 
+                this.showToast('Import failed: ' + escapeHtml(err.message), 'error'); 
+                if (err.details) this.showImportErrors(file.name, err.details);
             }
+            input.value = '';
         };
         input.click();
     }
 
+    showImportErrors(fileName, errors) {
+        const shown = errors.slice(0, 50);
+        this.openGenericModal('Import Failed', `
+            <p><strong>${escapeHtml(fileName)}</strong> was not imported. Nothing in the current campaign was changed.</p>
+            <ul class="import-errors">
+                ${shown.map(e => `<li><code>${escapeHtml(e.path)}</code> ${escapeHtml(e.message)}</li>`).join('')}
+            </ul>
+            ${errors.length > shown.length ? `<p>…and ${errors.length - shown.length} more.</p>` : ''}
+        `, [{ text: 'Close', className: 'btn' }]);
+    }
+
     newCampaign() {
         this.openGenericModal('New Campaign', `
-            <p>This will replace the current campaign.</p>
+            <p>The current campaign stays in its save slot; the new one gets a slot of its own.</p>
             <div class="form-group"><label class="form-label">Campaign Name</label>
                 <input type="text" id="campaignName" class="form-input" value="Crusade Campaign" /></div>
             <div class="form-group"><label class="form-label">Galaxy Size (10–50 planets)</label>
                 <input type="number" id="galaxySize" class="form-input" value="20" min="10" max="50" /></div>
         `, [
             { text: 'Cancel', className: 'btn' },
-            { text: 'Create', className: 'btn btn-primary', onClick: () => {
-                this.app.createNewCampaign(document.getElementById('campaignName').value, parseInt(document.getElementById('galaxySize').value));
+            { text: 'Create', className: 'btn btn-primary', onClick: async () => {
+                await this.app.createNewCampaign(document.getElementById('campaignName').value, parseInt(document.getElementById('galaxySize').value));
                 this.showToast('New campaign created', 'success');
             }}
         ]);
     }
 
+    // ── Campaign slots ───────────────────────────────────────────────────
+
+    async showCampaignSlots() {
+        const slots = await StorageService.listSlots();
+        const activeId = this.app.galaxy.slotId;
+
+        const rows = slots.map(slot => {
+            const active = slot.id === activeId;
+            return `
+                <div class="campaign-slot ${active ? 'active' : ''}">
+                    <div class="campaign-slot-info">
+                        <div class="campaign-slot-name">${escapeHtml(slot.name)}${active ? ' <span class="campaign-slot-badge">CURRENT</span>' : ''}</div>
+                        <div class="campaign-slot-meta">Turn ${slot.turn} · saved ${formatDate(slot.updatedAt)}</div>
+                    </div>
+                    <div class="campaign-slot-actions">
+                        ${active ? '' : `<button class="btn btn-sm btn-primary" onclick="window.app.ui.loadCampaignSlot('${slot.id}')">Load</button>`}
+                        <button class="btn btn-sm" onclick="window.app.ui.renameCampaignSlot('${slot.id}')">Rename</button>
+                        <button class="btn btn-sm" onclick="window.app.ui.duplicateCampaignSlot('${slot.id}')">Duplicate</button>
+                        ${active ? '' : `<button class="btn btn-sm btn-danger" onclick="window.app.ui.deleteCampaignSlot('${slot.id}')">Delete</button>`}
+                    </div>
+                </div>`;
+        }).join('');
+
+        this.openGenericModal('Campaign Slots', `
+            <p class="campaign-slots-backend">Stored in ${StorageService.getCampaignBackend()}</p>
+            <div class="campaign-slots">${rows}</div>
+        `, [
+            { text: 'Close', className: 'btn' },
+            { text: 'Save as New Slot', className: 'btn btn-primary', close: false, onClick: () => this.saveCampaignAsNewSlot() }
+        ]);
+    }
+
+    async loadCampaignSlot(slotId) {
+        if (await this.app.switchCampaignSlot(slotId)) {
+            this.closeModal();
+            this.showToast(`Loaded ${this.app.galaxy.name}`, 'success');
+        } else {
+            this.showToast('That slot has no saved campaign', 'error');
+        }
+    }
+
+    async renameCampaignSlot(slotId) {
+        const slot = (await StorageService.listSlots()).find(s => s.id === slotId);
+        const name = prompt('Slot name:', slot?.name || '');
+        if (!name || !name.trim()) return;
+
+        await StorageService.renameSlot(slotId, name.trim());
+        this.showCampaignSlots();
+    }
+
+    async duplicateCampaignSlot(slotId) {
+        if (slotId === this.app.galaxy.slotId) {
+            this.app.galaxy.save();
+        }
+        const copy = await StorageService.duplicateSlot(slotId);
+        this.showToast(`Created ${copy.name}`, 'success');
+        this.showCampaignSlots();
+    }
+
+    async deleteCampaignSlot(slotId) {
+        const slot = (await StorageService.listSlots()).find(s => s.id === slotId);
+        if (!slot || !confirm(`Delete the campaign "${slot.name}"? This cannot be undone.`)) return;
+
+        if (await StorageService.deleteSlot(slotId, this.app.galaxy.slotId)) {
+            this.showToast('Campaign deleted', 'success');
+        } else {
+            this.showToast('The open campaign cannot be deleted', 'error');
+        }
+        this.showCampaignSlots();
+    }
+
+    async saveCampaignAsNewSlot() {
+        const name = prompt('Name for the new slot:', `${this.app.galaxy.name} (copy)`);
+        if (!name || !name.trim()) return;
+
+        this.app.galaxy.save();
+        const slot = await StorageService.createSlot(name.trim(), this.app.galaxy.toJSON());
+        this.app.galaxy.slotId = slot.id;
+        StorageService.saveTurnSnapshots(this.app.galaxy._turnSnapshots, slot.id);
+        this.showToast(`Now saving to ${name.trim()}`, 'success');
+        this.showCampaignSlots();
+    }
+
+    // ── Shared campaign (sync server) ────────────────────────────────────
+
+    showSharedCampaignDialog() {
+        const remote = this.app.remoteSync;
+
+        if (remote.status !== 'offline') {
+            this.openGenericModal('Shared Campaign', `
+                <p>${remote.status === 'online' ? 'Connected' : 'Connecting'} to <strong>${remote.url}</strong>
+                    as ${remote.role === 'gm' ? 'GM' : `player of ${this.getFactionName(remote.factionId)}`}.</p>
+                <div class="form-group"><label class="form-label">Campaign code</label>
+                    <input type="text" class="form-input" value="${remote.campaignId}" readonly onclick="this.select()" /></div>
+                <p style="color:var(--color-muted-text);font-size:0.9rem;margin-top:0.5rem;">Revision ${remote.revision}. Players join with the server address and this code.</p>
+            `, [
+                { text: 'Close', className: 'btn' },
+                { text: 'Disconnect', className: 'btn btn-danger', onClick: () => {
+                    remote.disconnect();
+                    this.showToast('Left the shared campaign', 'info');
+                }},
+            ]);
+            return;
+        }
+
+        const url = localStorage.getItem('syncServerUrl') || CONFIG.SYNC_SERVER_URL;
+        this.openGenericModal('Shared Campaign', `
+            <div class="form-group"><label class="form-label">Sync server</label>
+                <input type="text" id="syncServerUrl" class="form-input" value="${url}" /></div>
+            <div class="form-group"><label class="form-label">Join as</label>
+                <select id="syncRole" class="form-select">
+                    <option value="gm" ${this.isGMMode ? 'selected' : ''}>GM (share this campaign)</option>
+                    <option value="player" ${this.isGMMode ? '' : 'selected'}>Player</option>
+                </select></div>
+            <div class="form-group"><label class="form-label">Campaign code</label>
+                <input type="text" id="syncCampaignCode" class="form-input" value="${this.app.galaxy.id}" /></div>
+            <div class="form-group"><label class="form-label">GM passphrase</label>
+                <input type="password" id="syncPassphrase" class="form-input" autocomplete="off" placeholder="Only when joining as GM" /></div>
+            <div class="form-group"><label class="form-label">Faction</label>
+                <select id="syncFaction" class="form-select">
+                    ${this.app.factionManager.getAll().map(f => `<option value="${f.id}" ${f.id === this.activeFactionId ? 'selected' : ''}>${f.symbol} ${f.name}</option>`).join('')}
+                </select></div>
+            <div class="form-group"><label class="form-label">Player PIN</label>
+                <input type="password" id="syncPin" class="form-input" autocomplete="off" placeholder="Only when joining as player, if the faction has one" /></div>
+            <p style="color:var(--color-muted-text);font-size:0.9rem;margin-top:0.5rem;">Run <code>node server/sync-server.mjs</code> to host a server. The GM connects first to share the open campaign; players enter its code and the faction they play, and can only change that faction's planets, fleets and resources. Joining a campaign you do not have open downloads it into a new slot.</p>
+        `, [
+            { text: 'Cancel', className: 'btn' },
+            { text: 'Connect', className: 'btn btn-primary', close: false, onClick: async () => {
+                const serverUrl = document.getElementById('syncServerUrl').value.trim();
+                const role = document.getElementById('syncRole').value;
+                const campaignId = document.getElementById('syncCampaignCode').value.trim();
+                const factionId = role === 'player' ? document.getElementById('syncFaction').value : null;
+                if (!serverUrl || !campaignId) {
+                    this.showToast('Enter the server address and campaign code', 'error');
+                    return;
+                }
+
+                localStorage.setItem('syncServerUrl', serverUrl);
+                this.app.galaxy.save();
+                const result = await remote.connect(serverUrl, {
+                    campaignId,
+                    role,
+                    passphrase: document.getElementById('syncPassphrase').value,
+                    factionId,
+                    pin: document.getElementById('syncPin').value,
+                    data: role === 'gm' && campaignId === this.app.galaxy.id ? this.app.galaxy.toJSON() : null,
+                });
+                if (result.ok) this.closeModal();
+                // The server checked the PIN; play as that faction
+                if (result.ok && factionId) {
+                    if (this.isGMMode) this.setGMMode(false);
+                    this.factionDropdown.value = factionId;
+                    this.handleFactionSelection(factionId, true);
+                }
+                this.showToast(result.message, result.ok ? 'success' : 'error');
+            }},
+        ]);
+    }
+
+    updateRemoteSyncStatus(status, message) {
+        const btn = document.getElementById('sharedCampaignBtn');
+        if (btn) {
+            const label = { online: 'Shared Campaign: online', connecting: 'Shared Campaign: connecting…', offline: 'Shared Campaign' }[status];
+            btn.innerHTML = `<span class="menu-item-icon">🌐</span> ${label}`;
+        }
+        if (message) this.showToast(message, status === 'offline' ? 'warning' : 'info');
+    }
+
     // ── Planet GM dialogs ────────────────────────────────────────────────
 
     showAddPlanetDialog() {
@@ -2639,7 +4022,7 @@ export class UIManager {
         this.editPlanetPanelContent.innerHTML = `
             <div class="edit-planet-scroll-wrapper">
                 <div class="form-group"><label class="form-label">Planet Name</label>
-                    <input type="text" id="editPlanetName" class="form-input" value="${planet.name}" /></div>
+                    <input type="text" id="editPlanetName" class="form-input" value="${escapeHtml(planet.name)}" /></div>
                 <div class="form-group"><label class="form-label">Planet Type</label>
                     <select id="editPlanetType" class="form-select">
                         ${types.map(t => `<option value="${t}" ${t===planet.type?'selected':''}>${PLANET_TYPES[t].icon} ${PLANET_TYPES[t].name}</option>`).join('')}
@@ -2683,7 +4066,7 @@ export class UIManager {
         if (!this.selectedPlanetId) return;
         const planet = this.app.galaxy.getPlanet(this.selectedPlanetId);
         if (!planet) return;
-        this.openGenericModal('Delete Planet', `<p>Delete <strong>${planet.name}</strong>? Cannot be undone.</p>`, [
+        this.openGenericModal('Delete Planet', `<p>Delete <strong>${escapeHtml(planet.name)}</strong>? Cannot be undone.</p>`, [
             { text: 'Cancel', className: 'btn' },
             { text: 'Delete', className: 'btn btn-danger', onClick: () => {
                 this.app.removePlanet(this.selectedPlanetId);
@@ -2709,15 +4092,40 @@ export class UIManager {
                 </select></div>
             <div class="form-group"><label class="form-label">Planet</label>
                 <select id="newEventPlanet" class="form-select">
-                    ${planets.map(p => `<option value="${p.id}" ${p.id === this.selectedPlanetId ? 'selected' : ''}>${p.name}</option>`).join('')}
+                    ${planets.map(p => `<option value="${p.id}" ${p.id === this.selectedPlanetId ? 'selected' : ''}>${escapeHtml(p.name)}</option>`).join('')}
                 </select></div>
             <div id="targetPlanetGroup" class="form-group" style="display:none;">
                 <label class="form-label">Target Planet (for Wormholes)</label>
                 <select id="newEventTargetPlanet" class="form-select">
                     <option value="">Select target planet</option>
-                    ${planets.map(p => `<option value="${p.id}">${p.name}</option>`).join('')}
+                    ${planets.map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`).join('')}
                 </select>
             </div>
+            <div id="eventScopeGroup" class="form-group"><label class="form-label">Covers</label>
+                <select id="newEventScope" class="form-select" onchange="window.app.ui.handleEventScopeChange()">
+                    ${Object.entries(EVENT_SCOPES).map(([id, s]) => `<option value="${id}">${s.name}</option>`).join('')}
+                </select></div>
+            <div id="eventRadiusGroup" class="form-group" style="display:none;"><label class="form-label">Radius (map units)</label>
+                <input type="number" id="newEventRadius" class="form-input" value="30" min="1" /></div>
+            <div id="eventPlanetsGroup" class="form-group" style="display:none;"><label class="form-label">Also covers</label>
+                <div style="max-height:10rem;overflow-y:auto;display:grid;grid-template-columns:repeat(auto-fill,minmax(9rem,1fr));gap:.25rem;">
+                    ${planets.map(p => `<label style="font-size:.8rem;"><input type="checkbox" class="event-scope-planet" value="${p.id}" /> ${escapeHtml(p.name)}</label>`).join('')}
+                </div></div>
+            <div id="eventMotionGroup" class="form-group"><label class="form-label">Movement</label>
+                <select id="newEventMotion" class="form-select" onchange="window.app.ui.handleEventScopeChange()">
+                    ${Object.entries(EVENT_MOTIONS).map(([id, m]) => `<option value="${id}">${m.name}</option>`).join('')}
+                </select></div>
+            <div id="eventMotionOptions" style="display:none;">
+                <div class="form-group"><label class="form-label">Chance each turn (%)</label>
+                    <input type="number" id="newEventMotionChance" class="form-input" value="50" min="0" max="100" /></div>
+                <div id="eventDriftTargetGroup" class="form-group"><label class="form-label">Drift towards</label>
+                    <select id="newEventDriftTarget" class="form-select">
+                        <option value="">Random connection</option>
+                        ${planets.map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`).join('')}
+                    </select></div>
+                <div id="eventSpreadLifetimeGroup" class="form-group"><label class="form-label">Each copy lasts (turns, empty = as long as this event)</label>
+                    <input type="number" id="newEventSpreadLifetime" class="form-input" min="1" max="10" /></div>
+            </div>
             <div class="form-group"><label class="form-label">Starts in (turns)</label>
                 <input type="number" id="newEventStartTurn" class="form-input" value="0" min="0" max="20" /></div>
             <div class="form-group"><label class="form-label">Duration (turns)</label>
@@ -2740,8 +4148,13 @@ export class UIManager {
                     this.app.renderGalaxy();
                     this.showToast('Wormhole added', 'success');
                 } else {
-                    this.app.galaxy.addEvent(eventType, planetId, duration, startTurn);
+                    const scope = this.readEventScope(planetId);
+                    if (!scope) return;
+                    this.app.galaxy.addEvent(eventType, planetId, duration, startTurn, scope, this.readEventMotion(scope));
                     this.app.renderGalaxy();
+                    // Events that start right away may already have paid out
+                    this.updateFactionStats();
+                    this.updateResourceBar();
                     this.showToast('Event added', 'success');
                 }
             }}
@@ -2757,6 +4170,81 @@ export class UIManager {
         } else {
             targetGroup.style.display = 'none';
         }
+        document.getElementById('eventScopeGroup').style.display = eventType === 'WORMHOLE' ? 'none' : 'block';
+        this.handleEventScopeChange();
+    }
+
+    handleEventScopeChange() {
+        const wormhole = document.getElementById('eventScopeGroup').style.display === 'none';
+        const scope = wormhole ? 'planet' : document.getElementById('newEventScope').value;
+        document.getElementById('eventRadiusGroup').style.display = scope === 'radius' ? 'block' : 'none';
+        document.getElementById('eventPlanetsGroup').style.display = scope === 'planets' ? 'block' : 'none';
+
+        // Only single-planet events move
+        const canMove = !wormhole && scope === 'planet';
+        const motion = canMove ? document.getElementById('newEventMotion').value : 'none';
+        document.getElementById('eventMotionGroup').style.display = canMove ? 'block' : 'none';
+        document.getElementById('eventMotionOptions').style.display = motion === 'none' ? 'none' : 'block';
+        document.getElementById('eventDriftTargetGroup').style.display = motion === 'drift' ? 'block' : 'none';
+        document.getElementById('eventSpreadLifetimeGroup').style.display = motion === 'spread' ? 'block' : 'none';
+    }
+
+    /**
+     * Read the movement chosen in the add-event dialog
+     * @param {Object} scope - Scope from readEventScope
+     * @returns {Object|null} Motion, or null if the event stays put
+     */
+    readEventMotion(scope) {
+        const type = document.getElementById('newEventMotion').value;
+        if (scope.type !== 'planet' || type === 'none') return null;
+        return {
+            type,
+            chance: document.getElementById('newEventMotionChance').value,
+            targetPlanetId: document.getElementById('newEventDriftTarget').value || null,
+            lifetime: document.getElementById('newEventSpreadLifetime').value,
+        };
+    }
+
+    /**
+     * Read the scope chosen in the add-event dialog
+     * @param {string} planetId - Planet the event is placed on
+     * @returns {Object|null} Scope, or null (with a toast) if it is incomplete
+     */
+    readEventScope(planetId) {
+        const type = document.getElementById('newEventScope').value;
+        if (type === 'sector') {
+            const sector = this.app.galaxy.getSectorForPlanet(planetId);
+            if (!sector) {
+                this.showToast('That planet is not in a sector', 'warning');
+                return null;
+            }
+            return { type, sectorId: sector.id };
+        }
+        if (type === 'radius') {
+            const radius = parseFloat(document.getElementById('newEventRadius').value);
+            if (!(radius > 0)) {
+                this.showToast('Enter a radius above 0', 'warning');
+                return null;
+            }
+            return { type, radius };
+        }
+        if (type === 'planets') {
+            const planetIds = [...document.querySelectorAll('.event-scope-planet:checked')].map(el => el.value);
+            return { type, planetIds };
+        }
+        return { type };
+    }
+
+    /**
+     * Where a moving event has been, most recent last
+     * @param {CampaignEvent} event - Event
+     * @returns {string} HTML, empty for events that never moved
+     */
+    renderEventPath(event) {
+        const path = event.path;
+        if (path.length < 2) return '';
+        const steps = path.slice(-6).map(step => `${this.app.galaxy.getPlanet(step.planetId)?.name || '?'} (T${step.turn})`);
+        return `<br><span style="font-size:.7rem;color:var(--color-muted-text);">${path.length > 6 ? '… → ' : ''}${steps.join(' → ')}</span>`;
     }
 
     // ── Resource / faction management ────────────────────────────────────
@@ -3043,6 +4531,12 @@ export class UIManager {
                 displayValue = displayValue.split(',').map(keyword => 
                     `<span class="keyword-tag" style="background:var(--color-button-background);color:var(--color-primary-accent);padding:2px 6px;border-radius:3px;margin:2px;font-size:0.8rem;">${keyword.trim()}</span>`
                 ).join(' ');
+            } else if (typeof value === 'number') {
+                // Show the value after modifiers next to the base value
+                const effective = this.app.galaxy.getEffectiveValue(planet.id, valueDef.id);
+                if (effective !== value) {
+                    displayValue = `${value} <span style="color:var(--color-primary-accent);">(${effective})</span>`;
+                }
             }
             
             return `
@@ -3221,7 +4715,13 @@ export class UIManager {
         ], { closeOnOutsideClick: false });
     }
 
-    deleteFaction(id) { this.app.factionManager.delete(id); this.showToast('Faction deleted','success'); this.showManageFactions(); }
+    deleteFaction(id) {
+        this.app.factionManager.delete(id);
+        this.app.galaxy.playerManager.unassignFaction(id);
+        this.app.galaxy.save();
+        this.showToast('Faction deleted','success');
+        this.showManageFactions();
+    }
 
     showEditActiveFactionDialog() {
         const factionId = this.getActiveFaction();
@@ -3268,6 +4768,192 @@ export class UIManager {
         ], { closeOnOutsideClick: false });
     }
 
+    // ── GM access ────────────────────────────────────────────────────────
+
+    promptGMPassphrase() {
+        const unlock = async () => {
+            const passphrase = document.getElementById('gmPassphrase').value;
+            if (!await this.app.galaxy.gmAccess.verify(passphrase)) {
+                this.showToast('Incorrect passphrase', 'error');
+                return;
+            }
+            this.closeModal();
+            this.setGMMode(true);
+        };
+
+        this.openGenericModal('🔒 GM Mode', `
+            <div class="form-group"><label class="form-label">GM Passphrase</label>
+                <input type="password" id="gmPassphrase" class="form-input" autocomplete="off"
+                    onkeydown="if (event.key === 'Enter') document.getElementById('gmPassphraseUnlock').click()" /></div>
+        `, [
+            { text: 'Cancel', className: 'btn' },
+            { text: 'Unlock', className: 'btn btn-primary', close: false, onClick: unlock },
+        ]);
+        const unlockBtn = [...document.getElementById('genericModalFooter').children].pop();
+        unlockBtn.id = 'gmPassphraseUnlock';
+        document.getElementById('gmPassphrase').focus();
+    }
+
+    /**
+     * Track activity while in GM mode and drop back to player mode once the
+     * campaign's GM timeout passes. Only applies while a passphrase is set.
+     */
+    startGMIdleWatch() {
+        this.gmLastActivity = Date.now();
+        if (this.gmIdleInterval) return;
+
+        this.gmActivityHandler = this.gmActivityHandler || (() => { this.gmLastActivity = Date.now(); });
+        ['pointerdown', 'keydown', 'wheel'].forEach(type =>
+            document.addEventListener(type, this.gmActivityHandler, { capture: true, passive: true }));
+
+        this.gmIdleInterval = setInterval(() => {
+            const access = this.app.galaxy.gmAccess;
+            if (!this.isGMMode || !access.hasPassphrase()) return;
+            if (Date.now() - this.gmLastActivity >= access.timeoutMinutes * 60000) {
+                this.setGMMode(false, 'GM mode locked after inactivity');
+            }
+        }, 15000);
+    }
+
+    stopGMIdleWatch() {
+        clearInterval(this.gmIdleInterval);
+        this.gmIdleInterval = null;
+        if (!this.gmActivityHandler) return;
+        ['pointerdown', 'keydown', 'wheel'].forEach(type =>
+            document.removeEventListener(type, this.gmActivityHandler, { capture: true }));
+    }
+
+    showGMPassphraseDialog() {
+        const access = this.app.galaxy.gmAccess;
+        const isSet = access.hasPassphrase();
+
+        const save = async () => {
+            const passphrase = document.getElementById('gmNewPassphrase').value;
+            if (passphrase !== document.getElementById('gmConfirmPassphrase').value) {
+                this.showToast('Passphrases do not match', 'error');
+                return;
+            }
+            access.timeoutMinutes = document.getElementById('gmTimeoutMinutes').value;
+            if (passphrase) await access.setPassphrase(passphrase);
+            this.app.galaxy.save();
+            this.closeModal();
+            this.showToast(passphrase ? 'GM passphrase set' : 'GM settings saved', 'success');
+        };
+
+        const remove = async () => {
+            if (!confirm('Remove the GM passphrase? Anyone will be able to enter GM mode.')) return;
+            await access.setPassphrase('');
+            this.app.galaxy.save();
+            this.closeModal();
+            this.showToast('GM passphrase removed', 'success');
+        };
+
+        this.openGenericModal('GM Passphrase', `
+            <div class="form-group"><label class="form-label">${isSet ? 'New passphrase' : 'Passphrase'}</label>
+                <input type="password" id="gmNewPassphrase" class="form-input" autocomplete="new-password" placeholder="${isSet ? 'Leave blank to keep' : ''}" /></div>
+            <div class="form-group"><label class="form-label">Confirm passphrase</label>
+                <input type="password" id="gmConfirmPassphrase" class="form-input" autocomplete="new-password" /></div>
+            <div class="form-group"><label class="form-label">Lock after inactivity (minutes)</label>
+                <input type="number" id="gmTimeoutMinutes" class="form-input" min="1" value="${access.timeoutMinutes}" /></div>
+            <p style="color:var(--color-muted-text);font-size:0.9rem;margin-top:0.5rem;">Entering GM mode asks for the passphrase, and GM mode ends after the set time without input. Only a salted hash is saved with the campaign.</p>
+        `, [
+            { text: 'Cancel', className: 'btn' },
+            ...(isSet ? [{ text: 'Remove', className: 'btn btn-danger', close: false, onClick: remove }] : []),
+            { text: 'Save', className: 'btn btn-primary', close: false, onClick: save },
+        ]);
+    }
+
+    // ── Player roster ────────────────────────────────────────────────────
+
+    showPlayerRoster() {
+        const players = this.app.galaxy.playerManager.getAll();
+        const list = players.length ? players.map(p => {
+            const factions = p.factionIds.map(id => {
+                const f = this.app.factionManager.getById(id);
+                return f ? `<span style="color:${f.color}">${f.symbol} ${f.name}</span>` : '';
+            }).filter(Boolean).join(', ') || '<span style="color:var(--color-muted-text)">No faction</span>';
+            return `<div class="faction-stat" style="margin-bottom:.5rem;">
+                <div class="faction-stat-header" style="display:flex;justify-content:space-between;align-items:center;">
+                    <div>
+                        <div class="faction-name">${p.pin ? '🔒 ' : ''}${p.name}</div>
+                        <div style="font-size:.8rem;">${factions}</div>
+                        ${p.contact ? `<div style="font-size:.75rem;color:var(--color-muted-text);">${p.contact}</div>` : ''}
+                    </div>
+                    <div style="display:flex;gap:.4rem;">
+                        <button class="btn" style="padding:.2rem .5rem;font-size:.75rem;" onclick="window.app.ui.showEditPlayerDialog('${p.id}')">Edit</button>
+                        <button class="btn btn-danger" style="padding:.2rem .5rem;font-size:.75rem;" onclick="window.app.ui.removePlayer('${p.id}')">Del</button>
+                    </div>
+                </div>
+            </div>`;
+        }).join('') : '<p style="color:var(--color-muted-text);font-style:italic;">No players yet.</p>';
+
+        this.openGenericModal('Player Roster', `
+            ${list}
+            <p style="color:var(--color-muted-text);font-size:0.9rem;margin-top:0.5rem;">Give a player a PIN to stop others selecting their faction in player mode. PINs are left out of exports and are only sent to the GM's sync server.</p>
+        `, [
+            { text: 'Close', className: 'btn' },
+            { text: 'Add Player', className: 'btn btn-primary', close: false, onClick: () => this.showEditPlayerDialog() },
+        ]);
+    }
+
+    showEditPlayerDialog(playerId = null) {
+        const manager = this.app.galaxy.playerManager;
+        const player = playerId ? manager.getById(playerId) : null;
+        const factions = this.app.factionManager.getAll();
+
+        this.openGenericModal(player ? `Edit Player: ${player.name}` : 'Add Player', `
+            <div class="form-group"><label class="form-label">Name</label>
+                <input type="text" id="playerName" class="form-input" value="${player?.name || ''}" maxlength="40" /></div>
+            <div class="form-group"><label class="form-label">Contact</label>
+                <input type="text" id="playerContact" class="form-input" value="${player?.contact || ''}" placeholder="Email, Discord..." /></div>
+            <div class="form-group"><label class="form-label">Factions</label>
+                ${factions.map(f => `<div><label style="color:${f.color};">
+                    <input type="checkbox" class="player-faction" value="${f.id}" ${player?.factionIds.includes(f.id) ? 'checked' : ''} /> ${f.symbol} ${f.name}
+                </label></div>`).join('')}
+            </div>
+            <div class="form-group"><label class="form-label">PIN ${player?.pin ? '(set)' : '(optional)'}</label>
+                <input type="password" id="playerPin" class="form-input" autocomplete="new-password" placeholder="${player?.pin ? 'Leave blank to keep' : `No PIN, or at least ${CONFIG.PIN_MIN_LENGTH} characters`}" /></div>
+            ${player?.pin ? '<div class="form-group"><label><input type="checkbox" id="playerClearPin" /> Remove PIN</label></div>' : ''}
+        `, [
+            { text: 'Back', className: 'btn', close: false, onClick: () => this.showPlayerRoster() },
+            { text: 'Save', className: 'btn btn-primary', close: false, onClick: async () => {
+                const pin = document.getElementById('playerPin').value;
+                const pinCheck = manager.validatePin(pin);
+                if (pin && !pinCheck.ok) {
+                    this.showToast(pinCheck.message, 'error');
+                    return;
+                }
+
+                const data = {
+                    name: document.getElementById('playerName').value,
+                    contact: document.getElementById('playerContact').value,
+                    factionIds: [...document.querySelectorAll('.player-faction:checked')].map(el => el.value),
+                };
+                const result = player ? manager.update(player.id, data) : manager.add(data);
+                if (!result.ok) {
+                    this.showToast(result.message, 'error');
+                    return;
+                }
+
+                if (pin) await manager.setPin(result.player.id, pin);
+                else if (document.getElementById('playerClearPin')?.checked) await manager.setPin(result.player.id, '');
+
+                this.app.galaxy.save();
+                this.showToast(result.message, 'success');
+                this.showPlayerRoster();
+            }},
+        ]);
+    }
+
+    removePlayer(playerId) {
+        const player = this.app.galaxy.playerManager.getById(playerId);
+        if (!player || !confirm(`Remove ${player.name} from the roster?`)) return;
+        this.app.galaxy.playerManager.remove(playerId);
+        this.app.galaxy.save();
+        this.showToast(`${player.name} removed`, 'success');
+        this.showPlayerRoster();
+    }
+
     // ── Planet GM actions ────────────────────────────────────────────────
 
     /**
@@ -3314,6 +5000,10 @@ export class UIManager {
         const planet = this.app.galaxy.getPlanet(planetId);
         const playerFaction = this.app.factionManager.getById(this.activeFactionId);
         const isOwnedByPlayer = planet.owner === this.activeFactionId;
+        if (this.app.galaxy.isAttackBlocked(planetId, this.activeFactionId)) {
+            this.showToast(`${escapeHtml(planet.name)} is protected by an orbital shield`, 'warning');
+            return;
+        }
         
         this.openGenericModal(isOwnedByPlayer ? 'Relinquish Planet' : 'Claim Planet', `
             <div class="form-group"><label class="form-label">New Owner</label>
@@ -3330,7 +5020,9 @@ export class UIManager {
             { text: 'Cancel', className: 'btn' },
             { text: isOwnedByPlayer ? 'Relinquish' : 'Claim', className: 'btn btn-primary', onClick: () => {
                 const newOwner = document.getElementById('newOwner').value || null;
-                planet.setOwner(newOwner);
+                this.runCommand(new PlanetStateCommand(this.app.galaxy, planetId,
+                    `${planet.name} → ${newOwner ? this.getFactionName(newOwner) : 'Unclaimed'}`,
+                    () => this.app.galaxy.setPlanetOwner(planetId, newOwner, this.activeFactionId)));
                 this.app.renderer.updatePlanetMesh(planet);
                 this.app.galaxy.save();
                 this.showPlanetDetails(planetId);
@@ -3360,11 +5052,16 @@ export class UIManager {
                     <option value="${BATTLE_STATUS.MAJOR}" ${planet.battleStatus===BATTLE_STATUS.MAJOR?'selected':''}>Major Battle</option>
                     <option value="${BATTLE_STATUS.SIEGE}" ${planet.battleStatus===BATTLE_STATUS.SIEGE?'selected':''}>Siege</option>
                 </select></div>
-            <p style="color:var(--color-muted-text);font-size:0.9rem;margin-top:0.5rem;">Report the battle status based on your fleet's engagement.</p>
+            <p style="color:var(--color-muted-text);font-size:0.9rem;margin-top:0.5rem;">Report the battle status based on your fleet's engagement. Choosing Siege on an enemy world declares a siege battle.</p>
         `, [
             { text: 'Cancel', className: 'btn' },
             { text: 'Set', className: 'btn btn-primary', onClick: () => {
-                planet.setBattleStatus(document.getElementById('battleStatus').value);
+                const status = document.getElementById('battleStatus').value;
+                if (status === BATTLE_STATUS.SIEGE && planet.owner && planet.owner !== this.activeFactionId) {
+                    this.declareBattle({ planetId, attackerId: this.activeFactionId, status, reason: 'siege' });
+                    return;
+                }
+                planet.setBattleStatus(status);
                 this.app.renderer.updatePlanetMesh(planet);
                 this.app.galaxy.save();
                 this.showPlanetDetails(planetId);
@@ -3385,7 +5082,10 @@ export class UIManager {
         `, [
             { text: 'Cancel', className: 'btn' },
             { text: 'Change', className: 'btn btn-primary', onClick: () => {
-                planet.setOwner(document.getElementById('newOwner').value || null);
+                const newOwner = document.getElementById('newOwner').value || null;
+                this.runCommand(new PlanetStateCommand(this.app.galaxy, planetId,
+                    `${planet.name} → ${newOwner ? this.getFactionName(newOwner) : 'Unclaimed'}`,
+                    () => this.app.galaxy.setPlanetOwner(planetId, newOwner)));
                 this.app.renderer.updatePlanetMesh(planet);
                 this.app.galaxy.save();
                 this.showPlanetDetails(planetId);
@@ -3417,6 +5117,152 @@ export class UIManager {
         ]);
     }
 
+    // ── Battles ──────────────────────────────────────────────────────────
+
+    renderBattleItem(battle) {
+        const attacker = this.app.factionManager.getById(battle.attackerId);
+        const defender = this.app.factionManager.getById(battle.defenderId);
+        const sides = `${attacker ? attacker.symbol : ''} ${this.getFactionName(battle.attackerId)} vs ${defender ? defender.symbol : ''} ${this.getFactionName(battle.defenderId)}`;
+        const zone = battle.zoneId ? this.app.galaxy.getPlanet(battle.planetId)?.surfaceZones.find(z => z.id === battle.zoneId) : null;
+
+        if (battle.result) {
+            const outcome = BATTLE_OUTCOMES[battle.result.outcome];
+            return `<div class="info-item" style="border-left:3px solid var(--color-muted-text);">
+                <div class="info-label">${outcome.icon} ${sides}</div>
+                <div class="info-value">
+                    <span style="font-size:.7rem;color:var(--color-muted-text);">${outcome.name} · Turn ${battle.result.turn}${battle.result.method === 'auto' ? ' · rolled' : ''}</span>
+                    ${battle.result.changes.length ? `<br><span style="font-size:.75rem;">${battle.result.changes.join('; ')}</span>` : ''}
+                </div>
+            </div>`;
+        }
+
+        const canResolve = this.isGMMode || [battle.attackerId, battle.defenderId].includes(this.activeFactionId);
+        return `<div class="info-item" style="border-left:3px solid ${battle.status === BATTLE_STATUS.SIEGE ? 'var(--color-danger)' : 'var(--color-warning)'};">
+            <div class="info-label">⚔️ ${sides}</div>
+            <div class="info-value">
+                <span style="font-size:.7rem;color:var(--color-warning);text-transform:uppercase;">${battle.status.replace('_', ' ')}${zone ? ` · ${escapeHtml(zone.name)}` : ''}</span>
+                <br>Since turn ${battle.startTurn}
+                ${canResolve ? `<br><button class="btn btn-sm btn-primary" onclick="window.app.ui.showResolveBattleDialog('${battle.id}')">Resolve</button>` : ''}
+            </div>
+        </div>`;
+    }
+
+    /**
+     * Run a battle change through the undo history and refresh the map
+     * @param {string} label - History label
+     * @param {Function} action - Returns a result {ok, message, battle}
+     * @returns {Object} Result
+     */
+    runBattleCommand(label, action) {
+        const result = this.runCommand(new GalaxyStateCommand(this.app.galaxy, label, action));
+        if (!result.ok) {
+            this.showToast(result.message, 'error');
+            return result;
+        }
+
+        this.app.galaxy.save();
+        this.app.renderGalaxy();
+        this.updateFactionStats();
+        if (this.selectedPlanetId) this.showPlanetDetails(this.selectedPlanetId);
+        return result;
+    }
+
+    declareBattle(data) {
+        const planet = this.app.galaxy.getPlanet(data.planetId);
+        const result = this.runBattleCommand(`Battle at ${planet?.name || 'planet'}`, () => this.app.galaxy.declareBattle(data));
+        if (result.ok) this.showToast(result.message, 'warning');
+        return result;
+    }
+
+    showDeclareBattleDialog(planetId) {
+        const planet = this.app.galaxy.getPlanet(planetId);
+        const factions = this.app.factionManager.getAll();
+        const options = selected => factions.map(f => `<option value="${f.id}" ${f.id === selected ? 'selected' : ''}>${f.symbol} ${f.name}</option>`).join('');
+
+        this.openGenericModal(`Declare Battle: ${planet.name}`, `
+            <div class="form-group"><label class="form-label">Attacker</label>
+                <select id="battleAttacker" class="form-select">${options(factions.find(f => f.id !== planet.owner)?.id)}</select></div>
+            <div class="form-group"><label class="form-label">Defender</label>
+                <select id="battleDefender" class="form-select">${options(planet.owner)}</select></div>
+            <div class="form-group"><label class="form-label">Surface Zone</label>
+                <select id="battleZone" class="form-select">
+                    <option value="">Whole planet</option>
+                    ${planet.surfaceZones.map(z => `<option value="${z.id}">${escapeHtml(z.name)}</option>`).join('')}
+                </select></div>
+            <div class="form-group"><label class="form-label">Battle Type</label>
+                <select id="battleType" class="form-select">
+                    <option value="${BATTLE_STATUS.SKIRMISH}">Skirmish</option>
+                    <option value="${BATTLE_STATUS.MAJOR}">Major Battle</option>
+                    <option value="${BATTLE_STATUS.SIEGE}">Siege</option>
+                </select></div>
+            <p style="color:var(--color-muted-text);font-size:0.9rem;margin-top:0.5rem;">A siege won by the attacker takes the planet. Other battles capture one surface zone.</p>
+        `, [
+            { text: 'Cancel', className: 'btn' },
+            { text: 'Declare', className: 'btn btn-primary', onClick: () => {
+                const status = document.getElementById('battleType').value;
+                this.declareBattle({
+                    planetId,
+                    attackerId: document.getElementById('battleAttacker').value,
+                    defenderId: document.getElementById('battleDefender').value,
+                    zoneId: document.getElementById('battleZone').value || null,
+                    status,
+                    reason: status === BATTLE_STATUS.SIEGE ? 'siege' : 'declared',
+                });
+            }}
+        ]);
+    }
+
+    showResolveBattleDialog(battleId) {
+        const battles = this.app.galaxy.battleManager;
+        const battle = battles.getById(battleId);
+        if (!battle) return;
+        const planet = this.app.galaxy.getPlanet(battle.planetId);
+        const side = (label, factionId) => {
+            const s = battles.getStrength(battle, factionId);
+            return `<div class="info-item"><div class="info-label">${label}: ${this.getFactionName(factionId)}</div>
+                <div class="info-value">Strength ${s.strength}<br><span style="font-size:.75rem;color:var(--color-muted-text);">${s.fleets} fleet(s) (${s.fleetStrength}) · Value Two ${s.value}</span></div></div>`;
+        };
+
+        const resolve = entry => {
+            const result = this.runBattleCommand(`Battle at ${planet.name} resolved`, () => this.app.galaxy.resolveBattle(battleId, entry));
+            if (!result.ok) return;
+            const { rolls, changes } = result.battle.result;
+            const rolled = rolls ? ` (${rolls.attacker.total} vs ${rolls.defender.total})` : '';
+            this.showToast(`${result.message}${rolled}${changes.length ? `: ${changes.join('; ')}` : ''}`, 'success');
+        };
+
+        const buttons = [
+            { text: 'Cancel', className: 'btn' },
+            { text: '📝 Report Game', className: 'btn', close: false, onClick: () => this.showReportBattleDialog(battle.planetId, battleId) },
+            { text: '🎲 Auto Roll', className: 'btn', onClick: () => resolve({ method: 'auto', notes: document.getElementById('battleNotes').value.trim() }) },
+            { text: 'Record Result', className: 'btn btn-primary', onClick: () => resolve({
+                method: 'tabletop',
+                outcome: document.getElementById('battleOutcome').value,
+                notes: document.getElementById('battleNotes').value.trim(),
+            }) },
+        ];
+        if (this.isGMMode) {
+            buttons.splice(1, 0, { text: 'Call Off', className: 'btn btn-danger', onClick: () => {
+                this.runBattleCommand(`Battle at ${planet.name} called off`, () => ({ ok: battles.cancel(battleId), message: 'Battle not found.' }));
+                this.showToast('Battle called off', 'info');
+            }});
+        }
+
+        this.openGenericModal(`Resolve Battle: ${planet.name}`, `
+            <div class="info-grid">
+                ${side('Attacker', battle.attackerId)}
+                ${side('Defender', battle.defenderId)}
+            </div>
+            <div class="form-group"><label class="form-label">Tabletop Result</label>
+                <select id="battleOutcome" class="form-select">
+                    ${Object.entries(BATTLE_OUTCOMES).map(([id, o]) => `<option value="${id}">${o.icon} ${o.name}</option>`).join('')}
+                </select></div>
+            <div class="form-group"><label class="form-label">Notes</label>
+                <input type="text" id="battleNotes" class="form-input" placeholder="Optional" /></div>
+            <p style="color:var(--color-muted-text);font-size:0.9rem;margin-top:0.5rem;">Auto Roll adds a D${CONFIG.BATTLE_DIE_SIDES} to each side's strength; the higher total wins.</p>
+        `, buttons);
+    }
+
     editResources(planetId) {
         const planet = this.app.galaxy.getPlanet(planetId);
         const all    = this.app.resourceManager.getAll();
@@ -3471,7 +5317,7 @@ export class UIManager {
                     ${factions.map(f => `<option value="${f.id}" ${zone.controller===f.id?'selected':''}>${f.symbol} ${f.name}</option>`).join('')}
                 </select></div>
             <div class="form-group"><label class="form-label">Zone Name</label>
-                <input type="text" id="zoneName" class="form-input" value="${zone.name}" />
+                <input type="text" id="zoneName" class="form-input" value="${escapeHtml(zone.name)}" />
             </div>
             <div class="form-group"><label class="form-label">Zone Icon</label>
                 <select id="zoneIcon" class="form-select">
@@ -3498,10 +5344,15 @@ export class UIManager {
         `, [
             { text: 'Cancel', className: 'btn' },
             { text: 'Save', className: 'btn btn-primary', onClick: () => {
-                zone.name = document.getElementById('zoneName').value || zone.name;
-                zone.controller = document.getElementById('zoneController').value || null;
-                zone.contested = document.getElementById('zoneBattleStatus').value === 'contested';
-                zone.icon = document.getElementById('zoneIcon').value || '';
+                const name = document.getElementById('zoneName').value || zone.name;
+                const controller = document.getElementById('zoneController').value || null;
+                const contested = document.getElementById('zoneBattleStatus').value === 'contested';
+                const icon = document.getElementById('zoneIcon').value || '';
+                this.runCommand(new PlanetStateCommand(this.app.galaxy, planetId, `Edit ${zone.name} on ${planet.name}`, p => {
+                    this.app.galaxy.setZoneController(planetId, zoneId, controller);
+                    const target = p.surfaceZones.find(z => z.id === zoneId);
+                    Object.assign(target, { name, contested, icon });
+                }));
                 this.app.galaxy.save();
                 this.app.renderer.updatePlanetMesh(planet);
                 this.showPlanetDetails(planetId);
@@ -3543,17 +5394,24 @@ export class UIManager {
         const zone = planet.surfaceZones.find(z => z.id === zoneId);
         const playerFaction = this.app.factionManager.getById(this.activeFactionId);
         const isControlledByPlayer = zone.controller === this.activeFactionId;
+        if (this.app.galaxy.isAttackBlocked(planetId, this.activeFactionId)) {
+            this.showToast(`${escapeHtml(planet.name)} is protected by an orbital shield`, 'warning');
+            return;
+        }
         
+        const newController = isControlledByPlayer ? null : this.activeFactionId;
+        this.runCommand(new PlanetStateCommand(this.app.galaxy, planetId,
+            `${zone.name} on ${planet.name} → ${newController ? this.getFactionName(newController) : 'nobody'}`,
+            () => this.app.galaxy.setZoneController(planetId, zoneId, newController, this.activeFactionId)));
+
         if (isControlledByPlayer) {
             // Relinquish control
-            zone.controller = null;
-            this.showToast(`Relinquished control of ${zone.name}`, 'info');
+            this.showToast(`Relinquished control of ${escapeHtml(zone.name)}`, 'info');
         } else {
             // Take control - but preserve contested status if it exists
-            zone.controller = this.activeFactionId;
             const factionName = playerFaction ? playerFaction.name : 'Unknown Faction';
             const factionSymbol = playerFaction ? playerFaction.symbol : '?';
-            this.showToast(`${factionSymbol} ${factionName} took control of ${zone.name}`, 'success');
+            this.showToast(`${factionSymbol} ${factionName} took control of ${escapeHtml(zone.name)}`, 'success');
         }
         
         this.app.galaxy.save();
@@ -3568,7 +5426,8 @@ export class UIManager {
         const content = `
             <div class="settings-content">
                 <div class="settings-info">
-                    <p>Storage used: ${StorageService.getStorageSize()} KB</p>
+                    <p>Campaigns stored in: ${StorageService.getCampaignBackend()}</p>
+                    <p>Settings storage used: ${StorageService.getStorageSize()} KB</p>
                 </div>
                 <div class="settings-actions">
                     <button id="saveCampaignFromSettingsBtn" class="menu-item-btn"><span class="menu-item-icon">💾</span> Save Campaign</button>
@@ -5437,6 +7296,237 @@ export class UIManager {
         });
     }
 
+    // ── Campaign journal ─────────────────────────────────────────────────
+
+    showJournalPanel(filter = {}) {
+        const journal = this.app.galaxy.journal;
+        const turnOptions = journal.getTurns()
+            .map(t => `<option value="${t}" ${filter.turn === t ? 'selected' : ''}>Turn ${t}</option>`).join('');
+        const factionOptions = this.app.factionManager.getAll()
+            .map(f => `<option value="${f.id}" ${filter.factionId === f.id ? 'selected' : ''}>${f.symbol} ${f.name}</option>`).join('');
+        const typeOptions = Object.entries(JOURNAL_ENTRY_TYPES)
+            .map(([id, t]) => `<option value="${id}" ${filter.type === id ? 'selected' : ''}>${t.icon} ${t.name}</option>`).join('');
+
+        this.openGenericModal('📖 Campaign Journal', `
+            <div class="journal-filters">
+                <select id="journalTurnFilter" class="form-select" onchange="window.app.ui.renderJournalEntries()">
+                    <option value="">All turns</option>${turnOptions}
+                </select>
+                <select id="journalFactionFilter" class="form-select" onchange="window.app.ui.renderJournalEntries()">
+                    <option value="">All factions</option>${factionOptions}
+                </select>
+                <select id="journalTypeFilter" class="form-select" onchange="window.app.ui.renderJournalEntries()">
+                    <option value="">All changes</option>${typeOptions}
+                </select>
+            </div>
+            <div id="journalEntries" class="journal-entries"></div>
+        `, [{ text: 'Close', className: 'btn' }]);
+
+        this.renderJournalEntries();
+    }
+
+    renderJournalEntries() {
+        const container = document.getElementById('journalEntries');
+        if (!container) return;
+
+        const turnValue = document.getElementById('journalTurnFilter')?.value;
+        const entries = this.app.galaxy.journal.getEntries({
+            turn: turnValue ? parseInt(turnValue) : null,
+            factionId: document.getElementById('journalFactionFilter')?.value || null,
+            type: document.getElementById('journalTypeFilter')?.value || null,
+        });
+
+        if (entries.length === 0) {
+            container.innerHTML = '<p class="journal-empty">Nothing recorded for this selection.</p>';
+            return;
+        }
+
+        let lastTurn = null;
+        container.innerHTML = entries.map(entry => {
+            const type = JOURNAL_ENTRY_TYPES[entry.type] || { icon: '•', name: entry.type };
+            const actor = entry.factionId ? this.app.factionManager.getById(entry.factionId) : null;
+            const turnHeader = entry.turn !== lastTurn ? `<h4 class="journal-turn">Turn ${entry.turn}</h4>` : '';
+            lastTurn = entry.turn;
+            return `${turnHeader}
+                <div class="journal-entry" title="${new Date(entry.timestamp).toLocaleString()}">
+                    <span class="journal-icon" title="${type.name}">${type.icon}</span>
+                    ${actor ? `<span class="journal-actor" style="color:${actor.color}">${actor.symbol} ${actor.name}</span>` : ''}
+                    <span class="journal-summary">${this.formatJournalText(entry.summary)}</span>
+                </div>`;
+        }).join('');
+    }
+
+    /**
+     * Escape journal text and replace its {faction:ID} tokens with faction names
+     */
+    formatJournalText(text) {
+        return escapeHtml(text).replace(/\{faction:([^}]+)\}/g, (match, factionId) => {
+            const faction = this.app.factionManager.getById(factionId);
+            return faction
+                ? `<span style="color:${faction.color}">${faction.symbol} ${escapeHtml(faction.name)}</span>`
+                : 'Unknown faction';
+        });
+    }
+
+    // ── Battle reports ───────────────────────────────────────────────────
+
+    renderBattleReportItem(report, showPlanet = true) {
+        const planet = this.app.galaxy.getPlanet(report.planetId);
+        const zone = report.zoneId ? planet?.surfaceZones.find(z => z.id === report.zoneId) : null;
+        const sides = report.participants.map(p => {
+            const f = this.app.factionManager.getById(p.factionId);
+            const name = `${f ? f.symbol : ''} ${this.getFactionName(p.factionId)}${p.score !== null ? ` ${p.score}` : ''}`;
+            return `<span style="color:${f ? f.color : 'inherit'};${p.factionId === report.winnerId ? 'font-weight:700;' : ''}">${name}</span>`;
+        }).join(' vs ');
+
+        return `<div class="report-entry">
+            <div>${sides} ${report.winnerId ? '' : '<span class="report-meta">(draw)</span>'}</div>
+            <div class="report-meta">${report.date} · Turn ${report.turn}${showPlanet ? ` · ${escapeHtml(planet?.name || 'Unknown planet')}` : ''}${zone ? ` · ${escapeHtml(zone.name)}` : ''}${report.mission ? ` · ${escapeHtml(report.mission)}` : ''}</div>
+            ${report.changes.length ? `<div class="report-meta">${escapeHtml(report.changes.join('; '))}</div>` : ''}
+            ${report.notes ? `<div class="report-meta" style="font-style:italic;">${escapeHtml(report.notes)}</div>` : ''}
+        </div>`;
+    }
+
+    showReportBattleDialog(planetId, battleId = null) {
+        const planet = this.app.galaxy.getPlanet(planetId);
+        const factions = this.app.factionManager.getAll();
+        const openBattles = this.app.galaxy.battleManager.getActiveForPlanet(planetId);
+        const linked = openBattles.find(b => b.id === battleId);
+        const preselected = linked
+            ? [linked.attackerId, linked.defenderId]
+            : [this.activeFactionId, planet.owner].filter(Boolean);
+
+        this.openGenericModal(`📝 Report Battle: ${planet.name}`, `
+            ${openBattles.length ? `<div class="form-group"><label class="form-label">Decides Battle</label>
+                <select id="reportBattle" class="form-select">
+                    <option value="">None (standalone game)</option>
+                    ${openBattles.map(b => `<option value="${b.id}" ${b.id === battleId ? 'selected' : ''}>${this.getFactionName(b.attackerId)} vs ${this.getFactionName(b.defenderId)}</option>`).join('')}
+                </select></div>` : ''}
+            <div class="form-group"><label class="form-label">Surface Zone</label>
+                <select id="reportZone" class="form-select">
+                    <option value="">Whole planet</option>
+                    ${planet.surfaceZones.map(z => `<option value="${z.id}">${escapeHtml(z.name)}</option>`).join('')}
+                </select></div>
+            <div class="form-group"><label class="form-label">Mission</label>
+                <input type="text" id="reportMission" class="form-input" placeholder="e.g. Take and Hold" /></div>
+            <div class="form-group"><label class="form-label">Date Played</label>
+                <input type="date" id="reportDate" class="form-input" value="${new Date().toISOString().slice(0, 10)}" /></div>
+            <div class="form-group"><label class="form-label">Participants &amp; Scores</label>
+                ${factions.map(f => `<div style="display:flex;gap:.5rem;align-items:center;margin-bottom:.25rem;">
+                    <input type="checkbox" id="reportIn-${f.id}" ${preselected.includes(f.id) ? 'checked' : ''} />
+                    <label for="reportIn-${f.id}" style="flex:1;color:${f.color};">${f.symbol} ${f.name}</label>
+                    <input type="number" id="reportScore-${f.id}" class="form-input" style="width:6rem;" placeholder="Score" />
+                </div>`).join('')}
+            </div>
+            <div class="form-group"><label class="form-label">Winner</label>
+                <select id="reportWinner" class="form-select">
+                    <option value="auto">Highest score</option>
+                    <option value="draw">Draw</option>
+                    ${factions.map(f => `<option value="${f.id}">${f.symbol} ${f.name}</option>`).join('')}
+                </select></div>
+            <div class="form-group"><label class="form-label">Notes</label>
+                <input type="text" id="reportNotes" class="form-input" placeholder="Optional" /></div>
+        `, [
+            { text: 'Cancel', className: 'btn' },
+            { text: 'Submit Report', className: 'btn btn-primary', onClick: () => {
+                const participants = factions
+                    .filter(f => document.getElementById(`reportIn-${f.id}`).checked)
+                    .map(f => {
+                        const score = document.getElementById(`reportScore-${f.id}`).value;
+                        return { factionId: f.id, score: score === '' ? null : Number(score) };
+                    });
+                const winner = document.getElementById('reportWinner').value;
+                const result = this.runBattleCommand(`Battle report at ${planet.name}`, () => this.app.galaxy.reportBattle({
+                    planetId,
+                    zoneId: document.getElementById('reportZone').value || null,
+                    battleId: document.getElementById('reportBattle')?.value || null,
+                    participants,
+                    mission: document.getElementById('reportMission').value.trim(),
+                    date: document.getElementById('reportDate').value,
+                    winnerId: winner === 'auto' ? undefined : (winner === 'draw' ? null : winner),
+                    notes: document.getElementById('reportNotes').value.trim(),
+                }));
+                if (!result.ok) return;
+                this.updateResourceBar();
+                const { changes } = result.report;
+                this.showToast(`${result.message}${changes.length ? `: ${changes.join('; ')}` : ''}`, 'success');
+            }}
+        ]);
+    }
+
+    showBattleReports(filter = {}) {
+        const factionOptions = this.app.factionManager.getAll()
+            .map(f => `<option value="${f.id}" ${filter.factionId === f.id ? 'selected' : ''}>${f.symbol} ${f.name}</option>`).join('');
+        const planetOptions = [...this.app.galaxy.planets].sort((a, b) => a.name.localeCompare(b.name))
+            .map(p => `<option value="${p.id}" ${filter.planetId === p.id ? 'selected' : ''}>${escapeHtml(p.name)}</option>`).join('');
+
+        this.openGenericModal('⚔️ Battle Reports', `
+            <div class="journal-filters">
+                <select id="reportFactionFilter" class="form-select" onchange="window.app.ui.renderBattleReports()">
+                    <option value="">All factions</option>${factionOptions}
+                </select>
+                <select id="reportPlanetFilter" class="form-select" onchange="window.app.ui.renderBattleReports()">
+                    <option value="">All planets</option>${planetOptions}
+                </select>
+            </div>
+            <div id="battleReportList" class="journal-entries"></div>
+        `, [{ text: 'Close', className: 'btn' }]);
+
+        this.renderBattleReports();
+    }
+
+    renderBattleReports() {
+        const container = document.getElementById('battleReportList');
+        if (!container) return;
+
+        const reports = this.app.galaxy.battleReportManager;
+        const factionId = document.getElementById('reportFactionFilter')?.value;
+        const planetId = document.getElementById('reportPlanetFilter')?.value;
+        const list = (factionId ? reports.getForFaction(factionId) : reports.getAll())
+            .filter(r => !planetId || r.planetId === planetId);
+
+        container.innerHTML = list.length
+            ? list.map(r => this.renderBattleReportItem(r)).join('')
+            : '<p class="journal-empty">No battles reported for this selection.</p>';
+    }
+
+    showBattleReportRulesDialog() {
+        const rules = this.app.galaxy.battleReportManager.getRules();
+        const resources = this.app.resourceManager.getAll();
+        const rewardRow = (key, label) => `<div class="form-group"><label class="form-label">${label}</label>
+            <div class="info-grid">${resources.map(r => `<div class="info-item"><div class="info-label">${r.icon} ${r.name}</div>
+                <input type="number" id="rule-${key}-${r.id}" class="form-input" value="${rules[key]?.[r.id] || 0}" min="0" /></div>`).join('')}</div></div>`;
+
+        this.openGenericModal('Battle Report Rules', `
+            <div class="form-group"><label><input type="checkbox" id="ruleCaptureZone" ${rules.captureZone ? 'checked' : ''} /> Winner captures a surface zone</label></div>
+            <div class="form-group"><label class="form-label">Value One change after a decisive result</label>
+                <input type="number" id="ruleValueOne" class="form-input" value="${rules.valueOneChange}" /></div>
+            <div class="form-group"><label class="form-label">Value Two change after a decisive result</label>
+                <input type="number" id="ruleValueTwo" class="form-input" value="${rules.valueTwoChange}" /></div>
+            ${rewardRow('winnerReward', 'Winner Reward')}
+            ${rewardRow('loserReward', 'Other Participants Reward')}
+            ${rewardRow('drawReward', 'Draw Reward (each participant)')}
+            <p style="color:var(--color-muted-text);font-size:0.9rem;margin-top:0.5rem;">Reports that decide an open battle use the battle's own zone and ownership rules.</p>
+        `, [
+            { text: 'Cancel', className: 'btn' },
+            { text: 'Save', className: 'btn btn-primary', onClick: () => {
+                const reward = key => Object.fromEntries(resources
+                    .map(r => [r.id, parseInt(document.getElementById(`rule-${key}-${r.id}`).value) || 0])
+                    .filter(([, amount]) => amount > 0));
+                this.app.galaxy.battleReportManager.setRules({
+                    captureZone: document.getElementById('ruleCaptureZone').checked,
+                    valueOneChange: parseInt(document.getElementById('ruleValueOne').value) || 0,
+                    valueTwoChange: parseInt(document.getElementById('ruleValueTwo').value) || 0,
+                    winnerReward: reward('winnerReward'),
+                    loserReward: reward('loserReward'),
+                    drawReward: reward('drawReward'),
+                });
+                this.app.galaxy.save();
+                this.showToast('Battle report rules saved', 'success');
+            }}
+        ]);
+    }
+
     // ── Galactic Orders UI ───────────────────────────────────────────────────────
 
     showGalacticOrderPanel() {
@@ -5624,8 +7714,11 @@ export class UIManager {
         
         Object.values(STRATAGEMS).forEach(strat => {
             const onCooldown = this.app.galaxy.isStratagemOnCooldown(factionId, strat.id);
-            const cooldownTurns = this.app.galaxy.stratagemCooldowns[factionId]?.[strat.id] || 0;
+            const cooldownTurns = this.app.galaxy.stratagemManager.getCooldown(factionId, strat.id);
             const canAffordStratagem = canAfford(this.app.galaxy.playerResources, factionId, strat.cost);
+            // The sync server only lets players change their own planets (see StratagemManager#affectsOtherFactions)
+            const gmOnly = this.app.remoteSync.role === 'player' && !this.isQueuingOrders()
+                && this.app.galaxy.stratagemManager.affectsOtherFactions(strat.id);
             
             let statusClass = '';
             let statusText = '';
@@ -5636,6 +7729,9 @@ export class UIManager {
             } else if (!canAffordStratagem) {
                 statusClass = 'cannot-afford';
                 statusText = 'Insufficient resources';
+            } else if (gmOnly) {
+                statusClass = 'cannot-afford';
+                statusText = 'Shared campaign: queue it in the orders phase or ask the GM';
             }
             
             const allResources = this.app.resourceManager?.getAll() || DEFAULT_RESOURCE_TYPES;
@@ -5657,7 +7753,7 @@ export class UIManager {
                     <div class="stratagem-description">${strat.description}</div>
                     <div class="stratagem-cost">Cost: ${costHTML}</div>
                     ${statusText ? `<div class="stratagem-status">${statusText}</div>` : ''}
-                    ${!onCooldown && canAffordStratagem ? `<button class="use-stratagem-btn" data-id="${strat.id}">Activate</button>` : ''}
+                    ${!onCooldown && canAffordStratagem && !gmOnly ? `<button class="use-stratagem-btn" data-id="${strat.id}">Activate</button>` : ''}
                 </div>
             `;
         });
@@ -5676,26 +7772,58 @@ export class UIManager {
     }
 
     activateStratagem(factionId, stratagemId) {
-        const STRATAGEMS = this.app.galaxy.constructor.STRATAGEMS || {};
         const stratagem = STRATAGEMS[stratagemId];
-        
         if (!stratagem) return;
-        
-        if (stratagem.targetRequired) {
-            this.showToast('Select a target planet', 'info');
-            this.closeModal();
-            // Set up click handler for planet selection
-            this.pendingStratagemActivation = { factionId, stratagemId };
+        this.closeModal();
+
+        if (!stratagem.targetRequired) {
+            this.useStratagemOnPlanet(factionId, stratagemId, null);
             return;
         }
-        
-        const result = this.app.useStratagem(factionId, stratagemId);
+
+        // Like shop items, target the selected planet; otherwise wait for a click
+        if (this.selectedPlanetId) {
+            this.useStratagemOnPlanet(factionId, stratagemId, this.selectedPlanetId);
+            return;
+        }
+
+        this.pendingStratagemActivation = { factionId, stratagemId };
+        this.showToast(`Select a target planet for ${stratagem.name} (Esc to cancel)`, 'info');
+    }
+
+    useStratagemOnPlanet(factionId, stratagemId, planetId) {
+        const stratagem = STRATAGEMS[stratagemId];
+        if (stratagem.effects?.some(effect => effect.type === 'move_fleet' && effect.mode === 'jump')) {
+            this.chooseStratagemFleet(factionId, stratagemId, planetId);
+            return;
+        }
+
+        const result = this.app.useStratagem(factionId, stratagemId, planetId);
         this.showToast(result.message, result.ok ? 'success' : 'error');
-        
-        if (result.ok) {
-            this.closeModal();
-            this.updateResourceBar();
+    }
+
+    chooseStratagemFleet(factionId, stratagemId, planetId) {
+        const stratagem = STRATAGEMS[stratagemId];
+        const planet = this.app.galaxy.getPlanet(planetId);
+        const fleets = this.app.galaxy.shipManager.getByFaction(factionId).filter(s => s.planetId !== planetId);
+        if (!fleets.length) {
+            this.showToast(`No fleet can jump to ${escapeHtml(planet.name)}`, 'warning');
+            return;
         }
+
+        this.openGenericModal(`${stratagem.icon} ${stratagem.name}`, `
+            <div class="form-group"><label class="form-label">Fleet to jump to ${escapeHtml(planet.name)}</label>
+                <select id="stratagemFleet" class="form-select">
+                    ${fleets.map(s => `<option value="${s.id}">${escapeHtml(s.name)} (${escapeHtml(this.app.galaxy.getPlanet(s.planetId)?.name || 'unknown')})</option>`).join('')}
+                </select></div>
+        `, [
+            { text: 'Cancel', className: 'btn' },
+            { text: 'Jump', className: 'btn btn-primary', onClick: () => {
+                const shipId = document.getElementById('stratagemFleet').value;
+                const result = this.app.useStratagem(factionId, stratagemId, planetId, { shipId });
+                this.showToast(result.message, result.ok ? 'success' : 'error');
+            }}
+        ]);
     }
 
     // ── Auto-Distribution UI ─────────────────────────────────────────────────
@@ -6177,7 +8305,7 @@ export class UIManager {
                 <div class="form-group">
                     <label>Selected Planet:</label>
                     <div style="background: var(--color-iron); border: 1px solid var(--color-gold-dim); padding: var(--space-sm); border-radius: 4px; margin-bottom: var(--space-md);">
-                        <strong>${selectedPlanet.name}</strong><br>
+                        <strong>${escapeHtml(selectedPlanet.name)}</strong><br>
                         <small>Owner: ${faction ? faction.symbol + ' ' + faction.name : 'Neutral'}</small><br>
                         <small>Type: ${selectedPlanet.type}</small>
                     </div>
@@ -6187,7 +8315,7 @@ export class UIManager {
             // Show planet selector if no planet is selected
             const planets = this.app.galaxy.planets;
             const planetOptions = planets.map(p => 
-                `<option value="${p.id}">${p.name} (${p.owner ? factions.find(f => f.id === p.owner)?.symbol : 'Neutral'})</option>`
+                `<option value="${p.id}">${escapeHtml(p.name)} (${p.owner ? factions.find(f => f.id === p.owner)?.symbol : 'Neutral'})</option>`
             ).join('');
             
             planetSelection = `
@@ -6283,9 +8411,9 @@ export class UIManager {
                 <div class="fleet-item" style="border: 1px solid var(--color-gold-dim); padding: var(--space-md); margin-bottom: var(--space-sm); border-radius: 4px;">
                     <div style="display: flex; justify-content: space-between; align-items: center;">
                         <div>
-                            <strong>${ship.name}</strong><br>
+                            <strong>${escapeHtml(ship.name)}</strong><br>
                             <small>Faction: ${faction ? faction.symbol + ' ' + faction.name : 'Unknown'}</small><br>
-                            <small>Location: ${planet ? planet.name : 'Unknown'}</small><br>
+                            <small>Location: ${planet ? escapeHtml(planet.name) : 'Unknown'}</small><br>
                             <small>Created: ${new Date(ship.createdAt).toLocaleDateString()}</small>
                         </div>
                         <button class="btn btn-danger" onclick="window.app.ui.removeFleet('${ship.id}')">Remove</button>
@@ -6320,7 +8448,7 @@ export class UIManager {
         // Save state
         this.app.galaxy.save();
         
-        this.showToast(`Fleet "${ship.name}" removed`, 'success');
+        this.showToast(`Fleet "${escapeHtml(ship.name)}" removed`, 'success');
         
         // Refresh the dialog
         this.showManageFleetsDialog();
@@ -0,0 +1,273 @@
+/**
+ * @fileoverview Reports of tabletop games and the map changes they cause
+ * @module modules/BattleReportSystem
+ */
+
+import { DEFAULT_BATTLE_REPORT_RULES } from '../config/constants.js';
+import { addResources, deepClone, generateId } from '../utils/helpers.js';
+import { factionToken } from './JournalSystem.js';
+
+/**
+ * Stores battle reports and applies the campaign's report rules. A report is
+ * { id, planetId, zoneId, battleId, participants: [{factionId, score}],
+ *   mission, date, winnerId, notes, turn, changes, createdAt }
+ * - winnerId null is a draw
+ * - battleId links the report to an open battle (modules/BattleSystem.js);
+ *   that battle is resolved with the reported result and handles zone
+ *   capture, ownership and fleets itself
+ * @class BattleReportManager
+ */
+export class BattleReportManager {
+  constructor(galaxy) {
+    this._galaxy = galaxy;
+    this._reports = [];
+    this._rules = deepClone(DEFAULT_BATTLE_REPORT_RULES);
+  }
+
+  /**
+   * Get the report rules in use
+   * @returns {Object} Rules (see DEFAULT_BATTLE_REPORT_RULES)
+   */
+  getRules() {
+    return deepClone(this._rules);
+  }
+
+  /**
+   * Change the report rules
+   * @param {Object} rules - Rules to override
+   */
+  setRules(rules) {
+    this._rules = { ...this._rules, ...deepClone(rules) };
+    this._galaxy._lastModified = Date.now();
+  }
+
+  /**
+   * Get all reports, newest first
+   * @returns {Array} Reports
+   */
+  getAll() {
+    return [...this._reports].reverse();
+  }
+
+  /**
+   * Get report by ID
+   * @param {string} reportId - Report ID
+   * @returns {Object|undefined} Report or undefined
+   */
+  getById(reportId) {
+    return this._reports.find(r => r.id === reportId);
+  }
+
+  /**
+   * Get reports of battles fought on a planet, newest first
+   * @param {string} planetId - Planet ID
+   * @returns {Array} Reports
+   */
+  getForPlanet(planetId) {
+    return this.getAll().filter(r => r.planetId === planetId);
+  }
+
+  /**
+   * Get reports a faction took part in, newest first
+   * @param {string} factionId - Faction ID
+   * @returns {Array} Reports
+   */
+  getForFaction(factionId) {
+    return this.getAll().filter(r => r.participants.some(p => p.factionId === factionId));
+  }
+
+  /**
+   * Record a tabletop battle and apply the report rules
+   * @param {Object} data - Report data
+   * @param {string} data.planetId - Planet fought over
+   * @param {string|null} data.zoneId - Surface zone fought over
+   * @param {string|null} data.battleId - Open battle this game decides
+   * @param {Array} data.participants - [{factionId, score}]
+   * @param {string} data.mission - Mission played
+   * @param {string} data.date - Date the game was played (YYYY-MM-DD)
+   * @param {string|null|undefined} data.winnerId - Winner, null for a draw,
+   *   undefined to take the highest score
+   * @param {string} data.notes - Free text
+   * @returns {Object} Result {ok, message, report}
+   */
+  report({ planetId, zoneId = null, battleId = null, participants = [], mission = '', date = null, winnerId = undefined, notes = '' }) {
+    const planet = this._galaxy.getPlanet(planetId);
+    if (!planet) return { ok: false, message: 'Invalid planet.' };
+    if (zoneId && !planet.surfaceZones.some(z => z.id === zoneId)) return { ok: false, message: 'Invalid surface zone.' };
+
+    const factionIds = participants.map(p => p.factionId);
+    if (factionIds.length < 2 || new Set(factionIds).size !== factionIds.length || factionIds.some(id => !id)) {
+      return { ok: false, message: 'A report needs at least two different factions.' };
+    }
+
+    const winner = winnerId === undefined ? this._highestScorer(participants) : winnerId;
+    if (winner !== null && !factionIds.includes(winner)) {
+      return { ok: false, message: 'The winner must be one of the participants.' };
+    }
+
+    const battle = battleId ? this._galaxy.battleManager.getById(battleId) : null;
+    if (battleId) {
+      if (!battle || battle.result || battle.planetId !== planetId) return { ok: false, message: 'That battle is not open on this planet.' };
+      if (!factionIds.includes(battle.attackerId) || !factionIds.includes(battle.defenderId)) {
+        return { ok: false, message: 'Both sides of the battle must take part.' };
+      }
+      if (winner !== null && winner !== battle.attackerId && winner !== battle.defenderId) {
+        return { ok: false, message: 'The winner must be the attacker or the defender.' };
+      }
+    }
+
+    const changes = [];
+    if (battle) {
+      const outcome = winner === null ? 'draw' : (winner === battle.attackerId ? 'attacker' : 'defender');
+      const resolved = this._galaxy.battleManager.resolve(battle.id, { method: 'tabletop', outcome, notes });
+      changes.push(...resolved.battle.result.changes);
+    } else if (winner !== null && this._rules.captureZone) {
+      changes.push(...this._captureZone(planet, zoneId, winner, factionIds));
+    }
+
+    if (winner !== null) changes.push(...this._changeValues(planet));
+    changes.push(...this._reward(winner, factionIds));
+
+    const report = {
+      id: generateId(),
+      planetId,
+      zoneId,
+      battleId,
+      participants: participants.map(p => ({ factionId: p.factionId, score: Number.isFinite(p.score) ? p.score : null })),
+      mission,
+      date: date || new Date().toISOString().slice(0, 10),
+      winnerId: winner,
+      notes,
+      turn: this._galaxy.turn,
+      changes,
+      createdAt: Date.now(),
+    };
+    this._reports.push(report);
+
+    const scores = report.participants
+      .map(p => `${factionToken(p.factionId)}${p.score !== null ? ` ${p.score}` : ''}`)
+      .join(' vs ');
+    this._galaxy.journal.record({
+      type: 'battle',
+      factionId: winner,
+      planetId,
+      summary: `Battle report at ${planet.name}${mission ? ` (${mission})` : ''}: ${scores}, ${winner ? `${factionToken(winner)} won` : 'draw'}`,
+      data: { reportId: report.id },
+    });
+    this._galaxy._lastModified = Date.now();
+
+    return { ok: true, message: `Battle at ${planet.name} reported`, report };
+  }
+
+  /**
+   * The participant with the highest score, or null on a tie
+   * @private
+   * @param {Array} participants - [{factionId, score}]
+   * @returns {string|null} Faction ID
+   */
+  _highestScorer(participants) {
+    const scored = participants.filter(p => Number.isFinite(p.score)).sort((a, b) => b.score - a.score);
+    if (!scored.length || scored[0].score === scored[1]?.score) return null;
+    return scored[0].factionId;
+  }
+
+  /**
+   * Give the winner the reported zone, or one a loser holds. Holding most
+   * zones hands the winner the planet. Changes go through the galaxy, as
+   * BattleSystem's do, so they are journalled the same way.
+   * @private
+   * @param {Planet} planet - Planet fought over
+   * @param {string|null} zoneId - Reported zone
+   * @param {string} winnerId - Winner
+   * @param {Array<string>} factionIds - Participants
+   * @returns {Array<string>} Descriptions of what changed
+   */
+  _captureZone(planet, zoneId, winnerId, factionIds) {
+    if (planet.owner !== winnerId && this._galaxy.isAttackBlocked(planet.id, winnerId)) {
+      return ['capture blocked by an orbital shield'];
+    }
+
+    const zones = planet.surfaceZones;
+    const zone = zones.find(z => z.id === zoneId)
+      || zones.find(z => z.controller !== winnerId && factionIds.includes(z.controller));
+    if (!zone || zone.controller === winnerId) return [];
+
+    if (!this._galaxy.setZoneController(planet.id, zone.id, winnerId, winnerId)) return [];
+    planet.setZoneContested(zone.id, false);
+    const changes = [`${zone.name} captured`];
+
+    const held = planet.surfaceZones.filter(z => z.controller === winnerId).length;
+    if (planet.owner !== winnerId && held > zones.length / 2) {
+      this._galaxy.setPlanetOwner(planet.id, winnerId, winnerId);
+      changes.push(`${planet.name} captured`);
+    }
+
+    return changes;
+  }
+
+  /**
+   * Apply the rules' Value One/Two changes to the planet
+   * @private
+   * @param {Planet} planet - Planet fought over
+   * @returns {Array<string>} Descriptions of what changed
+   */
+  _changeValues(planet) {
+    const changes = [];
+    [['value_one', 'Value One', this._rules.valueOneChange], ['value_two', 'Value Two', this._rules.valueTwoChange]]
+      .forEach(([valueId, label, amount]) => {
+        if (!amount) return;
+        planet[valueId] = Math.max(0, planet[valueId] + amount);
+        changes.push(`${label} ${amount > 0 ? '+' : ''}${amount}`);
+      });
+    return changes;
+  }
+
+  /**
+   * Pay out the rules' resource rewards
+   * @private
+   * @param {string|null} winnerId - Winner, null for a draw
+   * @param {Array<string>} factionIds - Participants
+   * @returns {Array<string>} Descriptions of what changed
+   */
+  _reward(winnerId, factionIds) {
+    const pay = (factionId, reward) => {
+      if (!reward || !Object.keys(reward).length) return false;
+      addResources(this._galaxy.playerResources, factionId, reward);
+      return true;
+    };
+
+    if (winnerId === null) {
+      return factionIds.filter(id => pay(id, this._rules.drawReward)).length ? ['draw rewards paid'] : [];
+    }
+
+    const changes = [];
+    if (pay(winnerId, this._rules.winnerReward)) changes.push('winner rewarded');
+    if (factionIds.filter(id => id !== winnerId && pay(id, this._rules.loserReward)).length) changes.push('participation rewards paid');
+    return changes;
+  }
+
+  /**
+   * Remove every report of battles on a planet
+   * @param {string} planetId - Planet ID
+   */
+  clearPlanet(planetId) {
+    this._reports = this._reports.filter(r => r.planetId !== planetId);
+  }
+
+  /**
+   * Serialize to JSON
+   * @returns {Object} {reports, rules}
+   */
+  toJSON() {
+    return { reports: this._reports, rules: this._rules };
+  }
+
+  /**
+   * Load from JSON
+   * @param {Object} data - {reports, rules}
+   */
+  fromJSON(data) {
+    this._reports = data?.reports || [];
+    this._rules = { ...deepClone(DEFAULT_BATTLE_REPORT_RULES), ...(data?.rules || {}) };
+  }
+}
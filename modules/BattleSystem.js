@@ -0,0 +1,420 @@
+/**
+ * @fileoverview Battles between factions over a planet
+ * @module modules/BattleSystem
+ */
+
+import { BATTLE_STATUS, BATTLE_OUTCOMES, CONFIG } from '../config/constants.js';
+import { generateId } from '../utils/helpers.js';
+import { factionToken } from './JournalSystem.js';
+
+/**
+ * Manages battles. A battle is
+ * { id, planetId, zoneId, attackerId, defenderId, status, reason, startTurn, result }
+ * - status is the BATTLE_STATUS shown on the planet while it is fought
+ * - reason: 'fleets' (hostile fleets met in orbit), 'siege' or 'declared'
+ * - result stays null until the battle is resolved, then holds
+ *   { outcome, method, rolls, notes, turn, changes }
+ * @class BattleManager
+ */
+export class BattleManager {
+  constructor(galaxy) {
+    this._galaxy = galaxy;
+    this._battles = [];
+  }
+
+  /**
+   * Get all battles
+   * @returns {Array} Battles
+   */
+  getAll() {
+    return [...this._battles];
+  }
+
+  /**
+   * Get battle by ID
+   * @param {string} battleId - Battle ID
+   * @returns {Object|undefined} Battle or undefined
+   */
+  getById(battleId) {
+    return this._battles.find(b => b.id === battleId);
+  }
+
+  /**
+   * Get battles that have not been resolved
+   * @returns {Array} Active battles
+   */
+  getActive() {
+    return this._battles.filter(b => !b.result);
+  }
+
+  /**
+   * Get battles fought over a planet, newest first
+   * @param {string} planetId - Planet ID
+   * @returns {Array} Battles
+   */
+  getForPlanet(planetId) {
+    return this._battles.filter(b => b.planetId === planetId).reverse();
+  }
+
+  /**
+   * Get the unresolved battles on a planet
+   * @param {string} planetId - Planet ID
+   * @returns {Array} Active battles
+   */
+  getActiveForPlanet(planetId) {
+    return this.getActive().filter(b => b.planetId === planetId);
+  }
+
+  /**
+   * Find an unresolved battle between two factions on a planet
+   * @param {string} planetId - Planet ID
+   * @param {string} factionA - One side
+   * @param {string} factionB - Other side
+   * @returns {Object|undefined} Battle or undefined
+   */
+  findActive(planetId, factionA, factionB) {
+    return this.getActiveForPlanet(planetId).find(b =>
+      (b.attackerId === factionA && b.defenderId === factionB) ||
+      (b.attackerId === factionB && b.defenderId === factionA)
+    );
+  }
+
+  /**
+   * Start a battle
+   * @param {Object} data - Battle data
+   * @param {string} data.planetId - Contested planet
+   * @param {string} data.attackerId - Attacking faction
+   * @param {string|null} data.defenderId - Defending faction (defaults to the planet's owner)
+   * @param {string|null} data.zoneId - Surface zone fought over, if any
+   * @param {string} data.status - BATTLE_STATUS shown on the planet
+   * @param {string} data.reason - 'fleets', 'siege' or 'declared'
+   * @returns {Object} Result {ok, message, battle}
+   */
+  declare({ planetId, attackerId, defenderId = null, zoneId = null, status = BATTLE_STATUS.SKIRMISH, reason = 'declared' }) {
+    const planet = this._galaxy.getPlanet(planetId);
+    if (!planet) return { ok: false, message: 'Invalid planet.' };
+
+    const defender = defenderId || planet.owner;
+    if (!attackerId || !defender) return { ok: false, message: 'A battle needs an attacker and a defender.' };
+    if (attackerId === defender) return { ok: false, message: 'A faction cannot fight itself.' };
+    if (zoneId && !planet.surfaceZones.some(z => z.id === zoneId)) return { ok: false, message: 'Invalid surface zone.' };
+    if (status === BATTLE_STATUS.NONE) return { ok: false, message: 'Choose a battle status.' };
+    if (this._galaxy.isAttackBlocked(planetId, attackerId)) {
+      return { ok: false, message: `${planet.name} is protected by an orbital shield.` };
+    }
+    if (this.findActive(planetId, attackerId, defender)) {
+      return { ok: false, message: `A battle is already underway at ${planet.name}.` };
+    }
+    if (this._galaxy.diplomacyManager.isPeaceful(attackerId, defender)) {
+      return { ok: false, message: 'These factions are at peace; declare war first.' };
+    }
+
+    const battle = {
+      id: generateId(),
+      planetId,
+      zoneId,
+      attackerId,
+      defenderId: defender,
+      status,
+      reason,
+      startTurn: this._galaxy.turn,
+      result: null,
+    };
+
+    this._battles.push(battle);
+    planet.setBattleStatus(status);
+    if (zoneId) planet.setZoneContested(zoneId, true);
+
+    this._galaxy.journal.record({
+      type: 'battle',
+      factionId: attackerId,
+      planetId,
+      summary: `Battle at ${planet.name}: ${factionToken(attackerId)} attacks ${factionToken(defender)}`,
+      data: { battleId: battle.id },
+    });
+    this._galaxy._lastModified = Date.now();
+
+    return { ok: true, message: `Battle declared at ${planet.name}`, battle };
+  }
+
+  /**
+   * Start battles where hostile fleets share a planet
+   * @param {string} planetId - Planet ID
+   * @param {string|null} arrivingFactionId - Faction whose fleet just arrived; it attacks everyone else there
+   * @returns {Array} Battles created
+   */
+  detect(planetId, arrivingFactionId = null) {
+    const planet = this._galaxy.getPlanet(planetId);
+    if (!planet) return [];
+
+    const present = [...new Set(this._galaxy.shipManager.getAtPlanet(planetId).map(s => s.factionId))];
+    const created = [];
+
+    for (let i = 0; i < present.length; i++) {
+      for (let j = i + 1; j < present.length; j++) {
+        let [attackerId, defenderId] = [present[i], present[j]];
+        // The newcomer attacks; otherwise whoever holds the planet defends
+        if (defenderId === arrivingFactionId || attackerId === planet.owner) {
+          [attackerId, defenderId] = [defenderId, attackerId];
+        }
+        if (this.findActive(planetId, attackerId, defenderId)) continue;
+        if (this._galaxy.isAttackBlocked(planetId, attackerId)) continue;
+        if (this._galaxy.diplomacyManager.isPeaceful(attackerId, defenderId)) continue;
+
+        const result = this.declare({ planetId, attackerId, defenderId, reason: 'fleets' });
+        if (result.ok) created.push(result.battle);
+      }
+    }
+
+    return created;
+  }
+
+  /**
+   * Start battles where fleets that moved at the same time ended up. A
+   * single faction arriving attacks whoever is there; factions arriving
+   * together have no newcomer, so the planet's owner defends.
+   * @param {Array} arrivals - [{factionId, planetId}], see ShipManager.advanceRoutes
+   * @returns {Array} Battles created
+   */
+  detectArrivals(arrivals) {
+    const byPlanet = new Map();
+    arrivals.forEach(({ factionId, planetId }) => {
+      if (!byPlanet.has(planetId)) byPlanet.set(planetId, new Set());
+      byPlanet.get(planetId).add(factionId);
+    });
+    return [...byPlanet].flatMap(([planetId, factions]) =>
+      this.detect(planetId, factions.size === 1 ? [...factions][0] : null)
+    );
+  }
+
+  /**
+   * Start battles on every planet where hostile fleets meet
+   * @returns {Array} Battles created
+   */
+  detectAll() {
+    return this._galaxy.planets.flatMap(planet => this.detect(planet.id));
+  }
+
+  /**
+   * Fighting strength of one side: the strength of its fleets in orbit
+   * (see ShipManager.getStrength) plus, for the planet's owner, the
+   * effective Value Two (which includes modifiers)
+   * @param {Object} battle - Battle
+   * @param {string} factionId - Side to measure
+   * @returns {Object} {fleets, fleetStrength, value, strength}
+   */
+  getStrength(battle, factionId) {
+    const planet = this._galaxy.getPlanet(battle.planetId);
+    const ships = this._galaxy.shipManager.getAtPlanet(battle.planetId).filter(s => s.factionId === factionId);
+    const fleetStrength = ships.reduce((sum, ship) => sum + this._galaxy.shipManager.getStrength(ship), 0);
+    const value = planet?.owner === factionId ? this._galaxy.getEffectiveValue(battle.planetId, 'value_two') : 0;
+
+    return {
+      fleets: ships.length,
+      fleetStrength,
+      value,
+      strength: Math.max(0, fleetStrength + value),
+    };
+  }
+
+  /**
+   * Roll a battle automatically: each side adds a die to its strength,
+   * the higher total wins and a tie is a draw
+   * @param {string} battleId - Battle ID
+   * @returns {Object|null} {outcome, rolls} or null if the battle does not exist
+   */
+  roll(battleId) {
+    const battle = this.getById(battleId);
+    if (!battle) return null;
+
+    const rollSide = factionId => {
+      const { strength } = this.getStrength(battle, factionId);
+      const die = Math.floor(Math.random() * CONFIG.BATTLE_DIE_SIDES) + 1;
+      return { strength, die, total: strength + die };
+    };
+    const rolls = { attacker: rollSide(battle.attackerId), defender: rollSide(battle.defenderId) };
+
+    let outcome = 'draw';
+    if (rolls.attacker.total > rolls.defender.total) outcome = 'attacker';
+    if (rolls.defender.total > rolls.attacker.total) outcome = 'defender';
+
+    return { outcome, rolls };
+  }
+
+  /**
+   * Resolve a battle and apply the outcome to the map
+   * @param {string} battleId - Battle ID
+   * @param {Object} entry - Result entry
+   * @param {string} entry.method - 'tabletop' (outcome reported by the players) or 'auto' (rolled)
+   * @param {string} entry.outcome - 'attacker', 'defender' or 'draw' (tabletop only)
+   * @param {string} entry.notes - Free text kept with the result
+   * @returns {Object} Result {ok, message, battle}
+   */
+  resolve(battleId, { method = 'tabletop', outcome = null, notes = '' } = {}) {
+    const battle = this.getById(battleId);
+    if (!battle) return { ok: false, message: 'Battle not found.' };
+    if (battle.result) return { ok: false, message: 'This battle is already resolved.' };
+
+    const planet = this._galaxy.getPlanet(battle.planetId);
+    if (!planet) return { ok: false, message: 'Invalid planet.' };
+
+    let rolls = null;
+    if (method === 'auto') {
+      ({ outcome, rolls } = this.roll(battleId));
+    } else if (!BATTLE_OUTCOMES[outcome]) {
+      return { ok: false, message: 'Choose an outcome.' };
+    }
+
+    const changes = this._applyOutcome(battle, planet, outcome);
+    battle.result = { outcome, method, rolls, notes, turn: this._galaxy.turn, changes };
+
+    if (!this.getActiveForPlanet(planet.id).length) planet.setBattleStatus(BATTLE_STATUS.NONE);
+
+    planet.recordHistory({
+      event: 'battle',
+      battleId: battle.id,
+      attacker: battle.attackerId,
+      defender: battle.defenderId,
+      outcome,
+    }, this._galaxy.turn);
+
+    const summary = `${BATTLE_OUTCOMES[outcome].name} at ${planet.name}: ${factionToken(battle.attackerId)} vs ${factionToken(battle.defenderId)}`;
+    this._galaxy.journal.record({
+      type: 'battle',
+      factionId: outcome === 'defender' ? battle.defenderId : battle.attackerId,
+      planetId: planet.id,
+      summary: changes.length ? `${summary} (${changes.join('; ')})` : summary,
+      data: { battleId: battle.id, outcome, method },
+    });
+    this._galaxy._lastModified = Date.now();
+
+    return { ok: true, message: `${BATTLE_OUTCOMES[outcome].name} at ${planet.name}`, battle };
+  }
+
+  /**
+   * Apply a battle outcome to zone control, ownership and fleets
+   * - attacker wins: a siege takes the planet; otherwise the attacker
+   *   captures the fought-over zone (or one the defender holds) and takes
+   *   the planet once it holds most zones
+   * - defender wins: the fought-over zone is no longer contested
+   * - both sides' fleets in orbit take damage (CONFIG.BATTLE_*_DAMAGE)
+   * - the loser's surviving fleets retreat to its nearest planet, or are
+   *   lost if it has nowhere to go
+   * @private
+   * @param {Object} battle - Battle
+   * @param {Planet} planet - Contested planet
+   * @param {string} outcome - 'attacker', 'defender' or 'draw'
+   * @returns {Array<string>} Descriptions of what changed
+   */
+  _applyOutcome(battle, planet, outcome) {
+    const changes = [];
+    if (outcome === 'draw') {
+      this._damageFleets(battle, planet, battle.attackerId, CONFIG.BATTLE_DRAW_DAMAGE, changes);
+      this._damageFleets(battle, planet, battle.defenderId, CONFIG.BATTLE_DRAW_DAMAGE, changes);
+      return changes;
+    }
+
+    const winnerId = outcome === 'attacker' ? battle.attackerId : battle.defenderId;
+    const loserId = outcome === 'attacker' ? battle.defenderId : battle.attackerId;
+
+    if (outcome === 'attacker') {
+      const zones = planet.surfaceZones;
+      if (battle.status === BATTLE_STATUS.SIEGE || !zones.length) {
+        if (planet.owner !== winnerId && (planet.owner === loserId || !planet.owner)) {
+          this._galaxy.setPlanetOwner(planet.id, winnerId);
+          changes.push(`${planet.name} captured`);
+        }
+      } else {
+        const zone = zones.find(z => z.id === battle.zoneId)
+          || zones.find(z => z.controller === loserId && z.contested)
+          || zones.find(z => z.controller === loserId);
+        if (zone) {
+          this._galaxy.setZoneController(planet.id, zone.id, winnerId);
+          planet.setZoneContested(zone.id, false);
+          changes.push(`${zone.name} captured`);
+        }
+
+        const held = planet.surfaceZones.filter(z => z.controller === winnerId).length;
+        if (planet.owner !== winnerId && held > zones.length / 2) {
+          this._galaxy.setPlanetOwner(planet.id, winnerId);
+          changes.push(`${planet.name} captured`);
+        }
+      }
+    } else if (battle.zoneId) {
+      planet.setZoneContested(battle.zoneId, false);
+    }
+
+    this._damageFleets(battle, planet, winnerId, CONFIG.BATTLE_WINNER_DAMAGE, changes);
+    this._damageFleets(battle, planet, loserId, CONFIG.BATTLE_LOSER_DAMAGE, changes);
+
+    const losingFleets = this._galaxy.shipManager.getAtPlanet(planet.id).filter(s => s.factionId === loserId);
+    if (losingFleets.length) {
+      const destination = this._galaxy.effectEngine.findRecallDestination(loserId, planet);
+      if (destination) {
+        losingFleets.forEach(ship => { ship.planetId = destination.id; });
+        changes.push(`${losingFleets.length} fleet(s) retreated to ${destination.name}`);
+      } else {
+        losingFleets.forEach(ship => this._galaxy.shipManager.removeShip(ship.id));
+        changes.push(`${losingFleets.length} fleet(s) destroyed`);
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Damage one side's fleets in orbit
+   * @private
+   * @param {Object} battle - Battle
+   * @param {Planet} planet - Contested planet
+   * @param {string} factionId - Side
+   * @param {number} amount - Damage in percent
+   * @param {Array<string>} changes - Descriptions of what changed, appended to
+   */
+  _damageFleets(battle, planet, factionId, amount, changes) {
+    const fleets = this._galaxy.shipManager.getAtPlanet(planet.id).filter(s => s.factionId === factionId);
+    const destroyed = fleets.filter(ship => this._galaxy.shipManager.damageShip(ship.id, amount)).length;
+    const side = factionId === battle.attackerId ? 'attacking' : 'defending';
+    if (destroyed) changes.push(`${destroyed} ${side} fleet(s) destroyed`);
+  }
+
+  /**
+   * Call off an unresolved battle
+   * @param {string} battleId - Battle ID
+   * @returns {boolean} True if removed
+   */
+  cancel(battleId) {
+    const battle = this.getById(battleId);
+    if (!battle || battle.result) return false;
+
+    this._battles.splice(this._battles.indexOf(battle), 1);
+    const planet = this._galaxy.getPlanet(battle.planetId);
+    if (planet && !this.getActiveForPlanet(planet.id).length) planet.setBattleStatus(BATTLE_STATUS.NONE);
+    this._galaxy._lastModified = Date.now();
+    return true;
+  }
+
+  /**
+   * Remove every battle fought over a planet
+   * @param {string} planetId - Planet ID
+   */
+  clearPlanet(planetId) {
+    this._battles = this._battles.filter(b => b.planetId !== planetId);
+  }
+
+  /**
+   * Serialize to JSON
+   * @returns {Array} Battles
+   */
+  toJSON() {
+    return this._battles;
+  }
+
+  /**
+   * Load from JSON
+   * @param {Array} data - Battles
+   */
+  fromJSON(data) {
+    this._battles = data || [];
+  }
+}
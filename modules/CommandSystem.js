@@ -0,0 +1,305 @@
+/**
+ * @fileoverview Undo/redo history built from reversible commands
+ * @module modules/CommandSystem
+ */
+
+import { CONFIG } from '../config/constants.js';
+import { deepClone } from '../utils/helpers.js';
+
+/**
+ * Adds or removes the link between two planets
+ * @class ConnectionCommand
+ */
+export class ConnectionCommand {
+  /**
+   * @param {Galaxy} galaxy - Galaxy instance
+   * @param {string} planetId1 - First planet ID
+   * @param {string} planetId2 - Second planet ID
+   * @param {boolean|null} connect - True to add, false to remove, null to toggle
+   */
+  constructor(galaxy, planetId1, planetId2, connect = null) {
+    this._galaxy = galaxy;
+    this._planetId1 = planetId1;
+    this._planetId2 = planetId2;
+    this._wasConnected = false;
+
+    const p1 = galaxy.getPlanet(planetId1);
+    const p2 = galaxy.getPlanet(planetId2);
+    this._connect = connect === null ? !p1?.hasConnection(planetId2) : connect;
+    this.label = `${this._connect ? 'Add' : 'Remove'} link ${p1?.name || planetId1} ↔ ${p2?.name || planetId2}`;
+  }
+
+  execute() {
+    const p1 = this._galaxy.getPlanet(this._planetId1);
+    if (!p1 || this._planetId1 === this._planetId2) {
+      return { ok: false, message: 'Invalid connection.' };
+    }
+
+    this._wasConnected = p1.hasConnection(this._planetId2);
+    const changed = this._connect
+      ? this._galaxy.addConnection(this._planetId1, this._planetId2)
+      : this._galaxy.removeConnection(this._planetId1, this._planetId2);
+
+    if (!changed) return { ok: false, message: 'Invalid connection.' };
+
+    this._galaxy.journal.record({
+      type: 'connection',
+      planetId: this._planetId1,
+      summary: this.label,
+    });
+    return { ok: true, action: this._connect ? 'added' : 'removed' };
+  }
+
+  undo() {
+    if (this._wasConnected) {
+      this._galaxy.addConnection(this._planetId1, this._planetId2);
+    } else {
+      this._galaxy.removeConnection(this._planetId1, this._planetId2);
+    }
+  }
+
+  redo() {
+    return this.execute();
+  }
+}
+
+/**
+ * Runs a mutation against one planet and remembers its state before and after.
+ * Used for ownership and surface zone changes.
+ * @class PlanetStateCommand
+ */
+export class PlanetStateCommand {
+  /**
+   * @param {Galaxy} galaxy - Galaxy instance
+   * @param {string} planetId - Planet ID
+   * @param {string} label - Label shown in the history list
+   * @param {Function} mutate - Receives the planet and applies the change
+   */
+  constructor(galaxy, planetId, label, mutate) {
+    this._galaxy = galaxy;
+    this._planetId = planetId;
+    this._mutate = mutate;
+    this._before = null;
+    this._after = null;
+    this.label = label;
+  }
+
+  execute() {
+    const planet = this._galaxy.getPlanet(this._planetId);
+    if (!planet) return { ok: false, message: 'Planet not found.' };
+
+    this._before = deepClone(planet.toJSON());
+    const result = this._mutate(planet);
+    this._after = deepClone(planet.toJSON());
+
+    return result || { ok: true };
+  }
+
+  undo() {
+    this._galaxy.getPlanet(this._planetId)?.restore(this._before);
+  }
+
+  redo() {
+    this._galaxy.getPlanet(this._planetId)?.restore(this._after);
+    return { ok: true };
+  }
+}
+
+/**
+ * Moves a fleet and can move it back
+ * @class MoveShipCommand
+ */
+export class MoveShipCommand {
+  /**
+   * @param {Galaxy} galaxy - Galaxy instance
+   * @param {string} shipId - Ship ID
+   * @param {string} targetPlanetId - Destination planet ID
+   */
+  constructor(galaxy, shipId, targetPlanetId) {
+    this._galaxy = galaxy;
+    this._shipId = shipId;
+    this._targetPlanetId = targetPlanetId;
+    this._fromPlanetId = null;
+    this._before = null;
+    this._after = null;
+    this._battles = [];
+    this._battleStatus = null;
+
+    const ship = galaxy.shipManager.getById(shipId);
+    const target = galaxy.getPlanet(targetPlanetId);
+    this.label = `Move ${ship?.name || 'fleet'} to ${target?.name || targetPlanetId}`;
+  }
+
+  execute() {
+    const ship = this._galaxy.shipManager.getById(this._shipId);
+    this._fromPlanetId = ship?.planetId || null;
+    this._before = ship ? { movesLeft: ship.movesLeft, route: [...ship.route] } : null;
+    this._battleStatus = this._galaxy.getPlanet(this._targetPlanetId)?.battleStatus || null;
+    const result = this._galaxy.moveShip(this._shipId, this._targetPlanetId);
+    this._after = ship ? { movesLeft: ship.movesLeft, route: [...ship.route] } : null;
+    // Battles the arrival started are undone with the move
+    this._battles = deepClone(result.battles || []);
+    return result;
+  }
+
+  undo() {
+    const ship = this._galaxy.shipManager.getById(this._shipId);
+    if (ship && this._fromPlanetId) ship.planetId = this._fromPlanetId;
+    if (ship && this._before) Object.assign(ship, { movesLeft: this._before.movesLeft, route: [...this._before.route] });
+    this._battles.forEach(battle => this._galaxy.battleManager.cancel(battle.id));
+    if (this._battles.length) this._galaxy.getPlanet(this._targetPlanetId)?.setBattleStatus(this._battleStatus);
+  }
+
+  redo() {
+    const ship = this._galaxy.shipManager.getById(this._shipId);
+    if (ship) ship.planetId = this._targetPlanetId;
+    if (ship && this._after) Object.assign(ship, { movesLeft: this._after.movesLeft, route: [...this._after.route] });
+    if (this._battles.length) {
+      const battles = this._galaxy.battleManager;
+      battles.fromJSON([...battles.toJSON(), ...deepClone(this._battles)]);
+      this._galaxy.getPlanet(this._targetPlanetId)?.setBattleStatus(this._battles[0].status);
+    }
+    return { ok: true, ship };
+  }
+}
+
+/**
+ * Wraps an action with wide-reaching effects (shop purchases, stratagems)
+ * by capturing the whole galaxy state around it.
+ * @class GalaxyStateCommand
+ */
+export class GalaxyStateCommand {
+  /**
+   * @param {Galaxy} galaxy - Galaxy instance
+   * @param {string} label - Label shown in the history list
+   * @param {Function} action - Applies the change and returns a result object
+   */
+  constructor(galaxy, label, action) {
+    this._galaxy = galaxy;
+    this._action = action;
+    this._before = null;
+    this._after = null;
+    this.label = label;
+  }
+
+  execute() {
+    this._before = deepClone(this._galaxy.toJSON());
+    const result = this._action();
+    this._after = deepClone(this._galaxy.toJSON());
+    return result;
+  }
+
+  undo() {
+    this._restore(this._before);
+  }
+
+  redo() {
+    this._restore(this._after);
+    return { ok: true };
+  }
+
+  /**
+   * Restore a snapshot, keeping the current GM settings so undo never
+   * brings back an old or removed GM passphrase
+   * @private
+   * @param {Object} snapshot - Galaxy JSON
+   */
+  _restore(snapshot) {
+    this._galaxy.restoreState({ ...snapshot, settings: this._galaxy.gmAccess.toJSON() });
+  }
+}
+
+/**
+ * Keeps the undo and redo stacks for a galaxy
+ * @class CommandManager
+ */
+export class CommandManager {
+  /**
+   * @param {Galaxy} galaxy - Galaxy instance
+   * @param {number} limit - Maximum number of undoable commands
+   */
+  constructor(galaxy, limit = CONFIG.MAX_UNDO_HISTORY) {
+    this._galaxy = galaxy;
+    this._limit = limit;
+    this._undoStack = [];
+    this._redoStack = [];
+  }
+
+  /**
+   * Execute a command and record it if it succeeded
+   * @param {Object} command - Object with execute(), undo() and redo()
+   * @returns {Object} Result of the command
+   */
+  execute(command) {
+    const journalMark = this._galaxy.journal.length;
+    const result = command.execute();
+    if (result === false || result?.ok === false) return result;
+
+    // Remember the journal entries this command produced so undo can retract them
+    command.journalEntries = this._galaxy.journal.entriesSince(journalMark);
+
+    this._undoStack.push(command);
+    if (this._undoStack.length > this._limit) this._undoStack.shift();
+    this._redoStack = [];
+    this._galaxy._lastModified = Date.now();
+
+    return result;
+  }
+
+  /**
+   * Undo the most recent command
+   * @returns {Object|null} Undone command or null
+   */
+  undo() {
+    const command = this._undoStack.pop();
+    if (!command) return null;
+
+    command.undo();
+    this._galaxy.journal.removeEntries(command.journalEntries || []);
+    this._redoStack.push(command);
+    this._galaxy._lastModified = Date.now();
+    return command;
+  }
+
+  /**
+   * Redo the most recently undone command
+   * @returns {Object|null} Redone command or null
+   */
+  redo() {
+    const command = this._redoStack.pop();
+    if (!command) return null;
+
+    command.redo();
+    this._galaxy.journal.restoreEntries(command.journalEntries || []);
+    this._undoStack.push(command);
+    this._galaxy._lastModified = Date.now();
+    return command;
+  }
+
+  canUndo() {
+    return this._undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this._redoStack.length > 0;
+  }
+
+  /**
+   * Get the history, oldest first, with undone entries at the end
+   * @returns {Array<{label: string, undone: boolean}>} History entries
+   */
+  getHistory() {
+    return [
+      ...this._undoStack.map(c => ({ label: c.label, undone: false })),
+      ...[...this._redoStack].reverse().map(c => ({ label: c.label, undone: true })),
+    ];
+  }
+
+  /**
+   * Forget all recorded commands
+   */
+  clear() {
+    this._undoStack = [];
+    this._redoStack = [];
+  }
+}
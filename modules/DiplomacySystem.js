@@ -0,0 +1,365 @@
+/**
+ * @fileoverview Diplomatic relations and proposals between factions
+ * @module modules/DiplomacySystem
+ */
+
+import { CONFIG, DIPLOMATIC_RELATIONS } from '../config/constants.js';
+import { addResources, canAfford, generateId, spendResources } from '../utils/helpers.js';
+import { factionToken } from './JournalSystem.js';
+
+/**
+ * Keep positive whole amounts of a cost map
+ * @param {Object|null} resources - {resourceId: amount}
+ * @returns {Object} Cleaned map
+ */
+function cleanResources(resources) {
+  return Object.fromEntries(Object.entries(resources || {})
+    .map(([resource, amount]) => [resource, Math.max(0, parseInt(amount) || 0)])
+    .filter(([, amount]) => amount > 0));
+}
+
+/**
+ * Keeps the relation matrix between factions and the proposals waiting for
+ * an answer. A relation is
+ * { id, factions: [factionId, factionId], type, since, turnsRemaining, terms }
+ * - type is a key of DIPLOMATIC_RELATIONS; pairs without one are neutral
+ * - turnsRemaining null makes it open-ended; at 0 the pair is neutral again
+ * - terms, for trade pacts: {factionId: resources that faction sends each turn}
+ * A proposal is
+ * { id, fromFactionId, toFactionId, type, duration, terms, turn, createdAt }
+ * and lapses after CONFIG.DIPLOMACY_PROPOSAL_TURNS turns.
+ * @class DiplomacyManager
+ */
+export class DiplomacyManager {
+  constructor(galaxy) {
+    this._galaxy = galaxy;
+    this._relations = [];
+    this._proposals = [];
+  }
+
+  /**
+   * Get relations, optionally only those a faction is part of
+   * @param {string|null} factionId - Faction ID
+   * @returns {Array} Relations
+   */
+  getRelations(factionId = null) {
+    return this._relations.filter(r => !factionId || r.factions.includes(factionId));
+  }
+
+  /**
+   * Get the relation between two factions
+   * @param {string} factionA - One faction
+   * @param {string} factionB - Other faction
+   * @returns {Object|undefined} Relation, or undefined if they are neutral
+   */
+  getRelation(factionA, factionB) {
+    return this._relations.find(r => r.factions.includes(factionA) && r.factions.includes(factionB) && factionA !== factionB);
+  }
+
+  /**
+   * Get the kind of relation between two factions
+   * @param {string} factionA - One faction
+   * @param {string} factionB - Other faction
+   * @returns {string} DIPLOMATIC_RELATIONS key
+   */
+  getRelationType(factionA, factionB) {
+    return this.getRelation(factionA, factionB)?.type || 'neutral';
+  }
+
+  /**
+   * Check whether two factions have a treaty that rules out fighting
+   * @param {string|null} factionA - One faction
+   * @param {string|null} factionB - Other faction
+   * @returns {boolean} True if they are at peace
+   */
+  isPeaceful(factionA, factionB) {
+    if (!factionA || !factionB || factionA === factionB) return false;
+    return DIPLOMATIC_RELATIONS[this.getRelationType(factionA, factionB)]?.peaceful || false;
+  }
+
+  /**
+   * Check whether two factions would fight when their fleets meet
+   * @param {string} factionA - One faction
+   * @param {string} factionB - Other faction
+   * @returns {boolean} True if they are different factions not at peace
+   */
+  areHostile(factionA, factionB) {
+    return factionA !== factionB && !this.isPeaceful(factionA, factionB);
+  }
+
+  /**
+   * Factions that share what they see with a faction
+   * @param {string} factionId - Faction ID
+   * @returns {Array<string>} Faction IDs
+   */
+  getVisionPartners(factionId) {
+    return this.getRelations(factionId)
+      .filter(r => DIPLOMATIC_RELATIONS[r.type]?.sharedVision)
+      .map(r => r.factions.find(id => id !== factionId));
+  }
+
+  /**
+   * Get proposals, optionally only those a faction sent or received
+   * @param {string|null} factionId - Faction ID
+   * @returns {Array} Proposals
+   */
+  getProposals(factionId = null) {
+    return this._proposals.filter(p => !factionId || p.fromFactionId === factionId || p.toFactionId === factionId);
+  }
+
+  /**
+   * Get proposal by ID
+   * @param {string} proposalId - Proposal ID
+   * @returns {Object|undefined} Proposal or undefined
+   */
+  getProposalById(proposalId) {
+    return this._proposals.find(p => p.id === proposalId);
+  }
+
+  /**
+   * Propose a peaceful relation. A new proposal between the same factions
+   * replaces the previous one.
+   * @param {string} fromFactionId - Proposing faction
+   * @param {string} toFactionId - Faction that has to accept
+   * @param {string} type - 'ceasefire', 'trade_pact' or 'alliance'
+   * @param {Object} options - Proposal options
+   * @param {number|null} options.duration - Turns it lasts, null for open-ended
+   *   (defaults to the relation's duration)
+   * @param {Object} options.offer - Trade pacts: resources the proposer sends each turn
+   * @param {Object} options.request - Trade pacts: resources it receives each turn
+   * @returns {Object} Result {ok, message, proposal}
+   */
+  propose(fromFactionId, toFactionId, type, { duration, offer = {}, request = {} } = {}) {
+    const relation = DIPLOMATIC_RELATIONS[type];
+    if (!relation?.peaceful) return { ok: false, message: 'Only peaceful relations are proposed; war is declared.' };
+    if (!fromFactionId || !toFactionId || fromFactionId === toFactionId) return { ok: false, message: 'Choose another faction.' };
+    if (this.getRelationType(fromFactionId, toFactionId) === type) return { ok: false, message: `You already have a ${relation.name}.` };
+
+    const terms = relation.trade
+      ? { [fromFactionId]: cleanResources(offer), [toFactionId]: cleanResources(request) }
+      : null;
+    if (terms && !Object.values(terms).some(goods => Object.keys(goods).length)) {
+      return { ok: false, message: 'A trade pact needs goods to exchange.' };
+    }
+
+    this._proposals = this._proposals.filter(p => !this._isBetween(p, fromFactionId, toFactionId));
+    const proposal = {
+      id: generateId(),
+      fromFactionId,
+      toFactionId,
+      type,
+      duration: duration === undefined ? relation.duration : (duration === null ? null : Math.max(1, parseInt(duration) || 1)),
+      terms,
+      turn: this._galaxy.turn,
+      createdAt: Date.now(),
+    };
+    this._proposals.push(proposal);
+
+    this._galaxy.journal.record({
+      type: 'diplomacy',
+      factionId: fromFactionId,
+      summary: `${factionToken(fromFactionId)} proposed a ${relation.name} to ${factionToken(toFactionId)}`,
+    });
+    this._galaxy._lastModified = Date.now();
+    return { ok: true, message: `${relation.name} proposed`, proposal };
+  }
+
+  /**
+   * Accept a proposal. Battles between the two factions end if the new
+   * relation is peaceful.
+   * @param {string} proposalId - Proposal ID
+   * @param {string} factionId - Accepting faction; must be the recipient
+   * @returns {Object} Result {ok, message, relation}
+   */
+  accept(proposalId, factionId) {
+    const proposal = this.getProposalById(proposalId);
+    if (!proposal) return { ok: false, message: 'Proposal not found.' };
+    if (proposal.toFactionId !== factionId) return { ok: false, message: 'Only the faction it was sent to can accept it.' };
+
+    this._proposals = this._proposals.filter(p => p !== proposal);
+    const relation = this.setRelation(proposal.fromFactionId, proposal.toFactionId, proposal.type, {
+      duration: proposal.duration,
+      terms: proposal.terms,
+      acceptedBy: factionId,
+    });
+
+    return { ok: true, message: `${DIPLOMATIC_RELATIONS[proposal.type].name} agreed`, relation };
+  }
+
+  /**
+   * Turn down a proposal, or withdraw one's own
+   * @param {string} proposalId - Proposal ID
+   * @param {string} factionId - Declining or withdrawing faction
+   * @returns {Object} Result {ok, message}
+   */
+  decline(proposalId, factionId) {
+    const proposal = this.getProposalById(proposalId);
+    if (!proposal) return { ok: false, message: 'Proposal not found.' };
+    if (factionId !== proposal.toFactionId && factionId !== proposal.fromFactionId) {
+      return { ok: false, message: 'This proposal is not yours to answer.' };
+    }
+
+    this._proposals = this._proposals.filter(p => p !== proposal);
+    const withdrawn = factionId === proposal.fromFactionId;
+    const name = DIPLOMATIC_RELATIONS[proposal.type].name;
+    if (!withdrawn) {
+      this._galaxy.journal.record({
+        type: 'diplomacy',
+        factionId,
+        summary: `${factionToken(factionId)} rejected the ${name} offered by ${factionToken(proposal.fromFactionId)}`,
+      });
+    }
+    this._galaxy._lastModified = Date.now();
+    return { ok: true, message: `${name} ${withdrawn ? 'withdrawn' : 'rejected'}` };
+  }
+
+  /**
+   * Declare war or return to neutral. Either side can do this on its own,
+   * ending any treaty between them.
+   * @param {string} factionId - Declaring faction
+   * @param {string} otherFactionId - Other faction
+   * @param {string} type - 'war' or 'neutral'
+   * @returns {Object} Result {ok, message}
+   */
+  declare(factionId, otherFactionId, type) {
+    if (DIPLOMATIC_RELATIONS[type]?.peaceful !== false) return { ok: false, message: 'Peaceful relations have to be proposed.' };
+    if (!factionId || !otherFactionId || factionId === otherFactionId) return { ok: false, message: 'Choose another faction.' };
+    if (this.getRelationType(factionId, otherFactionId) === type) {
+      return { ok: false, message: `You are already ${type === 'war' ? 'at war' : 'neutral'}.` };
+    }
+
+    this.setRelation(factionId, otherFactionId, type, { declaredBy: factionId });
+    return { ok: true, message: type === 'war' ? 'War declared' : 'Relations returned to neutral' };
+  }
+
+  /**
+   * Set the relation between two factions directly (GM, or an accepted
+   * proposal) and note it in the journal. Making peace between factions
+   * that were not at peace counts for an active DIPLOMACY galactic order.
+   * @param {string} factionA - One faction
+   * @param {string} factionB - Other faction
+   * @param {string} type - DIPLOMATIC_RELATIONS key
+   * @param {Object} options - Relation options
+   * @param {number|null} options.duration - Turns it lasts (defaults to the relation's)
+   * @param {Object|null} options.terms - Trade pact terms
+   * @param {string|null} options.declaredBy - Faction that ended the previous relation
+   * @param {string|null} options.acceptedBy - Faction that accepted the proposal it comes from
+   * @returns {Object|null} The relation, or null for neutral
+   */
+  setRelation(factionA, factionB, type, { duration, terms = null, declaredBy = null, acceptedBy = null } = {}) {
+    const previous = this.getRelation(factionA, factionB);
+    this._relations = this._relations.filter(r => r !== previous);
+    this._proposals = this._proposals.filter(p => !this._isBetween(p, factionA, factionB));
+
+    let relation = null;
+    if (type !== 'neutral') {
+      relation = {
+        id: generateId(),
+        factions: [factionA, factionB],
+        type,
+        since: this._galaxy.turn,
+        turnsRemaining: duration === undefined ? DIPLOMATIC_RELATIONS[type].duration : duration,
+        terms: DIPLOMATIC_RELATIONS[type].trade ? terms || {} : null,
+      };
+      this._relations.push(relation);
+    }
+
+    // Peace ends the fighting between them and counts for a DIPLOMACY order
+    if (DIPLOMATIC_RELATIONS[type].peaceful) {
+      this._galaxy.battleManager.getActive()
+        .filter(b => [b.attackerId, b.defenderId].includes(factionA) && [b.attackerId, b.defenderId].includes(factionB))
+        .forEach(b => this._galaxy.battleManager.cancel(b.id));
+      const order = this._galaxy.galacticOrderManager.getCurrentOrder();
+      if (order?.type === 'DIPLOMACY' && !order.completed && !DIPLOMATIC_RELATIONS[previous?.type]?.peaceful) {
+        this._galaxy.galacticOrderManager.trackProgress('DIPLOMACY');
+      }
+    }
+
+    const pair = `${factionToken(factionA)} and ${factionToken(factionB)}`;
+    this._galaxy.journal.record({
+      type: 'diplomacy',
+      factionId: declaredBy || acceptedBy || factionA,
+      summary: type === 'war' ? `${factionToken(declaredBy || factionA)} declared war on ${factionToken(declaredBy === factionB ? factionA : factionB)}`
+        : type === 'neutral' ? `${previous ? DIPLOMATIC_RELATIONS[previous.type].name : 'Relations'} between ${pair} ended`
+          : `${DIPLOMATIC_RELATIONS[type].name} between ${pair}`,
+    });
+    this._galaxy._lastModified = Date.now();
+    return relation;
+  }
+
+  /**
+   * Exchange trade pact goods, count down timed relations and let old
+   * proposals lapse. Called once per turn, after the harvest.
+   * @returns {Object} {expired: relations that ended, undelivered: [{factionId, relation}]}
+   */
+  advanceTurn() {
+    const resources = this._galaxy.playerResources;
+    const undelivered = [];
+
+    this._relations.filter(r => DIPLOMATIC_RELATIONS[r.type]?.trade).forEach(relation => {
+      relation.factions.forEach(factionId => {
+        const partnerId = relation.factions.find(id => id !== factionId);
+        const goods = relation.terms?.[factionId] || {};
+        if (!Object.keys(goods).length) return;
+        if (!canAfford(resources, factionId, goods)) {
+          undelivered.push({ factionId, relation });
+          this._galaxy.journal.record({
+            type: 'diplomacy',
+            factionId,
+            summary: `${factionToken(factionId)} could not deliver its trade goods to ${factionToken(partnerId)}`,
+          });
+          return;
+        }
+        spendResources(resources, factionId, goods);
+        addResources(resources, partnerId, goods);
+      });
+    });
+
+    this._relations.forEach(r => {
+      if (r.turnsRemaining !== null) r.turnsRemaining--;
+    });
+    const expired = this._relations.filter(r => r.turnsRemaining !== null && r.turnsRemaining <= 0);
+    this._relations = this._relations.filter(r => !expired.includes(r));
+    expired.forEach(r => {
+      this._galaxy.journal.record({
+        type: 'diplomacy',
+        factionId: r.factions[0],
+        summary: `${DIPLOMATIC_RELATIONS[r.type].name} between ${factionToken(r.factions[0])} and ${factionToken(r.factions[1])} ran out`,
+      });
+    });
+
+    this._proposals = this._proposals.filter(p => this._galaxy.turn - p.turn < CONFIG.DIPLOMACY_PROPOSAL_TURNS);
+
+    if (expired.length || undelivered.length) this._galaxy._lastModified = Date.now();
+    return { expired, undelivered };
+  }
+
+  /**
+   * @private
+   * @param {Object} proposal - Proposal
+   * @param {string} factionA - One faction
+   * @param {string} factionB - Other faction
+   * @returns {boolean} True if the proposal is between the two factions
+   */
+  _isBetween(proposal, factionA, factionB) {
+    return (proposal.fromFactionId === factionA && proposal.toFactionId === factionB)
+      || (proposal.fromFactionId === factionB && proposal.toFactionId === factionA);
+  }
+
+  /**
+   * Serialize to JSON
+   * @returns {Object} {relations, proposals}
+   */
+  toJSON() {
+    return { relations: this._relations, proposals: this._proposals };
+  }
+
+  /**
+   * Load from JSON
+   * @param {Object} data - {relations, proposals}
+   */
+  fromJSON(data) {
+    this._relations = data?.relations || [];
+    this._proposals = data?.proposals || [];
+  }
+}
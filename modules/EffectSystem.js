@@ -0,0 +1,425 @@
+/**
+ * @fileoverview Data-driven effect engine. Stratagems and event effects
+ * (EVENT_EFFECTS) declare lists of effects in config/constants.js; this
+ * module applies them. Lasting effects become modifiers
+ * (modules/ModifierSystem.js).
+ * @module modules/EffectSystem
+ */
+
+import { BATTLE_STATUS, EVENT_TYPES, PLANET_TYPES } from '../config/constants.js';
+import { addResources, distance, randomChoice } from '../utils/helpers.js';
+import { factionToken } from './JournalSystem.js';
+
+/**
+ * Turn a value ID into a readable label ('value_two' → 'Value Two')
+ * @param {string} valueId
+ * @returns {string} Label
+ */
+function valueLabel(valueId) {
+  return valueId.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+}
+
+function turnsLabel(turns) {
+  return `${turns} turn${turns === 1 ? '' : 's'}`;
+}
+
+function resourcesLabel(engine, resources) {
+  const types = engine.galaxy.context.getResourceTypes();
+  return Object.entries(resources)
+    .map(([resource, amount]) => `${amount} ${types.find(t => t.id === resource)?.name || resource}`)
+    .join(', ');
+}
+
+/**
+ * Effect handlers keyed by effect type. `validate` (optional) runs before
+ * anything is spent and returns an error message or null; `apply` mutates
+ * the galaxy and returns a short description of what happened.
+ *
+ * Every handler receives (engine, effect, ctx, targets) where ctx is
+ * { factionId, planet, source, options } and targets are the planets the
+ * effect's scope resolved to. `lasting` marks handlers whose result stays
+ * in place as a modifier rather than happening once.
+ */
+const EFFECT_HANDLERS = {
+  /**
+   * Change a planet value, or a random surface zone's value
+   * { type: 'modify_value', value: 'value_two', amount: -4 }
+   * { type: 'modify_value', target: 'zone', value: 'value_two', set: 0 }
+   */
+  modify_value: {
+    apply(engine, effect, ctx, targets) {
+      const change = value => Math.max(effect.min ?? 0, effect.set ?? value + effect.amount);
+
+      if (effect.target === 'zone') {
+        return targets.map(planet => {
+          const zones = planet.surfaceZones;
+          if (!zones.length) return null;
+          const zone = randomChoice(zones.filter(z => z[effect.value] > 0).length
+            ? zones.filter(z => z[effect.value] > 0)
+            : zones);
+          zone[effect.value] = change(zone[effect.value] || 0);
+          return `${zone.name} on ${planet.name} struck`;
+        }).filter(Boolean).join(', ');
+      }
+
+      targets.forEach(planet => planet.setValue(effect.value, change(planet.getValue(effect.value) || 0)));
+      const amount = effect.set !== undefined ? `set to ${effect.set}` : `${effect.amount > 0 ? '+' : ''}${effect.amount}`;
+      return `${valueLabel(effect.value)} ${amount} on ${targets.map(p => p.name).join(', ') || 'no planets'}`;
+    },
+  },
+
+  /**
+   * Attach a modifier that lasts a number of turns
+   * { type: 'add_modifier', key: 'harvest_multiplier', value: 2, duration: 1, label: 'Resource Boost' }
+   */
+  add_modifier: {
+    lasting: true,
+    apply(engine, effect, ctx, targets) {
+      targets.forEach(planet => engine.galaxy.modifierManager.add({
+        key: effect.key,
+        label: effect.label || null,
+        value: effect.value ?? true,
+        planetId: planet.id,
+        factionId: ctx.factionId,
+        source: ctx.source,
+        duration: effect.duration,
+      }));
+      const lasting = effect.duration ? ` for ${turnsLabel(effect.duration)}` : '';
+      return `${effect.label || valueLabel(effect.key)} on ${targets.map(p => p.name).join(', ')}${lasting}`;
+    },
+  },
+
+  /**
+   * Stop other factions from attacking the planet
+   * { type: 'block_attacks', duration: 1 }
+   */
+  block_attacks: {
+    lasting: true,
+    apply(engine, effect, ctx, targets) {
+      targets.forEach(planet => engine.galaxy.modifierManager.add({
+        key: 'block_attacks',
+        value: true,
+        planetId: planet.id,
+        factionId: ctx.factionId,
+        source: ctx.source,
+        duration: effect.duration,
+      }));
+      return `${targets.map(p => p.name).join(', ')} shielded for ${turnsLabel(effect.duration)}`;
+    },
+  },
+
+  /**
+   * Move fleets outside the normal movement rules
+   * { type: 'move_fleet', mode: 'recall' } - the faction's fleets at the
+   *   target return to the nearest planet the faction owns
+   * { type: 'move_fleet', mode: 'jump' } - the fleet in options.shipId
+   *   jumps to the target
+   */
+  move_fleet: {
+    validate(engine, effect, ctx) {
+      const galaxy = engine.galaxy;
+      if (effect.mode === 'jump') {
+        const ship = galaxy.shipManager.getById(ctx.options.shipId);
+        if (!ship || ship.factionId !== ctx.factionId) return 'Choose one of your fleets to jump.';
+        if (ship.planetId === ctx.planet.id) return `${ship.name} is already at ${ctx.planet.name}.`;
+        return null;
+      }
+
+      if (!galaxy.ships.some(s => s.factionId === ctx.factionId && s.planetId === ctx.planet.id)) {
+        return `You have no fleets at ${ctx.planet.name}.`;
+      }
+      if (!engine.findRecallDestination(ctx.factionId, ctx.planet)) {
+        return 'You own no other planet to recall to.';
+      }
+      return null;
+    },
+
+    apply(engine, effect, ctx) {
+      const galaxy = engine.galaxy;
+      if (effect.mode === 'jump') {
+        const ship = galaxy.shipManager.getById(ctx.options.shipId);
+        const from = galaxy.getPlanet(ship.planetId);
+        ship.planetId = ctx.planet.id;
+        galaxy.journal.record({
+          type: 'fleet',
+          factionId: ctx.factionId,
+          planetId: ctx.planet.id,
+          summary: `${ship.name} warp-jumped from ${from?.name || 'unknown planet'} to ${ctx.planet.name}`,
+          data: { shipId: ship.id, from: from?.id || null },
+        });
+        return `${ship.name} jumped to ${ctx.planet.name}`;
+      }
+
+      const destination = engine.findRecallDestination(ctx.factionId, ctx.planet);
+      const ships = galaxy.ships.filter(s => s.factionId === ctx.factionId && s.planetId === ctx.planet.id);
+      ships.forEach(ship => {
+        galaxy.shipManager.getById(ship.id).planetId = destination.id;
+      });
+      galaxy.journal.record({
+        type: 'fleet',
+        factionId: ctx.factionId,
+        planetId: destination.id,
+        summary: `${ships.length} fleet(s) recalled from ${ctx.planet.name} to ${destination.name}`,
+      });
+      return `${ships.length} fleet(s) recalled to ${destination.name}`;
+    },
+  },
+
+  /**
+   * Start a campaign event on the target
+   * { type: 'spawn_event', eventType: 'WARP_STORM', duration: 2 }
+   */
+  spawn_event: {
+    validate(engine, effect) {
+      return EVENT_TYPES[effect.eventType] ? null : `Unknown event type ${effect.eventType}.`;
+    },
+
+    apply(engine, effect, ctx, targets) {
+      return targets.map(planet => {
+        const event = engine.galaxy.eventManager.add({
+          type: effect.eventType,
+          planetId: planet.id,
+          duration: effect.duration ?? EVENT_TYPES[effect.eventType].duration,
+        });
+        engine.galaxy._onEventAdded(event);
+        return `${event.name} at ${planet.name}`;
+      }).join(', ');
+    },
+  },
+
+  /**
+   * Pay resources to whoever holds the planet, or to a given faction
+   * { type: 'grant_resources', resources: { resource2: 2 } }
+   * { type: 'grant_resources', factionId: 'orks', resources: { resource1: 5 } }
+   */
+  grant_resources: {
+    apply(engine, effect, ctx, targets) {
+      if (effect.factionId) {
+        addResources(engine.galaxy.playerResources, effect.factionId, effect.resources);
+        return `${resourcesLabel(engine, effect.resources)} to ${factionToken(effect.factionId)}`;
+      }
+      return targets.map(planet => {
+        if (!planet.owner) return `nobody holds ${planet.name} to collect ${resourcesLabel(engine, effect.resources)}`;
+        addResources(engine.galaxy.playerResources, planet.owner, effect.resources);
+        return `${resourcesLabel(engine, effect.resources)} to the holder of ${planet.name}`;
+      }).join(', ');
+    },
+  },
+
+  /**
+   * Turn the planet into another planet type. Destroyed planets lose their
+   * surface zones, resources and values.
+   * { type: 'set_planet_type', planetType: 'DESTROYED' }
+   */
+  set_planet_type: {
+    validate(engine, effect) {
+      return PLANET_TYPES[effect.planetType] ? null : `Unknown planet type ${effect.planetType}.`;
+    },
+
+    apply(engine, effect, ctx, targets) {
+      targets.forEach(planet => {
+        if (effect.planetType === 'DESTROYED') planet.destroy();
+        else planet.type = effect.planetType;
+      });
+      return `${targets.map(p => p.name).join(', ')} became ${PLANET_TYPES[effect.planetType].name}`;
+    },
+  },
+
+  /**
+   * Deploy a fleet of the default unit type for a faction, which need not be
+   * played (NPC forces). It attacks hostile fleets in orbit, and with
+   * `invade` lays siege to the planet if nobody defends it in orbit.
+   * { type: 'spawn_fleet', factionId: 'orks', name: 'Warband', units: 3, invade: true }
+   */
+  spawn_fleet: {
+    apply(engine, effect, ctx, targets) {
+      const galaxy = engine.galaxy;
+      const units = { [galaxy.unitTypes.getDefault().id]: Math.max(1, effect.units || 1) };
+      targets.forEach(planet => {
+        galaxy.shipManager.addShip(effect.factionId, planet.id, effect.name || 'Fleet', units);
+        const battles = galaxy.battleManager.detect(planet.id, effect.factionId);
+        if (effect.invade && !battles.length && planet.owner && planet.owner !== effect.factionId) {
+          galaxy.battleManager.declare({ planetId: planet.id, attackerId: effect.factionId, status: BATTLE_STATUS.SIEGE, reason: 'siege' });
+        }
+      });
+      return `${effect.name || 'Fleet'} arrived at ${targets.map(p => p.name).join(', ')}`;
+    },
+  },
+
+  /**
+   * Connect the target to another planet
+   * { type: 'add_connection', targetPlanetId: 'abc' }
+   */
+  add_connection: {
+    validate(engine, effect, ctx) {
+      const target = engine.galaxy.getPlanet(effect.targetPlanetId);
+      if (!ctx.planet || !target) return 'Choose two planets to connect.';
+      return target.id === ctx.planet.id ? 'A planet cannot connect to itself.' : null;
+    },
+
+    apply(engine, effect, ctx, targets) {
+      const target = engine.galaxy.getPlanet(effect.targetPlanetId);
+      targets.forEach(planet => {
+        engine.galaxy.addConnection(planet.id, target.id);
+        engine.galaxy.journal.record({
+          type: 'connection',
+          planetId: planet.id,
+          summary: `${planet.name} ↔ ${target.name} connected`,
+        });
+      });
+      return `${targets.map(p => p.name).join(', ')} ↔ ${target.name} connected`;
+    },
+  },
+
+  /**
+   * Show a message to everyone; the text is the effect's result
+   * { type: 'show_message', text: 'The Astronomican flickers.' }
+   */
+  show_message: {
+    apply(engine, effect) {
+      return effect.text;
+    },
+  },
+
+  /**
+   * Repair the planet holder's damaged fleets in orbit
+   * { type: 'repair_fleets', amount: 25 }
+   */
+  repair_fleets: {
+    apply(engine, effect, ctx, targets) {
+      const ships = engine.galaxy.shipManager;
+      const repaired = targets.flatMap(planet =>
+        ships.getAtPlanet(planet.id).filter(s => s.factionId === planet.owner && s.damage > 0)
+      );
+      repaired.forEach(ship => ships.damageShip(ship.id, -effect.amount));
+      return repaired.length ? `${repaired.length} fleet(s) repaired` : '';
+    },
+  },
+
+  /**
+   * Mark surface zones held by others as contested
+   * { type: 'contest_zones', count: 3 }
+   */
+  contest_zones: {
+    apply(engine, effect, ctx, targets) {
+      return targets.map(planet => {
+        const candidates = planet.surfaceZones.filter(z => !z.contested && z.controller !== ctx.factionId);
+        const chosen = [];
+        while (chosen.length < effect.count && candidates.length) {
+          chosen.push(candidates.splice(Math.floor(Math.random() * candidates.length), 1)[0]);
+        }
+        chosen.forEach(zone => planet.setZoneContested(zone.id, true));
+        return `${chosen.length} zone(s) contested on ${planet.name}`;
+      }).join(', ');
+    },
+  },
+};
+
+/**
+ * Applies declared effects
+ * @class EffectEngine
+ */
+export class EffectEngine {
+  constructor(galaxy) {
+    this._galaxy = galaxy;
+  }
+
+  get galaxy() { return this._galaxy; }
+
+  /**
+   * Check whether an effect type is known
+   * @param {string} type - Effect type
+   * @returns {boolean} True if a handler exists
+   */
+  static isKnownType(type) {
+    return Boolean(EFFECT_HANDLERS[type]);
+  }
+
+  /**
+   * Check whether an effect type leaves a modifier in place rather than
+   * happening once
+   * @param {string} type - Effect type
+   * @returns {boolean} True for lasting effects
+   */
+  static isLasting(type) {
+    return Boolean(EFFECT_HANDLERS[type]?.lasting);
+  }
+
+  /**
+   * Resolve the planets an effect applies to
+   * @param {Object} effect - Effect definition
+   * @param {Object} ctx - Effect context
+   * @returns {Planet[]} Target planets
+   */
+  resolveTargets(effect, ctx) {
+    if (!ctx.planet) return [];
+
+    switch (effect.scope || 'planet') {
+      case 'sector_enemies': {
+        // Every enemy-held planet in the target's sector, except shielded ones
+        const sector = this._galaxy.getSectorForPlanet(ctx.planet.id);
+        return (sector?.planetIds || [])
+          .map(id => this._galaxy.getPlanet(id))
+          .filter(p => p && p.owner && p.owner !== ctx.factionId && !this._galaxy.isAttackBlocked(p.id, ctx.factionId));
+      }
+      default:
+        return [ctx.planet];
+    }
+  }
+
+  /**
+   * Check that every effect can be applied, without changing anything
+   * @param {Array} effects - Effect definitions
+   * @param {Object} ctx - Effect context
+   * @returns {Object} {ok, message}
+   */
+  validate(effects, ctx) {
+    for (const effect of effects) {
+      const handler = EFFECT_HANDLERS[effect.type];
+      if (!handler) return { ok: false, message: `Unknown effect type ${effect.type}.` };
+
+      const error = handler.validate?.(this, effect, { options: {}, ...ctx });
+      if (error) return { ok: false, message: error };
+    }
+    return { ok: true };
+  }
+
+  /**
+   * Apply effects in order
+   * @param {Array} effects - Effect definitions
+   * @param {Object} ctx - Effect context
+   * @param {string} ctx.factionId - Faction using the effect
+   * @param {Planet|null} ctx.planet - Target planet
+   * @param {Object} ctx.source - What produced the effect, e.g. {type: 'stratagem', id, name}
+   * @param {Object} ctx.options - Extra choices such as {shipId}
+   * @returns {Object} {ok, message, details}
+   */
+  apply(effects, ctx) {
+    const fullCtx = { options: {}, ...ctx };
+    const validation = this.validate(effects, fullCtx);
+    if (!validation.ok) return validation;
+
+    const details = effects
+      .map(effect => EFFECT_HANDLERS[effect.type].apply(this, effect, fullCtx, this.resolveTargets(effect, fullCtx)))
+      .filter(Boolean);
+
+    this._galaxy._lastModified = Date.now();
+    return { ok: true, message: details.join('; '), details };
+  }
+
+  /**
+   * Nearest other planet owned by a faction
+   * @param {string} factionId - Faction ID
+   * @param {Planet} fromPlanet - Starting planet
+   * @returns {Planet|null} Destination or null
+   */
+  findRecallDestination(factionId, fromPlanet) {
+    const { x, y, z } = fromPlanet.position;
+    return this._galaxy.planets
+      .filter(p => p.owner === factionId && p.id !== fromPlanet.id)
+      .sort((a, b) =>
+        distance(x, y, z, a.position.x, a.position.y, a.position.z) -
+        distance(x, y, z, b.position.x, b.position.y, b.position.z)
+      )[0] || null;
+  }
+}
@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Random event deck drawn at every turn advance
+ * @module modules/EventDeckSystem
+ */
+
+import { DEFAULT_EVENT_DECK, EVENT_TYPES, PLANET_TYPES } from '../config/constants.js';
+import { deepClone, randomChoice } from '../utils/helpers.js';
+
+/**
+ * Pick an item with probability proportional to its weight
+ * @param {Array} entries - [[item, weight]]
+ * @returns {*} Chosen item, or null if no weight is positive
+ */
+function weightedChoice(entries) {
+  const usable = entries.filter(([, weight]) => weight > 0);
+  const total = usable.reduce((sum, [, weight]) => sum + weight, 0);
+  let roll = Math.random() * total;
+  for (const [item, weight] of usable) {
+    roll -= weight;
+    if (roll < 0) return item;
+  }
+  return null;
+}
+
+/**
+ * Keeps the event deck rules and a draw waiting for the GM's review.
+ * A draw is { type, planetId, targetPlanetId, duration } and becomes a
+ * campaign event when applied.
+ * - rules: see DEFAULT_EVENT_DECK
+ * - destroyed planets are never drawn
+ * - a draw held for review that the GM has not answered by the next turn
+ *   advance is dropped
+ * @class EventDeckManager
+ */
+export class EventDeckManager {
+  constructor(galaxy) {
+    this._galaxy = galaxy;
+    this._rules = deepClone(DEFAULT_EVENT_DECK);
+    this._pending = null;
+  }
+
+  get enabled() { return this._rules.enabled; }
+
+  /**
+   * Get the deck rules
+   * @returns {Object} {enabled, chance, maxActive, review, weights, affinities}
+   */
+  getRules() {
+    return deepClone(this._rules);
+  }
+
+  /**
+   * Change the deck rules
+   * @param {Object} rules - Any of {enabled, chance, maxActive, review, weights, affinities}
+   * @returns {Object} Result {ok, message}
+   */
+  setRules({ enabled = this._rules.enabled, chance = this._rules.chance, maxActive = this._rules.maxActive,
+    review = this._rules.review, weights = this._rules.weights, affinities = this._rules.affinities }) {
+    const count = value => Math.max(0, parseFloat(value) || 0);
+
+    this._rules = {
+      enabled: Boolean(enabled),
+      chance: Math.min(100, count(chance)),
+      maxActive: Math.max(1, parseInt(maxActive) || 1),
+      review: Boolean(review),
+      weights: Object.fromEntries(Object.keys(EVENT_TYPES).map(type => [type, count(weights[type])])),
+      // Only affinities other than 1 are kept
+      affinities: Object.fromEntries(Object.keys(EVENT_TYPES).map(type => [type,
+        Object.fromEntries(Object.entries(affinities[type] || {})
+          .filter(([planetType]) => PLANET_TYPES[planetType])
+          .map(([planetType, weight]) => [planetType, count(weight)])
+          .filter(([, weight]) => weight !== 1)),
+      ]).filter(([, byPlanetType]) => Object.keys(byPlanetType).length)),
+    };
+    if (!this._rules.enabled) this._pending = null;
+
+    this._galaxy._lastModified = Date.now();
+    return { ok: true, message: this._rules.enabled ? 'Event deck saved' : 'Event deck disabled' };
+  }
+
+  /**
+   * Get the draw waiting for review
+   * @returns {Object|null} Draw or null
+   */
+  getPending() {
+    return this._pending ? { ...this._pending } : null;
+  }
+
+  /**
+   * Describe a draw
+   * @param {Object} draw - Draw
+   * @returns {string} e.g. "Plague at Terra"
+   */
+  describe(draw) {
+    const planet = this._galaxy.getPlanet(draw.planetId);
+    const target = draw.targetPlanetId ? this._galaxy.getPlanet(draw.targetPlanetId) : null;
+    const where = target ? `${planet?.name} ↔ ${target.name}` : planet?.name || 'unknown planet';
+    return `${EVENT_TYPES[draw.type]?.name || draw.type} at ${where}`;
+  }
+
+  /**
+   * Draw an event by the deck's weights and planet affinities, without
+   * rolling the chance or checking the cap
+   * @returns {Object|null} Draw, or null if no event type or planet qualifies
+   */
+  draw() {
+    const type = weightedChoice(Object.entries(this._rules.weights));
+    if (!type) return null;
+
+    const planets = this._galaxy.planets.filter(p => p.type !== 'DESTROYED');
+    const affinity = this._rules.affinities[type] || {};
+    const planet = weightedChoice(planets.map(p => [p, affinity[p.type] ?? 1]));
+    if (!planet) return null;
+
+    let targetPlanetId = null;
+    if (type === 'WORMHOLE') {
+      const others = planets.filter(p => p.id !== planet.id);
+      if (!others.length) return null;
+      targetPlanetId = randomChoice(others).id;
+    }
+
+    return { type, planetId: planet.id, targetPlanetId, duration: EVENT_TYPES[type].duration };
+  }
+
+  /**
+   * Draw for the new turn: roll the chance, respect the cap and either
+   * apply the draw or hold it for review
+   * @returns {Object|null} {draw, event} if applied, {draw, pending: true} if held, or null
+   */
+  advanceTurn() {
+    if (this._pending) {
+      this._galaxy.journal.record({ type: 'event', summary: `Unreviewed event draw dropped: ${this.describe(this._pending)}` });
+      this._pending = null;
+    }
+    if (!this.enabled) return null;
+
+    const open = this._galaxy.eventManager.getAll().filter(ev => ev.isActive() || ev.isWaiting()).length;
+    if (open >= this._rules.maxActive) return null;
+    if (Math.random() * 100 >= this._rules.chance) return null;
+
+    const draw = this.draw();
+    if (!draw) return null;
+
+    this._galaxy._lastModified = Date.now();
+    if (this._rules.review) {
+      this._pending = draw;
+      return { draw, pending: true };
+    }
+    return { draw, event: this._apply(draw) };
+  }
+
+  /**
+   * Apply the draw waiting for review
+   * @returns {Object} Result {ok, message, event}
+   */
+  applyPending() {
+    if (!this._pending) return { ok: false, message: 'No event draw is waiting.' };
+    const draw = this._pending;
+    this._pending = null;
+    const event = this._apply(draw);
+    return { ok: true, message: `${this.describe(draw)} applied`, event };
+  }
+
+  /**
+   * Discard the draw waiting for review
+   * @returns {Object} Result {ok, message}
+   */
+  veto() {
+    if (!this._pending) return { ok: false, message: 'No event draw is waiting.' };
+    const draw = this._pending;
+    this._pending = null;
+    this._galaxy._lastModified = Date.now();
+    return { ok: true, message: `${this.describe(draw)} vetoed` };
+  }
+
+  /**
+   * Replace the draw waiting for review with a new one
+   * @returns {Object} Result {ok, message, draw}
+   */
+  redraw() {
+    const draw = this.draw();
+    if (!draw) return { ok: false, message: 'No event type or planet can be drawn.' };
+    this._pending = draw;
+    this._galaxy._lastModified = Date.now();
+    return { ok: true, message: `Drew ${this.describe(draw)}`, draw };
+  }
+
+  /**
+   * Forget a draw that involves a removed planet
+   * @param {string} planetId - Planet ID
+   */
+  clearPlanet(planetId) {
+    if (this._pending?.planetId === planetId || this._pending?.targetPlanetId === planetId) this._pending = null;
+  }
+
+  /**
+   * Turn a draw into a campaign event
+   * @private
+   * @param {Object} draw - Draw
+   * @returns {CampaignEvent} Created event
+   */
+  _apply(draw) {
+    const event = this._galaxy.eventManager.add({ ...draw });
+    this._galaxy._onEventAdded(event);
+    this._galaxy._lastModified = Date.now();
+    return event;
+  }
+
+  /**
+   * Serialize to JSON
+   * @returns {Object} Rules and {pending}
+   */
+  toJSON() {
+    return { ...deepClone(this._rules), pending: this.getPending() };
+  }
+
+  /**
+   * Load from JSON
+   * @param {Object} data - Rules and {pending}
+   */
+  fromJSON(data) {
+    const { pending = null, ...rules } = data || {};
+    this._rules = { ...deepClone(DEFAULT_EVENT_DECK), ...deepClone(rules) };
+    this._pending = pending ? { ...pending } : null;
+  }
+}
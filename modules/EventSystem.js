@@ -4,10 +4,60 @@
  */
 
 import { EVENT_TYPES } from '../config/constants.js';
-import { generateId, randomChoice } from '../utils/helpers.js';
+import { deepClone, distance, generateId, randomChoice } from '../utils/helpers.js';
 
 /**
- * Represents a campaign event
+ * Bring an event scope into its stored shape
+ * @param {Object} scope - {type, ...}; anything unknown means the one planet
+ * @param {string} planetId - Planet the event is anchored on
+ * @returns {Object} Scope
+ */
+function normalizeScope(scope, planetId) {
+  switch (scope?.type) {
+    case 'planets':
+      return { type: 'planets', planetIds: [...new Set([planetId, ...(scope.planetIds || [])])] };
+    case 'sector':
+      return { type: 'sector', sectorId: scope.sectorId };
+    case 'radius':
+      return { type: 'radius', center: { x: 0, y: 0, z: 0, ...scope.center }, radius: Math.max(0, Number(scope.radius) || 0) };
+    default:
+      return { type: 'planet' };
+  }
+}
+
+/**
+ * Bring an event's motion into its stored shape
+ * @param {Object|null} motion - {type, ...}; anything unknown means it stays put
+ * @returns {Object|null} Motion or null
+ */
+function normalizeMotion(motion) {
+  const chance = Math.min(100, Math.max(0, Number(motion?.chance ?? 100) || 0));
+  switch (motion?.type) {
+    case 'drift':
+      return { type: 'drift', chance, targetPlanetId: motion.targetPlanetId || null };
+    case 'spread':
+      return { type: 'spread', chance, lifetime: Math.max(0, parseInt(motion.lifetime) || 0) || null };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Represents a campaign event. An event is anchored on `planetId`; its
+ * scope says which planets it covers:
+ * - { type: 'planet' }: the anchor planet only
+ * - { type: 'planets', planetIds }: a set of planets, anchor included
+ * - { type: 'sector', sectorId }: every planet in a sector
+ * - { type: 'radius', center: {x, y, z}, radius }: every planet within
+ *   `radius` of a position
+ * A single-planet event may also move at every turn advance (`motion`):
+ * - { type: 'drift', chance, targetPlanetId }: with chance percent, move one
+ *   connection, at random or towards targetPlanetId
+ * - { type: 'spread', chance, lifetime }: each neighbour the event's family
+ *   does not hold yet catches a copy with chance percent; copies last
+ *   `lifetime` turns (the event's duration if unset) and spread in turn
+ * `path` is [{planetId, turn}], the planets the event, and the events it
+ * spread from, have been on; `originId` is the event a copy descends from.
  * @class CampaignEvent
  */
 export class CampaignEvent {
@@ -23,6 +73,10 @@ export class CampaignEvent {
     this._color = data.color || EVENT_TYPES[data.type]?.color || 'var(--color-main-text)';
     this._planetId = data.planetId;
     this._targetPlanetId = data.targetPlanetId || null;
+    this._scope = normalizeScope(data.scope, data.planetId);
+    this._motion = normalizeMotion(data.motion);
+    this._path = (data.path || []).map(step => ({ ...step }));
+    this._originId = data.originId || null;
     this._duration = data.duration || EVENT_TYPES[data.type]?.duration || 1;
     this._turnsRemaining = data.turnsRemaining ?? this._duration;
     this._startTurn = data.startTurn || 0; // 0 means starts immediately
@@ -40,6 +94,10 @@ export class CampaignEvent {
   get color() { return this._color; }
   get planetId() { return this._planetId; }
   get targetPlanetId() { return this._targetPlanetId; }
+  get scope() { return deepClone(this._scope); }
+  get motion() { return this._motion ? { ...this._motion } : null; }
+  get path() { return this._path.map(step => ({ ...step })); }
+  get originId() { return this._originId; }
   get duration() { return this._duration; }
   get turnsRemaining() { return this._turnsRemaining; }
   get startTurn() { return this._startTurn; }
@@ -47,6 +105,47 @@ export class CampaignEvent {
   get createdAt() { return this._createdAt; }
   get customData() { return { ...this._customData }; }
 
+  /**
+   * Check if the event covers more than its anchor planet
+   * @returns {boolean} True for planet set, sector and radius scopes
+   */
+  isRegional() {
+    return this._scope.type !== 'planet';
+  }
+
+  /**
+   * Check if the event drifts or spreads
+   * @returns {boolean} True for a single-planet event with a motion
+   */
+  isMoving() {
+    return Boolean(this._motion) && !this.isRegional() && this._effect !== 'creates_route';
+  }
+
+  /**
+   * Move the event to another planet and record it in its path
+   * @param {string} planetId - Planet ID
+   * @param {number} turn - Current turn
+   */
+  moveTo(planetId, turn) {
+    this._planetId = planetId;
+    this._path.push({ planetId, turn });
+  }
+
+  /**
+   * Take a removed planet out of the scope, path and drift target and, if
+   * the event was anchored on it, anchor it on another planet
+   * @param {string} planetId - Removed planet ID
+   * @param {string|null} nextPlanetId - New anchor
+   */
+  dropPlanet(planetId, nextPlanetId) {
+    if (this._scope.type === 'planets') {
+      this._scope.planetIds = this._scope.planetIds.filter(id => id !== planetId);
+    }
+    this._path = this._path.filter(step => step.planetId !== planetId);
+    if (this._motion?.targetPlanetId === planetId) this._motion.targetPlanetId = null;
+    if (this._planetId === planetId) this._planetId = nextPlanetId;
+  }
+
   /**
    * Check if event is currently active (has started and not expired)
    * @returns {boolean} True if active
@@ -135,6 +234,10 @@ export class CampaignEvent {
       color: this._color,
       planetId: this._planetId,
       targetPlanetId: this._targetPlanetId,
+      scope: deepClone(this._scope),
+      motion: this.motion,
+      path: this.path,
+      originId: this._originId,
       duration: this._duration,
       turnsRemaining: this._turnsRemaining,
       startTurn: this._startTurn,
@@ -156,21 +259,33 @@ export class CampaignEvent {
 }
 
 /**
- * Manages all campaign events
+ * Manages all campaign events. Sector and radius scopes are resolved
+ * against the galaxy's current sectors and planet positions.
  * @class EventManager
  */
 export class EventManager {
-  constructor() {
+  /**
+   * @param {Galaxy|null} galaxy - Galaxy whose planets and sectors scopes refer to
+   */
+  constructor(galaxy = null) {
+    this._galaxy = galaxy;
     this._events = [];
   }
 
   /**
-   * Add a new event
+   * Add a new event. A radius scope without a center is centered on the
+   * anchor planet; a moving event's path starts where it is placed.
    * @param {Object} eventData - Event data
    * @returns {CampaignEvent} Created event
    */
   add(eventData) {
-    const event = new CampaignEvent(eventData);
+    const { scope, motion, path } = eventData;
+    const anchor = this._galaxy?.getPlanet(eventData.planetId);
+    const event = new CampaignEvent({
+      ...eventData,
+      scope: scope?.type === 'radius' && !scope.center && anchor ? { ...scope, center: { ...anchor.position } } : scope,
+      path: motion && !path?.length ? [{ planetId: eventData.planetId, turn: this._galaxy?.turn ?? 0 }] : path,
+    });
     this._events.push(event);
     return event;
   }
@@ -209,10 +324,83 @@ export class EventManager {
   /**
    * Get all events affecting a planet
    * @param {string} planetId - Planet ID
-   * @returns {CampaignEvent[]} Events on planet
+   * @returns {CampaignEvent[]} Events on planet or covering it
    */
   getByPlanet(planetId) {
-    return this._events.filter(e => e.planetId === planetId);
+    return this._events.filter(e => e.planetId === planetId || this.affects(e, planetId));
+  }
+
+  /**
+   * Planets an event covers
+   * @param {CampaignEvent} event - Event
+   * @returns {string[]} Planet IDs
+   */
+  getPlanetIds(event) {
+    const scope = event.scope;
+    const galaxy = this._galaxy;
+    if (!galaxy) return scope.type === 'planets' ? scope.planetIds : [event.planetId];
+
+    switch (scope.type) {
+      case 'planets':
+        return scope.planetIds;
+      case 'sector':
+        return galaxy.sectors.find(s => s.id === scope.sectorId)?.planetIds || [];
+      case 'radius': {
+        const { x, y, z } = scope.center;
+        return galaxy.planets
+          .filter(p => distance(x, y, z, p.position.x, p.position.y, p.position.z) <= scope.radius)
+          .map(p => p.id);
+      }
+      default:
+        return [event.planetId];
+    }
+  }
+
+  /**
+   * Check if an event covers a planet
+   * @param {CampaignEvent} event - Event
+   * @param {string} planetId - Planet ID
+   * @returns {boolean} True if covered
+   */
+  affects(event, planetId) {
+    return this.getPlanetIds(event).includes(planetId);
+  }
+
+  /**
+   * Describe where an event is, for the journal and lists
+   * @param {CampaignEvent} event - Event
+   * @returns {string} e.g. "Terra", "Terra ↔ Mars", "Sector B"
+   */
+  describeLocation(event) {
+    const name = planetId => this._galaxy?.getPlanet(planetId)?.name || 'unknown planet';
+    const scope = event.scope;
+    switch (scope.type) {
+      case 'planets': {
+        const names = scope.planetIds.map(name);
+        return names.length > 3 ? `${names.slice(0, 3).join(', ')} and ${names.length - 3} more` : names.join(', ');
+      }
+      case 'sector':
+        return this._galaxy?.sectors.find(s => s.id === scope.sectorId)?.name || 'unknown sector';
+      case 'radius':
+        return `planets within ${scope.radius} of ${name(event.planetId)}`;
+      default:
+        return event.targetPlanetId ? `${name(event.planetId)} ↔ ${name(event.targetPlanetId)}` : name(event.planetId);
+    }
+  }
+
+  /**
+   * Take a removed planet out of every event. Wormholes to it and events
+   * left without a planet are removed; regional events anchored on it move
+   * to another planet they cover.
+   * @param {string} planetId - Planet ID
+   */
+  clearPlanet(planetId) {
+    this._events = this._events.filter(event => {
+      if (event.targetPlanetId === planetId) return false;
+      const nextPlanetId = this.getPlanetIds(event).find(id => id !== planetId) || null;
+      event.dropPlanet(planetId, nextPlanetId);
+      return Boolean(event.planetId);
+    });
   }
 
   /**
@@ -242,17 +430,95 @@ export class EventManager {
     return expired;
   }
 
+  /**
+   * Let moving events drift or spread. Called by Galaxy.advanceTurn after
+   * events tick; copies made this turn do not spread until the next.
+   * @param {CampaignEvent[]} events - Events that were active during the turn that ended
+   * @returns {Object} {moved: [{event, from, to}], spread: [{event, from}]}
+   */
+  advanceMotion(events) {
+    const moved = [];
+    const spread = [];
+    const galaxy = this._galaxy;
+    if (!galaxy) return { moved, spread };
+    const roll = chance => Math.random() * 100 < chance;
+
+    events.filter(e => this._events.includes(e) && e.isActive() && e.isMoving()).forEach(event => {
+      const motion = event.motion;
+      const from = event.planetId;
+      const neighbours = galaxy.getPlanet(from)?.connections || [];
+
+      if (motion.type === 'drift') {
+        if (!roll(motion.chance)) return;
+        const to = motion.targetPlanetId ? this._stepToward(from, motion.targetPlanetId) : randomChoice(neighbours);
+        if (!to) return;
+        event.moveTo(to, galaxy.turn);
+        moved.push({ event, from, to });
+        return;
+      }
+
+      const family = event.originId || event.id;
+      neighbours
+        .filter(id => !this._events.some(e => (e.originId || e.id) === family && e.planetId === id))
+        .filter(() => roll(motion.chance))
+        .forEach(to => {
+          const copy = this.add({
+            type: event.type,
+            name: event.name,
+            description: event.description,
+            icon: event.icon,
+            color: event.color,
+            effect: event.effect,
+            customData: event.customData,
+            planetId: to,
+            duration: motion.lifetime || event.duration,
+            motion,
+            path: [...event.path, { planetId: to, turn: galaxy.turn }],
+            originId: family,
+          });
+          spread.push({ event: copy, from });
+        });
+    });
+
+    return { moved, spread };
+  }
+
+  /**
+   * First connection on the shortest path between two planets
+   * @private
+   * @param {string} fromId - Planet ID
+   * @param {string} toId - Planet ID
+   * @returns {string|null} Next planet ID, or null if there or unreachable
+   */
+  _stepToward(fromId, toId) {
+    const previous = new Map([[fromId, null]]);
+    const queue = [fromId];
+    while (queue.length && !previous.has(toId)) {
+      const id = queue.shift();
+      (this._galaxy.getPlanet(id)?.connections || []).forEach(next => {
+        if (previous.has(next)) return;
+        previous.set(next, id);
+        queue.push(next);
+      });
+    }
+    if (fromId === toId || !previous.has(toId)) return null;
+
+    let step = toId;
+    while (previous.get(step) !== fromId) step = previous.get(step);
+    return step;
+  }
+
   /**
    * Check if route between planets is blocked
    * @param {string} planetId1 - First planet ID
    * @param {string} planetId2 - Second planet ID
-   * @returns {boolean} True if blocked
+   * @returns {boolean} True if a warp storm covers either end
    */
   isRouteBlocked(planetId1, planetId2) {
     const warpStorms = this._events.filter(e => e.effect === 'blocks_travel' && e.isActive());
     
     for (const storm of warpStorms) {
-      if (storm.planetId === planetId1 || storm.planetId === planetId2) {
+      if (this.affects(storm, planetId1) || this.affects(storm, planetId2)) {
         return true;
       }
     }
@@ -27,11 +27,26 @@ export const FACTION_DETAIL_FIELDS = [
  * @class FactionManager
  */
 export class FactionManager {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Object} options.storage - Persistence with loadFactions()/saveFactions()
+   * @param {Function|null} options.onChange - Called after factions are added, updated or removed
+   */
+  constructor({ storage = StorageService, onChange = null } = {}) {
+    this._storage = storage;
+    this.onChange = onChange;
     this._factions = this._loadFactions();
     this._galaxy = null;
   }
 
+  /**
+   * Tell the owner (usually the UI) that the faction list changed
+   * @private
+   */
+  _notifyChange() {
+    if (this.onChange) this.onChange();
+  }
+
   /**
    * Set galaxy reference
    * @param {Galaxy} galaxy - Galaxy instance
@@ -46,7 +61,7 @@ export class FactionManager {
    * @returns {Array} Faction array
    */
   _loadFactions() {
-    const saved = StorageService.loadFactions();
+    const saved = this._storage.loadFactions();
     return saved || [...DEFAULT_FACTIONS];
   }
 
@@ -54,7 +69,7 @@ export class FactionManager {
    * Save factions to storage
    */
   save() {
-    StorageService.saveFactions(this._factions);
+    this._storage.saveFactions(this._factions);
   }
 
   /**
@@ -115,13 +130,8 @@ export class FactionManager {
     
     this._factions.push(faction);
     this.save();
+    this._notifyChange();
     return faction;
-    
-    // Update UI elements
-    if (typeof window !== 'undefined' && window.app && window.app.ui) {
-      window.app.ui.updateFactionStats();
-      window.app.ui.populateFactionDropdown();
-    }
   }
 
   /**
@@ -141,11 +151,7 @@ export class FactionManager {
       };
       this.save();
       
-      // Update UI elements
-      if (typeof window !== 'undefined' && window.app && window.app.ui) {
-        window.app.ui.updateFactionStats();
-        window.app.ui.populateFactionDropdown();
-      }
+      this._notifyChange();
     }
     
     return this._factions[index] || null;
@@ -163,11 +169,7 @@ export class FactionManager {
       this._factions.splice(index, 1);
       this.save();
       
-      // Update UI elements
-      if (typeof window !== 'undefined' && window.app && window.app.ui) {
-        window.app.ui.updateFactionStats();
-        window.app.ui.populateFactionDropdown();
-      }
+      this._notifyChange();
     }
     
     return index !== -1;
@@ -179,12 +181,7 @@ export class FactionManager {
   reset() {
     this._factions = [...DEFAULT_FACTIONS];
     this.save();
-    
-    // Update UI elements
-    if (typeof window !== 'undefined' && window.app && window.app.ui) {
-      window.app.ui.updateFactionStats();
-      window.app.ui.populateFactionDropdown();
-    }
+    this._notifyChange();
   }
 
   /**
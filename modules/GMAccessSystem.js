@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Optional passphrase protecting GM mode
+ * @module modules/GMAccessSystem
+ */
+
+import { CONFIG } from '../config/constants.js';
+import { deepClone, hashSecret, verifySecret } from '../utils/helpers.js';
+
+/**
+ * Remove passphrase and PIN hashes from serialized campaign data, for
+ * exports and for sync states sent to players
+ * @param {Object} campaignData - Output of Galaxy.toJSON()
+ * @param {Object} options
+ * @param {boolean} options.keepPassphrase - Keep the GM passphrase hash (GM backups); PINs always go
+ * @returns {Object} Copy without secrets
+ */
+export function stripSecrets(campaignData, { keepPassphrase = false } = {}) {
+  const data = deepClone(campaignData);
+  if (data.settings && !keepPassphrase) data.settings.gmPassphrase = null;
+  (data.players || []).forEach(player => { player.pin = null; });
+  return data;
+}
+
+/**
+ * Keeps the campaign's GM settings: the passphrase, stored only as
+ * {salt, hash} (see hashSecret), and how many idle minutes end GM mode
+ * @class GMAccessManager
+ */
+export class GMAccessManager {
+  constructor(galaxy) {
+    this._galaxy = galaxy;
+    this._passphrase = null;
+    this._timeoutMinutes = CONFIG.GM_INACTIVITY_MINUTES;
+  }
+
+  get timeoutMinutes() { return this._timeoutMinutes; }
+  set timeoutMinutes(value) {
+    this._timeoutMinutes = Math.max(1, parseInt(value) || CONFIG.GM_INACTIVITY_MINUTES);
+    this._galaxy._lastModified = Date.now();
+  }
+
+  /**
+   * Check whether GM mode needs a passphrase
+   * @returns {boolean} True if a passphrase is set
+   */
+  hasPassphrase() {
+    return Boolean(this._passphrase);
+  }
+
+  /**
+   * Set or clear the passphrase
+   * @param {string} passphrase - New passphrase, empty to remove it
+   * @returns {Promise<void>}
+   */
+  async setPassphrase(passphrase) {
+    this._passphrase = passphrase ? await hashSecret(passphrase) : null;
+    this._galaxy._lastModified = Date.now();
+  }
+
+  /**
+   * Check an entered passphrase
+   * @param {string} passphrase - Entered passphrase
+   * @returns {Promise<boolean>} True if it matches, or if none is set
+   */
+  async verify(passphrase) {
+    if (!this._passphrase) return true;
+    return verifySecret(passphrase, this._passphrase);
+  }
+
+  /**
+   * Serialize to JSON
+   * @returns {Object} {gmPassphrase, gmTimeoutMinutes}
+   */
+  toJSON() {
+    return { gmPassphrase: this._passphrase, gmTimeoutMinutes: this._timeoutMinutes };
+  }
+
+  /**
+   * Load from JSON
+   * @param {Object} data - {gmPassphrase, gmTimeoutMinutes}
+   */
+  fromJSON(data) {
+    this._passphrase = data?.gmPassphrase || null;
+    this._timeoutMinutes = data?.gmTimeoutMinutes || CONFIG.GM_INACTIVITY_MINUTES;
+  }
+}
@@ -89,6 +89,10 @@ export class GalacticOrderManager {
     };
 
     this._currentOrder = order;
+    this._galaxy.journal.record({
+      type: 'order',
+      summary: `New galactic order: ${order.name}`,
+    });
     return order;
   }
 
@@ -128,10 +132,7 @@ export class GalacticOrderManager {
     const turns = Math.floor(Math.random() * 5) + 3; // 3-7 turns
     const amount = Math.floor(Math.random() * 10) + 5; // 5-14
     const sector = randomChoice(SECTOR_NAMES);
-    const allResources = this._app?.resourceManager?.getAll() || [
-      { id: 'resource1' }, { id: 'resource2' }, { id: 'resource3' }, { id: 'resource4' }
-    ];
-    const resource = randomChoice(allResources.map(r => r.id));
+    const resource = randomChoice(this._galaxy.context.getResourceTypes().map(r => r.id));
     const target = Math.floor(Math.random() * 5) + 2; // 2-6
 
     return {
@@ -175,7 +176,7 @@ export class GalacticOrderManager {
     
     // Check if order has expired (0 or negative turns remaining)
     if (this._currentOrder.expiresAt <= Date.now()) {
-      return this.completeOrder();
+      return this.completeOrder('expired');
     }
     
     return null;
@@ -214,11 +215,17 @@ export class GalacticOrderManager {
 
   /**
    * Complete current order
+   * @param {string} reason - 'completed' or 'expired'
    * @returns {Object} Completed order
    */
-  completeOrder() {
+  completeOrder(reason = 'completed') {
     if (!this._currentOrder) return null;
 
+    this._galaxy.journal.record({
+      type: 'order',
+      summary: `Galactic order ${this._currentOrder.name} ${reason}`,
+    });
+
     this._currentOrder.completed = true;
     this._currentOrder.completedAt = Date.now();
     
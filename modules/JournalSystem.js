@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Campaign journal recording every change to the galaxy
+ * @module modules/JournalSystem
+ */
+
+import { generateId } from '../utils/helpers.js';
+
+/**
+ * Build a faction reference for a journal summary. The UI replaces
+ * `{faction:ID}` tokens with the faction's current name and symbol.
+ * @param {string|null} factionId - Faction ID
+ * @returns {string} Token or 'Unclaimed'
+ */
+export function factionToken(factionId) {
+  return factionId ? `{faction:${factionId}}` : 'Unclaimed';
+}
+
+/**
+ * Campaign-wide change log, grouped by turn
+ * @class JournalManager
+ */
+export class JournalManager {
+  constructor(galaxy) {
+    this._galaxy = galaxy;
+    this._entries = [];
+  }
+
+  get length() { return this._entries.length; }
+
+  /**
+   * Record a change
+   * @param {Object} entry - Entry data
+   * @param {string} entry.type - Entry type (see JOURNAL_ENTRY_TYPES)
+   * @param {string} entry.summary - Human-readable summary
+   * @param {string|null} entry.factionId - Acting faction (null for GM/system)
+   * @param {string|null} entry.planetId - Related planet
+   * @param {Object} entry.data - Extra structured data
+   * @returns {Object} Created entry
+   */
+  record({ type, summary, factionId = null, planetId = null, data = {} }) {
+    const entry = {
+      id: generateId(),
+      turn: this._galaxy.turn,
+      type,
+      factionId,
+      planetId,
+      summary,
+      data,
+      timestamp: Date.now(),
+    };
+
+    this._entries.push(entry);
+    return entry;
+  }
+
+  /**
+   * Get entries matching a filter, newest first
+   * @param {Object} filter - Optional filters
+   * @param {number} filter.turn - Only this turn
+   * @param {string} filter.factionId - Only this acting faction
+   * @param {string} filter.type - Only this entry type
+   * @param {string} filter.planetId - Only this planet
+   * @returns {Array} Matching entries
+   */
+  getEntries({ turn = null, factionId = null, type = null, planetId = null } = {}) {
+    return this._entries
+      .filter(e =>
+        (turn === null || e.turn === turn) &&
+        (!factionId || e.factionId === factionId) &&
+        (!type || e.type === type) &&
+        (!planetId || e.planetId === planetId)
+      )
+      .reverse();
+  }
+
+  /**
+   * Get the turns that have entries, newest first
+   * @returns {number[]} Turn numbers
+   */
+  getTurns() {
+    return [...new Set(this._entries.map(e => e.turn))].sort((a, b) => b - a);
+  }
+
+  /**
+   * Get the entries recorded after a given position
+   * @param {number} index - Journal length before the change
+   * @returns {Array} Entries recorded since
+   */
+  entriesSince(index) {
+    return this._entries.slice(index);
+  }
+
+  /**
+   * Remove entries (used when the change that produced them is undone)
+   * @param {Array} entries - Entries to remove
+   */
+  removeEntries(entries) {
+    const ids = new Set(entries.map(e => e.id));
+    this._entries = this._entries.filter(e => !ids.has(e.id));
+  }
+
+  /**
+   * Put back entries previously removed with removeEntries()
+   * @param {Array} entries - Entries to restore
+   */
+  restoreEntries(entries) {
+    const known = new Set(this._entries.map(e => e.id));
+    entries.forEach(entry => {
+      if (!known.has(entry.id)) this._entries.push(entry);
+    });
+    this._entries.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Serialize to JSON
+   * @returns {Array} Entries
+   */
+  toJSON() {
+    return this._entries;
+  }
+
+  /**
+   * Load from JSON
+   * @param {Array} data - Entries
+   */
+  fromJSON(data) {
+    this._entries = data || [];
+  }
+}
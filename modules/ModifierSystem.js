@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Planet and faction modifiers with magnitude, stacking and duration
+ * @module modules/ModifierSystem
+ */
+
+import { MODIFIER_TYPES } from '../config/constants.js';
+import { generateId } from '../utils/helpers.js';
+
+/**
+ * Manages modifiers. A modifier is
+ * { id, key, value, planetId, factionId, source, label, stacking, turnsRemaining }
+ * - planetId null makes it faction-wide: it applies to every planet the
+ *   faction owns
+ * - turnsRemaining null makes it permanent
+ * - stacking (default from MODIFIER_TYPES):
+ *   'stack'   every instance counts
+ *   'refresh' one instance per key, planet, faction and source; adding it
+ *             again updates the value and keeps the longer duration
+ *   'highest' one instance per key and planet; the larger value wins
+ * @class ModifierManager
+ */
+export class ModifierManager {
+  constructor(galaxy) {
+    this._galaxy = galaxy;
+    this._modifiers = [];
+  }
+
+  /**
+   * Get all modifiers
+   * @returns {Array} Modifiers
+   */
+  getAll() {
+    return [...this._modifiers];
+  }
+
+  /**
+   * Add a modifier, following its stacking rule
+   * @param {Object} data - Modifier data
+   * @param {string} data.key - Modifier key (see MODIFIER_TYPES)
+   * @param {*} data.value - Magnitude
+   * @param {string|null} data.planetId - Planet, or null for faction-wide
+   * @param {string|null} data.factionId - Faction that applied it (or that it belongs to)
+   * @param {Object|null} data.source - What produced it, e.g. {type: 'shop', id, name}
+   * @param {string|null} data.label - Display name (defaults to the source name)
+   * @param {number|null} data.duration - Turns it lasts, null for permanent
+   * @param {string} data.stacking - Overrides the key's stacking rule
+   * @returns {Object} The added or updated modifier
+   */
+  add({ key, value = true, planetId = null, factionId = null, source = null, label = null, duration = null, stacking }) {
+    const rule = stacking || MODIFIER_TYPES[key]?.stacking || 'refresh';
+    const modifier = {
+      id: generateId(),
+      key,
+      value,
+      planetId,
+      factionId,
+      source,
+      label,
+      stacking: rule,
+      turnsRemaining: duration,
+    };
+
+    const existing = this._modifiers.find(m => {
+      if (m.key !== key || m.planetId !== planetId) return false;
+      if (rule === 'refresh') return m.factionId === factionId && m.source?.id === source?.id;
+      return rule === 'highest';
+    });
+
+    if (existing && rule === 'refresh') {
+      existing.value = value;
+      existing.turnsRemaining = existing.turnsRemaining === null || duration === null
+        ? null
+        : Math.max(existing.turnsRemaining, duration);
+      this._galaxy._lastModified = Date.now();
+      return existing;
+    }
+
+    if (existing && rule === 'highest') {
+      if (existing.value >= value) return existing;
+      this._modifiers.splice(this._modifiers.indexOf(existing), 1);
+    }
+
+    this._modifiers.push(modifier);
+    this._galaxy._lastModified = Date.now();
+    return modifier;
+  }
+
+  /**
+   * Remove a modifier
+   * @param {string} modifierId - Modifier ID
+   * @returns {boolean} True if removed
+   */
+  remove(modifierId) {
+    const index = this._modifiers.findIndex(m => m.id === modifierId);
+    if (index === -1) return false;
+    this._modifiers.splice(index, 1);
+    this._galaxy._lastModified = Date.now();
+    return true;
+  }
+
+  /**
+   * Remove every modifier placed on a planet
+   * @param {string} planetId - Planet ID
+   */
+  clearPlanet(planetId) {
+    this._modifiers = this._modifiers.filter(m => m.planetId !== planetId);
+    this._galaxy._lastModified = Date.now();
+  }
+
+  /**
+   * Remove every modifier something produced, e.g. an event that ended
+   * @param {string} sourceId - Source ID
+   * @returns {Array} Removed modifiers
+   */
+  removeBySource(sourceId) {
+    const removed = this._modifiers.filter(m => m.source?.id === sourceId);
+    if (!removed.length) return removed;
+    this._modifiers = this._modifiers.filter(m => !removed.includes(m));
+    this._galaxy._lastModified = Date.now();
+    return removed;
+  }
+
+  /**
+   * Modifiers placed on a planet
+   * @param {string} planetId - Planet ID
+   * @param {string|null} key - Only this key
+   * @returns {Array} Modifiers
+   */
+  getForPlanet(planetId, key = null) {
+    return this._modifiers.filter(m => m.planetId === planetId && (!key || m.key === key));
+  }
+
+  /**
+   * Faction-wide modifiers
+   * @param {string} factionId - Faction ID
+   * @param {string|null} key - Only this key
+   * @returns {Array} Modifiers
+   */
+  getForFaction(factionId, key = null) {
+    return this._modifiers.filter(m => m.planetId === null && m.factionId === factionId && (!key || m.key === key));
+  }
+
+  /**
+   * Modifiers affecting a planet: its own plus its owner's faction-wide ones
+   * @param {string} planetId - Planet ID
+   * @param {string|null} key - Only this key
+   * @returns {Array} Modifiers
+   */
+  getApplicable(planetId, key = null) {
+    const owner = this._galaxy.getPlanet(planetId)?.owner;
+    return [
+      ...this.getForPlanet(planetId, key),
+      ...(owner ? this.getForFaction(owner, key) : []),
+    ];
+  }
+
+  /**
+   * Combined magnitude of a key on a planet
+   * @param {string} planetId - Planet ID
+   * @param {string} key - Modifier key
+   * @returns {number|boolean} Sum, product or flag depending on MODIFIER_TYPES
+   */
+  getTotal(planetId, key) {
+    const combine = MODIFIER_TYPES[key]?.combine || 'sum';
+    const modifiers = this.getApplicable(planetId, key);
+
+    if (combine === 'flag') return modifiers.length > 0;
+    if (combine === 'product') return modifiers.reduce((total, m) => total * m.value, 1);
+    return modifiers.reduce((total, m) => total + m.value, 0);
+  }
+
+  /**
+   * Count down timed modifiers and drop those that ran out
+   * @returns {Array} Expired modifiers
+   */
+  advanceTurn() {
+    this._modifiers.forEach(m => {
+      if (m.turnsRemaining !== null) m.turnsRemaining--;
+    });
+    const expired = this._modifiers.filter(m => m.turnsRemaining !== null && m.turnsRemaining <= 0);
+    this._modifiers = this._modifiers.filter(m => !expired.includes(m));
+
+    expired.forEach(m => {
+      const where = m.planetId ? this._galaxy.getPlanet(m.planetId)?.name || 'unknown planet' : 'all planets';
+      this._galaxy.journal.record({
+        type: { shop: 'purchase', event: 'event' }[m.source?.type] || 'stratagem',
+        factionId: m.factionId,
+        planetId: m.planetId,
+        summary: `${m.label || m.source?.name || MODIFIER_TYPES[m.key]?.name || m.key} on ${where} wore off`,
+      });
+    });
+
+    return expired;
+  }
+
+  /**
+   * Serialize to JSON
+   * @returns {Array} Modifiers
+   */
+  toJSON() {
+    return this._modifiers;
+  }
+
+  /**
+   * Load from JSON
+   * @param {Array} data - Modifiers
+   */
+  fromJSON(data) {
+    this._modifiers = data || [];
+  }
+}
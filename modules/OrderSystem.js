@@ -0,0 +1,309 @@
+/**
+ * @fileoverview Orders phase: queued faction orders resolved on turn advance
+ * @module modules/OrderSystem
+ */
+
+import { ORDER_TYPES, SHOP_ITEMS, STRATAGEMS } from '../config/constants.js';
+import { canAfford, generateId } from '../utils/helpers.js';
+
+/**
+ * Add up cost maps
+ * @param {Array<Object>} costs - Cost maps {resourceId: amount}
+ * @returns {Object} Total cost map
+ */
+function totalCost(costs) {
+  const total = {};
+  costs.forEach(cost => {
+    Object.entries(cost || {}).forEach(([resource, amount]) => {
+      total[resource] = (total[resource] || 0) + amount;
+    });
+  });
+  return total;
+}
+
+/**
+ * Keeps the orders factions queue while the campaign is in its orders phase.
+ * An order is
+ * { id, type, factionId, turn, shipId, targetPlanetId, itemId, stratagemId, options, createdAt }
+ * - type is a key of ORDER_TYPES: 'move', 'purchase' or 'stratagem'
+ * - orders are checked when queued, but only take effect in resolve(), which
+ *   Galaxy.advanceTurn calls before the turn changes
+ * - a fleet has at most one move order; queuing another replaces it. Its
+ *   target may be several jumps away: the order plots the fleet's route,
+ *   which it then follows as far as its movement allows each turn
+ * @class OrderManager
+ */
+export class OrderManager {
+  constructor(galaxy) {
+    this._galaxy = galaxy;
+    this._orders = [];
+  }
+
+  /**
+   * Get all queued orders
+   * @returns {Array} Orders
+   */
+  getAll() {
+    return [...this._orders];
+  }
+
+  /**
+   * Get order by ID
+   * @param {string} orderId - Order ID
+   * @returns {Object|undefined} Order or undefined
+   */
+  getById(orderId) {
+    return this._orders.find(o => o.id === orderId);
+  }
+
+  /**
+   * Get the orders a faction has queued
+   * @param {string} factionId - Faction ID
+   * @returns {Array} Orders
+   */
+  getByFaction(factionId) {
+    return this._orders.filter(o => o.factionId === factionId);
+  }
+
+  /**
+   * Get the queued move of a fleet
+   * @param {string} shipId - Ship ID
+   * @returns {Object|undefined} Order or undefined
+   */
+  getMoveForShip(shipId) {
+    return this._orders.find(o => o.type === 'move' && o.shipId === shipId);
+  }
+
+  /**
+   * Describe an order for lists and the journal
+   * @param {Object} order - Order
+   * @returns {string} e.g. "Move Fleet to Terra"
+   */
+  describe(order) {
+    const planet = order.targetPlanetId ? this._galaxy.getPlanet(order.targetPlanetId) : null;
+    const at = planet ? ` ${order.type === 'move' ? 'to' : 'on'} ${planet.name}` : '';
+
+    switch (order.type) {
+      case 'move': {
+        const ship = this._galaxy.shipManager.getById(order.shipId);
+        return `Move ${ship?.name || 'lost fleet'}${at}`;
+      }
+      case 'purchase':
+        return `Buy ${SHOP_ITEMS.find(i => i.id === order.itemId)?.name || order.itemId}${at}`;
+      case 'stratagem':
+        return `Use ${STRATAGEMS[order.stratagemId]?.name || order.stratagemId}${at}`;
+      default:
+        return order.type;
+    }
+  }
+
+  /**
+   * Queue a fleet move, replacing any move already queued for the fleet.
+   * The destination only needs to be reachable.
+   * @param {string} factionId - Ordering faction
+   * @param {string} shipId - Ship ID
+   * @param {string} targetPlanetId - Destination planet ID
+   * @returns {Object} Result {ok, message, order}
+   */
+  queueMove(factionId, shipId, targetPlanetId) {
+    const ship = this._galaxy.shipManager.getById(shipId);
+    if (!ship) return { ok: false, message: 'Ship not found.' };
+    if (ship.factionId !== factionId) return { ok: false, message: 'You can only order your own fleets.' };
+
+    const target = this._galaxy.getPlanet(targetPlanetId);
+    if (!target) return { ok: false, message: 'Target planet not found.' };
+    if (targetPlanetId === ship.planetId) return { ok: false, message: `${ship.name} is already at ${target.name}.` };
+    if (!this._galaxy.shipManager.findPath(ship.planetId, targetPlanetId)) {
+      return { ok: false, message: `${ship.name} has no open route to ${target.name}.` };
+    }
+
+    const previous = this.getMoveForShip(shipId);
+    if (previous) this._orders = this._orders.filter(o => o !== previous);
+    return this._add({ type: 'move', factionId, shipId, targetPlanetId });
+  }
+
+  /**
+   * Queue a shop purchase
+   * @param {string} factionId - Ordering faction
+   * @param {string} itemId - Item ID
+   * @param {string|null} targetPlanetId - Target planet (if required)
+   * @returns {Object} Result {ok, message, order}
+   */
+  queuePurchase(factionId, itemId, targetPlanetId = null) {
+    const item = SHOP_ITEMS.find(i => i.id === itemId);
+    if (!item) return { ok: false, message: 'Unknown item.' };
+    if (item.targetRequired && !this._galaxy.getPlanet(targetPlanetId)) {
+      return { ok: false, message: 'Select a target planet first.' };
+    }
+    if (!this._canAffordWithQueued(factionId, item.cost)) {
+      return { ok: false, message: 'Not enough resources for this and your other orders.' };
+    }
+
+    return this._add({ type: 'purchase', factionId, itemId, targetPlanetId: item.targetRequired ? targetPlanetId : null });
+  }
+
+  /**
+   * Queue a stratagem
+   * @param {string} factionId - Ordering faction
+   * @param {string} stratagemId - Stratagem ID
+   * @param {string|null} targetPlanetId - Target planet (if required)
+   * @param {Object} options - Extra choices, e.g. {shipId}
+   * @returns {Object} Result {ok, message, order}
+   */
+  queueStratagem(factionId, stratagemId, targetPlanetId = null, options = {}) {
+    const stratagem = STRATAGEMS[stratagemId];
+    if (!stratagem) return { ok: false, message: 'Unknown stratagem.' };
+
+    const canUse = this._galaxy.stratagemManager.canUse(factionId, stratagemId);
+    if (!canUse.canUse) return { ok: false, message: canUse.reason };
+    if (this._orders.some(o => o.type === 'stratagem' && o.factionId === factionId && o.stratagemId === stratagemId)) {
+      return { ok: false, message: `${stratagem.name} is already ordered this turn.` };
+    }
+
+    const planet = targetPlanetId ? this._galaxy.getPlanet(targetPlanetId) : null;
+    if (targetPlanetId && !planet) return { ok: false, message: 'Invalid target planet.' };
+    const target = this._galaxy.stratagemManager.validateTarget(stratagem, factionId, planet);
+    if (!target.ok) return target;
+
+    if (!this._canAffordWithQueued(factionId, stratagem.cost)) {
+      return { ok: false, message: 'Not enough resources for this and your other orders.' };
+    }
+
+    return this._add({ type: 'stratagem', factionId, stratagemId, targetPlanetId, options: { ...options } });
+  }
+
+  /**
+   * Withdraw a queued order
+   * @param {string} orderId - Order ID
+   * @returns {boolean} True if removed
+   */
+  cancel(orderId) {
+    const before = this._orders.length;
+    this._orders = this._orders.filter(o => o.id !== orderId);
+    if (this._orders.length === before) return false;
+    this._galaxy._lastModified = Date.now();
+    return true;
+  }
+
+  /**
+   * Drop orders that target a removed planet or move a fleet that is gone
+   * @param {string} planetId - Planet ID
+   */
+  clearPlanet(planetId) {
+    this._orders = this._orders.filter(o =>
+      o.targetPlanetId !== planetId && (!o.shipId || this._galaxy.shipManager.getById(o.shipId))
+    );
+  }
+
+  /**
+   * Carry out every queued order and empty the queue. Purchases go first,
+   * then stratagems, then all fleet moves at once (see ORDER_TYPES). Orders
+   * that are no longer possible fail and are noted in the journal. Move
+   * orders plot routes, which all fleets then fly together
+   * (ShipManager.advanceRoutes); planets they entered are checked for battles
+   * only after every fleet has moved, so fleets arriving together meet there.
+   * @returns {Object} {results: [{order, ok, message}], battles}
+   */
+  resolve() {
+    const orders = this._orders
+      .map((order, index) => ({ order, index }))
+      .sort((a, b) => ORDER_TYPES[a.order.type].priority - ORDER_TYPES[b.order.type].priority || a.index - b.index)
+      .map(({ order }) => order);
+    this._orders = [];
+
+    const movers = [];
+    const results = orders.map(order => {
+      const result = this._execute(order);
+      if (result.ok && order.type === 'move') movers.push(order.shipId);
+      if (!result.ok) {
+        this._galaxy.journal.record({
+          type: ORDER_TYPES[order.type].journalType,
+          factionId: order.factionId,
+          planetId: order.targetPlanetId || null,
+          summary: `Order failed: ${this.describe(order)} (${result.message})`,
+        });
+      }
+      return { order, ok: result.ok, message: result.message };
+    });
+
+    const arrivals = this._galaxy.shipManager.advanceRoutes(movers);
+    const battles = this._galaxy.battleManager.detectArrivals(arrivals);
+
+    if (orders.length) this._galaxy._lastModified = Date.now();
+    return { results, battles };
+  }
+
+  /**
+   * Carry out one order
+   * @private
+   * @param {Object} order - Order
+   * @returns {Object} Result {ok, message}
+   */
+  _execute(order) {
+    switch (order.type) {
+      case 'move': {
+        const ship = this._galaxy.shipManager.getById(order.shipId);
+        if (!ship || ship.factionId !== order.factionId) return { ok: false, message: 'Fleet no longer available.' };
+        return this._galaxy.shipManager.setRoute(order.shipId, order.targetPlanetId);
+      }
+      case 'purchase':
+        return this._galaxy.shopManager.purchase(order.factionId, order.itemId, order.targetPlanetId);
+      case 'stratagem':
+        return this._galaxy.stratagemManager.use(order.factionId, order.stratagemId, order.targetPlanetId, order.options || {});
+      default:
+        return { ok: false, message: 'Unknown order type.' };
+    }
+  }
+
+  /**
+   * Check a cost against a faction's resources, counting its queued orders
+   * @private
+   * @param {string} factionId - Faction ID
+   * @param {Object} cost - Cost map
+   * @returns {boolean} True if affordable
+   */
+  _canAffordWithQueued(factionId, cost) {
+    const queued = this.getByFaction(factionId).map(o => o.type === 'purchase'
+      ? SHOP_ITEMS.find(i => i.id === o.itemId)?.cost
+      : o.type === 'stratagem' ? STRATAGEMS[o.stratagemId]?.cost : null);
+    return canAfford(this._galaxy.playerResources, factionId, totalCost([...queued, cost]));
+  }
+
+  /**
+   * @private
+   * @param {Object} fields - Order fields
+   * @returns {Object} Result {ok, message, order}
+   */
+  _add(fields) {
+    const order = {
+      id: generateId(),
+      shipId: null,
+      targetPlanetId: null,
+      itemId: null,
+      stratagemId: null,
+      options: {},
+      ...fields,
+      turn: this._galaxy.turn,
+      createdAt: Date.now(),
+    };
+    this._orders.push(order);
+    this._galaxy._lastModified = Date.now();
+    return { ok: true, message: `Order queued: ${this.describe(order)}`, order };
+  }
+
+  /**
+   * Serialize to JSON
+   * @returns {Array} Orders
+   */
+  toJSON() {
+    return this._orders.map(o => ({ ...o, options: { ...o.options } }));
+  }
+
+  /**
+   * Load from JSON
+   * @param {Array} data - Orders
+   */
+  fromJSON(data) {
+    this._orders = (data || []).map(o => ({ ...o, options: { ...(o.options || {}) } }));
+  }
+}
@@ -3,8 +3,8 @@
  * @module core/Planet
  */
 
-import { PLANET_TYPES, SURFACE_ZONE_TYPES, BATTLE_STATUS, CONFIG, HARVEST_YIELDS } from '../config/constants.js';
-import { generateId, randomChoice } from '../utils/helpers.js';
+import { PLANET_TYPES, SURFACE_ZONE_TYPES, BATTLE_STATUS, CONFIG, HARVEST_YIELDS, DEFAULT_RESOURCE_TYPES } from '../config/constants.js';
+import { deepClone, generateId, randomChoice } from '../utils/helpers.js';
 
 /**
  * Represents a planet in the galaxy
@@ -13,8 +13,9 @@ import { generateId, randomChoice } from '../utils/helpers.js';
 export class Planet {
   /**
    * @param {Object} data - Planet initialization data
+   * @param {Array} resourceTypes - Resource types to roll random resources from
    */
-  constructor(data) {
+  constructor(data, resourceTypes = DEFAULT_RESOURCE_TYPES) {
     this._id = data.id || generateId();
     this._name = data.name;
     this._type = data.type;
@@ -36,7 +37,7 @@ export class Planet {
       this._resources = data.resources || {};
       this._surfaceZones = data.surfaceZones || [];
     } else {
-      this._resources = data.resources !== undefined ? data.resources : this._generateResources();
+      this._resources = data.resources !== undefined ? data.resources : this._generateResources(resourceTypes);
       this._surfaceZones = data.surfaceZones || this._generateSurfaceZones();
     }
   }
@@ -76,9 +77,10 @@ export class Planet {
   /**
    * Generate random resources for a planet
    * @private
+   * @param {Array} resourceTypes - Resource types to roll from
    * @returns {Object} Resource map
    */
-  _generateResources() {
+  _generateResources(resourceTypes) {
     // Check if this planet type has defined harvest yields
     const yields = HARVEST_YIELDS[this._type];
     if (yields) {
@@ -89,13 +91,10 @@ export class Planet {
     // Fallback to random resources for types without defined yields
     const resources = {};
     const resourceCount = Math.floor(Math.random() * 3) + 1;
-    const allResources = app?.resourceManager?.getAll() || [
-      { id: 'resource1' }, { id: 'resource2' }, { id: 'resource3' }, { id: 'resource4' }
-    ];
-    const resourceTypes = allResources.map(r => r.id);
+    const resourceIds = resourceTypes.map(r => r.id);
     
     for (let i = 0; i < resourceCount; i++) {
-      const type = randomChoice(resourceTypes);
+      const type = randomChoice(resourceIds);
       resources[type] = (resources[type] || 0) + Math.floor(Math.random() * 3) + 1;
     }
     
@@ -130,8 +129,9 @@ export class Planet {
    * Set planet owner and update surface zones
    * @param {string|null} factionId - New owner faction ID
    * @param {boolean} recordHistory - Whether to record in history
+   * @param {number} turn - Current campaign turn, stored in the history entry
    */
-  setOwner(factionId, recordHistory = true) {
+  setOwner(factionId, recordHistory = true, turn = 0) {
     const previousOwner = this._owner;
     this._owner = factionId;
     
@@ -144,7 +144,7 @@ export class Planet {
     
     if (recordHistory && previousOwner !== factionId) {
       this._history.push({
-        turn: window.app?.galaxy?.turn || 0,
+        turn,
         event: 'conquest',
         from: previousOwner,
         to: factionId,
@@ -153,12 +153,22 @@ export class Planet {
     }
   }
 
+  /**
+   * Add an entry to the planet's history
+   * @param {Object} entry - Entry data, e.g. {event: 'battle', attacker, defender, outcome}
+   * @param {number} turn - Current campaign turn
+   */
+  recordHistory(entry, turn = 0) {
+    this._history.push({ turn, ...entry, timestamp: Date.now() });
+  }
+
   /**
    * Set surface zone controller
    * @param {string} zoneId - Zone ID
    * @param {string} factionId - New controller faction ID
+   * @param {number} turn - Current campaign turn, used if the planet changes hands
    */
-  setSurfaceZoneController(zoneId, factionId) {
+  setSurfaceZoneController(zoneId, factionId, turn = 0) {
     const zone = this._surfaceZones.find(z => z.id === zoneId);
     if (!zone) return;
     
@@ -177,8 +187,9 @@ export class Planet {
       counts[a] > counts[b] ? a : b
     );
     
-    if (counts[majority] > this._surfaceZones.length / 2) {
-      this.setOwner(majority);
+    // Only a change of hands; setOwner would hand every zone back to the current owner
+    if (majority !== this._owner && counts[majority] > this._surfaceZones.length / 2) {
+      this.setOwner(majority, true, turn);
     }
   }
 
@@ -194,6 +205,18 @@ export class Planet {
     }
   }
 
+  /**
+   * Turn the planet into debris: no surface zones, resources or values
+   */
+  destroy() {
+    this._type = 'DESTROYED';
+    this._surfaceZones = [];
+    this._resources = {};
+    this._value_one = 0;
+    this._value_two = 0;
+    Object.keys(this._dynamicValues).forEach(valueId => { this._dynamicValues[valueId] = 0; });
+  }
+
   /**
    * Set battle status
    * @param {string} status - Battle status
@@ -299,14 +322,35 @@ export class Planet {
     };
   }
 
+  /**
+   * Overwrite this planet's state with previously serialized data
+   * @param {Object} data - JSON data from toJSON()
+   */
+  restore(data) {
+    const copy = deepClone(data);
+    this._name = copy.name;
+    this._type = copy.type;
+    this._position = copy.position;
+    this._owner = copy.owner || null;
+    this._value_one = copy.value_one;
+    this._value_two = copy.value_two;
+    this._resources = copy.resources || {};
+    this._surfaceZones = copy.surfaceZones || [];
+    this._battleStatus = copy.battleStatus || BATTLE_STATUS.NONE;
+    this._connections = copy.connections || [];
+    this._history = copy.history || [];
+    this._dynamicValues = copy.dynamicValues || {};
+  }
+
   /**
    * Create planet from JSON
    * @static
    * @param {Object} data - JSON data
+   * @param {Array} resourceTypes - Resource types for planets saved without resources
    * @returns {Planet} New Planet instance
    */
-  static fromJSON(data) {
-    return new Planet(data);
+  static fromJSON(data, resourceTypes) {
+    return new Planet(data, resourceTypes);
   }
 }
 
@@ -352,9 +396,10 @@ export class PlanetGenerator {
    * Generate a random planet
    * @static
    * @param {Object} position - Optional position
+   * @param {Array} resourceTypes - Resource types to roll random resources from
    * @returns {Planet} New random Planet
    */
-  static generateRandom(position) {
+  static generateRandom(position, resourceTypes) {
     const types = Object.keys(PLANET_TYPES);
     
     // Generate position in a circular arrangement around galaxy center
@@ -372,6 +417,6 @@ export class PlanetGenerator {
       name: this.generateName(),
       type: randomChoice(types),
       position: position,
-    });
+    }, resourceTypes);
   }
 }
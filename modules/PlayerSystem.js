@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Player roster with faction assignments and optional PINs
+ * @module modules/PlayerSystem
+ */
+
+import { CONFIG } from '../config/constants.js';
+import { generateId, hashSecret, verifySecret } from '../utils/helpers.js';
+
+/**
+ * Manages the players of a campaign. A player is
+ * { id, name, contact, factionIds, pin }
+ * - pin is null or {salt, hash} (see hashSecret); the PIN itself is never stored
+ * - a faction is protected once any player assigned to it has a PIN; acting
+ *   as that faction in player mode then needs one of those PINs
+ * @class PlayerManager
+ */
+export class PlayerManager {
+  constructor(galaxy) {
+    this._galaxy = galaxy;
+    this._players = [];
+  }
+
+  /**
+   * Get all players
+   * @returns {Array} Players
+   */
+  getAll() {
+    return [...this._players];
+  }
+
+  /**
+   * Get player by ID
+   * @param {string} playerId - Player ID
+   * @returns {Object|undefined} Player or undefined
+   */
+  getById(playerId) {
+    return this._players.find(p => p.id === playerId);
+  }
+
+  /**
+   * Get the players assigned to a faction
+   * @param {string} factionId - Faction ID
+   * @returns {Array} Players
+   */
+  getByFaction(factionId) {
+    return this._players.filter(p => p.factionIds.includes(factionId));
+  }
+
+  /**
+   * Add a player
+   * @param {Object} data - Player data
+   * @param {string} data.name - Player name
+   * @param {string} data.contact - Contact note (email, Discord handle...)
+   * @param {Array<string>} data.factionIds - Assigned factions
+   * @returns {Object} Result {ok, message, player}
+   */
+  add({ name, contact = '', factionIds = [] }) {
+    if (!name?.trim()) return { ok: false, message: 'Enter a player name.' };
+
+    const player = {
+      id: generateId(),
+      name: name.trim(),
+      contact: contact.trim(),
+      factionIds: [...new Set(factionIds)],
+      pin: null,
+    };
+    this._players.push(player);
+    this._galaxy._lastModified = Date.now();
+    return { ok: true, message: `${player.name} added to the roster`, player };
+  }
+
+  /**
+   * Update a player's details
+   * @param {string} playerId - Player ID
+   * @param {Object} changes - {name, contact, factionIds}
+   * @returns {Object} Result {ok, message, player}
+   */
+  update(playerId, { name, contact, factionIds }) {
+    const player = this.getById(playerId);
+    if (!player) return { ok: false, message: 'Player not found.' };
+    if (name !== undefined && !name.trim()) return { ok: false, message: 'Enter a player name.' };
+
+    if (name !== undefined) player.name = name.trim();
+    if (contact !== undefined) player.contact = contact.trim();
+    if (factionIds !== undefined) player.factionIds = [...new Set(factionIds)];
+    this._galaxy._lastModified = Date.now();
+    return { ok: true, message: `${player.name} updated`, player };
+  }
+
+  /**
+   * Remove a player
+   * @param {string} playerId - Player ID
+   * @returns {boolean} True if removed
+   */
+  remove(playerId) {
+    const index = this._players.findIndex(p => p.id === playerId);
+    if (index === -1) return false;
+    this._players.splice(index, 1);
+    this._galaxy._lastModified = Date.now();
+    return true;
+  }
+
+  /**
+   * Check that a new PIN is long enough
+   * @param {string} pin - New PIN
+   * @returns {Object} Result {ok, message}
+   */
+  validatePin(pin) {
+    if (!pin || pin.length < CONFIG.PIN_MIN_LENGTH) {
+      return { ok: false, message: `A PIN needs at least ${CONFIG.PIN_MIN_LENGTH} characters.` };
+    }
+    return { ok: true, message: 'PIN accepted' };
+  }
+
+  /**
+   * Set or clear a player's PIN
+   * @param {string} playerId - Player ID
+   * @param {string} pin - New PIN, empty to clear it
+   * @returns {Promise<Object>} Result {ok, message}
+   */
+  async setPin(playerId, pin) {
+    const player = this.getById(playerId);
+    if (!player) return { ok: false, message: 'Player not found.' };
+    if (pin) {
+      const check = this.validatePin(pin);
+      if (!check.ok) return check;
+    }
+
+    player.pin = pin ? await hashSecret(pin) : null;
+    this._galaxy._lastModified = Date.now();
+    return { ok: true, message: pin ? `PIN set for ${player.name}` : `PIN removed for ${player.name}` };
+  }
+
+  /**
+   * Check whether acting as a faction needs a PIN
+   * @param {string} factionId - Faction ID
+   * @returns {boolean} True if a player assigned to the faction has a PIN
+   */
+  isFactionProtected(factionId) {
+    return this.getByFaction(factionId).some(p => p.pin);
+  }
+
+  /**
+   * Check a PIN against the players assigned to a faction
+   * @param {string} factionId - Faction ID
+   * @param {string} pin - Entered PIN
+   * @returns {Promise<Object|null>} The matching player, or null
+   */
+  async verifyFactionPin(factionId, pin) {
+    for (const player of this.getByFaction(factionId)) {
+      if (await verifySecret(pin, player.pin)) return player;
+    }
+    return null;
+  }
+
+  /**
+   * Drop a faction from every player's assignments
+   * @param {string} factionId - Faction ID
+   */
+  unassignFaction(factionId) {
+    this._players.forEach(p => {
+      p.factionIds = p.factionIds.filter(id => id !== factionId);
+    });
+  }
+
+  /**
+   * Serialize to JSON
+   * @returns {Array} Players
+   */
+  toJSON() {
+    return this._players;
+  }
+
+  /**
+   * Load from JSON
+   * @param {Array} data - Players
+   */
+  fromJSON(data) {
+    this._players = data || [];
+  }
+}
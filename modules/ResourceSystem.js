@@ -13,8 +13,11 @@ import { StorageService } from '../services/StorageService.js';
 export class ResourceManager {
   /**
    * Initialize resource manager with saved or default resources
+   * @param {Object} options
+   * @param {Object} options.storage - Persistence with loadResources()/saveResources()
    */
-  constructor() {
+  constructor({ storage = StorageService } = {}) {
+    this._storage = storage;
     this._resources = this._loadResources();
   }
 
@@ -24,7 +27,7 @@ export class ResourceManager {
    * @returns {Array} Array of resource objects
    */
   _loadResources() {
-    const saved = StorageService.loadResources();
+    const saved = this._storage.loadResources();
     return saved || [...DEFAULT_RESOURCE_TYPES];
   }
 
@@ -32,7 +35,7 @@ export class ResourceManager {
    * Save current resources to storage
    */
   save() {
-    StorageService.saveResources(this._resources);
+    this._storage.saveResources(this._resources);
   }
 
   /**
@@ -0,0 +1,319 @@
+/**
+ * @fileoverview Scriptable custom events: triggers, conditions and actions
+ * @module modules/ScriptSystem
+ */
+
+import { SCRIPT_TRIGGERS, SCRIPT_CONDITIONS, SCRIPT_ACTIONS } from '../config/constants.js';
+import { deepClone, generateId } from '../utils/helpers.js';
+import { factionToken } from './JournalSystem.js';
+
+/**
+ * Check a trigger, condition or action against its definition
+ * @param {Object} part - {type, ...fields}
+ * @param {Object} definitions - SCRIPT_TRIGGERS, SCRIPT_CONDITIONS or SCRIPT_ACTIONS
+ * @param {string} what - Name used in messages
+ * @returns {string|null} Error message or null
+ */
+function checkPart(part, definitions, what) {
+  const definition = definitions[part?.type];
+  if (!definition) return `Choose a ${what} type.`;
+  const missing = definition.fields.find(field => !field.optional && (part[field.key] === undefined || part[field.key] === ''));
+  return missing ? `${definition.name}: enter ${missing.label.toLowerCase()}.` : null;
+}
+
+/**
+ * Keep only the fields a definition declares, with numbers as numbers
+ * @param {Object} part - {type, ...fields}
+ * @param {Object} definitions - SCRIPT_TRIGGERS, SCRIPT_CONDITIONS or SCRIPT_ACTIONS
+ * @returns {Object} Cleaned part
+ */
+function cleanPart(part, definitions) {
+  const cleaned = { type: part.type };
+  definitions[part.type].fields.forEach(({ key, kind }) => {
+    const value = part[key];
+    if (value === undefined || value === '' || value === null) return;
+    if (kind === 'number') cleaned[key] = Math.max(0, parseInt(value) || 0);
+    else if (kind === 'resources') {
+      cleaned[key] = Object.fromEntries(Object.entries(value)
+        .map(([resource, amount]) => [resource, parseInt(amount) || 0])
+        .filter(([, amount]) => amount));
+    } else cleaned[key] = String(value);
+  });
+  return cleaned;
+}
+
+/**
+ * Keeps the campaign's event scripts and runs them. A script is
+ * { id, name, enabled, repeat, trigger, conditions, actions, firedTurns }
+ * - trigger, conditions and actions are {type, ...fields} as declared in
+ *   SCRIPT_TRIGGERS, SCRIPT_CONDITIONS and SCRIPT_ACTIONS
+ * - scripts are checked at every turn advance, against what the journal
+ *   recorded since the previous check; captures and fleet arrivals are read
+ *   from it, turns and resources from the current state
+ * - a script fires once unless `repeat` is set; then it fires at every check
+ *   its trigger matches
+ * - actions are effects for modules/EffectSystem.js, applied to their
+ *   planetId; 'trigger' as a planet or faction stands for whatever set the
+ *   script off
+ * @class ScriptManager
+ */
+export class ScriptManager {
+  constructor(galaxy) {
+    this._galaxy = galaxy;
+    this._scripts = [];
+    this._journalMark = 0;
+  }
+
+  /**
+   * Get all scripts
+   * @returns {Array} Scripts
+   */
+  getAll() {
+    return deepClone(this._scripts);
+  }
+
+  /**
+   * Get script by ID
+   * @param {string} scriptId - Script ID
+   * @returns {Object|undefined} Script or undefined
+   */
+  getById(scriptId) {
+    return this._scripts.find(s => s.id === scriptId);
+  }
+
+  /**
+   * Check a script without saving it
+   * @param {Object} script - Script data
+   * @returns {string|null} Error message or null
+   */
+  validate(script) {
+    if (!script?.name?.trim()) return 'Enter a script name.';
+    const error = checkPart(script.trigger, SCRIPT_TRIGGERS, 'trigger')
+      || (script.conditions || []).map(c => checkPart(c, SCRIPT_CONDITIONS, 'condition')).find(Boolean)
+      || (script.actions || []).map(a => checkPart(a, SCRIPT_ACTIONS, 'action')).find(Boolean);
+    if (error) return error;
+    return script.actions?.length ? null : 'Add at least one action.';
+  }
+
+  /**
+   * Add a script, or update the one with the given ID
+   * @param {Object} data - {id?, name, enabled, repeat, trigger, conditions, actions}
+   * @returns {Object} Result {ok, message, script}
+   */
+  save(data) {
+    const error = this.validate(data);
+    if (error) return { ok: false, message: error };
+
+    const existing = data.id ? this.getById(data.id) : null;
+    const script = existing || { id: generateId(), firedTurns: [] };
+    Object.assign(script, {
+      name: data.name.trim(),
+      enabled: data.enabled !== false,
+      repeat: Boolean(data.repeat),
+      trigger: cleanPart(data.trigger, SCRIPT_TRIGGERS),
+      conditions: (data.conditions || []).map(c => cleanPart(c, SCRIPT_CONDITIONS)),
+      actions: (data.actions || []).map(a => cleanPart(a, SCRIPT_ACTIONS)),
+    });
+    if (!existing) this._scripts.push(script);
+
+    this._galaxy._lastModified = Date.now();
+    return { ok: true, message: `Script "${script.name}" ${existing ? 'updated' : 'added'}`, script };
+  }
+
+  /**
+   * Remove a script
+   * @param {string} scriptId - Script ID
+   * @returns {Object} Result {ok, message}
+   */
+  remove(scriptId) {
+    const script = this.getById(scriptId);
+    if (!script) return { ok: false, message: 'Script not found.' };
+    this._scripts = this._scripts.filter(s => s !== script);
+    this._galaxy._lastModified = Date.now();
+    return { ok: true, message: `Script "${script.name}" removed` };
+  }
+
+  /**
+   * Switch a script on or off; switching it on lets a fired script fire again
+   * @param {string} scriptId - Script ID
+   * @returns {Object} Result {ok, message}
+   */
+  toggle(scriptId) {
+    const script = this.getById(scriptId);
+    if (!script) return { ok: false, message: 'Script not found.' };
+    script.enabled = !script.enabled;
+    if (script.enabled) script.firedTurns = [];
+    this._galaxy._lastModified = Date.now();
+    return { ok: true, message: `Script "${script.name}" ${script.enabled ? 'enabled' : 'disabled'}` };
+  }
+
+  /**
+   * Add scripts exported from a campaign. They get new IDs and have not fired.
+   * @param {Array} scripts - Scripts
+   * @returns {Object} Result {ok, message, count}
+   */
+  importScripts(scripts) {
+    if (!Array.isArray(scripts)) return { ok: false, message: 'The file holds no scripts.' };
+    const invalid = scripts.map(s => this.validate(s)).find(Boolean);
+    if (invalid) return { ok: false, message: invalid };
+
+    scripts.forEach(({ id, ...script }) => this.save(script));
+    return { ok: true, message: `${scripts.length} script(s) imported`, count: scripts.length };
+  }
+
+  /**
+   * Describe a trigger, condition or action for lists and the journal
+   * @param {Object} part - {type, ...fields}
+   * @returns {string} e.g. "Planet captured: planet Terra, captured by {faction:orks}"
+   */
+  describe(part) {
+    const definition = SCRIPT_TRIGGERS[part.type] || SCRIPT_CONDITIONS[part.type] || SCRIPT_ACTIONS[part.type];
+    if (!definition) return part.type;
+
+    const resourceTypes = this._galaxy.context.getResourceTypes();
+    const value = ({ key, kind }) => {
+      const raw = part[key];
+      if (raw === 'trigger') return kind === 'planet' ? 'the trigger planet' : 'the trigger faction';
+      switch (kind) {
+        case 'planet': return this._galaxy.getPlanet(raw)?.name || 'missing planet';
+        case 'faction': return factionToken(raw);
+        case 'sector': return this._galaxy.sectors.find(s => s.id === raw)?.name || 'missing sector';
+        case 'resources': return Object.entries(raw)
+          .map(([resource, amount]) => `${amount} ${resourceTypes.find(t => t.id === resource)?.name || resource}`).join(', ');
+        default: return String(raw);
+      }
+    };
+    const fields = definition.fields
+      .filter(field => part[field.key] !== undefined)
+      .map(field => `${field.label.toLowerCase()} ${value(field)}`);
+    return fields.length ? `${definition.name}: ${fields.join(', ')}` : definition.name;
+  }
+
+  /**
+   * Check every enabled script and run those whose trigger matched and
+   * whose conditions hold. Called by Galaxy.advanceTurn.
+   * @returns {Array} [{script, ok, details, messages}] for scripts that fired
+   */
+  evaluate() {
+    const entries = this._galaxy.journal.entriesSince(this._journalMark);
+    const fired = this._scripts
+      .filter(script => script.enabled && (script.repeat || !script.firedTurns.length))
+      .map(script => ({ script, match: this._matchTrigger(script.trigger, entries) }))
+      .filter(({ script, match }) => match && script.conditions.every(c => this._checkCondition(c)))
+      .map(({ script, match }) => this._run(script, match));
+
+    this._journalMark = this._galaxy.journal.length;
+    return fired;
+  }
+
+  /**
+   * @private
+   * @param {Object} trigger - Trigger
+   * @param {Array} entries - Journal entries since the last check
+   * @returns {Object|null} {factionId, planetId} that set it off, or null
+   */
+  _matchTrigger(trigger, entries) {
+    const galaxy = this._galaxy;
+    switch (trigger.type) {
+      case 'turn_reached':
+        return galaxy.turn >= trigger.turn ? { factionId: null, planetId: null } : null;
+      case 'resource_threshold': {
+        const amount = galaxy.playerResources[trigger.factionId]?.[trigger.resourceId] || 0;
+        return amount >= trigger.amount ? { factionId: trigger.factionId, planetId: null } : null;
+      }
+      case 'planet_captured': {
+        const entry = entries.find(e => e.type === 'conquest' && e.data?.to
+          && (!trigger.planetId || e.planetId === trigger.planetId) && (!trigger.factionId || e.data.to === trigger.factionId));
+        return entry ? { factionId: entry.data.to, planetId: entry.planetId } : null;
+      }
+      case 'fleet_arrives': {
+        const entry = entries.find(e => e.type === 'fleet' && e.data?.from !== undefined
+          && e.planetId === trigger.planetId && (!trigger.factionId || e.factionId === trigger.factionId));
+        return entry ? { factionId: entry.factionId, planetId: entry.planetId } : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * @private
+   * @param {Object} condition - Condition
+   * @returns {boolean} True if it holds
+   */
+  _checkCondition(condition) {
+    const galaxy = this._galaxy;
+    switch (condition.type) {
+      case 'planet_owner':
+        // No owner given means the planet must be unclaimed
+        return (galaxy.getPlanet(condition.planetId)?.owner || null) === (condition.factionId || null);
+      case 'sector_control': {
+        const sector = galaxy.sectors.find(s => s.id === condition.sectorId);
+        const held = (sector?.planetIds || []).filter(id => galaxy.getPlanet(id)?.owner === condition.factionId).length;
+        return held >= condition.count;
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Apply a script's actions one by one
+   * @private
+   * @param {Object} script - Script
+   * @param {Object} match - {factionId, planetId} that set it off
+   * @returns {Object} {script, ok, details, messages}
+   */
+  _run(script, match) {
+    const galaxy = this._galaxy;
+    const resolve = (value, fallback) => (value === 'trigger' ? fallback : value);
+    const details = [];
+    const messages = [];
+    let ok = true;
+
+    script.actions.forEach(action => {
+      const effect = {
+        ...action,
+        factionId: resolve(action.factionId, match.factionId),
+        targetPlanetId: resolve(action.targetPlanetId, match.planetId),
+      };
+      const result = galaxy.effectEngine.apply([effect], {
+        factionId: match.factionId,
+        planet: galaxy.getPlanet(resolve(action.planetId, match.planetId)) || null,
+        source: { type: 'script', id: script.id, name: script.name },
+      });
+      if (!result.ok) ok = false;
+      if (action.type === 'show_message') messages.push(action.text);
+      else if (result.message) details.push(result.message);
+    });
+
+    script.firedTurns.push(galaxy.turn);
+    galaxy.journal.record({
+      type: 'event',
+      factionId: match.factionId,
+      planetId: match.planetId,
+      summary: `${script.name}${details.length ? `: ${details.join('; ')}` : ''}${ok ? '' : ' (some actions failed)'}`,
+      data: { scriptId: script.id, messages },
+    });
+    galaxy._lastModified = Date.now();
+    return { script: deepClone(script), ok, details, messages };
+  }
+
+  /**
+   * Serialize to JSON
+   * @returns {Object} {scripts, journalMark}
+   */
+  toJSON() {
+    return { scripts: deepClone(this._scripts), journalMark: this._journalMark };
+  }
+
+  /**
+   * Load from JSON
+   * @param {Object} data - {scripts, journalMark}
+   */
+  fromJSON(data) {
+    this._scripts = deepClone(data?.scripts || []);
+    // Older campaigns start checking from the journal as it is now
+    this._journalMark = data?.journalMark ?? this._galaxy.journal.length;
+  }
+}
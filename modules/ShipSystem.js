@@ -3,10 +3,18 @@
  * @module modules/ShipSystem
  */
 
-import { generateId } from '../utils/helpers.js';
+import { CONFIG } from '../config/constants.js';
+import { canAfford, generateId, spendResources } from '../utils/helpers.js';
 
 /**
- * Manages all ships/fleets in the campaign
+ * Manages all ships/fleets in the campaign. A fleet is
+ * { id, factionId, planetId, name, units, damage, createdAt }
+ * - units: {unitTypeId: count}, see modules/UnitSystem.js
+ * - damage: percent (0-100) taken off its strength; it is destroyed at 100
+ * - movesLeft: jumps it can still make this turn; refilled to its speed
+ *   every turn
+ * - route: planet IDs it will fly through, next jump first; it follows
+ *   them as far as its movement allows each turn
  * @class ShipManager
  */
 export class ShipManager {
@@ -55,18 +63,31 @@ export class ShipManager {
    * @param {string} factionId - Faction ID
    * @param {string} planetId - Starting planet ID
    * @param {string} name - Ship name
+   * @param {Object|null} units - Composition {unitTypeId: count}; one unit
+   *   of the default type if omitted
    * @returns {Object} Created ship
    */
-  addShip(factionId, planetId, name = 'Fleet') {
+  addShip(factionId, planetId, name = 'Fleet', units = null) {
     const ship = {
       id: generateId(),
       factionId,
       planetId,
       name,
+      units: this._cleanUnits(units) || { [this._galaxy.unitTypes.getDefault().id]: 1 },
+      damage: 0,
+      movesLeft: 0,
+      route: [],
       createdAt: Date.now()
     };
+    ship.movesLeft = this.getSpeed(ship);
     
     this._ships.push(ship);
+    this._galaxy.journal.record({
+      type: 'fleet',
+      factionId,
+      planetId,
+      summary: `${name} deployed at ${this._galaxy.getPlanet(planetId)?.name || 'unknown planet'}`,
+    });
     return ship;
   }
 
@@ -78,14 +99,21 @@ export class ShipManager {
   removeShip(shipId) {
     const index = this._ships.findIndex(s => s.id === shipId);
     if (index !== -1) {
-      this._ships.splice(index, 1);
+      const [ship] = this._ships.splice(index, 1);
+      this._galaxy.journal.record({
+        type: 'fleet',
+        factionId: ship.factionId,
+        planetId: ship.planetId,
+        summary: `${ship.name} was disbanded`,
+      });
       return true;
     }
     return false;
   }
 
   /**
-   * Move ship to target planet
+   * Move ship to target planet, one jump. Uses a movement point; a jump
+   * off the fleet's route drops the route.
    * @param {string} shipId - Ship ID
    * @param {string} targetPlanetId - Target planet ID
    * @returns {Object} Result {ok, message}
@@ -96,6 +124,10 @@ export class ShipManager {
       return { ok: false, message: 'Ship not found.' };
     }
 
+    if (ship.movesLeft < 1) {
+      return { ok: false, message: `${ship.name} has no movement left this turn.` };
+    }
+
     const currentPlanet = this._galaxy.getPlanet(ship.planetId);
     if (!currentPlanet) {
       return { ok: false, message: 'Current planet not found.' };
@@ -124,6 +156,15 @@ export class ShipManager {
 
     // Move the ship
     ship.planetId = targetPlanetId;
+    ship.movesLeft--;
+    ship.route = ship.route[0] === targetPlanetId ? ship.route.slice(1) : [];
+    this._galaxy.journal.record({
+      type: 'fleet',
+      factionId: ship.factionId,
+      planetId: targetPlanetId,
+      summary: `${ship.name} moved from ${currentPlanet.name} to ${targetPlanet.name}`,
+      data: { shipId, from: currentPlanet.id },
+    });
     
     return { 
       ok: true, 
@@ -140,27 +181,35 @@ export class ShipManager {
   getValidMoveTargets(shipId) {
     const ship = this._ships.find(s => s.id === shipId);
     if (!ship) return [];
+    return this.getNeighbours(ship.planetId);
+  }
 
-    const currentPlanet = this._galaxy.getPlanet(ship.planetId);
+  /**
+   * Planets one jump away: connections and wormholes not blocked by a warp storm
+   * @param {string} planetId - Planet ID
+   * @returns {Array} Array of planet IDs
+   */
+  getNeighbours(planetId) {
+    const currentPlanet = this._galaxy.getPlanet(planetId);
     if (!currentPlanet) return [];
 
     const targets = new Set();
 
     // Add directly connected planets
     currentPlanet.connections.forEach(connId => {
-      if (!this._galaxy.eventManager.isRouteBlocked(ship.planetId, connId)) {
+      if (!this._galaxy.eventManager.isRouteBlocked(planetId, connId)) {
         targets.add(connId);
       }
     });
 
     // Add wormhole connections
     this._galaxy.eventManager.getByEffect('creates_route').forEach(wormhole => {
-      if (wormhole.planetId === ship.planetId && 
-          !this._galaxy.eventManager.isRouteBlocked(ship.planetId, wormhole.targetPlanetId)) {
+      if (wormhole.planetId === planetId && 
+          !this._galaxy.eventManager.isRouteBlocked(planetId, wormhole.targetPlanetId)) {
         targets.add(wormhole.targetPlanetId);
       }
-      if (wormhole.targetPlanetId === ship.planetId && 
-          !this._galaxy.eventManager.isRouteBlocked(ship.planetId, wormhole.planetId)) {
+      if (wormhole.targetPlanetId === planetId && 
+          !this._galaxy.eventManager.isRouteBlocked(planetId, wormhole.planetId)) {
         targets.add(wormhole.planetId);
       }
     });
@@ -168,6 +217,405 @@ export class ShipManager {
     return [...targets];
   }
 
+  /**
+   * Shortest route between two planets, counted in jumps
+   * (breadth-first search over getNeighbours)
+   * @param {string} fromPlanetId - Start planet ID
+   * @param {string} toPlanetId - Destination planet ID
+   * @returns {Array|null} Planet IDs after the start, ending at the
+   *   destination; empty if they are the same; null if unreachable
+   */
+  findPath(fromPlanetId, toPlanetId) {
+    if (fromPlanetId === toPlanetId) return [];
+
+    const previous = new Map([[fromPlanetId, null]]);
+    const queue = [fromPlanetId];
+    while (queue.length) {
+      const planetId = queue.shift();
+      for (const next of this.getNeighbours(planetId)) {
+        if (previous.has(next)) continue;
+        previous.set(next, planetId);
+        if (next === toPlanetId) {
+          const path = [];
+          for (let id = toPlanetId; id !== fromPlanetId; id = previous.get(id)) path.unshift(id);
+          return path;
+        }
+        queue.push(next);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Plot a fleet's route to a planet. It is followed by advanceRoutes.
+   * @param {string} shipId - Ship ID
+   * @param {string} targetPlanetId - Destination planet ID
+   * @returns {Object} Result {ok, message, route}
+   */
+  setRoute(shipId, targetPlanetId) {
+    const ship = this.getById(shipId);
+    if (!ship) return { ok: false, message: 'Ship not found.' };
+    const target = this._galaxy.getPlanet(targetPlanetId);
+    if (!target) return { ok: false, message: 'Target planet not found.' };
+
+    const route = this.findPath(ship.planetId, targetPlanetId);
+    if (!route) return { ok: false, message: `No open route from ${ship.name}'s position to ${target.name}.` };
+    if (!route.length) return { ok: false, message: `${ship.name} is already at ${target.name}.` };
+
+    ship.route = route;
+    this._galaxy._lastModified = Date.now();
+    const turns = Math.ceil(Math.max(0, route.length - ship.movesLeft) / Math.max(1, this.getSpeed(ship)));
+    return {
+      ok: true,
+      message: `${ship.name}: ${route.length} jump(s) to ${target.name}${turns ? `, ${turns} more turn(s)` : ''}`,
+      route,
+    };
+  }
+
+  /**
+   * Drop a fleet's route
+   * @param {string} shipId - Ship ID
+   * @returns {Object} Result {ok, message}
+   */
+  clearRoute(shipId) {
+    const ship = this.getById(shipId);
+    if (!ship) return { ok: false, message: 'Ship not found.' };
+    if (!ship.route.length) return { ok: false, message: `${ship.name} has no route.` };
+    ship.route = [];
+    this._galaxy._lastModified = Date.now();
+    return { ok: true, message: `${ship.name}'s route cleared` };
+  }
+
+  /**
+   * Move fleets along their routes. They jump in rounds, one jump each per
+   * round, so fleets moving at the same time meet on the way. A fleet stops
+   * when its movement runs out or it enters a planet with hostile fleets
+   * (which ends its route). A route cut since it was plotted is plotted
+   * again; if the destination is out of reach the route is dropped.
+   * @param {Array<string>} shipIds - Ships to move
+   * @returns {Array} Arrivals [{shipId, factionId, planetId}] of fleets that moved
+   */
+  advanceRoutes(shipIds) {
+    const moved = new Set();
+    let moving = shipIds.map(id => this.getById(id)).filter(ship => ship?.route.length && ship.movesLeft > 0);
+
+    while (moving.length) {
+      moving = moving.filter(ship => this._jumpAlongRoute(ship));
+      moving.forEach(ship => moved.add(ship));
+      moving = moving.filter(ship => {
+        if (this._hasHostiles(ship)) {
+          if (ship.route.length) {
+            this._galaxy.journal.record({
+              type: 'fleet',
+              factionId: ship.factionId,
+              planetId: ship.planetId,
+              summary: `${ship.name} halted by hostile fleets at ${this._galaxy.getPlanet(ship.planetId)?.name || 'unknown planet'}`,
+            });
+          }
+          ship.route = [];
+          return false;
+        }
+        return ship.route.length && ship.movesLeft > 0;
+      });
+    }
+
+    return [...moved].filter(ship => this._ships.includes(ship))
+      .map(ship => ({ shipId: ship.id, factionId: ship.factionId, planetId: ship.planetId }));
+  }
+
+  /**
+   * Refill every fleet's movement and move fleets along their routes
+   * @returns {Array} Arrivals, see advanceRoutes
+   */
+  advanceTurn() {
+    this._ships.forEach(ship => { ship.movesLeft = this.getSpeed(ship); });
+    return this.advanceRoutes(this._ships.filter(ship => ship.route.length).map(ship => ship.id));
+  }
+
+  /**
+   * Plot routes through a removed planet again around it, or drop them if
+   * it was their destination. Call after its connections are gone.
+   * @param {string} planetId - Planet ID
+   */
+  clearRoutesThrough(planetId) {
+    this._ships.filter(ship => ship.route.includes(planetId)).forEach(ship => {
+      const destinationId = ship.route[ship.route.length - 1];
+      ship.route = destinationId === planetId ? [] : this.findPath(ship.planetId, destinationId) || [];
+    });
+  }
+
+  /**
+   * Make the next jump of a fleet's route
+   * @private
+   * @param {Object} ship - Ship
+   * @returns {boolean} True if it moved
+   */
+  _jumpAlongRoute(ship) {
+    const destinationId = ship.route[ship.route.length - 1];
+    if (!this.getNeighbours(ship.planetId).includes(ship.route[0])) {
+      const route = this.findPath(ship.planetId, destinationId);
+      if (!route?.length) {
+        this._galaxy.journal.record({
+          type: 'fleet',
+          factionId: ship.factionId,
+          planetId: ship.planetId,
+          summary: `${ship.name} lost its route to ${this._galaxy.getPlanet(destinationId)?.name || 'unknown planet'}`,
+        });
+        ship.route = [];
+        return false;
+      }
+      ship.route = route;
+    }
+    return this.moveShip(ship.id, ship.route[0]).ok;
+  }
+
+  /**
+   * Check whether hostile fleets share a fleet's planet
+   * @private
+   * @param {Object} ship - Ship
+   * @returns {boolean} True if they do
+   */
+  _hasHostiles(ship) {
+    return this.getAtPlanet(ship.planetId).some(other => this._galaxy.diplomacyManager.areHostile(other.factionId, ship.factionId));
+  }
+
+  /**
+   * Number of units in a fleet
+   * @param {Object} ship - Ship
+   * @returns {number} Unit count
+   */
+  getUnitCount(ship) {
+    return Object.values(ship.units || {}).reduce((sum, count) => sum + count, 0);
+  }
+
+  /**
+   * Fighting strength of a fleet: its units' strength, less its damage
+   * @param {Object} ship - Ship
+   * @returns {number} Strength
+   */
+  getStrength(ship) {
+    const full = Object.entries(ship.units || {}).reduce((sum, [typeId, count]) =>
+      sum + count * (this._galaxy.unitTypes.getById(typeId)?.strength || 0), 0);
+    return Math.round(full * (100 - (ship.damage || 0)) / 100);
+  }
+
+  /**
+   * Speed of a fleet: that of its slowest unit
+   * @param {Object} ship - Ship
+   * @returns {number} Speed (0 for an empty fleet)
+   */
+  getSpeed(ship) {
+    const speeds = Object.entries(ship.units || {})
+      .filter(([, count]) => count > 0)
+      .map(([typeId]) => this._galaxy.unitTypes.getById(typeId)?.speed || 1);
+    return speeds.length ? Math.min(...speeds) : 0;
+  }
+
+  /**
+   * Upkeep a fleet costs at every harvest
+   * @param {Object} ship - Ship
+   * @returns {Object} Cost map
+   */
+  getUpkeep(ship) {
+    const upkeep = {};
+    Object.entries(ship.units || {}).forEach(([typeId, count]) => {
+      Object.entries(this._galaxy.unitTypes.getById(typeId)?.upkeep || {}).forEach(([resource, amount]) => {
+        upkeep[resource] = (upkeep[resource] || 0) + amount * count;
+      });
+    });
+    return upkeep;
+  }
+
+  /**
+   * Replace a fleet's composition
+   * @param {string} shipId - Ship ID
+   * @param {Object} units - {unitTypeId: count}
+   * @returns {Object} Result {ok, message, ship}
+   */
+  setComposition(shipId, units) {
+    const ship = this.getById(shipId);
+    if (!ship) return { ok: false, message: 'Ship not found.' };
+    const cleaned = this._cleanUnits(units);
+    if (!cleaned) return { ok: false, message: 'A fleet needs at least one unit.' };
+
+    ship.units = cleaned;
+    ship.movesLeft = Math.min(ship.movesLeft, this.getSpeed(ship));
+    this._galaxy._lastModified = Date.now();
+    return { ok: true, message: `${ship.name} reorganised`, ship };
+  }
+
+  /**
+   * Damage a fleet, destroying it at 100%
+   * @param {string} shipId - Ship ID
+   * @param {number} amount - Damage in percent; negative repairs
+   * @returns {boolean} True if the fleet was destroyed
+   */
+  damageShip(shipId, amount) {
+    const ship = this.getById(shipId);
+    if (!ship) return false;
+
+    ship.damage = Math.min(100, Math.max(0, (ship.damage || 0) + amount));
+    if (ship.damage < 100) return false;
+
+    this._ships = this._ships.filter(s => s !== ship);
+    this._galaxy.journal.record({
+      type: 'fleet',
+      factionId: ship.factionId,
+      planetId: ship.planetId,
+      summary: `${ship.name} was destroyed`,
+    });
+    return true;
+  }
+
+  /**
+   * Merge fleets of one faction at the same planet into the first one.
+   * The merged fleet's damage is the strength-weighted average.
+   * @param {Array<string>} shipIds - Ship IDs, the first one is kept
+   * @returns {Object} Result {ok, message, ship, removed}
+   */
+  mergeShips(shipIds) {
+    const ships = [...new Set(shipIds)].map(id => this.getById(id));
+    if (ships.length < 2 || ships.some(s => !s)) return { ok: false, message: 'Choose at least two fleets.' };
+
+    const [target, ...others] = ships;
+    if (others.some(s => s.factionId !== target.factionId || s.planetId !== target.planetId)) {
+      return { ok: false, message: 'Only fleets of one faction at the same planet can merge.' };
+    }
+
+    // Weight damage by undamaged strength, so merging never repairs
+    const full = ship => this.getStrength({ ...ship, damage: 0 }) || this.getUnitCount(ship);
+    const weight = ships.reduce((sum, s) => sum + full(s), 0);
+    const damage = weight ? ships.reduce((sum, s) => sum + full(s) * (s.damage || 0), 0) / weight : 0;
+
+    const units = { ...target.units };
+    others.forEach(s => Object.entries(s.units || {}).forEach(([typeId, count]) => {
+      units[typeId] = (units[typeId] || 0) + count;
+    }));
+    target.units = units;
+    target.damage = Math.round(damage);
+    target.movesLeft = Math.min(...ships.map(s => s.movesLeft));
+    this._ships = this._ships.filter(s => !others.includes(s));
+
+    const planet = this._galaxy.getPlanet(target.planetId);
+    this._galaxy.journal.record({
+      type: 'fleet',
+      factionId: target.factionId,
+      planetId: target.planetId,
+      summary: `${others.map(s => s.name).join(', ')} merged into ${target.name} at ${planet?.name || 'unknown planet'}`,
+    });
+    this._galaxy._lastModified = Date.now();
+    return { ok: true, message: `${others.length + 1} fleets merged into ${target.name}`, ship: target, removed: others.map(s => s.id) };
+  }
+
+  /**
+   * Detach units from a fleet as a new fleet at the same planet, with the
+   * same damage
+   * @param {string} shipId - Ship ID
+   * @param {Object} units - Units to detach {unitTypeId: count}
+   * @param {string} name - Name of the new fleet
+   * @returns {Object} Result {ok, message, ship}
+   */
+  splitShip(shipId, units, name = 'Detachment') {
+    const source = this.getById(shipId);
+    if (!source) return { ok: false, message: 'Ship not found.' };
+
+    const detached = this._cleanUnits(units);
+    if (!detached) return { ok: false, message: 'Choose units to detach.' };
+    if (Object.entries(detached).some(([typeId, count]) => count > (source.units[typeId] || 0))) {
+      return { ok: false, message: `${source.name} does not have those units.` };
+    }
+
+    const remaining = { ...source.units };
+    Object.entries(detached).forEach(([typeId, count]) => { remaining[typeId] -= count; });
+    const kept = this._cleanUnits(remaining);
+    if (!kept) return { ok: false, message: 'Leave at least one unit in the fleet.' };
+
+    source.units = kept;
+    const ship = {
+      id: generateId(),
+      factionId: source.factionId,
+      planetId: source.planetId,
+      name: name || 'Detachment',
+      units: detached,
+      damage: source.damage || 0,
+      movesLeft: 0,
+      route: [],
+      createdAt: Date.now(),
+    };
+    ship.movesLeft = Math.min(source.movesLeft, this.getSpeed(ship));
+    this._ships.push(ship);
+
+    this._galaxy.journal.record({
+      type: 'fleet',
+      factionId: ship.factionId,
+      planetId: ship.planetId,
+      summary: `${ship.name} split off from ${source.name}`,
+    });
+    this._galaxy._lastModified = Date.now();
+    return { ok: true, message: `${ship.name} split off from ${source.name}`, ship };
+  }
+
+  /**
+   * Pay every faction's fleet upkeep, called at harvest. Fleets of a
+   * faction that paid are repaired at its own planets while in supply; a
+   * faction that cannot pay spends what it has and its fleets suffer attrition.
+   * @returns {Object} {unpaid: factionIds, destroyed: ships}
+   */
+  payUpkeep() {
+    const resources = this._galaxy.playerResources;
+    const unpaid = [];
+    const destroyed = [];
+
+    [...new Set(this._ships.map(s => s.factionId))].forEach(factionId => {
+      const fleets = this.getByFaction(factionId);
+      const upkeep = {};
+      fleets.forEach(ship => Object.entries(this.getUpkeep(ship)).forEach(([resource, amount]) => {
+        upkeep[resource] = (upkeep[resource] || 0) + amount;
+      }));
+
+      if (canAfford(resources, factionId, upkeep)) {
+        spendResources(resources, factionId, upkeep);
+        fleets.forEach(ship => {
+          if (ship.damage && this._galaxy.getPlanet(ship.planetId)?.owner === factionId
+            && this._galaxy.supplyManager.isShipSupplied(ship)) {
+            this.damageShip(ship.id, -CONFIG.FLEET_REPAIR_PER_TURN);
+          }
+        });
+        return;
+      }
+
+      unpaid.push(factionId);
+      const wallet = resources[factionId] || {};
+      Object.entries(upkeep).forEach(([resource, amount]) => {
+        wallet[resource] = Math.max(0, (wallet[resource] || 0) - amount);
+      });
+      resources[factionId] = wallet;
+      this._galaxy.journal.record({
+        type: 'fleet',
+        factionId,
+        summary: `Fleet upkeep unpaid: ${fleets.length} fleet(s) suffer attrition`,
+      });
+      fleets.forEach(ship => {
+        if (this.damageShip(ship.id, CONFIG.FLEET_UNPAID_UPKEEP_DAMAGE)) destroyed.push(ship);
+      });
+    });
+
+    return { unpaid, destroyed };
+  }
+
+  /**
+   * Keep positive whole unit counts
+   * @private
+   * @param {Object|null} units - {unitTypeId: count}
+   * @returns {Object|null} Cleaned composition, or null if it has no units
+   */
+  _cleanUnits(units) {
+    const cleaned = Object.fromEntries(Object.entries(units || {})
+      .map(([typeId, count]) => [typeId, Math.max(0, parseInt(count) || 0)])
+      .filter(([, count]) => count > 0));
+    return Object.keys(cleaned).length ? cleaned : null;
+  }
+
   /**
    * Rename a ship
    * @param {string} shipId - Ship ID
@@ -203,6 +651,15 @@ export class ShipManager {
    * @param {Array} data - Ships data
    */
   fromJSON(data) {
-    this._ships = data || [];
+    // Unit compositions of older saves are filled in by MigrationService
+    this._ships = (data || []).map(data => {
+      const ship = {
+        ...data,
+        damage: data.damage || 0,
+        route: [...(data.route || [])],
+      };
+      ship.movesLeft = data.movesLeft ?? this.getSpeed(ship);
+      return ship;
+    });
   }
 }
@@ -6,6 +6,10 @@
 import { SHOP_ITEMS } from '../config/constants.js';
 import { canAfford, spendResources } from '../utils/helpers.js';
 
+// Items the sync server does not accept from players: they add a fleet or
+// change another faction's planet (see foreignPaths in services/SyncDelta.js)
+const GM_ONLY_WHEN_SHARED = ['deploy_ship', 'sabotage'];
+
 /**
  * Manages shop purchases and item effects
  * @class ShopManager
@@ -32,6 +36,25 @@ export class ShopManager {
     return SHOP_ITEMS.filter(item => item.category === category);
   }
 
+  /**
+   * Check whether players on a shared campaign have to leave an item to the
+   * GM (or queue it as an order)
+   * @param {string} itemId - Item ID
+   * @returns {boolean} True if they do
+   */
+  isGMOnlyWhenShared(itemId) {
+    return GM_ONLY_WHEN_SHARED.includes(itemId);
+  }
+
+  /**
+   * Get a single item
+   * @param {string} itemId - Item ID
+   * @returns {Object|undefined} Item or undefined
+   */
+  getItem(itemId) {
+    return SHOP_ITEMS.find(item => item.id === itemId);
+  }
+
   /**
    * Check if faction can afford an item
    * @param {string} factionId - Faction ID
@@ -78,13 +101,48 @@ export class ShopManager {
           item.id !== 'super_weapon' && planet.owner !== factionId) {
         return { ok: false, message: 'You must own the target planet.' };
       }
+
+      if (planet.owner !== factionId && this._galaxy.isAttackBlocked(targetPlanetId, factionId)) {
+        return { ok: false, message: `${planet.name} is protected by an orbital shield.` };
+      }
     }
 
     // Debit resources
     spendResources(this._galaxy.playerResources, factionId, item.cost);
 
     // Apply effect
-    return this._applyItemEffect(factionId, itemId, targetPlanetId);
+    const result = this._applyItemEffect(factionId, itemId, targetPlanetId);
+
+    if (result.ok) {
+      const planet = targetPlanetId ? this._galaxy.getPlanet(targetPlanetId) : null;
+      this._galaxy.journal.record({
+        type: 'purchase',
+        factionId,
+        planetId: targetPlanetId,
+        summary: `Purchased ${item.name}${planet ? ` at ${planet.name}` : ''}`,
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Add a modifier sourced from a shop item
+   * @private
+   * @param {string} factionId - Buying faction
+   * @param {string} itemId - Item ID
+   * @param {string|null} planetId - Target planet, null for faction-wide
+   * @param {Object} modifier - {key, value, duration, stacking}
+   * @returns {Object} Modifier
+   */
+  _addModifier(factionId, itemId, planetId, modifier) {
+    const item = SHOP_ITEMS.find(i => i.id === itemId);
+    return this._galaxy.modifierManager.add({
+      ...modifier,
+      planetId,
+      factionId,
+      source: { type: 'shop', id: itemId, name: item.name },
+    });
   }
 
   /**
@@ -125,21 +183,13 @@ export class ShopManager {
           planet
         };
 
-      case 'spy_network': {
-        // Create a temporary event for visibility
-        const firstPlanet = this._galaxy.planets[0];
-        if (firstPlanet) {
-          this._galaxy.eventManager.add({
-            type: 'ARCHAEOTECH',
-            planetId: firstPlanet.id,
-            duration: 3
-          });
-        }
+      case 'spy_network':
+        // Faction-wide: every planet is revealed to the buyer
+        this._addModifier(factionId, itemId, null, { key: 'revealed', duration: 3 });
         return { 
           ok: true, 
           message: 'Spy network active for 3 turns (all owners visible)'
         };
-      }
 
       case 'propaganda': {
         const ownedPlanets = this._galaxy.planets.filter(p => p.owner === factionId);
@@ -152,7 +202,7 @@ export class ShopManager {
 
       case 'elite_training':
         planet.value_two += 1;
-        this._galaxy.setPlanetModifier(targetPlanetId, 'elite_training', true);
+        this._addModifier(factionId, itemId, targetPlanetId, { key: 'value_two_multiplier', value: 2 });
         return { 
           ok: true, 
           message: `Elite training completed on ${planet.name} (+1 Value Two, doubled effectiveness)`,
@@ -160,8 +210,7 @@ export class ShopManager {
         };
 
       case 'planetary_defense':
-        planet.value_two += 2;
-        this._galaxy.setPlanetModifier(targetPlanetId, 'planetary_defense', 2);
+        this._addModifier(factionId, itemId, targetPlanetId, { key: 'value_two_bonus', value: 2, stacking: 'stack' });
         return { 
           ok: true, 
           message: `Planetary defenses established on ${planet.name} (permanent +2 Value Two)`,
@@ -169,7 +218,7 @@ export class ShopManager {
         };
 
       case 'trade_hub':
-        this._galaxy.setPlanetModifier(targetPlanetId, 'trade_hub', 1.5);
+        this._addModifier(factionId, itemId, targetPlanetId, { key: 'harvest_multiplier', value: 1.5, stacking: 'refresh' });
         return { 
           ok: true, 
           message: `Trade hub established on ${planet.name} (+50% resource yield)`,
@@ -177,7 +226,7 @@ export class ShopManager {
         };
 
       case 'mining_upgrade':
-        this._galaxy.setPlanetModifier(targetPlanetId, 'mining_upgrade', 1);
+        this._addModifier(factionId, itemId, targetPlanetId, { key: 'harvest_bonus', value: 1 });
         return { 
           ok: true, 
           message: `Mining complex built on ${planet.name} (+1 to each resource type)`,
@@ -196,7 +245,7 @@ export class ShopManager {
         };
 
       case 'infiltrate':
-        this._galaxy.setPlanetModifier(targetPlanetId, 'infiltrated', factionId);
+        this._addModifier(factionId, itemId, targetPlanetId, { key: 'revealed' });
         return { 
           ok: true, 
           message: `Deep cover agent deployed on ${planet.name} (permanent visibility)`,
@@ -218,7 +267,7 @@ export class ShopManager {
         planet.type = 'DEAD';
         planet.value_one = 1;
         planet.value_two = 0;
-        planet.setOwner(factionId);
+        planet.setOwner(factionId, true, this._galaxy.turn);
         return { 
           ok: true, 
           message: `${planet.name} has been resurrected from the void!`,
@@ -235,6 +284,7 @@ export class ShopManager {
         planet.owner = null;
         planet._resources = {};
         planet._surfaceZones = [];
+        this._galaxy.modifierManager.clearPlanet(targetPlanetId);
         return { 
           ok: true, 
           message: `EXTERMINATUS EXECUTED! ${planet.name} has been destroyed!`,
@@ -259,6 +309,12 @@ export class ShopManager {
       this._galaxy.addConnection(planet1Id, planet2Id);
       const p1 = this._galaxy.getPlanet(planet1Id);
       const p2 = this._galaxy.getPlanet(planet2Id);
+      this._galaxy.journal.record({
+        type: 'connection',
+        factionId,
+        planetId: planet1Id,
+        summary: `Warp beacon linked ${p1.name} ↔ ${p2.name}`,
+      });
       return { 
         ok: true, 
         message: `Warp beacon established between ${p1.name} and ${p2.name}`
@@ -6,6 +6,9 @@
 import { STRATAGEMS } from '../config/constants.js';
 import { canAfford, spendResources } from '../utils/helpers.js';
 
+// Effect types that change the planets they target (modules/EffectSystem.js)
+const PLANET_EFFECTS = ['modify_value', 'set_planet_type', 'add_connection', 'contest_zones'];
+
 /**
  * Manages stratagems and cooldowns
  * @class StratagemManager
@@ -65,13 +68,58 @@ export class StratagemManager {
   }
 
   /**
-   * Use a stratagem
+   * Check whether a stratagem can change planets other factions own. The
+   * sync server only lets players change their own planets, so players on
+   * a shared campaign leave these to the GM (or queue them as orders).
+   * @param {string} stratagemId - Stratagem ID
+   * @returns {boolean} True if it can
+   */
+  affectsOtherFactions(stratagemId) {
+    const stratagem = STRATAGEMS[stratagemId];
+    return Boolean(stratagem) && (stratagem.effects || []).some(effect =>
+      PLANET_EFFECTS.includes(effect.type) && (stratagem.target !== 'own' || effect.scope === 'sector_enemies'));
+  }
+
+  /**
+   * Check that a planet is a valid target for a stratagem
+   * @param {Object} stratagem - Stratagem definition
+   * @param {string} factionId - Faction ID
+   * @param {Planet|null} planet - Target planet
+   * @returns {Object} {ok, message}
+   */
+  validateTarget(stratagem, factionId, planet) {
+    if (!planet) {
+      return stratagem.targetRequired
+        ? { ok: false, message: 'Target planet required.' }
+        : { ok: true };
+    }
+
+    if (stratagem.target === 'own' && planet.owner !== factionId) {
+      return { ok: false, message: `${stratagem.name} must target one of your planets.` };
+    }
+    if (stratagem.target === 'enemy' && (!planet.owner || planet.owner === factionId)) {
+      return { ok: false, message: `${stratagem.name} must target an enemy planet.` };
+    }
+    if (stratagem.target === 'enemy' && this._galaxy.diplomacyManager.isPeaceful(factionId, planet.owner)) {
+      return { ok: false, message: `You are at peace with the owner of ${planet.name}.` };
+    }
+    if (stratagem.target === 'enemy' && this._galaxy.isAttackBlocked(planet.id, factionId)) {
+      return { ok: false, message: `${planet.name} is protected by an orbital shield.` };
+    }
+
+    return { ok: true };
+  }
+
+  /**
+   * Use a stratagem. Resources and cooldown are only spent if the
+   * effects can be applied.
    * @param {string} factionId - Faction ID
    * @param {string} stratagemId - Stratagem ID
    * @param {string} targetPlanetId - Target planet (if required)
+   * @param {Object} options - Extra choices, e.g. {shipId} for warp_jump
    * @returns {Object} Result {ok, message}
    */
-  use(factionId, stratagemId, targetPlanetId = null) {
+  use(factionId, stratagemId, targetPlanetId = null, options = {}) {
     const stratagem = STRATAGEMS[stratagemId];
     if (!stratagem) {
       return { ok: false, message: 'Unknown stratagem.' };
@@ -83,74 +131,42 @@ export class StratagemManager {
       return { ok: false, message: canUse.reason };
     }
 
-    // Validate target
-    if (stratagem.targetRequired && !targetPlanetId) {
-      return { ok: false, message: 'Target planet required.' };
-    }
-
     const planet = targetPlanetId ? this._galaxy.getPlanet(targetPlanetId) : null;
-    if (stratagem.targetRequired && !planet) {
+    if (targetPlanetId && !planet) {
       return { ok: false, message: 'Invalid target planet.' };
     }
 
-    // Spend resources
-    spendResources(this._galaxy.playerResources, factionId, stratagem.cost);
+    const target = this.validateTarget(stratagem, factionId, planet);
+    if (!target.ok) return target;
 
-    // Apply effect
-    const result = this._applyEffect(stratagemId, factionId, planet);
+    const ctx = {
+      factionId,
+      planet,
+      options,
+      source: { type: 'stratagem', id: stratagemId, name: stratagem.name },
+    };
+    const check = this._galaxy.effectEngine.validate(stratagem.effects || [], ctx);
+    if (!check.ok) return check;
+
+    spendResources(this._galaxy.playerResources, factionId, stratagem.cost);
+    const result = this._galaxy.effectEngine.apply(stratagem.effects || [], ctx);
 
-    // Set cooldown
     const key = `${factionId}:${stratagemId}`;
     this._cooldowns[key] = stratagem.cooldown;
 
-    return result;
-  }
-
-  /**
-   * Apply stratagem effect
-   * @private
-   * @param {string} stratagemId - Stratagem ID
-   * @param {string} factionId - Faction ID
-   * @param {Planet} planet - Target planet
-   * @returns {Object} Result
-   */
-  _applyEffect(stratagemId, factionId, planet) {
-    switch (stratagemId) {
-      case 'ORBITAL_BOMBARDMENT':
-        planet.value_two = Math.max(0, planet.value_two - 4);
-        return {
-          ok: true,
-          message: `Orbital bombardment on ${planet.name}! -4 Value Two.`,
-          planet
-        };
-
-      case 'REINFORCEMENT':
-        planet.value_two += 3;
-        return {
-          ok: true,
-          message: `Emergency reinforcements to ${planet.name}! +3 Value Two.`,
-          planet
-        };
-
-      case 'SUPPLY_DROP': {
-        const resources = this._galaxy.playerResources[factionId] || {};
-        const allResources = this._galaxy.app?.resourceManager?.getAll() || [
-          { id: 'resource1' }, { id: 'resource2' }, { id: 'resource3' }, { id: 'resource4' }
-        ];
-        allResources.forEach(resource => {
-          resources[resource.id] = (resources[resource.id] || 0) + 2;
-        });
-        this._galaxy.playerResources[factionId] = resources;
-        
-        return {
-          ok: true,
-          message: 'Supply drop received! +2 of each resource.'
-        };
-      }
-
-      default:
-        return { ok: false, message: 'Unknown stratagem effect.' };
-    }
+    this._galaxy.journal.record({
+      type: 'stratagem',
+      factionId,
+      planetId: targetPlanetId,
+      summary: `Used ${stratagem.name}${planet ? ` on ${planet.name}` : ''}`,
+      data: { stratagemId, details: result.details },
+    });
+
+    return {
+      ok: true,
+      message: `${stratagem.name}: ${result.message}`,
+      planet,
+    };
   }
 
   /**
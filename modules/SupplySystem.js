@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Supply lines from each faction's supply sources
+ * @module modules/SupplySystem
+ */
+
+import { DEFAULT_SUPPLY_RULES } from '../config/constants.js';
+
+/**
+ * Works out which planets and fleets are in supply, and applies the
+ * penalties for being cut off at every turn.
+ * - supply sources: planets whose capital surface zone the owner controls,
+ *   plus planets the GM marked as sources
+ * - supply floods from the sources through the faction's own planets,
+ *   along connections and wormholes a warp storm does not block
+ * - a fleet is in supply at, or one jump from, a planet in its faction's
+ *   network, so it can strike at the frontier
+ * - while rules.enabled is off nothing is ever cut off
+ * @class SupplyManager
+ */
+export class SupplyManager {
+  constructor(galaxy) {
+    this._galaxy = galaxy;
+    this._rules = { ...DEFAULT_SUPPLY_RULES };
+    this._sources = [];
+  }
+
+  get enabled() { return this._rules.enabled; }
+
+  /**
+   * Get the supply rules
+   * @returns {Object} {enabled, harvestPercent, valueTwoLoss, fleetAttrition}
+   */
+  getRules() {
+    return { ...this._rules };
+  }
+
+  /**
+   * Change the supply rules
+   * @param {Object} rules - Any of {enabled, harvestPercent, valueTwoLoss, fleetAttrition}
+   * @returns {Object} Result {ok, message}
+   */
+  setRules({ enabled = this._rules.enabled, harvestPercent = this._rules.harvestPercent,
+    valueTwoLoss = this._rules.valueTwoLoss, fleetAttrition = this._rules.fleetAttrition }) {
+    const percent = value => Math.min(100, Math.max(0, parseInt(value) || 0));
+    this._rules = {
+      enabled: Boolean(enabled),
+      harvestPercent: percent(harvestPercent),
+      valueTwoLoss: Math.max(0, parseInt(valueTwoLoss) || 0),
+      fleetAttrition: percent(fleetAttrition),
+    };
+    this._galaxy._lastModified = Date.now();
+    return { ok: true, message: this._rules.enabled ? 'Supply rules saved' : 'Supply lines disabled' };
+  }
+
+  /**
+   * Check whether the GM marked a planet as a supply source
+   * @param {string} planetId - Planet ID
+   * @returns {boolean} True if marked
+   */
+  isMarkedSource(planetId) {
+    return this._sources.includes(planetId);
+  }
+
+  /**
+   * Mark or unmark a planet as a supply source for whoever owns it
+   * @param {string} planetId - Planet ID
+   * @returns {Object} Result {ok, message}
+   */
+  toggleSource(planetId) {
+    const planet = this._galaxy.getPlanet(planetId);
+    if (!planet) return { ok: false, message: 'Planet not found.' };
+
+    const marked = !this.isMarkedSource(planetId);
+    this._sources = marked ? [...this._sources, planetId] : this._sources.filter(id => id !== planetId);
+    this._galaxy._lastModified = Date.now();
+    return { ok: true, message: `${planet.name} ${marked ? 'is now' : 'is no longer'} a supply source` };
+  }
+
+  /**
+   * Forget a removed planet
+   * @param {string} planetId - Planet ID
+   */
+  clearPlanet(planetId) {
+    this._sources = this._sources.filter(id => id !== planetId);
+  }
+
+  /**
+   * Check whether a planet supplies its owner
+   * @param {Planet} planet - Planet
+   * @returns {boolean} True if it is a supply source
+   */
+  isSource(planet) {
+    if (!planet?.owner) return false;
+    return this.isMarkedSource(planet.id)
+      || planet.surfaceZones.some(zone => zone.type === 'capital' && zone.controller === planet.owner);
+  }
+
+  /**
+   * Planets a faction's supply reaches
+   * @param {string} factionId - Faction ID
+   * @returns {Set<string>} Planet IDs, sources included
+   */
+  getNetwork(factionId) {
+    const ships = this._galaxy.shipManager;
+    const owned = planetId => this._galaxy.getPlanet(planetId)?.owner === factionId;
+    const queue = this._galaxy.planets.filter(p => p.owner === factionId && this.isSource(p)).map(p => p.id);
+    const network = new Set(queue);
+
+    while (queue.length) {
+      ships.getNeighbours(queue.shift()).forEach(next => {
+        if (network.has(next) || !owned(next)) return;
+        network.add(next);
+        queue.push(next);
+      });
+    }
+    return network;
+  }
+
+  /**
+   * Supply of every faction that owns planets or fleets
+   * @returns {Object} {networks: Map<factionId, Set<planetId>>, cutOffPlanets, cutOffShips}
+   */
+  getStatus() {
+    const factionIds = new Set([
+      ...this._galaxy.planets.map(p => p.owner).filter(Boolean),
+      ...this._galaxy.ships.map(s => s.factionId),
+    ]);
+    const networks = new Map([...factionIds].map(id => [id, this.getNetwork(id)]));
+
+    return {
+      networks,
+      cutOffPlanets: this._galaxy.planets.filter(p => p.owner && !networks.get(p.owner).has(p.id)),
+      cutOffShips: this._galaxy.ships.filter(ship => !this._reaches(networks.get(ship.factionId), ship.planetId)),
+    };
+  }
+
+  /**
+   * Check whether a planet is in its owner's supply
+   * @param {string} planetId - Planet ID
+   * @returns {boolean} True if supplied, unowned, or supply is off
+   */
+  isPlanetSupplied(planetId) {
+    const planet = this._galaxy.getPlanet(planetId);
+    if (!this.enabled || !planet?.owner) return true;
+    return this.getNetwork(planet.owner).has(planetId);
+  }
+
+  /**
+   * Check whether a fleet is in supply
+   * @param {Object} ship - Ship
+   * @returns {boolean} True if supplied, or supply is off
+   */
+  isShipSupplied(ship) {
+    if (!this.enabled) return true;
+    return this._reaches(this.getNetwork(ship.factionId), ship.planetId);
+  }
+
+  /**
+   * Damage cut-off fleets and wear down cut-off planets' Value Two, once per
+   * turn. The harvest penalty is applied by Galaxy.harvestResources.
+   * @returns {Object} {planets: cut-off planet IDs, ships: cut-off ship IDs, destroyed: ships}
+   */
+  applyPenalties() {
+    if (!this.enabled) return { planets: [], ships: [], destroyed: [] };
+
+    const { cutOffPlanets, cutOffShips } = this.getStatus();
+    const { valueTwoLoss, fleetAttrition } = this._rules;
+
+    cutOffPlanets.forEach(planet => {
+      planet.value_two = Math.max(0, planet.value_two - valueTwoLoss);
+    });
+    const destroyed = cutOffShips.filter(ship => this._galaxy.shipManager.damageShip(ship.id, fleetAttrition));
+
+    const factionIds = new Set([...cutOffPlanets.map(p => p.owner), ...cutOffShips.map(s => s.factionId)]);
+    factionIds.forEach(factionId => {
+      const planets = cutOffPlanets.filter(p => p.owner === factionId).length;
+      const fleets = cutOffShips.filter(s => s.factionId === factionId).length;
+      this._galaxy.journal.record({
+        type: 'supply',
+        factionId,
+        summary: `Out of supply: ${planets} planet(s), ${fleets} fleet(s)`,
+      });
+    });
+
+    if (factionIds.size) this._galaxy._lastModified = Date.now();
+    return { planets: cutOffPlanets.map(p => p.id), ships: cutOffShips.map(s => s.id), destroyed };
+  }
+
+  /**
+   * Check whether a network reaches a planet or a planet next to it
+   * @private
+   * @param {Set<string>|undefined} network - Planet IDs
+   * @param {string} planetId - Planet ID
+   * @returns {boolean} True if it does
+   */
+  _reaches(network, planetId) {
+    if (!network?.size) return false;
+    return network.has(planetId) || this._galaxy.shipManager.getNeighbours(planetId).some(id => network.has(id));
+  }
+
+  /**
+   * Serialize to JSON
+   * @returns {Object} Rules and {sources: planet IDs}
+   */
+  toJSON() {
+    return { ...this._rules, sources: [...this._sources] };
+  }
+
+  /**
+   * Load from JSON
+   * @param {Object} data - Rules and {sources}
+   */
+  fromJSON(data) {
+    const { sources = [], ...rules } = data || {};
+    this._rules = { ...DEFAULT_SUPPLY_RULES, ...rules };
+    this._sources = [...sources];
+  }
+}
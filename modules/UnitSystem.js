@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Unit types fleets are composed of
+ * @module modules/UnitSystem
+ */
+
+import { DEFAULT_UNIT_TYPES } from '../config/constants.js';
+import { deepClone, generateId } from '../utils/helpers.js';
+
+/**
+ * Keeps the campaign's unit types. A unit type is
+ * { id, name, icon, strength, speed, upkeep }
+ * - strength: added to its side in automatic battle rolls, per unit
+ * - speed: a fleet is as fast as its slowest unit
+ * - upkeep: cost map paid per unit at every harvest
+ * @class UnitTypeManager
+ */
+export class UnitTypeManager {
+  constructor(galaxy) {
+    this._galaxy = galaxy;
+    this._types = deepClone(DEFAULT_UNIT_TYPES);
+  }
+
+  /**
+   * Get all unit types
+   * @returns {Array} Unit types
+   */
+  getAll() {
+    return deepClone(this._types);
+  }
+
+  /**
+   * Get unit type by ID
+   * @param {string} typeId - Unit type ID
+   * @returns {Object|undefined} Unit type or undefined
+   */
+  getById(typeId) {
+    return this._types.find(t => t.id === typeId);
+  }
+
+  /**
+   * Unit type a fleet without a composition is made of
+   * @returns {Object|undefined} First unit type
+   */
+  getDefault() {
+    return this._types[0];
+  }
+
+  /**
+   * Add a unit type, or update the one with the given ID
+   * @param {Object} data - {id?, name, icon, strength, speed, upkeep}
+   * @returns {Object} Result {ok, message, unitType}
+   */
+  save({ id = null, name, icon = '🚀', strength = 1, speed = 1, upkeep = {} }) {
+    if (!name?.trim()) return { ok: false, message: 'Enter a unit name.' };
+
+    const existing = id ? this.getById(id) : null;
+    const unitType = existing || { id: generateId() };
+    Object.assign(unitType, {
+      name: name.trim(),
+      icon: icon || '🚀',
+      strength: Math.max(0, parseInt(strength) || 0),
+      speed: Math.max(1, parseInt(speed) || 1),
+      upkeep: Object.fromEntries(Object.entries(upkeep).filter(([, amount]) => amount > 0)),
+    });
+    if (!existing) this._types.push(unitType);
+
+    this._galaxy._lastModified = Date.now();
+    return { ok: true, message: `${unitType.name} ${existing ? 'updated' : 'added'}`, unitType };
+  }
+
+  /**
+   * Remove a unit type no fleet uses
+   * @param {string} typeId - Unit type ID
+   * @returns {Object} Result {ok, message}
+   */
+  remove(typeId) {
+    const unitType = this.getById(typeId);
+    if (!unitType) return { ok: false, message: 'Unit type not found.' };
+    if (this._types.length === 1) return { ok: false, message: 'A campaign needs at least one unit type.' };
+
+    const used = this._galaxy.ships.filter(s => s.units?.[typeId] > 0).length;
+    if (used) return { ok: false, message: `${unitType.name} is still part of ${used} fleet(s).` };
+
+    this._types = this._types.filter(t => t.id !== typeId);
+    this._galaxy._lastModified = Date.now();
+    return { ok: true, message: `${unitType.name} removed` };
+  }
+
+  /**
+   * Serialize to JSON
+   * @returns {Array} Unit types
+   */
+  toJSON() {
+    return deepClone(this._types);
+  }
+
+  /**
+   * Load from JSON
+   * @param {Array} data - Unit types
+   */
+  fromJSON(data) {
+    this._types = data?.length ? deepClone(data) : deepClone(DEFAULT_UNIT_TYPES);
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Per-faction visibility (fog of war)
+ * @module modules/VisibilitySystem
+ */
+
+import { BATTLE_STATUS, VISIBILITY } from '../config/constants.js';
+import { deepClone } from '../utils/helpers.js';
+
+// What a faction is not told about planets it cannot fully see
+const PLANET_DETAILS = { value_one: null, value_two: null, resources: {}, surfaceZones: [], history: [], dynamicValues: {} };
+
+/**
+ * Cut a campaign state down to what one faction's player may know, for the
+ * sync server: other factions' orders and the event deck's pending draw are
+ * left out, and under fog of war so are the details of planets the faction
+ * does not fully see, the owners of hidden planets and the fleets at them
+ * @param {Object} campaignData - Galaxy JSON
+ * @param {string} factionId - Faction the player plays
+ * @param {Map<string, string>|null} levels - VisibilityManager#compute for
+ *   the faction; null when fog of war is off
+ * @returns {Object} Filtered copy
+ */
+export function factionView(campaignData, factionId, levels = null) {
+  const data = deepClone(campaignData);
+  data.orders = (data.orders || []).filter(order => order.factionId === factionId);
+  if (data.eventDeck) data.eventDeck.pending = null;
+  if (!levels) return data;
+
+  const level = planetId => levels.get(planetId) || VISIBILITY.HIDDEN;
+  data.planets = (data.planets || []).map(planet => {
+    if (level(planet.id) === VISIBILITY.FULL) return planet;
+    const hidden = level(planet.id) === VISIBILITY.HIDDEN ? { owner: null, battleStatus: BATTLE_STATUS.NONE } : {};
+    return { ...planet, ...PLANET_DETAILS, ...hidden };
+  });
+  data.ships = (data.ships || []).filter(ship => ship.factionId === factionId || level(ship.planetId) !== VISIBILITY.HIDDEN);
+  return data;
+}
+
+/**
+ * Works out what each faction can see. A faction sees everything on
+ * planets it owns, has fleets at or holds intel on ('revealed' modifiers
+ * from scans, infiltration and spy networks). Planets connected to the
+ * ones it owns or has fleets at are sensed: owner and fleets, no details.
+ * Allies (DIPLOMATIC_RELATIONS with sharedVision) see what each other sees.
+ * @class VisibilityManager
+ */
+export class VisibilityManager {
+  constructor(galaxy) {
+    this._galaxy = galaxy;
+    this._levels = new Map(); // factionId → compute() result, until invalidate()
+  }
+
+  /**
+   * Forget the cached levels; call after the state changed
+   */
+  invalidate() {
+    this._levels.clear();
+  }
+
+  /**
+   * Visibility of every planet for a faction, computed once until the next
+   * invalidate() so per-planet and per-fleet lookups stay cheap
+   * @param {string|null} factionId - Viewing faction
+   * @returns {Map<string, string>} planetId → VISIBILITY level
+   */
+  levels(factionId) {
+    if (!this._levels.has(factionId)) this._levels.set(factionId, this.compute(factionId));
+    return this._levels.get(factionId);
+  }
+
+  /**
+   * Visibility of every planet for a faction
+   * @param {string|null} factionId - Viewing faction (null sees nothing)
+   * @returns {Map<string, string>} planetId → VISIBILITY level
+   */
+  compute(factionId) {
+    const levels = new Map(this._galaxy.planets.map(p => [p.id, VISIBILITY.HIDDEN]));
+    if (!factionId) return levels;
+
+    const viewers = [factionId, ...this._galaxy.diplomacyManager.getVisionPartners(factionId)];
+    const present = new Set(viewers.flatMap(viewer => [
+      ...this._galaxy.planets.filter(p => p.owner === viewer).map(p => p.id),
+      ...this._galaxy.shipManager.getByFaction(viewer).map(s => s.planetId),
+    ]));
+
+    present.forEach(planetId => {
+      this._galaxy.getPlanet(planetId)?.connections.forEach(id => {
+        if (levels.has(id)) levels.set(id, VISIBILITY.SENSED);
+      });
+    });
+
+    this._galaxy.planets.forEach(planet => {
+      if (present.has(planet.id) || viewers.some(viewer => this._galaxy.isRevealedTo(planet.id, viewer))) {
+        levels.set(planet.id, VISIBILITY.FULL);
+      }
+    });
+
+    return levels;
+  }
+
+  /**
+   * Visibility of one planet for a faction
+   * @param {string|null} factionId - Viewing faction
+   * @param {string} planetId - Planet ID
+   * @returns {string} VISIBILITY level
+   */
+  getLevel(factionId, planetId) {
+    return this.levels(factionId).get(planetId) || VISIBILITY.HIDDEN;
+  }
+
+  /**
+   * Check whether a faction can see a fleet
+   * @param {string|null} factionId - Viewing faction
+   * @param {Object} ship - Ship
+   * @returns {boolean} True for own fleets and fleets at seen or sensed planets
+   */
+  canSeeShip(factionId, ship) {
+    if (factionId && ship.factionId === factionId) return true;
+    return this.getLevel(factionId, ship.planetId) !== VISIBILITY.HIDDEN;
+  }
+}
@@ -0,0 +1,405 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Self-hostable sync server for shared campaigns
+ * @module server/sync-server
+ *
+ * Keeps each shared campaign with a revision number, accepts deltas from the
+ * connected apps (services/RemoteSyncService.js) and forwards them to the
+ * other players. Needs Node 20+ and nothing else; it imports the app's .js
+ * modules, which the repository's package.json marks as ES modules:
+ *
+ *   node server/sync-server.mjs [--port 8787] [--data ./sync-data]
+ *
+ * Campaigns are saved as <data>/<campaignId>.json.
+ *
+ * Rules:
+ * - the GM shares a campaign by connecting first; players join it with its code
+ * - joining as GM needs the campaign's GM passphrase, if it has one
+ * - players join as one faction, with a PIN if the roster protects it
+ * - only the GM may change the paths in SYNC_GM_ONLY_PATHS (turn, rules, setup)
+ * - players may only change what their faction owns (see foreignPaths); they
+ *   cannot add planets or fleets, gain resources or start a peaceful relation
+ *   without accepting a proposal
+ * - names, summaries and notes from players may not contain markup
+ * - only the GM is sent the GM passphrase and player PIN hashes
+ * - players are sent only what their faction knows (see factionView): not
+ *   other factions' orders or the pending event draw, and under fog of war
+ *   not the planets and fleets it cannot see
+ * - a delta based on an old revision is applied if nothing it touches changed
+ *   since; otherwise a player's delta is rejected and the GM's wins
+ */
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+import { CONFIG } from '../config/constants.js';
+import { Galaxy } from '../js/galaxy.js';
+import { stripSecrets } from '../modules/GMAccessSystem.js';
+import { PlayerManager } from '../modules/PlayerSystem.js';
+import { factionView } from '../modules/VisibilitySystem.js';
+import { MemoryStorage } from '../services/MemoryStorage.js';
+import { applyDelta, deltaPaths, diffState, foreignPaths, isGMOnlyPath, markupPaths, rebaseDelta } from '../services/SyncDelta.js';
+import { verifySecret } from '../utils/helpers.js';
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 16 * 1024 * 1024;
+const SAVE_DELAY = 1000;
+
+// ── WebSocket connection (RFC 6455, text frames only) ──────────────────
+
+class SocketConnection {
+  constructor(socket, onMessage, onClose) {
+    this._socket = socket;
+    this._buffer = Buffer.alloc(0);
+    this._fragments = [];
+    this._fragmentBytes = 0;
+    this._onMessage = onMessage;
+    this._onClose = onClose;
+    this._closed = false;
+
+    socket.on('data', chunk => {
+      this._buffer = Buffer.concat([this._buffer, chunk]);
+      this._readFrames();
+    });
+    socket.on('close', () => this._finish());
+    socket.on('error', () => this._finish());
+  }
+
+  send(message) {
+    if (this._closed) return;
+    const payload = Buffer.from(JSON.stringify(message));
+    this._socket.write(Buffer.concat([this._header(0x1, payload.length), payload]));
+  }
+
+  close(code = 1000) {
+    if (this._closed) return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    this._socket.end(Buffer.concat([this._header(0x8, 2), payload]));
+    this._finish();
+  }
+
+  _header(opcode, length) {
+    if (length < 126) return Buffer.from([0x80 | opcode, length]);
+    if (length < 65536) {
+      const header = Buffer.from([0x80 | opcode, 126, 0, 0]);
+      header.writeUInt16BE(length, 2);
+      return header;
+    }
+    const header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+    return header;
+  }
+
+  _readFrames() {
+    while (this._buffer.length >= 2) {
+      const fin = (this._buffer[0] & 0x80) !== 0;
+      const opcode = this._buffer[0] & 0x0f;
+      const masked = (this._buffer[1] & 0x80) !== 0;
+      let length = this._buffer[1] & 0x7f;
+      let offset = 2;
+
+      if (length === 126) {
+        if (this._buffer.length < 4) return;
+        length = this._buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this._buffer.length < 10) return;
+        length = Number(this._buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+
+      // Clients must mask their frames
+      if (!masked) return this.close(1002);
+      // Fragments of one message count together
+      const messageBytes = opcode === 0x0 || opcode === 0x1 ? this._fragmentBytes + length : length;
+      if (messageBytes > MAX_MESSAGE_BYTES) return this.close(1009);
+      if (this._buffer.length < offset + 4 + length) return;
+
+      const mask = this._buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(this._buffer.subarray(offset + 4, offset + 4 + length));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+      this._buffer = this._buffer.subarray(offset + 4 + length);
+
+      if (opcode === 0x8) return this.close();
+      if (opcode === 0x9) {
+        this._socket.write(Buffer.concat([this._header(0xA, payload.length), payload]));
+        continue;
+      }
+      if (opcode !== 0x0 && opcode !== 0x1) continue;
+
+      this._fragments.push(payload);
+      this._fragmentBytes += payload.length;
+      if (!fin) continue;
+      const text = Buffer.concat(this._fragments).toString('utf8');
+      this._fragments = [];
+      this._fragmentBytes = 0;
+
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch {
+        this.send({ type: 'error', message: 'Messages must be JSON.' });
+        continue;
+      }
+      this._onMessage(message);
+    }
+  }
+
+  _finish() {
+    if (this._closed) return;
+    this._closed = true;
+    this._onClose();
+  }
+}
+
+// ── Campaign rooms ──────────────────────────────────────────────────────
+
+class SyncServer {
+  constructor(dataDir) {
+    this._dataDir = dataDir;
+    this._rooms = new Map();
+  }
+
+  /**
+   * Handle a message from a client
+   * @param {Object} client - {connection, room, role, factionId, view}
+   * @param {Object} message - Parsed message
+   */
+  async handle(client, message) {
+    try {
+      if (message.type === 'join') return await this._join(client, message);
+      if (!client.room) return client.connection.send({ type: 'error', message: 'Join a campaign first.' });
+      if (message.type === 'push') return this._push(client, message);
+      if (message.type === 'pull') return client.connection.send(this._stateMessage(client));
+      client.connection.send({ type: 'error', message: `Unknown message type: ${message.type}` });
+    } catch (error) {
+      console.error('Failed to handle message:', error);
+      client.connection.send({ type: 'error', message: 'The server could not handle that message.' });
+    }
+  }
+
+  disconnect(client) {
+    client.room?.clients.delete(client);
+  }
+
+  /**
+   * Join a campaign, sharing it first if the GM brings one the server does
+   * not have. Changes made while offline ride along as {baseRevision, delta}.
+   */
+  async _join(client, { campaignId, role, passphrase = '', factionId = null, pin = '', data = null, baseRevision = null, delta = null }) {
+    if (client.room) return client.connection.send({ type: 'error', message: 'Already joined.' });
+    if (typeof campaignId !== 'string' || !/^[\w-]+$/.test(campaignId)) {
+      return client.connection.send({ type: 'error', message: 'Invalid campaign code.' });
+    }
+
+    const room = await this._room(campaignId);
+    const seeding = !room.data && role === 'gm' && data?.id === campaignId;
+    if (!room.data && !seeding) {
+      client.connection.send({ type: 'error', message: 'This campaign is not on the server yet. The GM has to share it first.' });
+      return client.connection.close();
+    }
+
+    if (role === 'gm') {
+      const stored = (room.data || data).settings?.gmPassphrase;
+      if (stored && !await verifySecret(passphrase, stored)) {
+        client.connection.send({ type: 'error', message: 'Incorrect GM passphrase.' });
+        return client.connection.close();
+      }
+    } else {
+      if (typeof factionId !== 'string' || !factionId) {
+        return client.connection.send({ type: 'error', message: 'Choose the faction you play.' });
+      }
+      const players = new PlayerManager(null);
+      players.fromJSON(room.data.players);
+      if (players.isFactionProtected(factionId) && !await players.verifyFactionPin(factionId, String(pin))) {
+        client.connection.send({ type: 'error', message: 'Incorrect PIN for that faction.' });
+        return client.connection.close();
+      }
+    }
+
+    client.role = role === 'gm' ? 'gm' : 'player';
+    client.factionId = client.role === 'gm' ? null : factionId;
+    client.room = room;
+    room.clients.add(client);
+
+    if (seeding && !room.data) {
+      room.data = data;
+      room.revision = 1;
+      this._scheduleSave(room);
+      console.log(`Campaign ${campaignId} shared`);
+    }
+
+    let rejected = null;
+    if (!seeding && delta && Number.isInteger(baseRevision)) {
+      rejected = this._apply(client, baseRevision, delta);
+    }
+    client.connection.send({ ...this._stateMessage(client), role: client.role, rejected });
+  }
+
+  _push(client, { baseRevision, delta }) {
+    const rejected = this._apply(client, baseRevision, delta);
+    if (rejected) {
+      client.connection.send({ ...this._stateMessage(client), rejected });
+    } else {
+      client.connection.send({ type: 'ack', revision: client.room.revision });
+    }
+  }
+
+  /**
+   * Apply a client's delta to its room and forward it to the others
+   * @returns {string|null} Why the delta was rejected, or null if applied
+   */
+  _apply(client, baseRevision, received) {
+    const room = client.room;
+    if (!received || typeof received !== 'object' || !Number.isInteger(baseRevision)) return 'Malformed change.';
+
+    // A player's delta is against the view it was sent, not the full state
+    const delta = client.role === 'gm' ? received : rebaseDelta(room.data, client.view || this._view(client), received);
+    const paths = deltaPaths(delta);
+    if (!paths.length) {
+      if (client.view) client.view = applyDelta(client.view, received);
+      return null;
+    }
+    if (client.role !== 'gm' && paths.some(isGMOnlyPath)) {
+      return 'Only the GM can change the turn, campaign rules or setup.';
+    }
+    if (client.role !== 'gm' && foreignPaths(room.data, delta, client.factionId).length) {
+      return 'Players can only change their own faction\'s planets, fleets and resources. Ask the GM for anything else.';
+    }
+    if (client.role !== 'gm' && markupPaths(delta).length) {
+      return 'Names and notes cannot contain < or >.';
+    }
+
+    // History no longer covers the base revision: treat everything as changed.
+    // A client's own unacknowledged deltas never conflict with it.
+    const covered = room.history.length && room.history[0].revision <= baseRevision + 1;
+    const since = room.history.filter(h => h.revision > baseRevision && h.client !== client);
+    const conflicts = baseRevision >= room.revision ? []
+      : covered ? paths.filter(p => since.some(h => h.paths.includes(p))) : paths;
+    if (conflicts.length && client.role !== 'gm') {
+      return 'Someone else changed the same things first.';
+    }
+
+    room.data = applyDelta(room.data, delta);
+    room.revision++;
+    room.history.push({ revision: room.revision, paths, client });
+    if (room.history.length > CONFIG.SYNC_HISTORY_LIMIT) room.history.shift();
+    this._scheduleSave(room);
+
+    room.clients.forEach(other => {
+      if (other.role === 'gm') {
+        if (other !== client) other.connection.send({ type: 'delta', revision: room.revision, delta });
+        return;
+      }
+      // Still joining: the state it is about to be sent covers this
+      if (!other.view) return;
+      // Players get whatever changed in their view, including what the
+      // change revealed or hid, and the sender what it did not see itself
+      if (other === client) other.view = applyDelta(other.view, received);
+      const view = this._view(other);
+      const change = diffState(other.view, view);
+      other.view = view;
+      if (Object.keys(change).length) other.connection.send({ type: 'delta', revision: room.revision, delta: change });
+    });
+    return null;
+  }
+
+  /**
+   * The room's campaign as a client may see it: all of it for the GM;
+   * for players no secrets and only what their faction knows
+   */
+  _view(client) {
+    const data = client.room.data;
+    if (client.role === 'gm') return data;
+    const levels = data.fogOfWar
+      ? Galaxy.fromJSON(data, { storage: new MemoryStorage() }).visibility.compute(client.factionId)
+      : null;
+    return factionView(stripSecrets(data), client.factionId, levels);
+  }
+
+  /**
+   * The room's campaign as sent to a client. Players' views are kept so
+   * later changes can be sent as deltas against them.
+   */
+  _stateMessage(client) {
+    const data = this._view(client);
+    if (client.role !== 'gm') client.view = data;
+    return { type: 'state', revision: client.room.revision, data };
+  }
+
+  async _room(campaignId) {
+    if (!this._rooms.has(campaignId)) {
+      const room = { id: campaignId, revision: 0, data: null, history: [], clients: new Set(), saveTimer: null };
+      try {
+        const saved = JSON.parse(await readFile(this._file(campaignId), 'utf8'));
+        room.revision = saved.revision;
+        room.data = saved.data;
+      } catch (error) {
+        if (error.code !== 'ENOENT') console.error(`Failed to load campaign ${campaignId}:`, error);
+      }
+      // Another join may have created the room while the file was read
+      if (!this._rooms.has(campaignId)) this._rooms.set(campaignId, room);
+    }
+    return this._rooms.get(campaignId);
+  }
+
+  _file(campaignId) {
+    return join(this._dataDir, `${campaignId}.json`);
+  }
+
+  _scheduleSave(room) {
+    clearTimeout(room.saveTimer);
+    room.saveTimer = setTimeout(async () => {
+      try {
+        const file = this._file(room.id);
+        await writeFile(`${file}.tmp`, JSON.stringify({ revision: room.revision, data: room.data }));
+        await rename(`${file}.tmp`, file);
+      } catch (error) {
+        console.error(`Failed to save campaign ${room.id}:`, error);
+      }
+    }, SAVE_DELAY);
+  }
+}
+
+// ── Startup ─────────────────────────────────────────────────────────────
+
+function option(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const port = parseInt(option('port', process.env.PORT || '8787'));
+const dataDir = resolve(option('data', process.env.SYNC_DATA_DIR || './sync-data'));
+await mkdir(dataDir, { recursive: true });
+
+const sync = new SyncServer(dataDir);
+const server = createServer((req, res) => {
+  res.writeHead(426, { 'Content-Type': 'text/plain' });
+  res.end('The Index sync server: connect with a WebSocket.\n');
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '', '',
+  ].join('\r\n'));
+
+  const client = { connection: null, room: null, role: null, factionId: null, view: null };
+  client.connection = new SocketConnection(socket, message => sync.handle(client, message), () => sync.disconnect(client));
+});
+
+server.listen(port, () => console.log(`Sync server listening on ws://localhost:${port} (data in ${dataDir})`));
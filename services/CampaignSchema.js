@@ -0,0 +1,513 @@
+/**
+ * @fileoverview JSON Schema for campaign export files and a validator for it
+ * @module services/CampaignSchema
+ */
+
+const ID = { type: 'string', minLength: 1 };
+const ID_OR_NULL = { type: ['string', 'null'] };
+const RESOURCE_MAP = { type: 'object', additionalProperties: { type: 'number' } };
+const RELATION_TYPES = ['war', 'neutral', 'ceasefire', 'trade_pact', 'alliance'];
+
+/**
+ * Schema of a campaign export file (format 3.x). Unknown properties are
+ * allowed so newer minor versions stay readable.
+ */
+export const CAMPAIGN_FILE_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'INDEX campaign export',
+  type: 'object',
+  required: ['version', 'campaign'],
+  properties: {
+    version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' },
+    exportDate: { type: 'number' },
+    campaign: { $ref: '#/definitions/campaign' },
+    factions: { type: 'array', items: { $ref: '#/definitions/faction' } },
+    resources: { type: 'array', items: { $ref: '#/definitions/resource' } },
+    planetValues: { type: 'array', items: { $ref: '#/definitions/planetValue' } },
+    settings: { type: 'object' },
+  },
+  definitions: {
+    campaign: {
+      type: 'object',
+      required: ['id', 'name', 'turn', 'planets'],
+      properties: {
+        id: ID,
+        name: { type: 'string' },
+        turn: { type: 'integer', minimum: 1 },
+        planets: { type: 'array', items: { $ref: '#/definitions/planet' } },
+        events: { type: 'array', items: { $ref: '#/definitions/event' } },
+        ships: { type: 'array', items: { $ref: '#/definitions/ship' } },
+        unitTypes: { type: 'array', items: { $ref: '#/definitions/unitType' } },
+        sectors: { type: 'array', items: { $ref: '#/definitions/sector' } },
+        galaxyCenter: { type: 'object', required: ['type'], properties: { type: { type: 'string' } } },
+        playerResources: { type: 'object', additionalProperties: RESOURCE_MAP },
+        galacticOrder: { type: 'object' },
+        stratagemCooldowns: { type: 'object' },
+        modifiers: { type: 'array', items: { $ref: '#/definitions/modifier' } },
+        battles: { type: 'array', items: { $ref: '#/definitions/battle' } },
+        battleReports: {
+          type: 'object',
+          properties: {
+            reports: { type: 'array', items: { $ref: '#/definitions/battleReport' } },
+            rules: { type: 'object' },
+          },
+        },
+        players: { type: 'array', items: { $ref: '#/definitions/player' } },
+        settings: {
+          type: 'object',
+          properties: {
+            gmPassphrase: {
+              type: ['object', 'null'],
+              required: ['salt', 'hash'],
+              properties: { salt: { type: 'string' }, hash: { type: 'string' } },
+            },
+            gmTimeoutMinutes: { type: 'number', minimum: 1 },
+          },
+        },
+        journal: { type: 'array', items: { type: 'object', required: ['id', 'turn', 'type'] } },
+        autoDistribution: { type: 'object' },
+        customDistributionModes: { type: 'object' },
+        fogOfWar: { type: 'boolean' },
+        ordersPhase: { type: 'boolean' },
+        orders: { type: 'array', items: { $ref: '#/definitions/order' } },
+        diplomacy: {
+          type: 'object',
+          properties: {
+            relations: { type: 'array', items: { $ref: '#/definitions/relation' } },
+            proposals: { type: 'array', items: { $ref: '#/definitions/proposal' } },
+          },
+        },
+        supply: {
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean' },
+            harvestPercent: { type: 'number', minimum: 0 },
+            valueTwoLoss: { type: 'number', minimum: 0 },
+            fleetAttrition: { type: 'number', minimum: 0 },
+            sources: { type: 'array', items: ID },
+          },
+        },
+        scripts: {
+          type: 'object',
+          properties: {
+            scripts: { type: 'array', items: { $ref: '#/definitions/script' } },
+            journalMark: { type: 'integer', minimum: 0 },
+          },
+        },
+        eventDeck: {
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean' },
+            chance: { type: 'number', minimum: 0 },
+            maxActive: { type: 'integer', minimum: 1 },
+            review: { type: 'boolean' },
+            weights: { type: 'object', additionalProperties: { type: 'number', minimum: 0 } },
+            affinities: {
+              type: 'object',
+              additionalProperties: { type: 'object', additionalProperties: { type: 'number', minimum: 0 } },
+            },
+            pending: {
+              type: ['object', 'null'],
+              required: ['type', 'planetId'],
+              properties: { type: { type: 'string' }, planetId: ID, targetPlanetId: ID_OR_NULL, duration: { type: 'integer' } },
+            },
+          },
+        },
+        customText: { type: 'object' },
+      },
+    },
+    planet: {
+      type: 'object',
+      required: ['id', 'name', 'type', 'position'],
+      properties: {
+        id: ID,
+        name: { type: 'string' },
+        type: { type: 'string' },
+        position: {
+          type: 'object',
+          required: ['x', 'y', 'z'],
+          properties: { x: { type: 'number' }, y: { type: 'number' }, z: { type: 'number' } },
+        },
+        owner: ID_OR_NULL,
+        resources: RESOURCE_MAP,
+        surfaceZones: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'name'],
+            properties: { id: ID, name: { type: 'string' }, controller: ID_OR_NULL, contested: { type: 'boolean' } },
+          },
+        },
+        connections: { type: 'array', items: ID },
+        history: { type: 'array', items: { type: 'object' } },
+        dynamicValues: { type: 'object' },
+      },
+    },
+    event: {
+      type: 'object',
+      required: ['id', 'type', 'planetId'],
+      properties: {
+        id: ID,
+        type: { type: 'string' },
+        planetId: ID,
+        targetPlanetId: ID_OR_NULL,
+        scope: { $ref: '#/definitions/eventScope' },
+        motion: {
+          type: ['object', 'null'],
+          required: ['type'],
+          properties: {
+            type: { enum: ['drift', 'spread'] },
+            chance: { type: 'number', minimum: 0 },
+            targetPlanetId: ID_OR_NULL,
+            lifetime: { type: ['integer', 'null'], minimum: 1 },
+          },
+        },
+        path: {
+          type: 'array',
+          items: { type: 'object', required: ['planetId', 'turn'], properties: { planetId: ID, turn: { type: 'integer' } } },
+        },
+        originId: ID_OR_NULL,
+        duration: { type: 'number' },
+        turnsRemaining: { type: 'number' },
+      },
+    },
+    eventScope: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { enum: ['planet', 'planets', 'sector', 'radius'] },
+        planetIds: { type: 'array', items: ID },
+        sectorId: ID,
+        center: { type: 'object', required: ['x', 'y', 'z'] },
+        radius: { type: 'number', minimum: 0 },
+      },
+    },
+    modifier: {
+      type: 'object',
+      required: ['id', 'key', 'planetId', 'turnsRemaining'],
+      properties: {
+        id: ID,
+        key: ID,
+        planetId: ID_OR_NULL,
+        factionId: ID_OR_NULL,
+        stacking: { enum: ['stack', 'refresh', 'highest'] },
+        turnsRemaining: { type: ['integer', 'null'] },
+      },
+    },
+    battle: {
+      type: 'object',
+      required: ['id', 'planetId', 'attackerId', 'defenderId', 'result'],
+      properties: {
+        id: ID,
+        planetId: ID,
+        zoneId: ID_OR_NULL,
+        attackerId: ID,
+        defenderId: ID,
+        status: { type: 'string' },
+        startTurn: { type: 'integer' },
+        result: {
+          type: ['object', 'null'],
+          properties: { outcome: { enum: ['attacker', 'defender', 'draw'] }, method: { enum: ['tabletop', 'auto'] } },
+        },
+      },
+    },
+    battleReport: {
+      type: 'object',
+      required: ['id', 'planetId', 'participants', 'winnerId'],
+      properties: {
+        id: ID,
+        planetId: ID,
+        zoneId: ID_OR_NULL,
+        battleId: ID_OR_NULL,
+        participants: {
+          type: 'array',
+          items: { type: 'object', required: ['factionId'], properties: { factionId: ID, score: { type: ['number', 'null'] } } },
+        },
+        mission: { type: 'string' },
+        date: { type: 'string' },
+        winnerId: ID_OR_NULL,
+        turn: { type: 'integer' },
+      },
+    },
+    script: {
+      type: 'object',
+      required: ['id', 'name', 'trigger', 'actions'],
+      properties: {
+        id: ID,
+        name: { type: 'string', minLength: 1 },
+        enabled: { type: 'boolean' },
+        repeat: { type: 'boolean' },
+        trigger: { $ref: '#/definitions/scriptPart' },
+        conditions: { type: 'array', items: { $ref: '#/definitions/scriptPart' } },
+        actions: { type: 'array', items: { $ref: '#/definitions/scriptPart' } },
+        firedTurns: { type: 'array', items: { type: 'integer' } },
+      },
+    },
+    scriptPart: { type: 'object', required: ['type'], properties: { type: { type: 'string' } } },
+    relation: {
+      type: 'object',
+      required: ['id', 'factions', 'type'],
+      properties: {
+        id: ID,
+        factions: { type: 'array', items: ID },
+        type: { enum: RELATION_TYPES },
+        since: { type: 'number' },
+        turnsRemaining: { type: ['integer', 'null'] },
+        terms: { type: ['object', 'null'] },
+      },
+    },
+    proposal: {
+      type: 'object',
+      required: ['id', 'fromFactionId', 'toFactionId', 'type'],
+      properties: {
+        id: ID,
+        fromFactionId: ID,
+        toFactionId: ID,
+        type: { enum: RELATION_TYPES },
+        duration: { type: ['integer', 'null'] },
+        terms: { type: ['object', 'null'] },
+        turn: { type: 'number' },
+      },
+    },
+    order: {
+      type: 'object',
+      required: ['id', 'type', 'factionId'],
+      properties: {
+        id: ID,
+        type: { enum: ['move', 'purchase', 'stratagem'] },
+        factionId: ID,
+        turn: { type: 'number', minimum: 1 },
+        shipId: ID_OR_NULL,
+        targetPlanetId: ID_OR_NULL,
+        itemId: ID_OR_NULL,
+        stratagemId: ID_OR_NULL,
+        options: { type: 'object' },
+      },
+    },
+    player: {
+      type: 'object',
+      required: ['id', 'name', 'factionIds'],
+      properties: {
+        id: ID,
+        name: { type: 'string' },
+        contact: { type: 'string' },
+        factionIds: { type: 'array', items: ID },
+        pin: {
+          type: ['object', 'null'],
+          required: ['salt', 'hash'],
+          properties: { salt: { type: 'string' }, hash: { type: 'string' } },
+        },
+      },
+    },
+    ship: {
+      type: 'object',
+      required: ['id', 'factionId', 'planetId'],
+      properties: {
+        id: ID,
+        factionId: ID,
+        planetId: ID,
+        name: { type: 'string' },
+        units: { type: 'object' },
+        damage: { type: 'number', minimum: 0 },
+        movesLeft: { type: 'integer', minimum: 0 },
+        route: { type: 'array', items: { type: 'string' } },
+      },
+    },
+    unitType: {
+      type: 'object',
+      required: ['id', 'name', 'strength', 'speed'],
+      properties: {
+        id: ID,
+        name: { type: 'string' },
+        icon: { type: 'string' },
+        strength: { type: 'number', minimum: 0 },
+        speed: { type: 'number', minimum: 1 },
+        upkeep: { type: 'object' },
+      },
+    },
+    sector: {
+      type: 'object',
+      required: ['id', 'planetIds'],
+      properties: { id: ID, name: { type: 'string' }, planetIds: { type: 'array', items: ID } },
+    },
+    faction: {
+      type: 'object',
+      required: ['id', 'name', 'color'],
+      properties: { id: ID, name: { type: 'string' }, color: { type: 'string' }, symbol: { type: 'string' } },
+    },
+    resource: {
+      type: 'object',
+      required: ['id', 'name'],
+      properties: { id: ID, name: { type: 'string' }, icon: { type: 'string' }, color: { type: 'string' } },
+    },
+    planetValue: {
+      type: 'object',
+      required: ['id', 'name'],
+      properties: { id: ID, name: { type: 'string' } },
+    },
+  },
+};
+
+/**
+ * Describe the JSON type of a value the way JSON Schema names it
+ * @param {*} value
+ * @returns {string} Type name
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Resolve a local `#/definitions/...` reference
+ * @param {Object} root - Root schema
+ * @param {string} ref - Reference
+ * @returns {Object} Referenced schema
+ */
+function resolveRef(root, ref) {
+  return ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], root);
+}
+
+/**
+ * Validate data against a schema. Supports the keywords used by
+ * CAMPAIGN_FILE_SCHEMA: $ref, type, required, properties,
+ * additionalProperties, items, enum, minimum, minLength, pattern.
+ * @param {Object} schema - Schema node
+ * @param {*} data - Data to check
+ * @param {string} path - Path of `data`, used in error messages
+ * @param {Object} root - Root schema for $ref lookups
+ * @returns {Array<{path: string, message: string}>} Errors (empty if valid)
+ */
+export function validateSchema(schema, data, path = '', root = schema) {
+  if (schema.$ref) return validateSchema(resolveRef(root, schema.$ref), data, path, root);
+
+  const at = path || '(root)';
+  const errors = [];
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(data, type))) {
+      return [{ path: at, message: `expected ${types.join(' or ')}, got ${typeOf(data)}` }];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(data)) {
+    errors.push({ path: at, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+  if (schema.minimum !== undefined && typeof data === 'number' && data < schema.minimum) {
+    errors.push({ path: at, message: `must be at least ${schema.minimum}` });
+  }
+  if (typeof data === 'string') {
+    if (schema.minLength !== undefined && data.length < schema.minLength) {
+      errors.push({ path: at, message: 'must not be empty' });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(data)) {
+      errors.push({ path: at, message: `does not match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(data)) {
+    if (schema.items) {
+      data.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}[${i}]`, root)));
+    }
+  } else if (typeOf(data) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (data[key] === undefined) {
+        errors.push({ path: at, message: `missing required property "${key}"` });
+      }
+    });
+
+    Object.entries(data).forEach(([key, value]) => {
+      const childPath = path ? `${path}.${key}` : key;
+      if (schema.properties?.[key]) {
+        errors.push(...validateSchema(schema.properties[key], value, childPath, root));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath, message: 'unknown property' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, value, childPath, root));
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Check that IDs referenced inside the campaign point at existing planets
+ * and sectors
+ * @param {Object} campaign - Campaign data
+ * @returns {Array<{path: string, message: string}>} Errors
+ */
+function validateReferences(campaign) {
+  const errors = [];
+  const planetIds = new Set(campaign.planets.map(p => p.id));
+  const missing = (path, id) => errors.push({ path, message: `unknown planet "${id}"` });
+
+  if (planetIds.size !== campaign.planets.length) {
+    errors.push({ path: 'campaign.planets', message: 'planet IDs must be unique' });
+  }
+
+  campaign.planets.forEach((planet, i) => {
+    (planet.connections || []).forEach((id, j) => {
+      if (!planetIds.has(id)) missing(`campaign.planets[${i}].connections[${j}]`, id);
+    });
+  });
+  (campaign.ships || []).forEach((ship, i) => {
+    if (!planetIds.has(ship.planetId)) missing(`campaign.ships[${i}].planetId`, ship.planetId);
+    (ship.route || []).forEach((id, j) => {
+      if (!planetIds.has(id)) missing(`campaign.ships[${i}].route[${j}]`, id);
+    });
+  });
+  (campaign.supply?.sources || []).forEach((id, i) => {
+    if (!planetIds.has(id)) missing(`campaign.supply.sources[${i}]`, id);
+  });
+  const draw = campaign.eventDeck?.pending;
+  [draw?.planetId, draw?.targetPlanetId].filter(Boolean).forEach(id => {
+    if (!planetIds.has(id)) missing('campaign.eventDeck.pending', id);
+  });
+  (campaign.events || []).forEach((event, i) => {
+    if (!planetIds.has(event.planetId)) missing(`campaign.events[${i}].planetId`, event.planetId);
+    (event.scope?.planetIds || []).forEach((id, j) => {
+      if (!planetIds.has(id)) missing(`campaign.events[${i}].scope.planetIds[${j}]`, id);
+    });
+    (event.path || []).forEach((step, j) => {
+      if (!planetIds.has(step.planetId)) missing(`campaign.events[${i}].path[${j}].planetId`, step.planetId);
+    });
+    if (event.motion?.targetPlanetId && !planetIds.has(event.motion.targetPlanetId)) {
+      missing(`campaign.events[${i}].motion.targetPlanetId`, event.motion.targetPlanetId);
+    }
+    if (event.scope?.sectorId && !(campaign.sectors || []).some(s => s.id === event.scope.sectorId)) {
+      errors.push({ path: `campaign.events[${i}].scope.sectorId`, message: `unknown sector "${event.scope.sectorId}"` });
+    }
+  });
+  (campaign.modifiers || []).forEach((modifier, i) => {
+    if (modifier.planetId !== null && !planetIds.has(modifier.planetId)) {
+      missing(`campaign.modifiers[${i}].planetId`, modifier.planetId);
+    }
+  });
+  (campaign.battles || []).forEach((battle, i) => {
+    if (!planetIds.has(battle.planetId)) missing(`campaign.battles[${i}].planetId`, battle.planetId);
+  });
+  (campaign.battleReports?.reports || []).forEach((report, i) => {
+    if (!planetIds.has(report.planetId)) missing(`campaign.battleReports.reports[${i}].planetId`, report.planetId);
+  });
+
+  return errors;
+}
+
+/**
+ * Validate a campaign export file (already migrated to the current format)
+ * @param {Object} data - Parsed file contents
+ * @returns {Array<{path: string, message: string}>} Errors (empty if valid)
+ */
+export function validateCampaignFile(data) {
+  const errors = validateSchema(CAMPAIGN_FILE_SCHEMA, data);
+  return errors.length ? errors : validateReferences(data.campaign);
+}
@@ -0,0 +1,322 @@
+/**
+ * @fileoverview Campaign save slots backed by IndexedDB (localStorage fallback)
+ * @module services/CampaignStore
+ */
+
+import { generateId, deepClone } from '../utils/helpers.js';
+
+const DB_NAME = 'crusade_index';
+const DB_VERSION = 1;
+
+/**
+ * Object stores
+ * - slots: slot metadata shown in the picker
+ * - campaigns: serialized galaxy per slot
+ * - snapshots: per-turn rewind snapshots per slot
+ */
+const STORES = {
+  SLOTS: 'slots',
+  CAMPAIGNS: 'campaigns',
+  SNAPSHOTS: 'snapshots',
+};
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} Request result
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Key/value backend on top of IndexedDB
+ * @class IndexedDBBackend
+ */
+export class IndexedDBBackend {
+  constructor(db) {
+    this._db = db;
+  }
+
+  /**
+   * Open (and create or upgrade) the database
+   * @static
+   * @returns {Promise<IndexedDBBackend>} Backend instance
+   */
+  static async open() {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.values(STORES).forEach(name => {
+        if (!db.objectStoreNames.contains(name)) {
+          db.createObjectStore(name, { keyPath: 'id' });
+        }
+      });
+    };
+    return new IndexedDBBackend(await promisify(request));
+  }
+
+  get(store, id) {
+    const tx = this._db.transaction(store, 'readonly');
+    return promisify(tx.objectStore(store).get(id)).then(value => value || null);
+  }
+
+  getAll(store) {
+    const tx = this._db.transaction(store, 'readonly');
+    return promisify(tx.objectStore(store).getAll());
+  }
+
+  put(store, value) {
+    const tx = this._db.transaction(store, 'readwrite');
+    return promisify(tx.objectStore(store).put(value));
+  }
+
+  delete(store, id) {
+    const tx = this._db.transaction(store, 'readwrite');
+    return promisify(tx.objectStore(store).delete(id));
+  }
+}
+
+/**
+ * Same interface as IndexedDBBackend, kept in localStorage.
+ * Used when IndexedDB is unavailable (private browsing, old browsers).
+ * @class LocalStorageBackend
+ */
+export class LocalStorageBackend {
+  _key(store) {
+    return `${DB_NAME}_${store}`;
+  }
+
+  _read(store) {
+    const data = localStorage.getItem(this._key(store));
+    return data ? JSON.parse(data) : {};
+  }
+
+  _write(store, records) {
+    localStorage.setItem(this._key(store), JSON.stringify(records));
+  }
+
+  async get(store, id) {
+    return this._read(store)[id] || null;
+  }
+
+  async getAll(store) {
+    return Object.values(this._read(store));
+  }
+
+  async put(store, value) {
+    const records = this._read(store);
+    records[value.id] = value;
+    this._write(store, records);
+    return value.id;
+  }
+
+  async delete(store, id) {
+    const records = this._read(store);
+    delete records[id];
+    this._write(store, records);
+  }
+}
+
+/**
+ * Named campaign save slots
+ * @class CampaignStore
+ */
+export class CampaignStore {
+  /**
+   * @param {IndexedDBBackend|LocalStorageBackend} backend - Storage backend
+   */
+  constructor(backend) {
+    this._backend = backend;
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Open the store with the best available backend
+   * @static
+   * @returns {Promise<CampaignStore>} Store instance
+   */
+  static async open() {
+    if (typeof indexedDB !== 'undefined') {
+      try {
+        return new CampaignStore(await IndexedDBBackend.open());
+      } catch (error) {
+        console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+      }
+    }
+    return new CampaignStore(new LocalStorageBackend());
+  }
+
+  get backendName() {
+    return this._backend instanceof IndexedDBBackend ? 'IndexedDB' : 'localStorage';
+  }
+
+  /**
+   * Run a write after every previously queued write, so saves issued
+   * synchronously (autosave, turn advance) land in order
+   * @private
+   * @param {Function} task - Async write
+   * @returns {Promise<*>} Task result
+   */
+  _enqueue(task) {
+    const run = this._queue.then(task);
+    this._queue = run.catch(error => console.error('Campaign store write failed:', error));
+    return run;
+  }
+
+  /**
+   * Wait for all queued writes to finish
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this._queue;
+  }
+
+  /**
+   * List slot metadata, most recently updated first
+   * @returns {Promise<Array>} Slots
+   */
+  async listSlots() {
+    await this.flush();
+    const slots = await this._backend.getAll(STORES.SLOTS);
+    return slots.sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Get slot metadata
+   * @param {string} slotId - Slot ID
+   * @returns {Promise<Object|null>} Slot or null
+   */
+  async getSlot(slotId) {
+    await this.flush();
+    return this._backend.get(STORES.SLOTS, slotId);
+  }
+
+  /**
+   * Load the campaign stored in a slot
+   * @param {string} slotId - Slot ID
+   * @returns {Promise<Object|null>} Campaign data or null
+   */
+  async loadCampaign(slotId) {
+    await this.flush();
+    const record = await this._backend.get(STORES.CAMPAIGNS, slotId);
+    return record ? record.data : null;
+  }
+
+  /**
+   * Create a new slot
+   * @param {string} name - Slot name
+   * @param {Object|null} campaignData - Initial campaign data
+   * @returns {Promise<Object>} Slot metadata
+   */
+  createSlot(name, campaignData = null) {
+    const now = Date.now();
+    const slot = {
+      id: generateId(),
+      name: name || 'Crusade Campaign',
+      turn: campaignData?.turn || 1,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    return this._enqueue(async () => {
+      await this._backend.put(STORES.SLOTS, slot);
+      if (campaignData) {
+        await this._backend.put(STORES.CAMPAIGNS, { id: slot.id, data: campaignData });
+      }
+      return slot;
+    });
+  }
+
+  /**
+   * Write campaign data into an existing slot
+   * @param {string} slotId - Slot ID
+   * @param {Object} campaignData - Campaign data
+   * @returns {Promise<void>}
+   */
+  saveCampaign(slotId, campaignData) {
+    // Copy now: the caller keeps mutating the galaxy while the write waits
+    const data = deepClone(campaignData);
+    return this._enqueue(async () => {
+      const slot = await this._backend.get(STORES.SLOTS, slotId);
+      if (!slot) throw new Error(`Unknown campaign slot: ${slotId}`);
+
+      await this._backend.put(STORES.CAMPAIGNS, { id: slotId, data });
+      await this._backend.put(STORES.SLOTS, {
+        ...slot,
+        turn: data.turn || slot.turn,
+        updatedAt: Date.now(),
+      });
+    });
+  }
+
+  /**
+   * Copy a slot, including its rewind snapshots
+   * @param {string} slotId - Source slot ID
+   * @param {string} name - Name of the copy
+   * @returns {Promise<Object>} New slot metadata
+   */
+  async duplicateSlot(slotId, name) {
+    const source = await this.getSlot(slotId);
+    if (!source) throw new Error(`Unknown campaign slot: ${slotId}`);
+
+    const data = await this.loadCampaign(slotId);
+    const snapshots = await this.loadSnapshots(slotId);
+    const slot = await this.createSlot(name || `${source.name} (copy)`, data);
+    if (snapshots.length) await this.saveSnapshots(slot.id, snapshots);
+    return slot;
+  }
+
+  /**
+   * Rename a slot
+   * @param {string} slotId - Slot ID
+   * @param {string} name - New name
+   * @returns {Promise<boolean>} True if the slot exists
+   */
+  renameSlot(slotId, name) {
+    return this._enqueue(async () => {
+      const slot = await this._backend.get(STORES.SLOTS, slotId);
+      if (!slot) return false;
+      await this._backend.put(STORES.SLOTS, { ...slot, name });
+      return true;
+    });
+  }
+
+  /**
+   * Delete a slot and everything stored for it
+   * @param {string} slotId - Slot ID
+   * @returns {Promise<void>}
+   */
+  deleteSlot(slotId) {
+    return this._enqueue(async () => {
+      await this._backend.delete(STORES.SLOTS, slotId);
+      await this._backend.delete(STORES.CAMPAIGNS, slotId);
+      await this._backend.delete(STORES.SNAPSHOTS, slotId);
+    });
+  }
+
+  /**
+   * Save the rewind snapshots of a slot
+   * @param {string} slotId - Slot ID
+   * @param {Array<Object>} snapshots - Serialized galaxies, oldest first
+   * @returns {Promise<void>}
+   */
+  saveSnapshots(slotId, snapshots) {
+    const copy = deepClone(snapshots);
+    return this._enqueue(() => this._backend.put(STORES.SNAPSHOTS, { id: slotId, snapshots: copy }));
+  }
+
+  /**
+   * Load the rewind snapshots of a slot
+   * @param {string} slotId - Slot ID
+   * @returns {Promise<Array<Object>>} Snapshots, oldest first
+   */
+  async loadSnapshots(slotId) {
+    await this.flush();
+    const record = await this._backend.get(STORES.SNAPSHOTS, slotId);
+    return record ? record.snapshots : [];
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * @fileoverview In-memory storage for running the campaign rules outside the browser
+ * @module services/MemoryStorage
+ */
+
+import { deepClone } from '../utils/helpers.js';
+
+/**
+ * Drop-in replacement for the StorageService methods used by Galaxy,
+ * FactionManager and ResourceManager. Nothing is written to disk, and
+ * there is a single campaign, so slot IDs are ignored.
+ * @class MemoryStorage
+ *
+ * @example
+ * const storage = new MemoryStorage();
+ * const galaxy = new Galaxy({ storage });
+ * const factions = new FactionManager({ storage });
+ */
+export class MemoryStorage {
+  constructor() {
+    this.campaign = null;
+    this.turnSnapshots = [];
+    this.factions = null;
+    this.resources = null;
+  }
+
+  saveCampaign(campaignData) {
+    this.campaign = deepClone(campaignData);
+    return true;
+  }
+
+  loadCampaign() {
+    return this.campaign ? deepClone(this.campaign) : null;
+  }
+
+  saveTurnSnapshots(snapshots) {
+    this.turnSnapshots = deepClone(snapshots);
+    return true;
+  }
+
+  loadTurnSnapshots() {
+    return deepClone(this.turnSnapshots);
+  }
+
+  saveFactions(factions) {
+    this.factions = deepClone(factions);
+    return true;
+  }
+
+  loadFactions() {
+    return this.factions ? deepClone(this.factions) : null;
+  }
+
+  saveResources(resources) {
+    this.resources = deepClone(resources);
+    return true;
+  }
+
+  loadResources() {
+    return this.resources ? deepClone(this.resources) : null;
+  }
+}
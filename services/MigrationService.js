@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Ordered migrations for saved and exported campaign data
+ * @module services/MigrationService
+ */
+
+import { DEFAULT_UNIT_TYPES } from '../config/constants.js';
+import { deepClone, generateId } from '../utils/helpers.js';
+
+/**
+ * Format version written to saves and export files
+ */
+export const CURRENT_FORMAT_VERSION = '3.2.0';
+
+/**
+ * Resource IDs used before resources became configurable
+ */
+const LEGACY_RESOURCE_IDS = {
+  promethium: 'resource1',
+  adamantium: 'resource2',
+  ceramite: 'resource3',
+  plasma: 'resource4',
+};
+
+/**
+ * How the flat planetModifiers map of format 3.0 maps onto modifiers
+ */
+const LEGACY_PLANET_MODIFIERS = {
+  trade_hub: { key: 'harvest_multiplier', value: 1.5, stacking: 'refresh', name: 'Trade Hub' },
+  mining_upgrade: { key: 'harvest_bonus', value: 1, stacking: 'refresh', name: 'Mining Upgrade' },
+  planetary_defense: { key: 'value_two_bonus', value: 2, stacking: 'stack', name: 'Planetary Defense' },
+  elite_training: { key: 'value_two_multiplier', value: 2, stacking: 'refresh', name: 'Elite Training' },
+  infiltrated: { key: 'revealed', value: true, stacking: 'refresh', name: 'Infiltrate' },
+};
+
+/**
+ * Turn '2.1' or '2' into '2.1.0' / '2.0.0'
+ * @param {string|number|undefined} version
+ * @returns {string} Three-part version ('1.0.0' when missing)
+ */
+export function normalizeVersion(version) {
+  const parts = String(version ?? '1.0.0').split('.').map(n => parseInt(n, 10) || 0);
+  while (parts.length < 3) parts.push(0);
+  return parts.slice(0, 3).join('.');
+}
+
+/**
+ * Compare two semantic versions numerically
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+export function compareVersions(a, b) {
+  const pa = normalizeVersion(a).split('.').map(Number);
+  const pb = normalizeVersion(b).split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    if (pa[i] !== pb[i]) return pa[i] - pb[i];
+  }
+  return 0;
+}
+
+/**
+ * Migration steps, oldest first. Each step upgrades a document from the
+ * previous version to `version`. A document has the shape of an export
+ * file: { version, campaign, factions, resources, planetValues, settings };
+ * any part may be missing, so steps must check before touching it.
+ */
+const MIGRATIONS = [
+  {
+    version: '2.1.0',
+    description: 'Exports carry factions, resources, planet values and settings',
+    migrate(doc) {
+      // 2.0 files held only the campaign; empty lists keep the current setup on import
+      doc.factions = doc.factions || [];
+      doc.resources = doc.resources || [];
+      doc.planetValues = doc.planetValues || [];
+      doc.settings = doc.settings || {};
+      return doc;
+    },
+  },
+  {
+    version: '3.0.0',
+    description: 'Rename promethium/adamantium/ceramite/plasma to resource1–4',
+    migrate(doc) {
+      const wallets = doc.campaign?.playerResources;
+      if (wallets) {
+        Object.keys(wallets).forEach(factionId => {
+          const wallet = {};
+          Object.entries(wallets[factionId]).forEach(([resourceId, amount]) => {
+            wallet[LEGACY_RESOURCE_IDS[resourceId] || resourceId] = amount;
+          });
+          wallets[factionId] = wallet;
+        });
+      }
+
+      if (Array.isArray(doc.resources)) {
+        doc.resources = doc.resources.map(r => ({ ...r, id: LEGACY_RESOURCE_IDS[r.id] || r.id }));
+      }
+      return doc;
+    },
+  },
+  {
+    version: '3.1.0',
+    description: 'Planet modifiers and stratagem effects become timed modifiers',
+    migrate(doc) {
+      const campaign = doc.campaign;
+      if (!campaign || (!campaign.planetModifiers && !campaign.activeEffects)) return doc;
+
+      const modifiers = campaign.modifiers || [];
+      Object.entries(campaign.planetModifiers || {}).forEach(([planetId, entries]) => {
+        Object.entries(entries).forEach(([legacyKey, value]) => {
+          const legacy = LEGACY_PLANET_MODIFIERS[legacyKey];
+          modifiers.push({
+            id: generateId(),
+            key: legacy ? legacy.key : legacyKey,
+            value: legacy ? legacy.value : value,
+            planetId,
+            // infiltrated stored the infiltrating faction as its value
+            factionId: legacyKey === 'infiltrated' ? value : null,
+            source: legacy ? { type: 'shop', id: legacyKey, name: legacy.name } : null,
+            label: null,
+            stacking: legacy ? legacy.stacking : 'refresh',
+            turnsRemaining: null,
+          });
+
+          // Planetary defense used to be added to Value Two directly
+          if (legacyKey === 'planetary_defense') {
+            const planet = (campaign.planets || []).find(p => p.id === planetId);
+            if (planet) planet.value_two = Math.max(0, (planet.value_two || 0) - value);
+          }
+        });
+      });
+
+      // Timed stratagem effects kept by the effect engine
+      (campaign.activeEffects || []).forEach(effect => {
+        modifiers.push({
+          id: effect.id || generateId(),
+          key: effect.key,
+          value: effect.value,
+          planetId: effect.planetId,
+          factionId: effect.factionId || null,
+          source: effect.source || null,
+          label: effect.label || null,
+          stacking: effect.key === 'harvest_multiplier' ? 'stack' : 'refresh',
+          turnsRemaining: effect.turnsRemaining,
+        });
+      });
+
+      campaign.modifiers = modifiers;
+      delete campaign.planetModifiers;
+      delete campaign.activeEffects;
+      return doc;
+    },
+  },
+  {
+    version: '3.2.0',
+    description: 'Fleets are made of units',
+    migrate(doc) {
+      // Fleets saved before compositions existed are a single default unit
+      (doc.campaign?.ships || []).forEach(ship => {
+        ship.units = ship.units || { [DEFAULT_UNIT_TYPES[0].id]: 1 };
+      });
+      return doc;
+    },
+  },
+];
+
+/**
+ * Run every migration newer than the document's version
+ * @param {Object} doc - Export-shaped document
+ * @returns {{document: Object, applied: string[]}} Migrated copy and the versions applied
+ * @throws {Error} If the document was written by a newer version
+ */
+export function migrateDocument(doc) {
+  const from = normalizeVersion(doc.version);
+  if (compareVersions(from, CURRENT_FORMAT_VERSION) > 0) {
+    throw new Error(`File format ${from} is newer than this app supports (${CURRENT_FORMAT_VERSION})`);
+  }
+
+  let document = deepClone(doc);
+  const applied = [];
+  MIGRATIONS.forEach(step => {
+    if (compareVersions(from, step.version) < 0) {
+      document = step.migrate(document);
+      applied.push(step.version);
+    }
+  });
+
+  document.version = CURRENT_FORMAT_VERSION;
+  return { document, applied };
+}
+
+/**
+ * Migrate campaign data saved in a slot
+ * @param {Object} campaign - Saved campaign (carries its own `version`)
+ * @returns {{campaign: Object, applied: string[]}} Migrated campaign and the versions applied
+ */
+export function migrateCampaign(campaign) {
+  const { document, applied } = migrateDocument({ version: campaign.version, campaign });
+  document.campaign.version = CURRENT_FORMAT_VERSION;
+  return { campaign: document.campaign, applied };
+}
+
+/**
+ * Migrate the resource type list kept in localStorage. The list is not
+ * versioned, so every step runs; they are all safe to repeat.
+ * @param {Array} resources - Resource types
+ * @returns {{resources: Array, changed: boolean}} Migrated list and whether it changed
+ */
+export function migrateResourceList(resources) {
+  const { document } = migrateDocument({ version: '1.0.0', resources });
+  return {
+    resources: document.resources,
+    changed: JSON.stringify(document.resources) !== JSON.stringify(resources),
+  };
+}
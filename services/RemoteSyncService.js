@@ -0,0 +1,247 @@
+/**
+ * @fileoverview Client for the self-hosted campaign sync server
+ * @module services/RemoteSyncService
+ */
+
+import { CONFIG } from '../config/constants.js';
+import { deepClone } from '../utils/helpers.js';
+import { applyDelta, diffState } from './SyncDelta.js';
+
+/**
+ * Keeps the open campaign in step with a sync server
+ * (server/sync-server.mjs) over a WebSocket. Saves are pushed as deltas
+ * against the last state the server confirmed, tagged with its revision;
+ * other players' deltas are applied on top and handed to the listeners.
+ * Changes saved while offline are sent when the connection comes back.
+ *
+ * Same interface as TabSync, so Galaxy can publish through either.
+ * @class RemoteSync
+ *
+ * @example
+ * const remote = new RemoteSync();
+ * remote.onState((data, { rejected }) => galaxy.restoreState(data));
+ * await remote.connect('ws://localhost:8787', { campaignId: galaxy.id, role: 'gm', data: galaxy.toJSON() });
+ */
+export class RemoteSync {
+  constructor() {
+    this._socket = null;
+    this._options = null;
+    this._joined = false;
+    this._revision = 0;
+    this._base = null;
+    this._local = null;
+    this._listeners = [];
+    this._statusListeners = [];
+    this._reconnectTimer = null;
+    this.role = null;
+    this.status = 'offline';
+  }
+
+  get campaignId() { return this._options?.campaignId || null; }
+  get revision() { return this._revision; }
+  get url() { return this._options?.url || null; }
+  get factionId() { return this.role === 'player' ? this._options?.factionId || null : null; }
+
+  /**
+   * Listen for states received from the server
+   * @param {Function} listener - Called with (data, {rejected}); rejected
+   *   explains why the server turned down this client's last change
+   */
+  onState(listener) {
+    this._listeners.push(listener);
+  }
+
+  /**
+   * Listen for connection changes
+   * @param {Function} listener - Called with (status, message); status is
+   *   'offline', 'connecting' or 'online'
+   */
+  onStatus(listener) {
+    this._statusListeners.push(listener);
+  }
+
+  /**
+   * Connect to a sync server and join a campaign
+   * @param {string} url - Server address, e.g. ws://localhost:8787
+   * @param {Object} options - Join options
+   * @param {string} options.campaignId - Campaign code (the galaxy ID)
+   * @param {string} options.role - 'gm' or 'player'
+   * @param {string} options.passphrase - GM passphrase, if the campaign has one
+   * @param {string|null} options.factionId - Faction a player plays
+   * @param {string} options.pin - Player PIN, if the faction is protected
+   * @param {Object|null} options.data - Galaxy JSON the GM shares if the
+   *   server does not have the campaign yet
+   * @returns {Promise<Object>} Result {ok, message}
+   */
+  connect(url, { campaignId, role = 'player', passphrase = '', factionId = null, pin = '', data = null }) {
+    this.disconnect();
+    this._options = { url, campaignId, role, passphrase, factionId, pin };
+    this._revision = 0;
+    this._base = null;
+    this._local = null;
+    return this._open(data);
+  }
+
+  /**
+   * Leave the server
+   */
+  disconnect() {
+    clearTimeout(this._reconnectTimer);
+    this._options = null;
+    this._joined = false;
+    this.role = null;
+    const socket = this._socket;
+    this._socket = null;
+    socket?.close();
+    this._setStatus('offline');
+  }
+
+  /**
+   * Push a saved state to the server. Offline, the state is kept and sent
+   * on reconnect.
+   * @param {Object} data - Galaxy JSON
+   * @returns {boolean} True if a delta was sent
+   */
+  publish(data) {
+    if (!this._options || data.id !== this._options.campaignId || !this._base) return false;
+    if (this.status !== 'online') {
+      this._local = deepClone(data);
+      return false;
+    }
+
+    const delta = diffState(this._base, data);
+    if (!Object.keys(delta).length) return false;
+    this._send({ type: 'push', baseRevision: this._revision, delta });
+    this._base = deepClone(data);
+    return true;
+  }
+
+  /**
+   * Record the state this client now shows, after applying a received state
+   * @param {Object} data - Galaxy JSON
+   */
+  markSynced(data) {
+    if (this._base && data.id === this.campaignId) this._base = deepClone(data);
+  }
+
+  /**
+   * Check whether a state holds changes the server has not been sent
+   * @param {Object} data - Galaxy JSON
+   * @returns {boolean} True if it does
+   */
+  hasUnpublishedChanges(data) {
+    return Boolean(this._base) && Object.keys(diffState(this._base, data)).length > 0;
+  }
+
+  /**
+   * Open the socket and join
+   * @private
+   * @param {Object|null} data - Galaxy JSON to share
+   * @returns {Promise<Object>} Result {ok, message}
+   */
+  _open(data = null) {
+    return new Promise(resolve => {
+      let settled = false;
+      const settle = result => {
+        if (settled) return;
+        settled = true;
+        resolve(result);
+      };
+
+      let socket;
+      try {
+        socket = new WebSocket(this._options.url);
+      } catch (error) {
+        this._options = null;
+        this._setStatus('offline', error.message);
+        settle({ ok: false, message: 'Invalid sync server address.' });
+        return;
+      }
+      this._socket = socket;
+      this._setStatus('connecting');
+
+      socket.addEventListener('open', () => {
+        const { campaignId, role, passphrase, factionId, pin } = this._options;
+        const pending = this._base && this._local ? diffState(this._base, this._local) : {};
+        const hasPending = Object.keys(pending).length > 0;
+        this._send({
+          type: 'join', campaignId, role, passphrase, factionId, pin, data,
+          baseRevision: hasPending ? this._revision : null,
+          delta: hasPending ? pending : null,
+        });
+      });
+
+      socket.addEventListener('message', e => {
+        let message;
+        try {
+          message = JSON.parse(e.data);
+        } catch {
+          return;
+        }
+
+        if (message.type === 'error') {
+          // Turned away while joining: do not keep retrying
+          if (!this._joined) this._options = null;
+          this._setStatus(this._joined ? 'online' : 'offline', this._joined ? message.message : null);
+          settle({ ok: false, message: message.message });
+          return;
+        }
+
+        this._handle(message);
+        if (message.type === 'state') {
+          settle({ ok: true, message: `Joined as ${this.role === 'gm' ? 'GM' : 'player'} (revision ${this._revision})` });
+        }
+      });
+
+      socket.addEventListener('close', () => {
+        if (this._socket !== socket) return;
+        this._socket = null;
+        this._setStatus('offline', this._joined ? 'Connection to the sync server lost' : null);
+        settle({ ok: false, message: 'Could not reach the sync server.' });
+        if (this._joined && this._options) {
+          this._reconnectTimer = setTimeout(() => this._open(), CONFIG.SYNC_RECONNECT_DELAY);
+        }
+      });
+    });
+  }
+
+  /**
+   * Handle a server message
+   * @private
+   * @param {Object} message - {type, revision, data | delta, role, rejected}
+   */
+  _handle(message) {
+    switch (message.type) {
+      case 'state':
+        this._joined = true;
+        this._revision = message.revision;
+        this._base = deepClone(message.data);
+        this._local = null;
+        if (message.role) this.role = message.role;
+        this._setStatus('online');
+        this._notify(message.rejected || null);
+        break;
+      case 'ack':
+        this._revision = message.revision;
+        break;
+      case 'delta':
+        this._revision = message.revision;
+        this._base = applyDelta(this._base, message.delta);
+        this._notify(null);
+        break;
+    }
+  }
+
+  _notify(rejected) {
+    this._listeners.forEach(listener => listener(deepClone(this._base), { rejected }));
+  }
+
+  _send(message) {
+    if (this._socket?.readyState === WebSocket.OPEN) this._socket.send(JSON.stringify(message));
+  }
+
+  _setStatus(status, message = null) {
+    this.status = status;
+    this._statusListeners.forEach(listener => listener(status, message));
+  }
+}
@@ -1,38 +1,161 @@
 /**
- * @fileoverview Storage service for localStorage management
+ * @fileoverview Storage service for campaign slots and localStorage settings
  * @module services/StorageService
  */
 
+import { CampaignStore } from './CampaignStore.js';
+import { CURRENT_FORMAT_VERSION, migrateCampaign, migrateDocument, migrateResourceList } from './MigrationService.js';
+import { validateCampaignFile } from './CampaignSchema.js';
+
 /**
  * Storage keys enumeration
  */
 const STORAGE_KEYS = {
-  CAMPAIGN: 'crusade_campaign',
+  CAMPAIGN: 'crusade_campaign', // Legacy single-campaign key, migrated into a slot
   FACTIONS: 'crusade_factions',
   RESOURCES: 'crusade_resources',
   SETTINGS: 'crusade_settings',
+  TURN_SNAPSHOTS: 'crusade_turn_snapshots',
+  LAST_SLOT: 'crusade_active_slot',
 };
 
+/** Opened by StorageService.openStore() */
+let campaignStore = null;
+
 /**
- * Service for managing localStorage operations
+ * Service for managing stored data. Campaigns live in named slots in the
+ * campaign store; factions, resources, planet values and settings are
+ * shared by all slots and stay in localStorage.
  * @class StorageService
  */
 export class StorageService {
   /**
-   * Save campaign data
+   * Open the campaign store. Must complete before campaigns are saved or loaded.
+   * @static
+   * @returns {Promise<CampaignStore>} Store instance
+   */
+  static async openStore() {
+    if (!campaignStore) campaignStore = await CampaignStore.open();
+    return campaignStore;
+  }
+
+  /**
+   * Get the ID of the slot opened last, which is offered first on startup.
+   * Every window saves to the slot its own galaxy was opened from
+   * (Galaxy#slotId), so this is never used to decide where to save.
+   * @static
+   * @returns {string|null} Slot ID
+   */
+  static getLastSlot() {
+    return localStorage.getItem(STORAGE_KEYS.LAST_SLOT);
+  }
+
+  /**
+   * Remember the slot opened last
+   * @static
+   * @param {string} slotId - Slot ID
+   */
+  static setLastSlot(slotId) {
+    localStorage.setItem(STORAGE_KEYS.LAST_SLOT, slotId);
+  }
+
+  /**
+   * List campaign save slots, most recently updated first
+   * @static
+   * @returns {Promise<Array>} Slot metadata
+   */
+  static async listSlots() {
+    return campaignStore.listSlots();
+  }
+
+  /**
+   * Create a campaign slot and remember it as the last one opened
+   * @static
+   * @param {string} name - Slot name
+   * @param {Object|null} campaignData - Initial campaign data
+   * @returns {Promise<Object>} Slot metadata
+   */
+  static async createSlot(name, campaignData = null) {
+    const slot = await campaignStore.createSlot(name, campaignData && this._stamp(campaignData));
+    this.setLastSlot(slot.id);
+    return slot;
+  }
+
+  /**
+   * Copy a campaign slot
+   * @static
+   * @param {string} slotId - Source slot ID
+   * @param {string} name - Name of the copy
+   * @returns {Promise<Object>} New slot metadata
+   */
+  static async duplicateSlot(slotId, name) {
+    return campaignStore.duplicateSlot(slotId, name);
+  }
+
+  /**
+   * Rename a campaign slot
+   * @static
+   * @param {string} slotId - Slot ID
+   * @param {string} name - New name
+   * @returns {Promise<boolean>} True if renamed
+   */
+  static async renameSlot(slotId, name) {
+    return campaignStore.renameSlot(slotId, name);
+  }
+
+  /**
+   * Delete a campaign slot. The slot of the open campaign cannot be deleted.
+   * @static
+   * @param {string} slotId - Slot ID
+   * @param {string|null} openSlotId - Slot the caller has open
+   * @returns {Promise<boolean>} True if deleted
+   */
+  static async deleteSlot(slotId, openSlotId = null) {
+    if (slotId === openSlotId) return false;
+    await campaignStore.deleteSlot(slotId);
+    return true;
+  }
+
+  /**
+   * Wait for queued campaign writes to reach storage
+   * @static
+   * @returns {Promise<void>}
+   */
+  static async flush() {
+    if (campaignStore) await campaignStore.flush();
+  }
+
+  /**
+   * Add save metadata to campaign data
+   * @private
+   * @static
+   * @param {Object} campaignData - Campaign data
+   * @returns {Object} Stamped copy
+   */
+  static _stamp(campaignData) {
+    return {
+      ...campaignData,
+      lastSaved: Date.now(),
+      version: CURRENT_FORMAT_VERSION,
+    };
+  }
+
+  /**
+   * Save campaign data to a slot. The write is queued and completes
+   * asynchronously; use flush() to wait for it.
    * @static
    * @param {Object} campaignData - Campaign data to save
-   * @returns {boolean} True if successful
+   * @param {string} slotId - Slot the campaign was opened from
+   * @returns {boolean} True if the write was queued
    */
-  static saveCampaign(campaignData) {
+  static saveCampaign(campaignData, slotId) {
+    if (!campaignStore || !slotId) {
+      console.error('Failed to save campaign: no campaign slot is open');
+      return false;
+    }
+
     try {
-      const data = {
-        ...campaignData,
-        lastSaved: Date.now(),
-        version: '2.0',
-      };
-      
-      localStorage.setItem(STORAGE_KEYS.CAMPAIGN, JSON.stringify(data));
+      campaignStore.saveCampaign(slotId, this._stamp(campaignData));
       return true;
     } catch (error) {
       console.error('Failed to save campaign:', error);
@@ -41,55 +164,97 @@ export class StorageService {
   }
 
   /**
-   * Load campaign data with migration support
+   * Load the campaign in a slot, migrated to the current format
+   * @static
+   * @param {string} slotId - Slot ID
+   * @returns {Promise<Object|null>} Campaign data or null
+   */
+  static async loadCampaign(slotId) {
+    if (!campaignStore || !slotId) return null;
+
+    try {
+      const stored = await campaignStore.loadCampaign(slotId);
+      if (!stored) return null;
+
+      const { campaign, applied } = migrateCampaign(stored);
+      if (applied.length) {
+        console.log(`Migrated saved campaign through format ${applied.join(', ')}`);
+        this.saveCampaign(campaign, slotId);
+      }
+      
+      return campaign;
+    } catch (error) {
+      console.error('Failed to load campaign:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Move a campaign saved by older versions (single localStorage key)
+   * into its own slot and remember that slot as the last one opened
    * @static
-   * @returns {Object|null} Campaign data or null
+   * @returns {Promise<Object|null>} Created slot, or null if there was nothing to migrate
    */
-  static loadCampaign() {
+  static async migrateLegacyCampaign() {
     try {
       const data = localStorage.getItem(STORAGE_KEYS.CAMPAIGN);
       if (!data) return null;
-      
+
       const campaign = JSON.parse(data);
-      
-      // Migration: Check if playerResources uses old resource names
-      if (campaign.playerResources) {
-        const needsMigration = Object.values(campaign.playerResources).some(wallet => 
-          Object.keys(wallet).some(key => 
-            ['promethium', 'adamantium', 'ceramite', 'plasma'].includes(key)
-          )
-        );
-        
-        if (needsMigration) {
-          console.log('Migrating playerResources from old naming scheme...');
-          const migrationMap = {
-            'promethium': 'resource1',
-            'adamantium': 'resource2', 
-            'ceramite': 'resource3',
-            'plasma': 'resource4'
-          };
-          
-          const migratedPlayerResources = {};
-          Object.entries(campaign.playerResources).forEach(([factionId, wallet]) => {
-            migratedPlayerResources[factionId] = {};
-            Object.entries(wallet).forEach(([resourceId, amount]) => {
-              const newId = migrationMap[resourceId] || resourceId;
-              migratedPlayerResources[factionId][newId] = amount;
-            });
-          });
-          
-          campaign.playerResources = migratedPlayerResources;
-          this.saveCampaign(campaign);
+      const slot = await campaignStore.createSlot(campaign.name, campaign);
+
+      const legacySnapshots = localStorage.getItem(STORAGE_KEYS.TURN_SNAPSHOTS);
+      if (legacySnapshots) {
+        const stored = JSON.parse(legacySnapshots);
+        if (stored.campaignId === campaign.id && stored.snapshots?.length) {
+          await campaignStore.saveSnapshots(slot.id, stored.snapshots);
         }
       }
-      
-      return campaign;
+
+      this.setLastSlot(slot.id);
+      localStorage.removeItem(STORAGE_KEYS.CAMPAIGN);
+      localStorage.removeItem(STORAGE_KEYS.TURN_SNAPSHOTS);
+      console.log(`Migrated saved campaign to slot "${slot.name}"`);
+      return slot;
     } catch (error) {
-      console.error('Failed to load campaign:', error);
+      console.error('Failed to migrate saved campaign:', error);
       return null;
     }
   }
 
+  /**
+   * Save the ring of per-turn campaign snapshots used for rewinding
+   * @static
+   * @param {Array<Object>} snapshots - Serialized galaxies, oldest first
+   * @param {string} slotId - Slot the campaign was opened from
+   * @returns {boolean} True if the write was queued
+   */
+  static saveTurnSnapshots(snapshots, slotId) {
+    if (!campaignStore || !slotId) return false;
+
+    campaignStore.saveSnapshots(slotId, snapshots);
+    return true;
+  }
+
+  /**
+   * Load the per-turn snapshots of a slot
+   * @static
+   * @param {string} slotId - Slot ID
+   * @returns {Promise<Array<Object>>} Snapshots, oldest first (empty if none stored)
+   */
+  static async loadTurnSnapshots(slotId) {
+    if (!campaignStore || !slotId) return [];
+
+    try {
+      // Snapshots are unversioned, so every step runs; they are all safe to repeat
+      const snapshots = await campaignStore.loadSnapshots(slotId);
+      return snapshots.map(snapshot => migrateCampaign(snapshot).campaign);
+    } catch (error) {
+      console.error('Failed to load turn snapshots:', error);
+      return [];
+    }
+  }
+
   /**
    * Save factions
    * @static
@@ -147,30 +312,10 @@ export class StorageService {
       const data = localStorage.getItem(STORAGE_KEYS.RESOURCES);
       if (!data) return null;
       
-      const resources = JSON.parse(data);
-      
-      // Migration: Check if resources use old naming scheme
-      const needsMigration = resources.some(r => 
-        ['promethium', 'adamantium', 'ceramite', 'plasma'].includes(r.id)
-      );
-      
-      if (needsMigration) {
-        console.log('Migrating resources from old naming scheme...');
-        const migrationMap = {
-          'promethium': 'resource1',
-          'adamantium': 'resource2', 
-          'ceramite': 'resource3',
-          'plasma': 'resource4'
-        };
-        
-        const migratedResources = resources.map(r => ({
-          ...r,
-          id: migrationMap[r.id] || r.id
-        }));
-        
-        // Save migrated resources
-        this.saveResources(migratedResources);
-        return migratedResources;
+      const { resources, changed } = migrateResourceList(JSON.parse(data));
+      if (changed) {
+        console.log('Migrated resources from old naming scheme');
+        this.saveResources(resources);
       }
       
       return resources;
@@ -237,22 +382,10 @@ export class StorageService {
         planetValues: planetValues,
         settings: settings,
         exportDate: Date.now(),
-        version: '2.1', // Updated version for complete export
+        version: CURRENT_FORMAT_VERSION,
       };
       
-      const blob = new Blob([JSON.stringify(data, null, 2)], {
-        type: 'application/json',
-      });
-      
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = filename;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-      
+      this.downloadJSON(data, filename);
       return true;
     } catch (error) {
       console.error('Failed to export campaign:', error);
@@ -261,55 +394,89 @@ export class StorageService {
   }
 
   /**
-   * Import complete campaign from file
+   * Offer data as a JSON file download
+   * @static
+   * @param {Object} data - Data to save
+   * @param {string} filename - Output filename
+   */
+  static downloadJSON(data, filename) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], {
+      type: 'application/json',
+    });
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Read a file chosen by the user as text
    * @static
    * @param {File} file - File object
-   * @returns {Promise<Object>} Complete campaign data with all components
+   * @returns {Promise<string>} File contents
    */
-  static async importCampaign(file) {
+  static readTextFile(file) {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
-      
-      reader.onload = (e) => {
-        try {
-          const data = JSON.parse(e.target.result);
-          
-          // Handle both old format (v2.0) and new format (v2.1+)
-          if (data.campaign && data.version) {
-            // New format - return complete data
-            if (data.version >= '2.1') {
-              resolve({
-                campaign: data.campaign,
-                factions: data.factions || [],
-                resources: data.resources || [],
-                planetValues: data.planetValues || [],
-                settings: data.settings || {},
-                version: data.version
-              });
-            } else {
-              // Old format - return just campaign for backward compatibility
-              resolve({
-                campaign: data.campaign,
-                factions: null, // Will use defaults
-                resources: null, // Will use defaults  
-                planetValues: null, // Will use defaults
-                settings: null, // Will use defaults
-                version: data.version
-              });
-            }
-          } else {
-            reject(new Error('Invalid campaign file format'));
-          }
-        } catch (error) {
-          reject(error);
-        }
-      };
-      
+      reader.onload = e => resolve(e.target.result);
       reader.onerror = () => reject(new Error('Failed to read file'));
       reader.readAsText(file);
     });
   }
 
+  /**
+   * Import complete campaign from file. Older formats are migrated first;
+   * the result must then pass the campaign file schema.
+   * @static
+   * @param {File} file - File object
+   * @returns {Promise<Object>} Campaign data with all components, plus
+   *   `migratedFrom` (original version) when the file was upgraded
+   * @throws {Error} With `details` listing each problem as {path, message}
+   *   when the file does not validate
+   */
+  static async importCampaign(file) {
+    const text = await this.readTextFile(file);
+    return this.parseCampaignFile(text);
+  }
+
+  /**
+   * Parse, migrate and validate the contents of a campaign file
+   * @static
+   * @param {string} text - File contents
+   * @returns {Object} Campaign data in the current format
+   * @throws {Error} With `details` when the file does not validate
+   */
+  static parseCampaignFile(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`File is not valid JSON (${error.message})`);
+    }
+
+    if (!data || typeof data !== 'object' || !data.campaign) {
+      throw new Error('Invalid campaign file format');
+    }
+
+    const { document, applied } = migrateDocument(data);
+    const errors = validateCampaignFile(document);
+    if (errors.length) {
+      const error = new Error(`Campaign file has ${errors.length} problem(s)`);
+      error.details = errors;
+      throw error;
+    }
+
+    return {
+      ...document,
+      migratedFrom: applied.length ? String(data.version ?? 'unversioned') : null,
+    };
+  }
+
   /**
    * Clear all stored data
    * @static
@@ -328,7 +495,16 @@ export class StorageService {
   }
 
   /**
-   * Get total storage size in KB
+   * Get the name of the backend campaigns are stored in
+   * @static
+   * @returns {string} 'IndexedDB' or 'localStorage'
+   */
+  static getCampaignBackend() {
+    return campaignStore ? campaignStore.backendName : 'localStorage';
+  }
+
+  /**
+   * Get total localStorage size in KB
    * @static
    * @returns {string} Size in KB
    */
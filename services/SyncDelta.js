@@ -0,0 +1,280 @@
+/**
+ * @fileoverview Campaign state deltas, shared by the sync client and server
+ * @module services/SyncDelta
+ */
+
+import { DIPLOMATIC_RELATIONS, SYNC_GM_ONLY_PATHS } from '../config/constants.js';
+import { deepClone } from '../utils/helpers.js';
+
+// Saved with every state; never worth syncing on its own
+const IGNORED_KEYS = ['lastModified'];
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isEntityList = value => Array.isArray(value) && value.every(item => isPlainObject(item) && 'id' in item);
+
+// Fields that tie an entity (planet, fleet, order, modifier, journal entry,
+// battle, proposal...) to the factions it belongs to or involves
+const FACTION_FIELDS = ['owner', 'factionId', 'fromFactionId', 'toFactionId', 'attackerId', 'defenderId'];
+const FACTION_LIST_FIELDS = ['factions', 'factionIds'];
+
+// Lists players may change but not add to: new planets and fleets come from the GM
+const NO_NEW_ENTITIES = ['planets', 'ships'];
+
+// Player-written text the app shows; markup in it is refused from players
+const TEXT_FIELDS = ['name', 'summary', 'notes', 'mission'];
+const hasMarkup = value => (Array.isArray(value) ? value.some(hasMarkup)
+  : isPlainObject(value) && Object.entries(value).some(([field, v]) =>
+    (TEXT_FIELDS.includes(field) && typeof v === 'string' && /[<>]/.test(v)) || hasMarkup(v)));
+
+const involves = (entity, factionId) => isPlainObject(entity) && (
+  FACTION_FIELDS.some(field => entity[field] === factionId)
+  || FACTION_LIST_FIELDS.some(field => Array.isArray(entity[field]) && entity[field].includes(factionId))
+  || (Array.isArray(entity.participants) && entity.participants.some(p => p?.factionId === factionId))
+);
+
+/**
+ * Describe how a campaign state differs from a base state. Each changed
+ * top-level key gets one change:
+ * - lists of entities with IDs (planets, ships, events...): {upsert, remove, order}
+ * - plain objects (playerResources...): {fields, removeFields}, one level deep
+ * - anything else: {value}
+ * @param {Object|null} base - Galaxy JSON both sides agree on
+ * @param {Object} next - Galaxy JSON with local changes
+ * @returns {Object} Delta; empty if nothing changed
+ */
+export function diffState(base, next) {
+  const delta = {};
+  const keys = new Set([...Object.keys(base || {}), ...Object.keys(next)]);
+
+  keys.forEach(key => {
+    if (IGNORED_KEYS.includes(key)) return;
+    const before = base?.[key];
+    const after = next[key];
+    if (same(before, after)) return;
+
+    if (isEntityList(before) && isEntityList(after)) {
+      const beforeById = new Map(before.map(e => [e.id, e]));
+      const afterIds = new Set(after.map(e => e.id));
+      delta[key] = {
+        upsert: after.filter(e => !same(beforeById.get(e.id), e)),
+        remove: before.filter(e => !afterIds.has(e.id)).map(e => e.id),
+        order: after.map(e => e.id),
+      };
+    } else if (isPlainObject(before) && isPlainObject(after)) {
+      const fields = {};
+      Object.keys(after).forEach(field => {
+        if (!same(before[field], after[field])) fields[field] = after[field];
+      });
+      delta[key] = { fields, removeFields: Object.keys(before).filter(field => !(field in after)) };
+    } else {
+      delta[key] = { value: after === undefined ? null : after };
+    }
+  });
+
+  return deepClone(delta);
+}
+
+/**
+ * Apply a delta to a state. Entities the delta's order does not know about
+ * (added elsewhere in the meantime) are kept at the end.
+ * @param {Object} state - Galaxy JSON
+ * @param {Object} delta - Output of diffState
+ * @returns {Object} New state; the input is not modified
+ */
+export function applyDelta(state, delta) {
+  const next = deepClone(state || {});
+
+  Object.entries(deepClone(delta)).forEach(([key, change]) => {
+    if ('value' in change) {
+      next[key] = change.value;
+    } else if ('fields' in change) {
+      const target = isPlainObject(next[key]) ? next[key] : {};
+      change.removeFields.forEach(field => { delete target[field]; });
+      next[key] = { ...target, ...change.fields };
+    } else {
+      const byId = new Map((Array.isArray(next[key]) ? next[key] : []).map(e => [e.id, e]));
+      change.remove.forEach(id => byId.delete(id));
+      change.upsert.forEach(e => byId.set(e.id, e));
+
+      const ordered = change.order.filter(id => byId.has(id)).map(id => byId.get(id));
+      byId.forEach((e, id) => { if (!change.order.includes(id)) ordered.push(e); });
+      next[key] = ordered;
+    }
+  });
+
+  return next;
+}
+
+/**
+ * Paths a delta touches, e.g. 'turn', 'planets/<id>', 'playerResources/<factionId>'.
+ * Two deltas conflict when their paths overlap.
+ * @param {Object} delta - Output of diffState
+ * @returns {Array<string>} Paths
+ */
+export function deltaPaths(delta) {
+  return Object.entries(delta).flatMap(([key, change]) => {
+    if ('value' in change) return [key];
+    if ('fields' in change) return [...Object.keys(change.fields), ...change.removeFields].map(field => `${key}/${field}`);
+    return [...change.upsert.map(e => e.id), ...change.remove].map(id => `${key}/${id}`);
+  });
+}
+
+/**
+ * Check whether a path is campaign rules or setup only the GM may change
+ * @param {string} path - Path from deltaPaths
+ * @returns {boolean} True if GM-only
+ */
+export function isGMOnlyPath(path) {
+  return SYNC_GM_ONLY_PATHS.some(p => path === p || path.startsWith(`${p}/`));
+}
+
+/**
+ * Check whether a faction may make a change to one entity. Planets count by
+ * owner only, except that a faction may change another planet's battleStatus
+ * (its fleets arriving there start a battle). Planets and fleets cannot be added.
+ * @param {Object|undefined} before - Stored entity, undefined if new
+ * @param {Object|undefined} after - Changed entity, undefined if removed
+ * @param {string} factionId - Faction making the change
+ * @param {string} list - Top-level key of the list, e.g. 'planets'
+ * @returns {boolean} True if allowed
+ */
+function mayChange(before, after, factionId, list) {
+  if (!before && NO_NEW_ENTITIES.includes(list)) return false;
+  if (list === 'planets') {
+    if ((!before || before.owner === factionId) && (!after || after.owner === factionId)) return true;
+    return !!before && !!after && same({ ...before, battleStatus: null }, { ...after, battleStatus: null });
+  }
+  return (!before || involves(before, factionId)) && (!after || involves(after, factionId));
+}
+
+/**
+ * Entity IDs in a list that a faction may not change between two versions
+ * @param {Array} before - Stored list
+ * @param {Array} after - Changed list
+ * @param {string} factionId - Faction making the change
+ * @param {string|null} list - Top-level key of the list, e.g. 'planets'
+ * @returns {Array<string>} IDs of the changes the faction may not make
+ */
+function foreignEntities(before, after, factionId, list = null) {
+  const beforeById = new Map(before.map(e => [e.id, e]));
+  const afterById = new Map(after.map(e => [e.id, e]));
+  const ids = new Set([...beforeById.keys(), ...afterById.keys()]);
+  return [...ids].filter(id => !same(beforeById.get(id), afterById.get(id))
+    && !mayChange(beforeById.get(id), afterById.get(id), factionId, list));
+}
+
+/**
+ * Check whether a faction may make a change to its diplomatic relations. It
+ * can end a relation or declare war on its own; a peaceful relation only
+ * starts by accepting a stored proposal the other faction sent it.
+ * @param {Object} diplomacy - Stored {relations, proposals}
+ * @param {Array} after - Changed relations
+ * @param {string} factionId - Faction making the change
+ * @returns {boolean} True if allowed
+ */
+function mayChangeRelations(diplomacy, after, factionId) {
+  const before = Array.isArray(diplomacy.relations) ? diplomacy.relations : [];
+  const proposals = Array.isArray(diplomacy.proposals) ? diplomacy.proposals : [];
+  const beforeById = new Map(before.map(r => [r.id, r]));
+  const afterIds = new Set(after.map(r => r.id));
+
+  const ended = before.filter(r => !afterIds.has(r.id));
+  if (!ended.every(r => involves(r, factionId))) return false;
+
+  return after.every(relation => {
+    if (beforeById.has(relation.id)) return same(beforeById.get(relation.id), relation);
+    if (!involves(relation, factionId)) return false;
+    if (DIPLOMATIC_RELATIONS[relation.type]?.peaceful === false) return true;
+    return proposals.some(p => p.toFactionId === factionId && p.type === relation.type
+      && same(relation.factions, [p.fromFactionId, p.toFactionId])
+      && same(relation.terms ?? null, p.terms ?? null));
+  });
+}
+
+// Whether a faction's resources went up anywhere
+const gainsResources = (before, after) => Object.entries(after || {})
+  .some(([resource, amount]) => amount > (before?.[resource] ?? 0));
+
+/**
+ * Paths of a delta that go beyond what a player of one faction may change:
+ * its own planets, fleets, orders, modifiers, journal entries, resources and
+ * stratagem cooldowns, and the battles, reports and diplomacy it takes part in.
+ * Players cannot add planets or fleets, only spend resources, and only start
+ * peaceful relations by accepting a proposal.
+ * @param {Object} state - Galaxy JSON the delta applies to
+ * @param {Object} delta - Output of diffState
+ * @param {string|null} factionId - Faction the player plays
+ * @returns {Array<string>} Paths the faction may not change; empty if allowed
+ */
+export function foreignPaths(state, delta, factionId) {
+  if (!factionId) return deltaPaths(delta);
+
+  return Object.entries(delta).flatMap(([key, change]) => {
+    if ('value' in change) return [key];
+
+    if ('fields' in change) {
+      const stored = isPlainObject(state?.[key]) ? state[key] : {};
+      const fields = [...Object.keys(change.fields), ...change.removeFields];
+      return fields.filter(field => {
+        if (key === 'playerResources') return field !== factionId || gainsResources(stored[field], change.fields[field]);
+        if (key === 'stratagemCooldowns') return !field.startsWith(`${factionId}:`);
+        const before = stored[field] ?? [];
+        const after = change.fields[field] ?? [];
+        if (!isEntityList(before) || !isEntityList(after)) return true;
+        if (key === 'diplomacy' && field === 'relations') return !mayChangeRelations(stored, after, factionId);
+        return foreignEntities(before, after, factionId).length > 0;
+      }).map(field => `${key}/${field}`);
+    }
+
+    const before = Array.isArray(state?.[key]) ? state[key] : [];
+    const after = applyDelta({ [key]: before }, { [key]: change })[key];
+    return foreignEntities(before, after, factionId, key).map(id => `${key}/${id}`);
+  });
+}
+
+/**
+ * Paths of a delta whose names, summaries or notes contain markup (< or >)
+ * @param {Object} delta - Output of diffState
+ * @returns {Array<string>} Paths with markup; empty if none
+ */
+export function markupPaths(delta) {
+  return Object.entries(delta).flatMap(([key, change]) => {
+    if ('value' in change) return hasMarkup([change.value]) ? [key] : [];
+    if ('fields' in change) {
+      return Object.keys(change.fields).filter(field => hasMarkup([change.fields[field]])).map(field => `${key}/${field}`);
+    }
+    return change.upsert.filter(e => hasMarkup(e)).map(e => `${key}/${e.id}`);
+  });
+}
+
+/**
+ * Turn a delta a player made against a filtered view of the state (see
+ * factionView in modules/VisibilitySystem.js) into one against the full
+ * state. Fields the player was not sent keep their stored values, and
+ * upserts that then change nothing are dropped.
+ * @param {Object} state - Full galaxy JSON
+ * @param {Object} view - Galaxy JSON the player was sent
+ * @param {Object} delta - Output of diffState against the view
+ * @returns {Object} Delta against the state
+ */
+export function rebaseDelta(state, view, delta) {
+  const rebased = deepClone(delta);
+  Object.entries(rebased).forEach(([key, change]) => {
+    if (!change.upsert || !Array.isArray(state?.[key])) return;
+    const stored = new Map(state[key].map(e => [e.id, e]));
+    const shown = new Map((Array.isArray(view?.[key]) ? view[key] : []).map(e => [e.id, e]));
+
+    change.upsert = change.upsert.map(entity => {
+      const before = stored.get(entity.id);
+      const sent = shown.get(entity.id);
+      if (!before || !sent || same(before, sent)) return entity;
+      const merged = { ...before };
+      Object.keys(entity).forEach(field => {
+        if (same(before[field], sent[field])) merged[field] = entity[field];
+      });
+      return merged;
+    }).filter(entity => !same(stored.get(entity.id), entity));
+  });
+  return rebased;
+}
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Live sync of the open campaign between tabs and windows
+ * @module services/TabSyncService
+ */
+
+import { CONFIG } from '../config/constants.js';
+import { generateId } from '../utils/helpers.js';
+
+/**
+ * Serialized state without the save timestamp, for change detection
+ * @param {Object} data - Galaxy JSON
+ * @returns {string} Comparable string
+ */
+function stateBody(data) {
+  return JSON.stringify({ ...data, lastModified: undefined });
+}
+
+/**
+ * Broadcasts every saved campaign state to the other tabs of this browser
+ * over a BroadcastChannel and hands states saved elsewhere to its listeners.
+ *
+ * Conflict policy: the newest save wins. Each published state carries a
+ * revision (a timestamp that never goes backwards within a tab); a tab only
+ * accepts states newer than the last one it published or accepted, equal
+ * revisions going to the higher tab ID so every window settles on the same
+ * state. Before applying a state, check hasUnpublishedChanges() to tell
+ * whether it replaces edits this tab has not saved yet.
+ * @class TabSync
+ *
+ * @example
+ * const sync = new TabSync();
+ * const galaxy = new Galaxy({ storage: StorageService, sync });
+ * sync.onState(data => galaxy.restoreState(data));
+ */
+export class TabSync {
+  /**
+   * @param {string} channelName - BroadcastChannel name shared by the tabs
+   */
+  constructor(channelName = CONFIG.SYNC_CHANNEL_NAME) {
+    this.tabId = generateId();
+    this._revision = 0;
+    this._lastBody = null;
+    this._lastTurn = null;
+    this._listeners = [];
+    this._channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(channelName) : null;
+    this._channel?.addEventListener('message', e => this._receive(e.data));
+  }
+
+  /**
+   * @returns {boolean} True if the browser supports BroadcastChannel
+   */
+  get available() {
+    return Boolean(this._channel);
+  }
+
+  /**
+   * Listen for states saved in other tabs
+   * @param {Function} listener - Called with (data, {turnSnapshots})
+   */
+  onState(listener) {
+    this._listeners.push(listener);
+  }
+
+  /**
+   * Broadcast a saved state. Unchanged states (auto-saves) are not sent.
+   * @param {Object} data - Galaxy JSON
+   * @param {Array} turnSnapshots - Turn snapshots, sent when the turn changed
+   * @returns {boolean} True if the state was sent
+   */
+  publish(data, turnSnapshots = null) {
+    if (!this._channel) return false;
+    const body = stateBody(data);
+    if (body === this._lastBody) return false;
+
+    this._lastBody = body;
+    this._revision = Math.max(Date.now(), this._revision + 1);
+    const message = { type: 'state', tabId: this.tabId, revision: this._revision, data };
+    if (turnSnapshots && data.turn !== this._lastTurn) message.turnSnapshots = turnSnapshots;
+    this._lastTurn = data.turn;
+
+    try {
+      this._channel.postMessage(message);
+      return true;
+    } catch (error) {
+      console.error('Failed to broadcast campaign state:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Record the state this tab now shows, after applying a received state
+   * @param {Object} data - Galaxy JSON
+   */
+  markSynced(data) {
+    this._lastBody = stateBody(data);
+    this._lastTurn = data.turn;
+  }
+
+  /**
+   * Check whether a state differs from the last one sent or received
+   * @param {Object} data - Galaxy JSON
+   * @returns {boolean} True if it holds unpublished changes
+   */
+  hasUnpublishedChanges(data) {
+    return this._lastBody !== null && stateBody(data) !== this._lastBody;
+  }
+
+  /**
+   * Handle a message from another tab
+   * @private
+   * @param {Object} message - {type, tabId, revision, data, turnSnapshots}
+   */
+  _receive(message) {
+    if (message?.type !== 'state' || message.tabId === this.tabId) return;
+    const newer = message.revision > this._revision
+      || (message.revision === this._revision && message.tabId > this.tabId);
+    if (!newer) return;
+
+    this._revision = message.revision;
+    this._listeners.forEach(listener => listener(message.data, {
+      turnSnapshots: message.turnSnapshots || null,
+    }));
+  }
+
+  /**
+   * Stop syncing
+   */
+  close() {
+    this._channel?.close();
+    this._channel = null;
+  }
+}
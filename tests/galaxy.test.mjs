@@ -0,0 +1,371 @@
+/**
+ * @fileoverview Turn rules of the Galaxy, run headless on MemoryStorage
+ * Run with `npm test`.
+ */
+
+import { test, describe, beforeEach, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Galaxy } from '../js/galaxy.js';
+import { MemoryStorage } from '../services/MemoryStorage.js';
+
+/**
+ * A galaxy with three Imperium planets, one Chaos planet and one unowned
+ * @returns {{galaxy: Galaxy, planets: Object}} Galaxy and its planets by name
+ */
+function makeGalaxy() {
+  const galaxy = new Galaxy({ storage: new MemoryStorage() });
+  const planets = {
+    forge: galaxy.addPlanet({ name: 'Forge', position: { x: 0, y: 0, z: 0 }, type: 'FORGE', owner: 'imperium', value_one: 1, value_two: 1, resources: { resource1: 2, resource2: 1 } }),
+    hive: galaxy.addPlanet({ name: 'Hive', position: { x: 20, y: 0, z: 0 }, type: 'HIVE', owner: 'imperium', value_one: 1, value_two: 1, resources: { resource1: 1 } }),
+    shrine: galaxy.addPlanet({ name: 'Shrine', position: { x: 40, y: 0, z: 0 }, type: 'SHRINE', owner: 'imperium', value_one: 1, value_two: 1, resources: { resource3: 1 } }),
+    dead: galaxy.addPlanet({ name: 'Dead', position: { x: 60, y: 0, z: 0 }, type: 'DEATH', owner: 'chaos', value_one: 1, value_two: 1, resources: { resource4: 2 } }),
+    wild: galaxy.addPlanet({ name: 'Wild', position: { x: 80, y: 0, z: 0 }, type: 'FERAL', owner: null, value_one: 1, value_two: 1, resources: { resource1: 5 } }),
+  };
+  return { galaxy, planets };
+}
+
+// The turn rules log every step; keep the test output readable
+before(() => mock.method(console, 'log', () => {}));
+after(() => mock.restoreAll());
+
+describe('harvestResources', () => {
+  test('adds each owned planet\'s yield to its owner', () => {
+    const { galaxy } = makeGalaxy();
+    galaxy.harvestResources();
+
+    assert.deepEqual(galaxy.playerResources.imperium, { resource1: 3, resource2: 1, resource3: 1 });
+    assert.deepEqual(galaxy.playerResources.chaos, { resource4: 2 });
+  });
+
+  test('unowned planets yield nothing', () => {
+    const { galaxy } = makeGalaxy();
+    galaxy.harvestResources();
+
+    assert.equal(Object.keys(galaxy.playerResources).length, 2);
+  });
+
+  test('harvest modifiers add to and multiply the yield', () => {
+    const { galaxy, planets } = makeGalaxy();
+    galaxy.modifierManager.add({ planetId: planets.forge.id, key: 'harvest_bonus', value: 1 });
+    galaxy.modifierManager.add({ planetId: planets.dead.id, key: 'harvest_multiplier', value: 0 });
+    galaxy.harvestResources();
+
+    assert.deepEqual(galaxy.playerResources.imperium, { resource1: 4, resource2: 2, resource3: 1 });
+    assert.deepEqual(galaxy.playerResources.chaos, { resource4: 0 });
+  });
+});
+
+describe('processAutoDistribution', () => {
+  let galaxy;
+
+  beforeEach(() => {
+    ({ galaxy } = makeGalaxy());
+    galaxy.playerResources.imperium = { resource1: 10 };
+    galaxy.playerResources.chaos = { resource1: 2 };
+  });
+
+  test('does nothing while disabled', () => {
+    galaxy.setAutoDistribution(false, 'EQUAL');
+    galaxy.processAutoDistribution();
+
+    assert.equal(galaxy.playerResources.imperium.resource1, 10);
+    assert.equal(galaxy.playerResources.chaos.resource1, 2);
+  });
+
+  test('EQUAL splits the pool evenly', () => {
+    galaxy.setAutoDistribution(true, 'EQUAL');
+    galaxy.processAutoDistribution();
+
+    assert.equal(galaxy.playerResources.imperium.resource1, 6);
+    assert.equal(galaxy.playerResources.chaos.resource1, 6);
+  });
+
+  test('STRATEGIC_VALUE splits by owned Value One', () => {
+    galaxy.getPlanet(galaxy.planets.find(p => p.owner === 'chaos').id).value_one = 3;
+    galaxy.setAutoDistribution(true, 'STRATEGIC_VALUE');
+    galaxy.processAutoDistribution();
+
+    assert.equal(galaxy.playerResources.imperium.resource1, 6);
+    assert.equal(galaxy.playerResources.chaos.resource1, 6);
+  });
+
+  test('TERRITORY_BASED splits by planet count', () => {
+    galaxy.setAutoDistribution(true, 'TERRITORY_BASED');
+    galaxy.processAutoDistribution();
+
+    assert.equal(galaxy.playerResources.imperium.resource1, 9);
+    assert.equal(galaxy.playerResources.chaos.resource1, 3);
+  });
+
+  test('NEED_BASED favours the faction with fewer planets', () => {
+    galaxy.setAutoDistribution(true, 'NEED_BASED');
+    galaxy.processAutoDistribution();
+
+    assert.equal(galaxy.playerResources.imperium.resource1, 3);
+    assert.equal(galaxy.playerResources.chaos.resource1, 9);
+  });
+
+  test('RANDOM stays within its bounds', () => {
+    galaxy.setAutoDistribution(true, 'RANDOM');
+    galaxy.processAutoDistribution();
+
+    // floor(rand * 12 * 0.5) + floor(12 / 4)
+    [galaxy.playerResources.imperium.resource1, galaxy.playerResources.chaos.resource1].forEach(amount => {
+      assert.ok(amount >= 3 && amount <= 8, `${amount} out of range`);
+    });
+  });
+
+  test('MANUAL adds the manual allocation and redistributes nothing', () => {
+    galaxy.autoDistribution.manualAllocation = { chaos: { resource1: 5, resource2: -1 } };
+    galaxy.setAutoDistribution(true, 'MANUAL');
+    galaxy.processAutoDistribution();
+
+    assert.equal(galaxy.playerResources.imperium.resource1, 10);
+    assert.deepEqual(galaxy.playerResources.chaos, { resource1: 7, resource2: -1 });
+  });
+
+  test('custom modes apply their allocation', () => {
+    galaxy.customDistributionModes.TITHE = {
+      name: 'Tithe',
+      allocation: { imperium: { resource1: -4 }, rebels: { resource3: 2 } },
+    };
+    galaxy.setAutoDistribution(true, 'TITHE');
+    galaxy.processAutoDistribution();
+
+    assert.equal(galaxy.playerResources.imperium.resource1, 6);
+    assert.equal(galaxy.playerResources.chaos.resource1, 2);
+    assert.deepEqual(galaxy.playerResources.rebels, { resource3: 2 });
+  });
+});
+
+describe('shopManager.purchase', () => {
+  let galaxy;
+  let planets;
+
+  beforeEach(() => {
+    ({ galaxy, planets } = makeGalaxy());
+    galaxy.playerResources.imperium = { resource1: 5, resource2: 5, resource3: 5, resource4: 5 };
+  });
+
+  test('debits the cost and applies the effect', () => {
+    const result = galaxy.shopManager.purchase('imperium', 'value_two_boost', planets.forge.id);
+
+    assert.equal(result.ok, true);
+    assert.equal(planets.forge.value_two, 3);
+    assert.deepEqual(galaxy.playerResources.imperium, { resource1: 3, resource2: 5, resource3: 4, resource4: 5 });
+  });
+
+  test('refuses when the faction cannot afford the item', () => {
+    galaxy.playerResources.imperium = { resource1: 1 };
+    const result = galaxy.shopManager.purchase('imperium', 'value_two_boost', planets.forge.id);
+
+    assert.equal(result.ok, false);
+    assert.equal(planets.forge.value_two, 1);
+    assert.deepEqual(galaxy.playerResources.imperium, { resource1: 1 });
+  });
+
+  test('refuses targets the faction does not own', () => {
+    const result = galaxy.shopManager.purchase('imperium', 'value_two_boost', planets.dead.id);
+
+    assert.equal(result.ok, false);
+    assert.equal(planets.dead.value_two, 1);
+    assert.equal(galaxy.playerResources.imperium.resource1, 5);
+  });
+
+  test('deploy_ship puts a fleet on the target', () => {
+    const result = galaxy.shopManager.purchase('imperium', 'deploy_ship', planets.hive.id);
+
+    assert.equal(result.ok, true);
+    assert.equal(result.ship.planetId, planets.hive.id);
+    assert.deepEqual(galaxy.shipManager.getAtPlanet(planets.hive.id).map(s => s.id), [result.ship.id]);
+  });
+
+  test('mining_upgrade raises later harvests', () => {
+    galaxy.shopManager.purchase('imperium', 'mining_upgrade', planets.hive.id);
+    const before = galaxy.playerResources.imperium.resource1;
+    galaxy.harvestResources();
+
+    // Forge yields 2, Hive 1 + 1
+    assert.equal(galaxy.playerResources.imperium.resource1, before + 4);
+  });
+
+  test('purchases are journaled', () => {
+    galaxy.shopManager.purchase('imperium', 'propaganda');
+
+    assert.equal(galaxy.journal.getEntries({ type: 'purchase', factionId: 'imperium' }).length, 1);
+  });
+});
+
+describe('battle reports', () => {
+  test('a reported win captures a zone and, with most zones, the planet', () => {
+    const { galaxy, planets } = makeGalaxy();
+    galaxy.battleReportManager.setRules({ captureZone: true });
+    const zones = planets.dead.surfaceZones;
+    zones.forEach((zone, i) => { zone.controller = i < zones.length / 2 ? 'imperium' : 'chaos'; });
+    const target = zones.find(z => z.controller === 'chaos');
+
+    const result = galaxy.battleReportManager.report({
+      planetId: planets.dead.id,
+      zoneId: target.id,
+      participants: [{ factionId: 'imperium', score: 12 }, { factionId: 'chaos', score: 7 }],
+    });
+
+    assert.equal(result.ok, true);
+    assert.equal(target.controller, 'imperium');
+    assert.equal(planets.dead.owner, 'imperium');
+    assert.deepEqual(result.report.changes.slice(0, 2), [`${target.name} captured`, 'Dead captured']);
+    const entries = galaxy.journal.getEntries({ planetId: planets.dead.id }).filter(e => ['zone', 'conquest'].includes(e.type));
+    assert.deepEqual(entries.map(e => [e.type, e.factionId]).sort(), [['conquest', 'imperium'], ['zone', 'imperium']]);
+  });
+});
+
+describe('advanceTurn event expiry', () => {
+  test('events expire once their duration has run', () => {
+    const { galaxy, planets } = makeGalaxy();
+    const event = galaxy.addEvent('WARP_STORM', planets.forge.id, 2);
+
+    assert.deepEqual(galaxy.advanceTurn().expiredEvents, []);
+    assert.ok(galaxy.eventManager.getById(event.id));
+
+    const report = galaxy.advanceTurn();
+    assert.deepEqual(report.expiredEvents.map(e => e.id), [event.id]);
+    assert.equal(galaxy.eventManager.getById(event.id), undefined);
+  });
+
+  test('delayed events count down before their duration starts', () => {
+    const { galaxy, planets } = makeGalaxy();
+    const event = galaxy.addEvent('PLAGUE', planets.hive.id, 1, 1);
+
+    assert.equal(event.isActive(), false);
+    galaxy.advanceTurn();
+    assert.equal(event.isActive(), true);
+    assert.deepEqual(galaxy.advanceTurn().expiredEvents.map(e => e.id), [event.id]);
+  });
+
+  test('events with infinite duration never expire', () => {
+    const { galaxy, planets } = makeGalaxy();
+    const event = galaxy.addEvent('WARP_STORM', planets.shrine.id, -1);
+
+    for (let i = 0; i < 5; i++) galaxy.advanceTurn();
+    assert.ok(galaxy.eventManager.getById(event.id));
+  });
+});
+
+describe('moving events', () => {
+  const drift = to => ({ type: 'drift', chance: 100, targetPlanetId: to });
+
+  test('a drifting event\'s modifiers move with it', () => {
+    const { galaxy, planets } = makeGalaxy();
+    galaxy.addConnection(planets.forge.id, planets.hive.id);
+    const event = galaxy.addEvent('PLAGUE', planets.forge.id, 3, 0, null, drift(planets.hive.id));
+
+    galaxy.advanceTurn();
+    assert.equal(event.planetId, planets.hive.id);
+    assert.deepEqual(galaxy.modifierManager.getAll().filter(m => m.source?.id === event.id).map(m => m.planetId), [planets.hive.id]);
+  });
+
+  test('one-off start effects are not granted again when an event drifts', () => {
+    const { galaxy, planets } = makeGalaxy();
+    galaxy.addConnection(planets.forge.id, planets.hive.id);
+    const event = galaxy.addEvent('ARCHAEOTECH', planets.forge.id, 3, 0, null, drift(planets.hive.id));
+    assert.equal(galaxy.playerResources.imperium.resource4, 3);
+
+    galaxy.advanceTurn();
+    assert.equal(event.planetId, planets.hive.id);
+    assert.equal(galaxy.playerResources.imperium.resource4, 3);
+  });
+});
+
+describe('turn snapshots', () => {
+  test('leave the journal out', () => {
+    const { galaxy } = makeGalaxy();
+    galaxy.advanceTurn();
+
+    assert.equal(galaxy._turnSnapshots.length, 1);
+    assert.equal('journal' in galaxy._turnSnapshots[0], false);
+  });
+
+  test('rewinding keeps the journal up to the restored turn', () => {
+    const { galaxy, planets } = makeGalaxy();
+    galaxy.advanceTurn();
+    galaxy.addEvent('PLAGUE', planets.hive.id, 2);
+    const turn = galaxy.turn;
+    const before = galaxy.journal.toJSON().map(e => e.id);
+    galaxy.advanceTurn();
+    galaxy.addEvent('WARP_STORM', planets.forge.id, 2);
+
+    const restored = galaxy.rewindTurn();
+    assert.equal(restored.turn, turn);
+    assert.deepEqual(restored.journal.toJSON().map(e => e.id), before);
+  });
+
+  test('rewinding drops orders journaled under the old turn number', () => {
+    const { galaxy, planets } = makeGalaxy();
+    galaxy.addConnection(planets.forge.id, planets.hive.id);
+    const ship = galaxy.addShip('imperium', planets.forge.id);
+    galaxy.ordersPhase = true;
+    assert.equal(galaxy.orderManager.queueMove('imperium', ship.id, planets.hive.id).ok, true);
+    const before = galaxy.journal.toJSON().map(e => e.id);
+    galaxy.advanceTurn();
+    assert.equal(galaxy.shipManager.getById(ship.id).planetId, planets.hive.id);
+
+    const restored = galaxy.rewindTurn();
+    assert.equal(restored.shipManager.getById(ship.id).planetId, planets.forge.id);
+    assert.equal(restored.orderManager.getAll().length, 1);
+    assert.deepEqual(restored.journal.toJSON().map(e => e.id), before);
+  });
+});
+
+describe('Galaxy.load', () => {
+  test('reads the campaign and turn snapshots from the injected storage', async () => {
+    const storage = new MemoryStorage();
+    const { galaxy } = makeGalaxy();
+    galaxy.context.storage = storage;
+    galaxy.advanceTurn();
+    galaxy.save();
+
+    const loaded = await Galaxy.load({ storage });
+    assert.equal(loaded.id, galaxy.id);
+    assert.equal(loaded.turn, galaxy.turn);
+    assert.equal(loaded.planets.length, 5);
+    assert.equal(loaded._turnSnapshots.length, 1);
+  });
+
+  test('keeps saving to the slot it was loaded from', async () => {
+    const storage = new MemoryStorage();
+    const { galaxy } = makeGalaxy();
+    galaxy.context.storage = storage;
+    galaxy.save();
+
+    const loaded = await Galaxy.load({ storage }, 'slot-2');
+    const saveCampaign = mock.method(storage, 'saveCampaign');
+    const saveTurnSnapshots = mock.method(storage, 'saveTurnSnapshots');
+    loaded.advanceTurn();
+    loaded.save();
+
+    assert.equal(loaded.slotId, 'slot-2');
+    assert.equal(saveCampaign.mock.calls.at(-1).arguments[1], 'slot-2');
+    assert.equal(saveTurnSnapshots.mock.calls.at(-1).arguments[1], 'slot-2');
+  });
+
+  test('returns null when the storage has no campaign', async () => {
+    assert.equal(await Galaxy.load({ storage: new MemoryStorage() }), null);
+  });
+});
+
+describe('visibility', () => {
+  test('computes each faction\'s levels once until the galaxy is saved', () => {
+    const { galaxy, planets } = makeGalaxy();
+    const compute = mock.method(galaxy.visibility, 'compute');
+
+    assert.equal(galaxy.visibility.getLevel('chaos', planets.wild.id), 'hidden');
+    galaxy.ships.forEach(ship => galaxy.visibility.canSeeShip('chaos', ship));
+    assert.equal(compute.mock.callCount(), 1);
+
+    planets.wild.owner = 'chaos';
+    galaxy.save();
+    assert.equal(galaxy.visibility.getLevel('chaos', planets.wild.id), 'full');
+    assert.equal(compute.mock.callCount(), 2);
+  });
+});
@@ -0,0 +1,23 @@
+/**
+ * @fileoverview Migrations of saved and exported campaign data
+ * Run with `npm test`.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_UNIT_TYPES } from '../config/constants.js';
+import { CURRENT_FORMAT_VERSION, migrateCampaign } from '../services/MigrationService.js';
+
+describe('migrateCampaign', () => {
+  test('gives fleets saved before compositions a single default unit', () => {
+    const { campaign, applied } = migrateCampaign({
+      version: '3.1.0',
+      ships: [{ id: 'a', planetId: 'p' }, { id: 'b', planetId: 'p', units: { escort: 3 } }],
+    });
+
+    assert.deepEqual(applied, ['3.2.0']);
+    assert.equal(campaign.version, CURRENT_FORMAT_VERSION);
+    assert.deepEqual(campaign.ships.map(s => s.units), [{ [DEFAULT_UNIT_TYPES[0].id]: 1 }, { escort: 3 }]);
+  });
+});
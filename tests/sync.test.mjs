@@ -0,0 +1,218 @@
+/**
+ * @fileoverview What the sync server lets players change and see
+ * Run with `npm test`.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Galaxy } from '../js/galaxy.js';
+import { MemoryStorage } from '../services/MemoryStorage.js';
+import { applyDelta, deltaPaths, diffState, foreignPaths, isGMOnlyPath, markupPaths, rebaseDelta } from '../services/SyncDelta.js';
+import { stripSecrets } from '../modules/GMAccessSystem.js';
+import { factionView } from '../modules/VisibilitySystem.js';
+
+const secret = { salt: 'ab', hash: 'cd' };
+
+const state = () => ({
+  id: 'campaign',
+  planets: [
+    { id: 'p1', owner: 'imperium', value_two: 1, battleStatus: 'none' },
+    { id: 'p2', owner: 'chaos', value_two: 1, battleStatus: 'none' },
+  ],
+  ships: [{ id: 's1', factionId: 'imperium', planetId: 'p1' }, { id: 's2', factionId: 'chaos', planetId: 'p2' }],
+  playerResources: { imperium: { resource1: 5 }, chaos: { resource1: 5 } },
+  stratagemCooldowns: {},
+  battles: [],
+  diplomacy: { relations: [], proposals: [] },
+  journal: [],
+  settings: { gmPassphrase: secret },
+  players: [{ id: 'a', name: 'A', factionIds: ['imperium'], pin: secret }],
+});
+
+/**
+ * Paths the Imperium player may not make when turning state() into the result of change
+ * @param {Function} change - Edits a copy of state()
+ * @returns {Array<string>} Foreign paths
+ */
+function foreignFor(change) {
+  const base = state();
+  const next = state();
+  change(next);
+  return foreignPaths(base, diffState(base, next), 'imperium');
+}
+
+describe('foreignPaths', () => {
+  test('allows changes to the faction\'s own planets, fleets and resources', () => {
+    assert.deepEqual(foreignFor(next => {
+      next.planets[0].value_two = 3;
+      next.ships[0].planetId = 'p2';
+      next.playerResources.imperium.resource1 = 2;
+      next.stratagemCooldowns['imperium:orbital_shield'] = 3;
+      next.journal.push({ id: 'j1', factionId: 'imperium', summary: 'Purchased' });
+    }), []);
+  });
+
+  test('rejects changes to other factions\' things', () => {
+    assert.deepEqual(foreignFor(next => {
+      next.planets[1].value_two = 0;
+      next.ships.splice(1, 1);
+      next.playerResources.chaos.resource1 = 0;
+      next.stratagemCooldowns['chaos:orbital_shield'] = 0;
+    }).sort(), ['planets/p2', 'playerResources/chaos', 'ships/s2', 'stratagemCooldowns/chaos:orbital_shield']);
+  });
+
+  test('rejects new planets and fleets and resource gains', () => {
+    assert.deepEqual(foreignFor(next => {
+      next.planets.push({ id: 'p3', owner: 'imperium', value_two: 1 });
+      next.ships.push({ id: 's3', factionId: 'imperium', planetId: 'p1' });
+      next.playerResources.imperium.resource1 = 6;
+    }).sort(), ['planets/p3', 'playerResources/imperium', 'ships/s3']);
+    assert.deepEqual(foreignFor(next => { next.playerResources.imperium.resource2 = 1; }), ['playerResources/imperium']);
+  });
+
+  test('rejects taking or giving away planets', () => {
+    assert.deepEqual(foreignFor(next => { next.planets[1].owner = 'imperium'; }), ['planets/p2']);
+    assert.deepEqual(foreignFor(next => { next.planets[0].owner = 'chaos'; }), ['planets/p1']);
+  });
+
+  test('allows starting a battle on another faction\'s planet', () => {
+    assert.deepEqual(foreignFor(next => {
+      next.planets[1].battleStatus = 'skirmish';
+      next.battles.push({ id: 'b1', planetId: 'p2', attackerId: 'imperium', defenderId: 'chaos' });
+    }), []);
+  });
+
+  test('allows diplomacy the faction takes part in', () => {
+    assert.deepEqual(foreignFor(next => {
+      next.diplomacy.proposals.push({ id: 'd1', fromFactionId: 'imperium', toFactionId: 'chaos' });
+    }), []);
+    assert.deepEqual(foreignFor(next => {
+      next.diplomacy.proposals.push({ id: 'd2', fromFactionId: 'chaos', toFactionId: 'eldar' });
+    }), ['diplomacy/proposals']);
+  });
+
+  test('allows relations only by declaring war or accepting a proposal', () => {
+    const relation = type => ({ id: 'r1', factions: ['chaos', 'imperium'], type, since: 1, turnsRemaining: null, terms: null });
+    assert.deepEqual(foreignFor(next => { next.diplomacy.relations.push(relation('war')); }), []);
+    assert.deepEqual(foreignFor(next => { next.diplomacy.relations.push(relation('alliance')); }), ['diplomacy/relations']);
+
+    const base = state();
+    base.diplomacy.relations.push(relation('ceasefire'));
+    const next = structuredClone(base);
+    next.diplomacy.relations[0].type = 'alliance';
+    assert.deepEqual(foreignPaths(base, diffState(base, next), 'imperium'), ['diplomacy/relations']);
+    next.diplomacy.relations = [];
+    assert.deepEqual(foreignPaths(base, diffState(base, next), 'imperium'), []);
+  });
+
+  test('allows accepting a proposal sent to the faction', () => {
+    const galaxy = new Galaxy({ storage: new MemoryStorage() });
+    const { proposal } = galaxy.diplomacyManager.propose('chaos', 'imperium', 'ceasefire');
+    const base = structuredClone(galaxy.toJSON());
+    assert.equal(galaxy.diplomacyManager.accept(proposal.id, 'imperium').ok, true);
+    const delta = diffState(base, galaxy.toJSON());
+
+    assert.deepEqual(deltaPaths(delta).filter(isGMOnlyPath), []);
+    assert.deepEqual(foreignPaths(base, delta, 'imperium'), []);
+    assert.equal(delta.journal.upsert[0].factionId, 'imperium');
+  });
+
+  test('rejects whole-value changes and players without a faction', () => {
+    assert.deepEqual(foreignFor(next => { next.id = 'other'; }), ['id']);
+
+    const base = state();
+    const next = state();
+    next.playerResources.imperium.resource1 = 9;
+    assert.deepEqual(foreignPaths(base, diffState(base, next), null), ['playerResources/imperium']);
+  });
+});
+
+describe('markupPaths', () => {
+  const markupFor = change => {
+    const base = state();
+    const next = state();
+    change(next);
+    return markupPaths(diffState(base, next));
+  };
+
+  test('finds markup in names, summaries and notes', () => {
+    assert.deepEqual(markupFor(next => {
+      next.ships[0].name = '<img src=x onerror=alert(1)>';
+      next.journal.push({ id: 'j1', factionId: 'imperium', summary: 'Renamed <b>fleet</b>' });
+      next.battles.push({ id: 'b1', planetId: 'p1', notes: 'a > b' });
+    }).sort(), ['battles/b1', 'journal/j1', 'ships/s1']);
+  });
+
+  test('ignores plain text and other fields', () => {
+    assert.deepEqual(markupFor(next => {
+      next.ships[0].name = 'Fleet "Ironclad" & co';
+      next.planets[0].description = '<em>GM lore</em>';
+    }), []);
+  });
+});
+
+describe('secrets sent to players', () => {
+  test('stripSecrets removes the passphrase and PIN hashes', () => {
+    const data = stripSecrets(state());
+
+    assert.equal(data.settings.gmPassphrase, null);
+    assert.equal(data.players[0].pin, null);
+  });
+
+  test('stripSecrets can keep the passphrase for GM backups, never the PINs', () => {
+    const data = stripSecrets(state(), { keepPassphrase: true });
+
+    assert.deepEqual(data.settings.gmPassphrase, secret);
+    assert.equal(data.players[0].pin, null);
+  });
+});
+
+describe('factionView', () => {
+  const fogged = () => {
+    const data = state();
+    data.planets.push({ id: 'p3', owner: 'chaos', value_two: 4, resources: { resource1: 2 }, surfaceZones: [{ id: 'z1' }], battleStatus: 'siege' });
+    data.ships.push({ id: 's3', factionId: 'chaos', planetId: 'p3' });
+    data.orders = [{ id: 'o1', factionId: 'imperium' }, { id: 'o2', factionId: 'chaos' }];
+    data.eventDeck = { enabled: true, pending: { type: 'bonus_tech' } };
+    return data;
+  };
+  const levels = new Map([['p1', 'full'], ['p2', 'sensed'], ['p3', 'hidden']]);
+
+  test('leaves out other factions\' orders and the pending event draw', () => {
+    const view = factionView(fogged(), 'imperium');
+
+    assert.deepEqual(view.orders.map(o => o.id), ['o1']);
+    assert.equal(view.eventDeck.pending, null);
+    assert.equal(view.planets.length, 3);
+    assert.equal(view.ships.length, 3);
+  });
+
+  test('under fog of war hides planet details, hidden owners and fleets at hidden planets', () => {
+    const view = factionView(fogged(), 'imperium', levels);
+    const [p1, p2, p3] = view.planets;
+
+    assert.equal(p1.value_two, 1);
+    assert.equal(p2.owner, 'chaos');
+    assert.equal(p2.value_two, null);
+    assert.equal(p3.owner, null);
+    assert.equal(p3.battleStatus, 'none');
+    assert.deepEqual(p3.resources, {});
+    assert.deepEqual(p3.surfaceZones, []);
+    assert.deepEqual(view.ships.map(s => s.id), ['s1', 's2']);
+  });
+
+  test('rebaseDelta keeps what the player was not sent', () => {
+    const data = fogged();
+    const view = factionView(data, 'imperium', levels);
+    const next = structuredClone(view);
+    next.planets[1].battleStatus = 'skirmish';
+    next.planets[2].dynamicValues = { supply: 1 };
+    const delta = rebaseDelta(data, view, diffState(view, next));
+
+    assert.deepEqual(foreignPaths(data, delta, 'imperium'), []);
+    const planets = applyDelta(data, delta).planets;
+    assert.deepEqual(planets[1], { ...data.planets[1], battleStatus: 'skirmish' });
+    assert.deepEqual(planets[2], data.planets[2]);
+  });
+});
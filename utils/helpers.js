@@ -55,6 +55,15 @@ export function formatDate(timestamp) {
   return new Date(timestamp).toLocaleString();
 }
 
+/**
+ * Escape text for use in HTML markup and attribute values
+ * @param {*} text - Text to escape; null and undefined become ''
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
 /**
  * Deep clone an object using JSON serialization
  * @template T
@@ -174,3 +183,42 @@ export function throttle(func, limit) {
     }
   };
 }
+
+/**
+ * Convert bytes to a hex string
+ * @param {ArrayBuffer|Uint8Array} bytes
+ * @returns {string} Hex string
+ */
+function toHex(bytes) {
+  return [...new Uint8Array(bytes)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hash a secret (PIN or passphrase) with PBKDF2-SHA-256 via Web Crypto
+ * @param {string} secret - Secret to hash
+ * @param {string|null} salt - Hex salt; a new random one is made if omitted
+ * @returns {Promise<{salt: string, hash: string}>} Salt and hex hash
+ */
+export async function hashSecret(secret, salt = null) {
+  const saltHex = salt || toHex(crypto.getRandomValues(new Uint8Array(16)));
+  const saltBytes = new Uint8Array(saltHex.match(/../g).map(h => parseInt(h, 16)));
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: saltBytes, iterations: 100000 },
+    key,
+    256
+  );
+  return { salt: saltHex, hash: toHex(bits) };
+}
+
+/**
+ * Check a secret against a stored hash
+ * @param {string} secret - Secret entered by the user
+ * @param {{salt: string, hash: string}} stored - Output of hashSecret
+ * @returns {Promise<boolean>} True if the secret matches
+ */
+export async function verifySecret(secret, stored) {
+  if (!stored?.salt || !stored?.hash) return false;
+  const { hash } = await hashSecret(secret, stored.salt);
+  return hash === stored.hash;
+}